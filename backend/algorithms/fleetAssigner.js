@@ -0,0 +1,157 @@
+/**
+ * Fleet Assignment Algorithm
+ *
+ * Assigns bookings that accept "any machine of this type within N km"
+ * to the owner's machine that adds the least travel and lateness.
+ * 1. Bookings pinned to a machine are placed on it first
+ * 2. Fleet bookings are inserted greedily in priority order
+ * 3. Each candidate machine is scored by re-running the horizon scheduler
+ */
+
+const { scheduleHorizon, calculateDistance, startOfDay } = require('./scheduler');
+
+/**
+ * Cost of finishing one day after the requested date, in km of travel
+ */
+const LATENESS_KM_PER_DAY = 20;
+
+/**
+ * Cost of leaving a booking unscheduled, in km of travel
+ */
+const UNSCHEDULED_PENALTY_KM = 1000;
+
+/**
+ * Compare two references (ObjectId, string or populated document)
+ * @param {*} a - First reference
+ * @param {*} b - Second reference
+ * @returns {boolean} - True if they point to the same id
+ */
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Check if a machine can serve a fleet booking
+ * @param {Object} machine - Candidate machine
+ * @param {Object} booking - Booking with fleetRequest
+ * @returns {boolean} - True if the machine is eligible
+ */
+const isEligible = (machine, booking) => {
+    const machineType = booking.fleetRequest?.machineType || booking.machine?.type;
+
+    if (machine.type !== machineType) return false;
+    if (!sameId(machine.owner, booking.owner)) return false;
+    if (machine.status !== 'active' || machine.availability?.isAvailable === false) return false;
+
+    const maxDistanceKm = booking.fleetRequest?.maxDistanceKm;
+    const fieldCoords = booking.fieldLocation?.coordinates;
+    if (maxDistanceKm && fieldCoords?.latitude && machine.location?.coordinates?.latitude) {
+        return calculateDistance(machine.location.coordinates, fieldCoords) <= maxDistanceKm;
+    }
+
+    return true;
+};
+
+/**
+ * Score a machine's schedule: travel and weighted lateness of the scheduled
+ * bookings plus a fixed penalty for each one left unscheduled
+ * @param {Object} result - Output of scheduleHorizon
+ * @param {Array} bookings - Bookings given to scheduleHorizon
+ * @returns {number} - Cost (lower is better)
+ */
+const scoreSchedule = (result, bookings) => {
+    const penalty = result.unscheduled.length * UNSCHEDULED_PENALTY_KM;
+
+    return result.scheduled.reduce((cost, slot) => {
+        const booking = bookings.find(b => sameId(b._id, slot.bookingId));
+        const requested = startOfDay(booking?.date || slot.date);
+        const daysLate = Math.max(0, Math.round((slot.date - requested) / 86400000));
+        return cost + (slot.distanceFromPrevious || 0) + daysLate * LATENESS_KM_PER_DAY;
+    }, penalty);
+};
+
+/**
+ * Assign bookings across a fleet of machines
+ *
+ * @param {Array} bookings - Pending bookings (fleetRequest.enabled marks flexible ones)
+ * @param {Array} machines - Candidate machines
+ * @param {Object} options - Horizon options passed to scheduleHorizon
+ * @param {Object} options.existingByMachine - { machineId: [already scheduled bookings] }
+ * @returns {Object} - { assignments: [{bookingId, machineId, reassigned, cost}] }
+ */
+const assignFleet = (bookings, machines, options = {}) => {
+    const { existingByMachine = {}, ...horizonOptions } = options;
+
+    // Working set of bookings per machine
+    const plan = {};
+    machines.forEach(machine => {
+        plan[String(machine._id)] = [];
+    });
+
+    const runHorizon = (machine, machineBookings) => scheduleHorizon(machineBookings, machine, {
+        ...horizonOptions,
+        existingBookings: existingByMachine[String(machine._id)] || []
+    });
+
+    const assignments = [];
+    const flexible = [];
+
+    // Step 1: Pinned bookings stay on the machine the farmer picked
+    bookings.forEach(booking => {
+        const machineId = String(booking.machine?._id || booking.machine);
+        if (booking.fleetRequest?.enabled) {
+            flexible.push(booking);
+        } else {
+            if (!plan[machineId]) plan[machineId] = [];
+            plan[machineId].push(booking);
+            assignments.push({ bookingId: booking._id, machineId, reassigned: false, cost: null });
+        }
+    });
+
+    // Step 2: Insert flexible bookings, most urgent and largest first
+    flexible.sort((a, b) => ((b.priority || 1) - (a.priority || 1)) || ((b.acres || 0) - (a.acres || 0)));
+
+    for (const booking of flexible) {
+        const originalId = String(booking.machine?._id || booking.machine);
+        let best = null;
+
+        for (const machine of machines.filter(m => isEligible(m, booking))) {
+            const machineId = String(machine._id);
+            const current = plan[machineId];
+            const before = scoreSchedule(runHorizon(machine, current), current);
+            const trialBookings = [...current, booking];
+            const trial = runHorizon(machine, trialBookings);
+
+            // Only machines that can place the booking are candidates; anything
+            // it pushes out of their plan is charged through the penalty
+            if (trial.unscheduled.some(u => sameId(u.bookingId, booking._id))) continue;
+            const marginalCost = scoreSchedule(trial, trialBookings) - before;
+
+            // Prefer the original machine on ties to avoid needless reassignment
+            if (!best || marginalCost < best.cost ||
+                (marginalCost === best.cost && machineId === originalId)) {
+                best = { machineId, cost: Math.round(marginalCost * 10) / 10 };
+            }
+        }
+
+        // No machine can take it - leave it on the original for the normal unscheduled handling
+        const machineId = best ? best.machineId : originalId;
+        if (!plan[machineId]) plan[machineId] = [];
+        plan[machineId].push(booking);
+
+        assignments.push({
+            bookingId: booking._id,
+            machineId,
+            reassigned: machineId !== originalId,
+            cost: best ? best.cost : null
+        });
+    }
+
+    return { assignments };
+};
+
+module.exports = {
+    assignFleet,
+    isEligible,
+    scoreSchedule,
+    LATENESS_KM_PER_DAY,
+    UNSCHEDULED_PENALTY_KM
+};
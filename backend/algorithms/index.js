@@ -5,7 +5,13 @@
  */
 
 const scheduler = require('./scheduler');
+const fleetAssigner = require('./fleetAssigner');
+const routeOptimizer = require('./routeOptimizer');
+const timeCalibrator = require('./timeCalibrator');
 
 module.exports = {
-    scheduler
+    scheduler,
+    fleetAssigner,
+    routeOptimizer,
+    timeCalibrator
 };
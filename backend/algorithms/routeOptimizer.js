@@ -0,0 +1,248 @@
+/**
+ * Route Optimizer
+ *
+ * Improves the order in which a machine visits its fields for a day.
+ * Starts from the greedy nearest-neighbour tour and applies local search
+ * until no move helps or the time budget runs out:
+ * 1. 2-opt - reverses a stretch of the route to remove crossings
+ * 2. Or-opt - moves a run of 1-3 stops to a better position
+ *
+ * Strategies are pluggable: registerStrategy(name, fn) adds a new one.
+ */
+
+/**
+ * Default time budget for local search, in milliseconds
+ */
+const DEFAULT_TIME_BUDGET_MS = 50;
+
+/**
+ * Strategy used when none is requested
+ */
+const DEFAULT_STRATEGY = 'local';
+
+/**
+ * Approximate diesel used while moving a machine on the road
+ */
+const FUEL_LITRES_PER_KM = 0.25;
+
+/**
+ * Length of an open route that starts at the depot (index 0)
+ * @param {Array} order - Stop indexes (1..n) in visiting order
+ * @param {Array} matrix - Distance matrix including the depot
+ * @returns {number} - Total distance in kilometers
+ */
+const routeLength = (order, matrix) => {
+    let total = 0;
+    let previous = 0;
+    for (const stop of order) {
+        total += matrix[previous][stop];
+        previous = stop;
+    }
+    return total;
+};
+
+/**
+ * 2-opt: reverse the segment between two stops when it shortens the route
+ * @param {Array} order - Current visiting order
+ * @param {Array} matrix - Distance matrix
+ * @param {number} deadline - Timestamp after which the search stops
+ * @returns {Array} - Improved visiting order
+ */
+const twoOpt = (order, matrix, deadline) => {
+    let best = [...order];
+    let bestLength = routeLength(best, matrix);
+    let improved = true;
+
+    while (improved && Date.now() < deadline) {
+        improved = false;
+        for (let i = 0; i < best.length - 1 && !improved; i++) {
+            for (let k = i + 1; k < best.length; k++) {
+                const candidate = [
+                    ...best.slice(0, i),
+                    ...best.slice(i, k + 1).reverse(),
+                    ...best.slice(k + 1)
+                ];
+                const candidateLength = routeLength(candidate, matrix);
+                if (candidateLength < bestLength - 1e-9) {
+                    best = candidate;
+                    bestLength = candidateLength;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Or-opt: move a run of 1-3 consecutive stops to a better position
+ * @param {Array} order - Current visiting order
+ * @param {Array} matrix - Distance matrix
+ * @param {number} deadline - Timestamp after which the search stops
+ * @returns {Array} - Improved visiting order
+ */
+const orOpt = (order, matrix, deadline) => {
+    let best = [...order];
+    let bestLength = routeLength(best, matrix);
+    let improved = true;
+
+    while (improved && Date.now() < deadline) {
+        improved = false;
+        for (let size = 1; size <= 3 && !improved; size++) {
+            for (let i = 0; i + size <= best.length && !improved; i++) {
+                const segment = best.slice(i, i + size);
+                const rest = [...best.slice(0, i), ...best.slice(i + size)];
+
+                for (let j = 0; j <= rest.length; j++) {
+                    if (j === i) continue;
+                    const candidate = [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+                    const candidateLength = routeLength(candidate, matrix);
+                    if (candidateLength < bestLength - 1e-9) {
+                        best = candidate;
+                        bestLength = candidateLength;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Alternate 2-opt and or-opt until neither improves the route
+ * @param {Array} order - Current visiting order
+ * @param {Array} matrix - Distance matrix
+ * @param {number} deadline - Timestamp after which the search stops
+ * @returns {Array} - Improved visiting order
+ */
+const localSearch = (order, matrix, deadline) => {
+    let best = order;
+    let bestLength = routeLength(best, matrix);
+
+    while (Date.now() < deadline) {
+        const candidate = orOpt(twoOpt(best, matrix, deadline), matrix, deadline);
+        const candidateLength = routeLength(candidate, matrix);
+        if (candidateLength >= bestLength - 1e-9) break;
+        best = candidate;
+        bestLength = candidateLength;
+    }
+
+    return best;
+};
+
+// Registered strategies: (order, matrix, deadline) => order
+const strategies = {
+    greedy: (order) => order,
+    '2opt': twoOpt,
+    oropt: orOpt,
+    local: localSearch
+};
+
+/**
+ * Register a custom route strategy
+ * @param {string} name - Strategy name used in the strategy option
+ * @param {Function} fn - (order, matrix, deadline) => improved order
+ */
+const registerStrategy = (name, fn) => {
+    if (typeof fn !== 'function') {
+        throw new Error(`Route strategy '${name}' must be a function`);
+    }
+    strategies[name] = fn;
+};
+
+/**
+ * List the available strategy names
+ * @returns {Array} - Strategy names
+ */
+const getStrategies = () => Object.keys(strategies);
+
+/**
+ * Optimize the visiting order of a day's bookings
+ *
+ * @param {Array} bookings - Bookings in their greedy (nearest-neighbour) order
+ * @param {Object} options - Optimizer settings
+ * @param {Object} options.startLocation - Machine's starting coordinates
+ * @param {Function} options.distanceFn - (coord1, coord2) => km
+ * @param {Function} options.travelTimeFn - (km) => minutes
+ * @param {string} options.strategy - Strategy name (default 'local')
+ * @param {number} options.timeBudgetMs - Local search time budget
+ * @returns {Object} - { bookings, strategy, before, after, saved }
+ */
+const optimizeRoute = (bookings, options = {}) => {
+    const {
+        startLocation,
+        distanceFn,
+        travelTimeFn = () => 0,
+        strategy = DEFAULT_STRATEGY,
+        timeBudgetMs = DEFAULT_TIME_BUDGET_MS
+    } = options;
+
+    const improve = strategies[strategy];
+    if (!improve) {
+        throw new Error(`Unknown route strategy '${strategy}'`);
+    }
+
+    // Node 0 is the depot, nodes 1..n are the bookings
+    const points = [startLocation, ...bookings.map(b => b.fieldLocation?.coordinates)];
+    const matrix = points.map(from => points.map(to => distanceFn(from, to)));
+    const initialOrder = bookings.map((_, index) => index + 1);
+
+    const deadline = Date.now() + timeBudgetMs;
+    const finalOrder = bookings.length > 1 ? improve(initialOrder, matrix, deadline) : initialOrder;
+
+    const beforeKm = routeLength(initialOrder, matrix);
+    const afterKm = Math.min(routeLength(finalOrder, matrix), beforeKm);
+    const order = afterKm < beforeKm ? finalOrder : initialOrder;
+    const savedKm = beforeKm - afterKm;
+
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+        bookings: order.map(index => bookings[index - 1]),
+        strategy,
+        before: { distance: round(beforeKm), travelTime: travelTimeFn(beforeKm) },
+        after: { distance: round(afterKm), travelTime: travelTimeFn(afterKm) },
+        saved: {
+            distance: round(savedKm),
+            travelTime: travelTimeFn(beforeKm) - travelTimeFn(afterKm),
+            fuelLitres: round(savedKm * FUEL_LITRES_PER_KM)
+        }
+    };
+};
+
+/**
+ * Add up the reports of several optimized routes
+ * @param {Array} reports - Results of optimizeRoute
+ * @param {string} strategy - Strategy that produced them
+ * @returns {Object} - { strategy, before, after, saved }
+ */
+const combineRouteReports = (reports, strategy = DEFAULT_STRATEGY) => {
+    const sum = (pick) => Math.round(reports.reduce((total, report) => total + pick(report), 0) * 10) / 10;
+
+    return {
+        strategy,
+        before: { distance: sum(r => r.before.distance), travelTime: sum(r => r.before.travelTime) },
+        after: { distance: sum(r => r.after.distance), travelTime: sum(r => r.after.travelTime) },
+        saved: {
+            distance: sum(r => r.saved.distance),
+            travelTime: sum(r => r.saved.travelTime),
+            fuelLitres: sum(r => r.saved.fuelLitres)
+        }
+    };
+};
+
+module.exports = {
+    optimizeRoute,
+    combineRouteReports,
+    registerStrategy,
+    getStrategies,
+    routeLength,
+    DEFAULT_STRATEGY,
+    DEFAULT_TIME_BUDGET_MS,
+    FUEL_LITRES_PER_KM
+};
@@ -0,0 +1,64 @@
+/**
+ * Route Optimizer Tests
+ *
+ * Fields sit on a straight road east of the depot, so a stop's position is
+ * its distance from the depot and the best route visits them in order.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeRoute, routeLength } = require('./routeOptimizer');
+
+const distanceFn = (from, to) => Math.abs(from.x - to.x);
+
+// Bookings in the given visiting order, at those distances along the road
+const bookingsAt = (...positions) => positions.map(x => ({ _id: `booking_${x}`, fieldLocation: { coordinates: { x } } }));
+
+const optimize = (bookings, strategy) => optimizeRoute(bookings, {
+    startLocation: { x: 0 },
+    distanceFn,
+    travelTimeFn: (km) => km * 2,
+    strategy,
+    timeBudgetMs: 1000
+});
+
+const positionsOf = (result) => result.bookings.map(b => b.fieldLocation.coordinates.x);
+
+test('routeLength measures an open route from the depot', () => {
+    const matrix = [
+        [0, 3, 1],
+        [3, 0, 2],
+        [1, 2, 0]
+    ];
+    assert.equal(routeLength([2, 1], matrix), 3);
+    assert.equal(routeLength([1, 2], matrix), 5);
+});
+
+test('2-opt reverses back-tracking stretches of the route', () => {
+    const result = optimize(bookingsAt(3, 1, 2, 4), '2opt');
+
+    assert.deepEqual(positionsOf(result), [1, 2, 3, 4]);
+    assert.equal(result.before.distance, 8);
+    assert.equal(result.after.distance, 4);
+    assert.deepEqual(result.saved, { distance: 4, travelTime: 8, fuelLitres: 1 });
+});
+
+test('or-opt moves a stop that was visited too early', () => {
+    const result = optimize(bookingsAt(1, 5, 2, 3, 4), 'oropt');
+
+    assert.deepEqual(positionsOf(result), [1, 2, 3, 4, 5]);
+    assert.equal(result.before.distance, 10);
+    assert.equal(result.after.distance, 5);
+});
+
+test('keeps the greedy order when no move shortens it', () => {
+    const bookings = bookingsAt(1, 2, 3);
+    const result = optimize(bookings, 'local');
+
+    assert.deepEqual(result.bookings, bookings);
+    assert.equal(result.saved.distance, 0);
+});
+
+test('rejects an unknown strategy', () => {
+    assert.throws(() => optimize(bookingsAt(1, 2), 'genetic'), /Unknown route strategy 'genetic'/);
+});
@@ -4,11 +4,13 @@
  * AI-driven scheduling algorithm for farm machinery bookings.
  * Optimizes job scheduling by:
  * 1. Sorting jobs by location to minimize travel distance
- * 2. Assigning sequential time slots starting from working hours
+ * 2. Assigning sequential time slots within the day's working hours
  * 3. Considering priority levels
  * 4. Minimizing idle travel time between jobs
  */
 
+const routeOptimizer = require('./routeOptimizer');
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {Object} coord1 - {latitude, longitude}
@@ -154,46 +156,294 @@ const clusterByLocation = (bookings) => {
 };
 
 /**
- * Main scheduling function
- * Assigns optimal time slots to bookings
+ * Minimum gap between two jobs (minutes)
+ */
+const MIN_BUFFER_MINUTES = 15;
+
+/**
+ * Default number of days a horizon covers when no end date is given
+ */
+const DEFAULT_HORIZON_DAYS = 7;
+
+/**
+ * Reasons a booking could not be placed in a schedule
+ */
+const UNSCHEDULED_REASONS = {
+    EXCEEDS_DAILY_CAPACITY: 'Booking acres exceed the machine\'s daily capacity',
+    EXCEEDS_WORKING_HOURS: 'Job duration is longer than any stretch of the machine\'s working hours',
+    NO_AVAILABLE_DAY: 'Machine has no available day in the scheduling horizon',
+    HORIZON_FULL: 'No free time or capacity left in the scheduling horizon',
+    DAY_CAPACITY_FULL: 'Daily acre capacity is already used up',
+    DAY_HOURS_FULL: 'Job does not fit in the remaining working hours',
+    WINDOW_INFEASIBLE: 'Preferred time window is shorter than the job or outside working hours',
+    WINDOW_MISSED: 'Job could not be fitted inside the preferred time window',
+    DEADLINE_MISSED: 'Job could not be finished by its must-finish-by date'
+};
+
+// Day names used by the in-memory demo data (index = Date#getDay())
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Get midnight (local time) of a date
+ * @param {Date|string} date - Date to normalize
+ * @returns {Date} - New Date at 00:00:00.000
+ */
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (local time)
+ * @param {Date} date - Date to format
+ * @returns {string} - Date key
+ */
+const toDateKey = (date) => {
+    const d = new Date(date);
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const day = d.getDate().toString().padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Find the machine's blackout period covering a date, if any
+ * Blackouts cover whole days, from startDate to endDate inclusive.
+ * @param {Object} machine - Machine with blackouts [{ startDate, endDate, reason }]
+ * @param {Date} date - Date to check
+ * @returns {Object|null} - The blackout, or null
+ */
+const findBlackout = (machine, date) => {
+    const day = startOfDay(date);
+    return (machine?.blackouts || []).find(blackout =>
+        startOfDay(blackout.startDate) <= day && day <= startOfDay(blackout.endDate)) || null;
+};
+
+/**
+ * Get the weekday number of a day given as a number or a day name
+ * @param {number|string} day - 0-6 (0 = Sunday) or e.g. 'monday'
+ * @returns {number} - 0-6, or -1 if not a day
+ */
+const toDayIndex = (day) => {
+    if (typeof day === 'string') {
+        return DAY_NAMES.indexOf(day.toLowerCase());
+    }
+    return Number.isInteger(day) && day >= 0 && day <= 6 ? day : -1;
+};
+
+/**
+ * Get the intervals a machine works on a date
+ * Machines with a weekly hours template (availability.weeklyHours) work the
+ * intervals listed for that weekday, which may be several (split shifts) or
+ * none. Machines without one work workingHoursStart-workingHoursEnd.
+ * @param {Object} machine - Machine with availability settings
+ * @param {Date} date - Date to check
+ * @returns {Array} - [{start, end}] in minutes since midnight, sorted by start
+ */
+const getWorkingIntervals = (machine, date) => {
+    const availability = machine?.availability || {};
+    const weeklyHours = availability.weeklyHours || [];
+    
+    if (weeklyHours.length === 0) {
+        return [{
+            start: Math.round((availability.workingHoursStart || 8) * 60), // 8 AM default
+            end: Math.round((availability.workingHoursEnd || 18) * 60) // 6 PM default
+        }];
+    }
+    
+    const dayIndex = new Date(date).getDay();
+    return weeklyHours
+        .filter(interval => toDayIndex(interval.day) === dayIndex)
+        .map(interval => ({ start: parseTime(interval.start), end: parseTime(interval.end) }))
+        .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Get the total minutes a machine works on a date
+ * @param {Object} machine - Machine with availability settings
+ * @param {Date} date - Date to check
+ * @returns {number} - Minutes, not counting breaks
+ */
+const getWorkingMinutes = (machine, date) =>
+    getWorkingIntervals(machine, date).reduce((sum, interval) => sum + interval.end - interval.start, 0);
+
+/**
+ * Check if a machine works on a given date
+ * Accepts availableDays as weekday numbers (0 = Sunday) or day names. With a
+ * weekly hours template, days without intervals are days off.
+ * Days inside a blackout period are never working days.
+ * @param {Object} machine - Machine with availability settings and blackouts
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True if the machine works that day
+ */
+const isWorkingDay = (machine, date) => {
+    if (findBlackout(machine, date)) {
+        return false;
+    }
+    if (machine?.availability?.weeklyHours?.length) {
+        return getWorkingIntervals(machine, date).length > 0;
+    }
+    
+    const availableDays = machine?.availability?.availableDays || [1, 2, 3, 4, 5, 6];
+    const dayIndex = new Date(date).getDay();
+    return availableDays.includes(dayIndex) || availableDays.includes(DAY_NAMES[dayIndex]);
+};
+
+/**
+ * List the machine's working days within a date range (inclusive)
+ * @param {Object} machine - Machine with availability settings
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range
+ * @returns {Array<Date>} - Working days at midnight
+ */
+const getWorkingDays = (machine, startDate, endDate) => {
+    const days = [];
+    const last = startOfDay(endDate);
+    
+    for (let day = startOfDay(startDate); day <= last; day.setDate(day.getDate() + 1)) {
+        if (isWorkingDay(machine, day)) {
+            days.push(new Date(day));
+        }
+    }
+    
+    return days;
+};
+
+/**
+ * Get the part of the working day a booking may occupy
+ * Combines the machine's working hours with the farmer's time window
+ * @param {Object} booking - Booking with optional timeWindow {earliestStart, latestFinish}
+ * @param {number} dayStart - Working hours start (minutes since midnight)
+ * @param {number} dayEnd - Working hours end (minutes since midnight)
+ * @returns {Object} - { start, end } in minutes since midnight
+ */
+const getTimeWindow = (booking, dayStart, dayEnd) => {
+    const { earliestStart, latestFinish } = booking.timeWindow || {};
+    return {
+        start: earliestStart ? Math.max(dayStart, parseTime(earliestStart)) : dayStart,
+        end: latestFinish ? Math.min(dayEnd, parseTime(latestFinish)) : dayEnd
+    };
+};
+
+/**
+ * Get the breaks between a day's working intervals
+ * @param {Array} intervals - [{start, end}] from getWorkingIntervals
+ * @returns {Array} - [{start, end, isBreak: true}] in minutes
+ */
+const getBreaks = (intervals) => intervals.slice(1)
+    .map((interval, i) => ({ start: intervals[i].end, end: interval.start, isBreak: true }))
+    .filter(gap => gap.end > gap.start);
+
+/**
+ * Push a proposed start past any occupied interval it would overlap
+ * Jobs need a buffer after another job, but can start as soon as a break ends.
+ * @param {number} start - Proposed start (minutes since midnight)
+ * @param {number} duration - Job duration in minutes
+ * @param {Array} occupied - [{start, end, isBreak}] in minutes, sorted by start
+ * @returns {number} - Earliest non-overlapping start
+ */
+const nextFreeStart = (start, duration, occupied) => {
+    let candidate = start;
+    let moved = true;
+    
+    // Repeat until clear, as a booking left over from older hours may overlap a break
+    while (moved) {
+        moved = false;
+        for (const interval of occupied) {
+            if (candidate < interval.end && candidate + duration > interval.start) {
+                candidate = interval.end + (interval.isBreak ? 0 : MIN_BUFFER_MINUTES);
+                moved = true;
+            }
+        }
+    }
+    
+    return candidate;
+};
+
+/**
+ * Pack bookings into a single working day
  * 
- * @param {Array} bookings - Array of booking objects with populated machine
+ * Jobs run inside one of the day's working intervals and never across a break.
+ * 
+ * @param {Array} bookings - Bookings to place
  * @param {Object} machine - Machine document with availability settings
- * @returns {Array} - Array of scheduled slots with booking IDs and times
+ * @param {Object} options - Day constraints
+ * @param {Date} options.date - Day being packed (defaults to the first booking's date)
+ * @param {Array} options.existingSlots - Already booked slots [{startTime, endTime}] (HH:MM)
+ * @param {number} options.remainingAcres - Acres of daily capacity still free
+ * @param {string} options.strategy - Route strategy (see routeOptimizer)
+ * @param {number} options.timeBudgetMs - Time budget for route local search
+ * @returns {Object} - { scheduled: slots, overflow: [{booking, code}], route: report }
  */
-const scheduleJobs = (bookings, machine) => {
-    if (!bookings || bookings.length === 0) {
-        return [];
-    }
+const packDay = (bookings, machine, options = {}) => {
+    const {
+        existingSlots = [],
+        remainingAcres = Infinity,
+        strategy = routeOptimizer.DEFAULT_STRATEGY,
+        timeBudgetMs
+    } = options;
     
-    // Get machine working hours
-    const workingHoursStart = machine?.availability?.workingHoursStart || 8; // 8 AM default
-    const workingHoursEnd = machine?.availability?.workingHoursEnd || 18; // 6 PM default
+    // Get machine working hours (minutes since midnight)
+    const intervals = getWorkingIntervals(machine, options.date || bookings[0]?.date || new Date());
     const machineLocation = machine?.location?.coordinates;
     
-    // Convert to minutes since midnight
-    let currentTime = workingHoursStart * 60;
-    const endTime = workingHoursEnd * 60;
+    let currentTime = intervals.length ? intervals[0].start : 0;
+    const endTime = intervals.length ? intervals[intervals.length - 1].end : 0;
+    
+    // Time already taken by existing bookings and breaks
+    const occupied = existingSlots
+        .filter(slot => slot.startTime && slot.endTime)
+        .map(slot => ({ start: parseTime(slot.startTime), end: parseTime(slot.endTime) }))
+        .concat(getBreaks(intervals))
+        .sort((a, b) => a.start - b.start);
     
     // Step 1: Separate bookings by priority
     const urgentBookings = bookings.filter(b => b.priority === 3);
     const highPriorityBookings = bookings.filter(b => b.priority === 2);
     const normalBookings = bookings.filter(b => (b.priority || 1) === 1);
     
-    // Step 2: Sort each priority group by location
-    const sortedUrgent = sortByLocation(urgentBookings, machineLocation);
-    const sortedHigh = sortByLocation(highPriorityBookings, machineLocation);
-    const sortedNormal = sortByLocation(normalBookings, machineLocation);
+    // Step 2: Route each priority group (greedy tour, then optimizer strategy)
+    // Step 3: Combine in priority order, each group starting where the last ended
+    let sortedBookings = [];
+    const routeReports = [];
+    let routeStart = machineLocation;
+    
+    for (const group of [urgentBookings, highPriorityBookings, normalBookings]) {
+        if (group.length === 0) continue;
+        
+        const route = routeOptimizer.optimizeRoute(sortByLocation(group, routeStart), {
+            startLocation: routeStart,
+            distanceFn: calculateDistance,
+            travelTimeFn: calculateTravelTime,
+            strategy,
+            timeBudgetMs
+        });
+        
+        sortedBookings.push(...route.bookings);
+        routeReports.push(route);
+        routeStart = route.bookings[route.bookings.length - 1].fieldLocation?.coordinates || routeStart;
+    }
     
-    // Step 3: Combine in priority order
-    const sortedBookings = [...sortedUrgent, ...sortedHigh, ...sortedNormal];
+    // Jobs whose window opens later go after the rest, and jobs that must finish
+    // early go first (stable sort keeps route order for jobs without a window)
+    sortedBookings = sortedBookings
+        .map(booking => ({ booking, window: getTimeWindow(booking, currentTime, endTime) }))
+        .sort((a, b) => (a.window.start - b.window.start) || (a.window.end - b.window.end));
     
     // Step 4: Assign time slots
     const scheduledSlots = [];
+    const overflow = [];
+    let acresLeft = remainingAcres;
     let previousLocation = machineLocation;
     let slotOrder = 1;
     
-    for (const booking of sortedBookings) {
+    for (const { booking, window } of sortedBookings) {
+        // Respect the machine's daily acre capacity
+        if ((booking.acres || 0) > acresLeft) {
+            overflow.push({ booking, code: 'DAY_CAPACITY_FULL' });
+            continue;
+        }
+        
         // Calculate travel time from previous location
         const bookingCoords = booking.fieldLocation?.coordinates;
         const distanceFromPrevious = previousLocation && bookingCoords 
@@ -202,19 +452,24 @@ const scheduleJobs = (bookings, machine) => {
         const travelTime = calculateTravelTime(distanceFromPrevious);
         
         // Add travel time buffer (minimum 15 minutes between jobs)
-        const bufferTime = Math.max(15, travelTime);
-        
-        // Calculate job start time (after travel)
-        const jobStartTime = currentTime + (slotOrder > 1 ? bufferTime : 0);
+        const bufferTime = Math.max(MIN_BUFFER_MINUTES, travelTime);
         
         // Get job duration
         const jobDuration = booking.estimatedDuration || 60; // Default 1 hour
+        
+        // Calculate job start time (after travel and not before the farmer's window),
+        // skipping existing bookings
+        const jobStartTime = nextFreeStart(
+            Math.max(currentTime + (slotOrder > 1 ? bufferTime : 0), window.start),
+            jobDuration,
+            occupied
+        );
         const jobEndTime = jobStartTime + jobDuration;
         
-        // Check if job fits within working hours
-        if (jobEndTime > endTime) {
-            console.log(`⚠️ Booking ${booking._id} cannot be scheduled - exceeds working hours`);
-            continue; // Skip this booking - doesn't fit in schedule
+        // Check if job fits within working hours and the farmer's window
+        if (jobEndTime > window.end) {
+            overflow.push({ booking, code: window.end < endTime ? 'WINDOW_MISSED' : 'DAY_HOURS_FULL' });
+            continue;
         }
         
         // Create scheduled slot
@@ -232,11 +487,168 @@ const scheduleJobs = (bookings, machine) => {
         
         // Update for next iteration
         currentTime = jobEndTime;
+        acresLeft -= booking.acres || 0;
         previousLocation = bookingCoords || previousLocation;
         slotOrder++;
     }
     
-    return scheduledSlots;
+    return {
+        scheduled: scheduledSlots,
+        overflow,
+        route: routeOptimizer.combineRouteReports(routeReports, strategy)
+    };
+};
+
+/**
+ * Main scheduling function
+ * Assigns optimal time slots to bookings for a single day
+ * 
+ * @param {Array} bookings - Array of booking objects with populated machine
+ * @param {Object} machine - Machine document with availability settings
+ * @param {Object} options - Scheduling options
+ * @param {Date} options.date - Day being scheduled (defaults to the first booking's date)
+ * @param {string} options.strategy - Route strategy: greedy, 2opt, oropt or local (default)
+ * @param {number} options.timeBudgetMs - Time budget for route local search
+ * @returns {Array} - Array of scheduled slots with booking IDs and times
+ */
+const scheduleJobs = (bookings, machine, options = {}) => {
+    if (!bookings || bookings.length === 0) {
+        return [];
+    }
+    
+    const { scheduled, overflow } = packDay(bookings, machine, options);
+    
+    overflow.forEach(({ booking, code }) => {
+        console.log(`⚠️ Booking ${booking._id} cannot be scheduled - ${UNSCHEDULED_REASONS[code]}`);
+    });
+    
+    return scheduled;
+};
+
+/**
+ * Horizon scheduling function
+ * Schedules bookings across a date range. Jobs that do not fit on their
+ * requested day roll over to the machine's next available day, and each
+ * day respects working hours and dailyCapacityAcres.
+ * 
+ * @param {Array} bookings - Pending bookings to place
+ * @param {Object} machine - Machine document with availability settings
+ * @param {Object} options - Horizon settings
+ * @param {Date} options.startDate - First day of the horizon
+ * @param {Date} options.endDate - Last day of the horizon (defaults to 7 days)
+ * @param {Array} options.existingBookings - Already scheduled bookings in the horizon
+ *   Bookings never run after their mustFinishBy date, and misses are reported with a reason.
+ * @param {string} options.strategy - Route strategy used for each day
+ * @param {number} options.timeBudgetMs - Time budget for route local search per day
+ * @returns {Object} - { scheduled: slots with date, unscheduled: [{bookingId, code, reason}], route: report }
+ */
+const scheduleHorizon = (bookings, machine, options = {}) => {
+    const startDate = startOfDay(options.startDate || new Date());
+    const endDate = options.endDate
+        ? startOfDay(options.endDate)
+        : new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + DEFAULT_HORIZON_DAYS - 1);
+    const existingBookings = options.existingBookings || [];
+    const { strategy = routeOptimizer.DEFAULT_STRATEGY, timeBudgetMs } = options;
+    
+    const scheduled = [];
+    const unscheduled = [];
+    const routeReports = [];
+    
+    if (!bookings || bookings.length === 0) {
+        return { scheduled, unscheduled, route: routeOptimizer.combineRouteReports(routeReports, strategy) };
+    }
+    
+    const dailyCapacity = machine?.dailyCapacityAcres || 10;
+    
+    // Every interval the machine works in a week, as a job must fit inside one
+    const weekIntervals = [];
+    for (let offset = 0; offset < 7; offset++) {
+        const day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + offset);
+        weekIntervals.push(...getWorkingIntervals(machine, day));
+    }
+    const fitsAnInterval = (duration, window) => weekIntervals.some(interval =>
+        Math.min(interval.end, window.end) - Math.max(interval.start, window.start) >= duration);
+    
+    const markUnscheduled = (booking, code) => {
+        unscheduled.push({ bookingId: booking._id, code, reason: UNSCHEDULED_REASONS[code] });
+    };
+    
+    // Reject jobs that could never fit in a single day
+    let remaining = bookings.filter(booking => {
+        const duration = booking.estimatedDuration || 60;
+        if ((booking.acres || 0) > dailyCapacity) {
+            markUnscheduled(booking, 'EXCEEDS_DAILY_CAPACITY');
+            return false;
+        }
+        if (!fitsAnInterval(duration, { start: 0, end: 24 * 60 })) {
+            markUnscheduled(booking, 'EXCEEDS_WORKING_HOURS');
+            return false;
+        }
+        if (!fitsAnInterval(duration, getTimeWindow(booking, 0, 24 * 60))) {
+            markUnscheduled(booking, 'WINDOW_INFEASIBLE');
+            return false;
+        }
+        return true;
+    });
+    
+    // Last reason each booking was turned away from a day
+    const lastOverflow = {};
+    const deadlineOf = (booking) => booking.mustFinishBy ? startOfDay(booking.mustFinishBy) : null;
+    
+    const workingDays = getWorkingDays(machine, startDate, endDate);
+    
+    for (const day of workingDays) {
+        if (remaining.length === 0) break;
+        
+        // Only bookings requested for this day or earlier, and not past their deadline, can run today
+        const eligible = remaining.filter(b => startOfDay(b.date || startDate) <= day &&
+            (!deadlineOf(b) || day <= deadlineOf(b)));
+        if (eligible.length === 0) continue;
+        
+        const dayKey = toDateKey(day);
+        const dayBookings = existingBookings.filter(b => toDateKey(b.date) === dayKey);
+        const usedAcres = dayBookings.reduce((sum, b) => sum + (b.acres || 0), 0);
+        
+        const { scheduled: daySlots, overflow, route } = packDay(eligible, machine, {
+            date: day,
+            existingSlots: dayBookings.map(b => b.timeSlots || {}),
+            remainingAcres: dailyCapacity - usedAcres,
+            strategy,
+            timeBudgetMs
+        });
+        routeReports.push(route);
+        overflow.forEach(({ booking, code }) => {
+            lastOverflow[String(booking._id)] = code;
+        });
+        
+        const placedIds = new Set();
+        daySlots.forEach(slot => {
+            const booking = eligible.find(b => String(b._id) === String(slot.bookingId));
+            slot.date = new Date(day);
+            slot.rolledOver = startOfDay(booking.date || startDate) < day;
+            placedIds.add(String(slot.bookingId));
+            scheduled.push(slot);
+        });
+        
+        remaining = remaining.filter(b => !placedIds.has(String(b._id)));
+    }
+    
+    // Whatever is left could not be placed anywhere in the horizon
+    remaining.forEach(booking => {
+        const requested = startOfDay(booking.date || startDate);
+        const deadline = deadlineOf(booking);
+        const hasDay = workingDays.some(day => day >= requested);
+        
+        if (deadline && deadline <= endDate) {
+            markUnscheduled(booking, 'DEADLINE_MISSED');
+        } else if (lastOverflow[String(booking._id)] === 'WINDOW_MISSED') {
+            markUnscheduled(booking, 'WINDOW_MISSED');
+        } else {
+            markUnscheduled(booking, hasDay ? 'HORIZON_FULL' : 'NO_AVAILABLE_DAY');
+        }
+    });
+    
+    return { scheduled, unscheduled, route: routeOptimizer.combineRouteReports(routeReports, strategy) };
 };
 
 /**
@@ -245,10 +657,19 @@ const scheduleJobs = (bookings, machine) => {
  * 
  * @param {Array} bookings - Array of scheduled bookings
  * @param {Object} startLocation - Starting coordinates
- * @returns {Object} - Route summary with total distance and stops
+ * @param {Object} options - { strategy, timeBudgetMs } passed to the route optimizer
+ * @returns {Object} - Route summary with total distance, stops and savings
  */
-const calculateOptimalRoute = (bookings, startLocation) => {
-    const sortedBookings = sortByLocation(bookings, startLocation);
+const calculateOptimalRoute = (bookings, startLocation, options = {}) => {
+    const strategy = options.strategy || routeOptimizer.DEFAULT_STRATEGY;
+    const route = routeOptimizer.optimizeRoute(sortByLocation(bookings, startLocation), {
+        startLocation,
+        distanceFn: calculateDistance,
+        travelTimeFn: calculateTravelTime,
+        strategy,
+        timeBudgetMs: options.timeBudgetMs
+    });
+    const sortedBookings = route.bookings;
     
     let totalDistance = 0;
     let currentLocation = startLocation;
@@ -273,7 +694,11 @@ const calculateOptimalRoute = (bookings, startLocation) => {
     return {
         totalDistance: Math.round(totalDistance * 10) / 10,
         totalStops: stops.length,
-        stops
+        stops,
+        strategy,
+        before: route.before,
+        after: route.after,
+        saved: route.saved
     };
 };
 
@@ -304,50 +729,70 @@ const isSlotAvailable = (existingSlots, startTime, endTime) => {
 
 /**
  * Get available time slots for a machine on a given day
+ * Each slot leaves a travel buffer after the previous job and before the next
+ * one, and ends before the next break in the machine's working hours.
  * 
  * @param {Array} existingBookings - Existing bookings for the day
  * @param {Object} machine - Machine with availability settings
  * @param {number} requiredDuration - Required duration in minutes
- * @returns {Array} - Available time slot options
+ * @param {Object} options - Slot options
+ * @param {Date} options.date - Day to check (defaults to the first booking's date)
+ * @param {Object} options.fieldLocation - Coordinates of the new job, used for travel buffers
+ * @returns {Array} - Available slots [{startTime, endTime, latestStart, gapDuration}]
  */
-const getAvailableSlots = (existingBookings, machine, requiredDuration) => {
-    const workingHoursStart = (machine?.availability?.workingHoursStart || 8) * 60;
-    const workingHoursEnd = (machine?.availability?.workingHoursEnd || 18) * 60;
+const getAvailableSlots = (existingBookings, machine, requiredDuration, options = {}) => {
+    const { fieldLocation } = options;
+    const intervals = getWorkingIntervals(machine, options.date || existingBookings[0]?.date || new Date());
+    if (intervals.length === 0) {
+        return [];
+    }
+    const workingHoursStart = intervals[0].start;
+    const workingHoursEnd = intervals[intervals.length - 1].end;
     
-    // Sort existing bookings by start time
+    // Sort existing bookings and breaks by start time
     const sortedBookings = existingBookings
-        .filter(b => b.timeSlots?.startTime)
-        .sort((a, b) => parseTime(a.timeSlots.startTime) - parseTime(b.timeSlots.startTime));
+        .filter(b => b.timeSlots?.startTime && b.timeSlots?.endTime)
+        .map(b => ({ start: parseTime(b.timeSlots.startTime), end: parseTime(b.timeSlots.endTime), booking: b }))
+        .concat(getBreaks(intervals))
+        .sort((a, b) => a.start - b.start);
+    
+    // Travel buffer between the new job and a neighbouring booking (none next to a break)
+    const bufferTo = (block) => {
+        if (!block.booking) return 0;
+        const distance = calculateDistance(block.booking.fieldLocation?.coordinates, fieldLocation);
+        return Math.max(MIN_BUFFER_MINUTES, calculateTravelTime(distance));
+    };
     
     const availableSlots = [];
     let currentTime = workingHoursStart;
+    let previousBooking = null;
     
-    for (const booking of sortedBookings) {
-        const bookingStart = parseTime(booking.timeSlots.startTime);
+    // Offer the gap between currentTime and gapEnd if the job fits with its buffers
+    const addGap = (gapEnd, nextBooking) => {
+        const earliestStart = currentTime + (previousBooking ? bufferTo(previousBooking) : 0);
+        const latestEnd = gapEnd - (nextBooking ? bufferTo(nextBooking) : 0);
         
-        // Check if there's a gap before this booking
-        const gapDuration = bookingStart - currentTime;
-        if (gapDuration >= requiredDuration) {
+        if (latestEnd - earliestStart >= requiredDuration) {
             availableSlots.push({
-                startTime: formatTime(currentTime),
-                endTime: formatTime(currentTime + requiredDuration),
-                gapDuration
+                startTime: formatTime(earliestStart),
+                endTime: formatTime(earliestStart + requiredDuration),
+                latestStart: formatTime(latestEnd - requiredDuration),
+                gapDuration: gapEnd - currentTime
             });
         }
+    };
+    
+    for (const block of sortedBookings) {
+        // Check if there's a gap before this booking or break
+        addGap(block.start, block);
         
-        // Move current time to after this booking
-        currentTime = parseTime(booking.timeSlots.endTime);
+        // Move current time to after it
+        currentTime = Math.max(currentTime, block.end);
+        previousBooking = block;
     }
     
     // Check for slot after last booking
-    const remainingTime = workingHoursEnd - currentTime;
-    if (remainingTime >= requiredDuration) {
-        availableSlots.push({
-            startTime: formatTime(currentTime),
-            endTime: formatTime(currentTime + requiredDuration),
-            gapDuration: remainingTime
-        });
-    }
+    addGap(workingHoursEnd, null);
     
     return availableSlots;
 };
@@ -357,12 +802,11 @@ const getAvailableSlots = (existingBookings, machine, requiredDuration) => {
  * 
  * @param {Array} bookings - Day's bookings
  * @param {Object} machine - Machine details
+ * @param {Date} date - Day (defaults to the first booking's date)
  * @returns {Object} - Utilization metrics
  */
-const calculateUtilization = (bookings, machine) => {
-    const workingHoursStart = machine?.availability?.workingHoursStart || 8;
-    const workingHoursEnd = machine?.availability?.workingHoursEnd || 18;
-    const totalWorkingMinutes = (workingHoursEnd - workingHoursStart) * 60;
+const calculateUtilization = (bookings, machine, date) => {
+    const totalWorkingMinutes = getWorkingMinutes(machine, date || bookings[0]?.date || new Date());
     
     let totalBookedMinutes = 0;
     let totalAcres = 0;
@@ -372,7 +816,9 @@ const calculateUtilization = (bookings, machine) => {
         totalAcres += booking.acres || 0;
     });
     
-    const utilizationPercent = Math.round((totalBookedMinutes / totalWorkingMinutes) * 100);
+    const utilizationPercent = totalWorkingMinutes
+        ? Math.round((totalBookedMinutes / totalWorkingMinutes) * 100)
+        : 0;
     const acresCapacity = machine?.dailyCapacityAcres || 10;
     const acresUtilization = Math.round((totalAcres / acresCapacity) * 100);
     
@@ -391,6 +837,8 @@ const calculateUtilization = (bookings, machine) => {
 // Export all scheduling functions
 module.exports = {
     scheduleJobs,
+    scheduleHorizon,
+    packDay,
     sortByLocation,
     sortByPriority,
     clusterByLocation,
@@ -401,5 +849,17 @@ module.exports = {
     getAvailableSlots,
     calculateUtilization,
     formatTime,
-    parseTime
+    parseTime,
+    startOfDay,
+    toDateKey,
+    findBlackout,
+    toDayIndex,
+    getWorkingIntervals,
+    getWorkingMinutes,
+    isWorkingDay,
+    getWorkingDays,
+    getTimeWindow,
+    UNSCHEDULED_REASONS,
+    DEFAULT_HORIZON_DAYS,
+    DAY_NAMES
 };
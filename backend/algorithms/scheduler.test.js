@@ -0,0 +1,90 @@
+/**
+ * Horizon Scheduling Tests
+ *
+ * Every field is at the machine's home, so travel never decides the outcome:
+ * a 4-acre job takes 240 minutes and a day (08:00-18:00, 10 acres) fits two.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scheduleHorizon, toDateKey } = require('./scheduler');
+
+const HOME = { latitude: 30.9, longitude: 75.85 };
+
+// Monday 7 January 2030 and the days after it
+const day = (offset) => new Date(2030, 0, 7 + offset);
+
+const machine = (availableDays = [0, 1, 2, 3, 4, 5, 6]) => ({
+    _id: 'machine_1',
+    dailyCapacityAcres: 10,
+    location: { coordinates: HOME },
+    availability: { workingHoursStart: 8, workingHoursEnd: 18, availableDays }
+});
+
+const booking = (id, requestedDay, extra = {}) => ({
+    _id: id,
+    date: day(requestedDay),
+    acres: 4,
+    estimatedDuration: 240,
+    fieldLocation: { coordinates: HOME },
+    ...extra
+});
+
+const schedule = (bookings, options = {}) => scheduleHorizon(bookings, options.machine || machine(), {
+    startDate: day(0),
+    endDate: day(2),
+    strategy: 'greedy',
+    ...options
+});
+
+// { bookingId: 'YYYY-MM-DD' } for the scheduled slots
+const placedOn = ({ scheduled }) => Object.fromEntries(scheduled.map(slot => [slot.bookingId, toDateKey(slot.date)]));
+
+test('jobs that do not fit on their day roll over to the next one', () => {
+    const result = schedule([booking('a', 0), booking('b', 0), booking('c', 0)]);
+
+    assert.deepEqual(placedOn(result), { a: '2030-01-07', b: '2030-01-07', c: '2030-01-08' });
+    assert.deepEqual(result.scheduled.filter(slot => slot.rolledOver).map(slot => slot.bookingId), ['c']);
+    assert.deepEqual(result.unscheduled, []);
+});
+
+test('jobs never run before the day they were requested for', () => {
+    const result = schedule([booking('a', 2), booking('b', 0)]);
+
+    assert.deepEqual(placedOn(result), { a: '2030-01-09', b: '2030-01-07' });
+});
+
+test('jobs already on the calendar take capacity', () => {
+    const existingBookings = [{ date: day(0), acres: 8, timeSlots: { startTime: '08:00', endTime: '16:00' } }];
+    const result = schedule([booking('a', 0)], { existingBookings });
+
+    assert.deepEqual(placedOn(result), { a: '2030-01-08' });
+});
+
+test('days the machine does not work are skipped', () => {
+    // Works Monday and Wednesday only
+    const result = schedule([booking('a', 0), booking('b', 0), booking('c', 0)], { machine: machine([1, 3]) });
+
+    assert.deepEqual(placedOn(result), { a: '2030-01-07', b: '2030-01-07', c: '2030-01-09' });
+});
+
+test('a job is not rolled past its must-finish-by date', () => {
+    const existingBookings = [{ date: day(0), acres: 8, timeSlots: { startTime: '08:00', endTime: '16:00' } }];
+    const result = schedule([booking('a', 0, { mustFinishBy: day(0) }), booking('b', 0)], { existingBookings });
+
+    assert.deepEqual(placedOn(result), { b: '2030-01-08' });
+    assert.deepEqual(result.unscheduled.map(u => [u.bookingId, u.code]), [['a', 'DEADLINE_MISSED']]);
+});
+
+test('reports why jobs could not be placed', () => {
+    const result = schedule([
+        booking('huge', 0, { acres: 12 }),
+        ...['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(id => booking(id, 0))
+    ]);
+
+    assert.equal(result.scheduled.length, 6);
+    assert.deepEqual(result.unscheduled.map(u => [u.bookingId, u.code]), [
+        ['huge', 'EXCEEDS_DAILY_CAPACITY'],
+        ['g', 'HORIZON_FULL']
+    ]);
+});
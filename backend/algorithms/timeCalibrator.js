@@ -0,0 +1,152 @@
+/**
+ * Time-per-Acre Calibration
+ *
+ * Learns how many minutes an acre really takes on a machine from the work
+ * logs of its completed jobs, separately for each work type.
+ * 1. Each job gives a rate: actual minutes / actual acres
+ * 2. Rates far from the median (beyond OUTLIER_MAD_MULTIPLIER scaled MADs)
+ *    are dropped as outliers - breakdowns, logs left open overnight, typos
+ * 3. The estimate is total minutes / total acres of the remaining jobs, so
+ *    bigger jobs count for more
+ */
+
+/**
+ * Jobs a work type needs before an estimate is proposed
+ */
+const MIN_SAMPLES = 3;
+
+/**
+ * Rates further than this many scaled MADs from the median are outliers
+ */
+const OUTLIER_MAD_MULTIPLIER = 3;
+
+/**
+ * Scales the MAD to a standard deviation for normally distributed rates
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Lowest time per acre a machine may be given (matches the Machine schema)
+ */
+const MIN_TIME_PER_ACRE = 15;
+
+/**
+ * Estimates within this many percent of the current value are not proposed
+ */
+const MIN_CHANGE_PERCENT = 5;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers (not modified)
+ * @returns {number} - Median, NaN for an empty list
+ */
+const median = (values) => {
+    if (!values.length) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Split jobs into inliers and outliers by their minutes-per-acre rate
+ * @param {Array} samples - [{ acres, minutes }]
+ * @returns {Object} - { inliers, outliers, medianRate }
+ */
+const rejectOutliers = (samples) => {
+    const rates = samples.map(s => s.minutes / s.acres);
+    const medianRate = median(rates);
+    const mad = median(rates.map(rate => Math.abs(rate - medianRate))) * MAD_SCALE;
+
+    const inliers = [];
+    const outliers = [];
+    samples.forEach((sample, index) => {
+        // With no spread at all, anything off the median is an outlier
+        const isOutlier = mad === 0
+            ? rates[index] !== medianRate
+            : Math.abs(rates[index] - medianRate) > OUTLIER_MAD_MULTIPLIER * mad;
+        (isOutlier ? outliers : inliers).push(sample);
+    });
+
+    return { inliers, outliers, medianRate };
+};
+
+/**
+ * Estimate minutes per acre for one group of jobs
+ * @param {Array} samples - [{ acres, minutes }]
+ * @returns {Object} - { minutesPerAcre, samples, outliers }
+ */
+const estimateTimePerAcre = (samples) => {
+    const { inliers, outliers } = rejectOutliers(samples);
+    const totalMinutes = inliers.reduce((sum, s) => sum + s.minutes, 0);
+    const totalAcres = inliers.reduce((sum, s) => sum + s.acres, 0);
+
+    return {
+        minutesPerAcre: Math.max(MIN_TIME_PER_ACRE, Math.round(totalMinutes / totalAcres)),
+        samples: inliers.length,
+        outliers: outliers.length
+    };
+};
+
+/**
+ * Calibrate a machine's time per acre from its completed jobs
+ * Work types without enough jobs keep their current value.
+ * @param {Array} jobs - Completed bookings: { workType, workLog: { actualAcres, actualMinutes } }
+ * @param {Object} current - { timePerAcre, byWorkType: { [workType]: minutes } }
+ * @param {Object} options - { minSamples, minChangePercent }
+ * @returns {Object} - { overall, byWorkType, proposals }
+ *   proposals lists only estimates that differ enough from the current value
+ */
+const calibrate = (jobs, current = {}, options = {}) => {
+    const minSamples = options.minSamples || MIN_SAMPLES;
+    const minChangePercent = options.minChangePercent ?? MIN_CHANGE_PERCENT;
+
+    const samples = jobs
+        .map(job => ({
+            workType: job.workType || 'other',
+            acres: job.workLog?.actualAcres,
+            minutes: job.workLog?.actualMinutes
+        }))
+        .filter(s => s.acres > 0 && s.minutes > 0);
+
+    const groups = {};
+    samples.forEach(sample => {
+        (groups[sample.workType] = groups[sample.workType] || []).push(sample);
+    });
+
+    const describe = (workType, group, currentValue) => {
+        if (group.length < minSamples) {
+            return { workType, samples: group.length, outliers: 0, minutesPerAcre: null, currentMinutesPerAcre: currentValue };
+        }
+        const estimate = estimateTimePerAcre(group);
+        return {
+            workType,
+            ...estimate,
+            currentMinutesPerAcre: currentValue,
+            changePercent: currentValue
+                ? Math.round((estimate.minutesPerAcre - currentValue) / currentValue * 100)
+                : null
+        };
+    };
+
+    // 'all' calibrates the machine's default timePerAcre from every job
+    const overall = describe('all', samples, current.timePerAcre);
+    const byWorkType = Object.keys(groups).sort().map(workType =>
+        describe(workType, groups[workType], current.byWorkType?.[workType] ?? current.timePerAcre));
+
+    const proposals = [overall, ...byWorkType].filter(result =>
+        result.minutesPerAcre !== null &&
+        (result.changePercent === null || Math.abs(result.changePercent) >= minChangePercent));
+
+    return { overall, byWorkType, proposals };
+};
+
+module.exports = {
+    MIN_SAMPLES,
+    OUTLIER_MAD_MULTIPLIER,
+    MIN_TIME_PER_ACRE,
+    MIN_CHANGE_PERCENT,
+    median,
+    rejectOutliers,
+    estimateTimePerAcre,
+    calibrate
+};
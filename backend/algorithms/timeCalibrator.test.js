@@ -0,0 +1,94 @@
+/**
+ * Time-per-Acre Calibration Tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MIN_TIME_PER_ACRE,
+    rejectOutliers,
+    estimateTimePerAcre,
+    calibrate
+} = require('./timeCalibrator');
+
+// One-acre jobs, so each job's minutes are its rate
+const jobsAtRates = (...rates) => rates.map(minutes => ({ acres: 1, minutes }));
+
+// Completed bookings of one work type at the given minutes per acre
+const completedJobs = (workType, ...rates) => rates.map(rate => ({
+    workType,
+    workLog: { actualAcres: 2, actualMinutes: rate * 2 }
+}));
+
+test('drops rates beyond three scaled MADs from the median', () => {
+    // Median 61, MAD 1 (scaled 1.48): 58 is within 3 scaled MADs, 300 is not
+    const { inliers, outliers, medianRate } = rejectOutliers(jobsAtRates(60, 62, 58, 61, 300));
+
+    assert.equal(medianRate, 61);
+    assert.deepEqual(inliers.map(s => s.minutes), [60, 62, 58, 61]);
+    assert.deepEqual(outliers.map(s => s.minutes), [300]);
+});
+
+test('with no spread, any rate off the median is an outlier', () => {
+    const { inliers, outliers } = rejectOutliers(jobsAtRates(60, 60, 60, 61));
+
+    assert.deepEqual(inliers.map(s => s.minutes), [60, 60, 60]);
+    assert.deepEqual(outliers.map(s => s.minutes), [61]);
+});
+
+test('keeps every job when all rates match', () => {
+    const { inliers, outliers } = rejectOutliers(jobsAtRates(45, 45, 45));
+
+    assert.equal(inliers.length, 3);
+    assert.equal(outliers.length, 0);
+});
+
+test('weights the estimate by acres and never goes below the minimum', () => {
+    const weighted = estimateTimePerAcre([
+        { acres: 1, minutes: 50 },
+        { acres: 1, minutes: 52 },
+        { acres: 4, minutes: 240 }
+    ]);
+    assert.deepEqual(weighted, { minutesPerAcre: 57, samples: 3, outliers: 0 });
+
+    const floored = estimateTimePerAcre(jobsAtRates(10, 10, 10));
+    assert.equal(floored.minutesPerAcre, MIN_TIME_PER_ACRE);
+});
+
+test('proposes nothing for work types with too few jobs', () => {
+    const result = calibrate(completedJobs('ploughing', 70, 70), { timePerAcre: 50 });
+
+    assert.equal(result.overall.minutesPerAcre, null);
+    assert.equal(result.byWorkType[0].minutesPerAcre, null);
+    assert.deepEqual(result.proposals, []);
+});
+
+test('proposes an estimate only when it moves by at least 5%', () => {
+    const jobs = completedJobs('harvesting', 60, 60, 60);
+
+    // 60 against 58 is a 3% change
+    assert.deepEqual(calibrate(jobs, { timePerAcre: 58 }).proposals, []);
+
+    // 60 against 57 is a 5% change
+    const { proposals } = calibrate(jobs, { timePerAcre: 57 });
+    assert.deepEqual(proposals.map(p => [p.workType, p.minutesPerAcre, p.changePercent]), [
+        ['all', 60, 5],
+        ['harvesting', 60, 5]
+    ]);
+});
+
+test('compares each work type with its own current value', () => {
+    const jobs = [...completedJobs('harvesting', 60, 60, 60), ...completedJobs('sowing', 30, 30, 30)];
+    const { proposals } = calibrate(jobs, { timePerAcre: 45, byWorkType: { sowing: 30 } });
+
+    assert.deepEqual(proposals.map(p => p.workType), ['harvesting']);
+});
+
+test('proposes an estimate when there is no current value', () => {
+    const { proposals } = calibrate(completedJobs('spraying', 20, 20, 20));
+
+    assert.deepEqual(proposals.map(p => [p.workType, p.minutesPerAcre, p.changePercent]), [
+        ['all', 20, null],
+        ['spraying', 20, null]
+    ]);
+});
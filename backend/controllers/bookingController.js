@@ -7,35 +7,113 @@
 const Booking = require('../models/Booking');
 const Machine = require('../models/Machine');
 const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const Invoice = require('../models/Invoice');
+const JobSheet = require('../models/JobSheet');
 const scheduler = require('../algorithms/scheduler');
+const fleetAssigner = require('../algorithms/fleetAssigner');
+const routeOptimizer = require('../algorithms/routeOptimizer');
+const { isAdmin, isSelfOrAdmin, canManageMachine, canViewBooking } = require('../utils/permissions');
+const { getDayAvailability, findNextAvailableDays, isStartAvailable } = require('../utils/availability');
+const { describeUnavailableDay } = require('../utils/blackouts');
+const { withDayLocks } = require('../utils/slotLocks');
+const { buildWorkLog, repriceForActualAcres } = require('../utils/workLog');
+const { calculateDeposit } = require('../utils/payments');
+const { recordPayment, collectDeposit, notifyParties, refreshJobSheets, recordMachineUsage } = require('../utils/bookingEffects');
+const { reservedBookingsQuery, placeBookings } = require('../utils/autoSchedule');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices');
+const { DEFAULT_POLICY, calculateCancellation } = require('../utils/cancellation');
+const { STATUS_TRANSITIONS } = require('../utils/bookingStatus');
+const { calculateRespondBy } = require('../utils/responseDeadline');
+const { JOB_SHEET_STATUSES, buildJobSheet, formatJobSheet, getSheetRecipient } = require('../utils/jobSheet');
+
+/**
+ * Days of alternatives offered when a requested slot is taken
+ */
+const ALTERNATIVE_DAYS = 3;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Work out what cancelling a booking now would cost under its machine's policy
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - Result of calculateCancellation, plus the policy applied
+ */
+const getCancellationTerms = async (booking) => {
+    const machine = await Machine.findById(booking.machine).select('cancellationPolicy availability');
+    const policy = machine?.toObject().cancellationPolicy;
+    const { net } = await LedgerEntry.getBookingSummary(booking._id);
+    
+    const terms = calculateCancellation(booking, {
+        policy,
+        workingStartMinutes: scheduler.getWorkingIntervals(machine, booking.date)[0]?.start ?? 8 * 60,
+        paid: net
+    });
+    return { ...terms, paid: net, policy: { ...DEFAULT_POLICY, ...policy } };
+};
+
+/**
+ * Check that a machine can take a booking on a day
+ * Must be called while holding the day's slot lock.
+ * @param {Object} machine - Machine document
+ * @param {Date} day - Booking day
+ * @param {number} acres - Acres to be worked
+ * @param {string} startTime - Requested start (HH:MM), optional
+ * @param {Object} options - { fieldLocation, excludeBookingId, workType }
+ * @returns {Promise<Object|null>} - null if it fits, otherwise { message, alternatives, nextAvailable }
+ */
+const findReservationConflict = async (machine, day, acres, startTime, options = {}) => {
+    const { slots, code, reason } = await getDayAvailability(machine, day, acres, options);
+    
+    let message = null;
+    if (code === 'DAY_UNAVAILABLE') {
+        message = reason;
+    } else if (code === 'CAPACITY_FULL') {
+        message = `Machine's daily capacity of ${machine.dailyCapacityAcres} acres would be exceeded on this day`;
+    } else if (startTime && !isStartAvailable(slots, startTime)) {
+        message = 'Requested time overlaps another booking for this machine';
+    }
+    
+    if (!message) return null;
+    
+    return {
+        message,
+        alternatives: slots,
+        nextAvailable: await findNextAvailableDays(machine, day, acres, ALTERNATIVE_DAYS, options)
+    };
+};
 
 /**
  * @desc    Create a new booking request
  * @route   POST /api/v1/bookings
- * @access  Public (would be farmer only in production)
+ * @access  Private (Farmer)
  */
 const createBooking = async (req, res, next) => {
     try {
         const {
-            farmer,
             machine,
             date,
             fieldLocation,
             acres,
             workType,
             priority,
-            notes
+            notes,
+            fleetRequest,
+            timeWindow,
+            mustFinishBy,
+            startTime
         } = req.body;
         
-        // Validate farmer exists
-        const farmerUser = await User.findById(farmer);
-        if (!farmerUser) {
-            return res.status(404).json({
+        if (startTime && !TIME_PATTERN.test(startTime)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Farmer not found'
+                message: 'Start time must be in HH:MM format'
             });
         }
         
+        // The booking is always made by the authenticated farmer
+        const farmer = req.user._id;
+        
         // Validate machine exists and is available
         const machineDoc = await Machine.findById(machine).populate('owner');
         if (!machineDoc) {
@@ -52,12 +130,12 @@ const createBooking = async (req, res, next) => {
             });
         }
         
-        // Check if machine is available on the requested day
+        // Check if machine is available on the requested day (working day, no blackout)
         const bookingDate = new Date(date);
         if (!machineDoc.isAvailableOnDay(bookingDate)) {
             return res.status(400).json({
                 success: false,
-                message: 'Machine is not available on the requested day'
+                message: describeUnavailableDay(machineDoc, bookingDate)
             });
         }
         
@@ -69,29 +147,71 @@ const createBooking = async (req, res, next) => {
             });
         }
         
-        // Calculate cost
-        const baseCost = machineDoc.calculateCost(acres);
-        const estimatedDuration = machineDoc.calculateTimeRequired(acres);
-        
-        // Create booking
-        const booking = await Booking.create({
-            farmer,
-            machine,
-            owner: machineDoc.owner._id,
+        // Calculate cost, charging travel from the machine's home to the field
+        const travelDistanceKm = scheduler.calculateDistance(
+            machineDoc.location?.coordinates,
+            fieldLocation?.coordinates
+        );
+        const cost = machineDoc.calculateCost(acres, travelDistanceKm, {
             date: bookingDate,
-            fieldLocation,
-            acres,
-            workType: workType || 'other',
-            priority: priority || 1,
-            notes,
-            cost: {
-                baseCost,
-                travelCost: 0,
-                totalCost: baseCost
-            },
-            estimatedDuration
+            priority: priority || 1
+        });
+        const estimatedDuration = machineDoc.calculateTimeRequired(acres, workType);
+        
+        // Reserve the slot: check and create while holding the day's lock
+        const result = await withDayLocks(machineDoc._id, [bookingDate], async () => {
+            const conflict = await findReservationConflict(machineDoc, bookingDate, acres, startTime, {
+                fieldLocation: fieldLocation?.coordinates,
+                workType
+            });
+            if (conflict) return { conflict };
+            
+            const booking = await Booking.create({
+                farmer,
+                machine,
+                owner: machineDoc.owner._id,
+                date: bookingDate,
+                fieldLocation,
+                acres,
+                workType: workType || 'other',
+                priority: priority || 1,
+                notes,
+                timeWindow,
+                mustFinishBy,
+                // A chosen start time reserves the slot straight away
+                timeSlots: startTime ? {
+                    startTime,
+                    endTime: scheduler.formatTime(scheduler.parseTime(startTime) + estimatedDuration),
+                    slotOrder: 0
+                } : undefined,
+                // Any machine of the same type within maxDistanceKm may be assigned
+                fleetRequest: fleetRequest?.enabled ? {
+                    enabled: true,
+                    machineType: machineDoc.type,
+                    maxDistanceKm: fleetRequest.maxDistanceKm
+                } : undefined,
+                cost,
+                estimatedDuration,
+                respondBy: calculateRespondBy(new Date(), bookingDate, machineDoc.responseDeadlineHours)
+            });
+            
+            return { booking };
         });
         
+        if (result.conflict) {
+            return res.status(409).json({
+                success: false,
+                message: result.conflict.message,
+                data: {
+                    alternatives: result.conflict.alternatives,
+                    nextAvailable: result.conflict.nextAvailable
+                }
+            });
+        }
+        
+        const { booking } = result;
+        await notifyParties(booking, req.user, 'booking_requested');
+        
         // Populate references
         await booking.populate([
             { path: 'farmer', select: 'name email phone' },
@@ -112,7 +232,7 @@ const createBooking = async (req, res, next) => {
 /**
  * @desc    Get all bookings
  * @route   GET /api/v1/bookings
- * @access  Public
+ * @access  Private
  */
 const getAllBookings = async (req, res, next) => {
     try {
@@ -134,6 +254,10 @@ const getAllBookings = async (req, res, next) => {
         if (owner) query.owner = owner;
         if (machine) query.machine = machine;
         
+        // Non-admins only see bookings they are a party to
+        if (req.user.role === 'farmer') query.farmer = req.user._id;
+        if (req.user.role === 'owner') query.owner = req.user._id;
+        
         // Date filter
         if (date) {
             const startOfDay = new Date(date);
@@ -150,6 +274,7 @@ const getAllBookings = async (req, res, next) => {
             .populate('farmer', 'name email phone')
             .populate('machine', 'name type pricing location')
             .populate('owner', 'name email phone')
+            .populate('assignmentHistory.from assignmentHistory.to', 'name')
             .skip(skip)
             .limit(parseInt(limit))
             .sort({ date: 1, 'timeSlots.slotOrder': 1 });
@@ -172,14 +297,15 @@ const getAllBookings = async (req, res, next) => {
 /**
  * @desc    Get single booking
  * @route   GET /api/v1/bookings/:id
- * @access  Public
+ * @access  Private
  */
 const getBookingById = async (req, res, next) => {
     try {
         const booking = await Booking.findById(req.params.id)
             .populate('farmer', 'name email phone location')
             .populate('machine', 'name type pricing location availability')
-            .populate('owner', 'name email phone');
+            .populate('owner', 'name email phone')
+            .populate('assignmentHistory.from assignmentHistory.to', 'name');
         
         if (!booking) {
             return res.status(404).json({
@@ -188,6 +314,13 @@ const getBookingById = async (req, res, next) => {
             });
         }
         
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
         res.status(200).json({
             success: true,
             data: booking
@@ -200,7 +333,7 @@ const getBookingById = async (req, res, next) => {
 /**
  * @desc    Update booking
  * @route   PUT /api/v1/bookings/:id
- * @access  Public
+ * @access  Private (Farmer/Admin)
  */
 const updateBooking = async (req, res, next) => {
     try {
@@ -213,6 +346,13 @@ const updateBooking = async (req, res, next) => {
             });
         }
         
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this booking'
+            });
+        }
+        
         // Can only update pending or confirmed bookings
         if (!['pending', 'confirmed'].includes(booking.status)) {
             return res.status(400).json({
@@ -221,8 +361,18 @@ const updateBooking = async (req, res, next) => {
             });
         }
         
+        if (req.body.startTime && !TIME_PATTERN.test(req.body.startTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time must be in HH:MM format'
+            });
+        }
+        
+        // Where the job was, for the operator's job sheet
+        const previous = { machine: booking.machine, date: booking.date };
+        
         // Fields that can be updated
-        const allowedUpdates = ['date', 'fieldLocation', 'acres', 'workType', 'priority', 'notes'];
+        const allowedUpdates = ['date', 'fieldLocation', 'acres', 'workType', 'priority', 'notes', 'timeWindow', 'mustFinishBy'];
         
         allowedUpdates.forEach(field => {
             if (req.body[field] !== undefined) {
@@ -230,22 +380,69 @@ const updateBooking = async (req, res, next) => {
             }
         });
         
-        // Recalculate cost if acres changed
-        if (req.body.acres) {
-            const machine = await Machine.findById(booking.machine);
-            if (machine) {
-                booking.cost.baseCost = machine.calculateCost(req.body.acres);
-                booking.cost.totalCost = booking.cost.baseCost + booking.cost.travelCost;
-                booking.estimatedDuration = machine.calculateTimeRequired(req.body.acres);
+        const machine = await Machine.findById(booking.machine);
+        
+        // A new day must be one the machine works (requests without a slot skip the calendar check below)
+        if (machine && req.body.date !== undefined && !machine.isAvailableOnDay(new Date(booking.date))) {
+            return res.status(400).json({
+                success: false,
+                message: describeUnavailableDay(machine, booking.date)
+            });
+        }
+        
+        // Recalculate cost and duration if anything they depend on changed
+        if ((req.body.acres || req.body.fieldLocation || req.body.date || req.body.priority || req.body.workType) && machine) {
+            const travelDistanceKm = req.body.fieldLocation
+                ? scheduler.calculateDistance(machine.location?.coordinates, booking.fieldLocation?.coordinates)
+                : booking.cost.travelDistanceKm || 0;
+            booking.cost = machine.calculateCost(booking.acres, travelDistanceKm, {
+                date: booking.date,
+                priority: booking.priority
+            });
+            booking.estimatedDuration = machine.calculateTimeRequired(booking.acres, booking.workType);
+        }
+        
+        // A reserved slot moves with the booking: keep (or change) its start, refresh its end
+        const startTime = req.body.startTime || booking.timeSlots?.startTime;
+        if (startTime) {
+            booking.timeSlots.startTime = startTime;
+            booking.timeSlots.endTime = scheduler.formatTime(scheduler.parseTime(startTime) + booking.estimatedDuration);
+        }
+        
+        const calendarChanged = ['date', 'acres', 'fieldLocation', 'startTime', 'workType'].some(field => req.body[field] !== undefined);
+        const holdsSlot = booking.status === 'confirmed' || Boolean(startTime);
+        
+        // Re-check the calendar under the new day's lock before saving
+        const conflict = await withDayLocks(booking.machine, [booking.date], async () => {
+            if (machine && calendarChanged && holdsSlot) {
+                const found = await findReservationConflict(machine, booking.date, booking.acres, startTime, {
+                    fieldLocation: booking.fieldLocation?.coordinates,
+                    excludeBookingId: booking._id,
+                    workType: booking.workType
+                });
+                if (found) return found;
             }
+            await booking.save();
+            return null;
+        });
+        
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict.message,
+                data: {
+                    alternatives: conflict.alternatives,
+                    nextAvailable: conflict.nextAvailable
+                }
+            });
         }
         
-        await booking.save();
         await booking.populate([
             { path: 'farmer', select: 'name email phone' },
             { path: 'machine', select: 'name type pricing' },
             { path: 'owner', select: 'name email phone' }
         ]);
+        await refreshJobSheets(booking, [previous]);
         
         res.status(200).json({
             success: true,
@@ -260,7 +457,7 @@ const updateBooking = async (req, res, next) => {
 /**
  * @desc    Cancel booking
  * @route   PATCH /api/v1/bookings/:id/cancel
- * @access  Public
+ * @access  Private (Farmer/Admin)
  */
 const cancelBooking = async (req, res, next) => {
     try {
@@ -275,26 +472,43 @@ const cancelBooking = async (req, res, next) => {
             });
         }
         
-        if (booking.status === 'completed') {
-            return res.status(400).json({
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Cannot cancel a completed booking'
+                message: 'Not authorized to cancel this booking'
             });
         }
         
-        if (booking.status === 'cancelled') {
+        const terms = await getCancellationTerms(booking);
+        
+        if (!terms.allowed) {
             return res.status(400).json({
                 success: false,
-                message: 'Booking is already cancelled'
+                message: terms.reason
             });
         }
         
-        await booking.cancel(reason || 'Cancelled by user');
+        await booking.cancel(reason || 'Cancelled by user', terms, req.user._id);
+        
+        // Keep the late fee out of what was paid and refund the rest,
+        // or charge whatever part of the fee the deposit does not cover
+        let payment = null;
+        if (terms.refund > 0) {
+            payment = await recordPayment(booking, 'refund', terms.refund, 'Refund on cancellation');
+        } else if (terms.chargeDue > 0) {
+            payment = await recordPayment(booking, 'cancellation_fee', terms.chargeDue, `Cancellation fee (${terms.feePercent}%)`);
+        }
+        await notifyParties(booking, req.user, 'booking_cancelled', { reason: booking.cancellationReason });
+        await refreshJobSheets(booking);
         
         res.status(200).json({
             success: true,
-            message: 'Booking cancelled successfully',
-            data: booking
+            message: terms.fee > 0
+                ? `Booking cancelled with a fee of ₹${terms.fee}`
+                : 'Booking cancelled successfully',
+            data: booking,
+            cancellation: terms,
+            payment
         });
     } catch (error) {
         next(error);
@@ -304,7 +518,7 @@ const cancelBooking = async (req, res, next) => {
 /**
  * @desc    Confirm booking
  * @route   PATCH /api/v1/bookings/:id/confirm
- * @access  Public (would be owner only in production)
+ * @access  Private (Owner/Admin)
  */
 const confirmBooking = async (req, res, next) => {
     try {
@@ -317,6 +531,13 @@ const confirmBooking = async (req, res, next) => {
             });
         }
         
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to confirm this booking'
+            });
+        }
+        
         if (booking.status !== 'pending') {
             return res.status(400).json({
                 success: false,
@@ -324,12 +545,63 @@ const confirmBooking = async (req, res, next) => {
             });
         }
         
-        await booking.confirm();
+        const machine = await Machine.findById(booking.machine);
+        
+        // Requests without a slot hold no capacity until confirmed, so others may have
+        // filled the day since. The booking is read again under the lock so two
+        // confirms cannot both collect the deposit.
+        const result = await withDayLocks(booking.machine, [booking.date], async () => {
+            const current = await Booking.findById(booking._id);
+            if (current?.status !== 'pending') return { notPending: true };
+            
+            if (machine) {
+                const conflict = await findReservationConflict(machine, current.date, current.acres, current.timeSlots?.startTime, {
+                    fieldLocation: current.fieldLocation?.coordinates,
+                    excludeBookingId: current._id,
+                    workType: current.workType
+                });
+                if (conflict) return { conflict };
+            }
+            
+            const deposit = await collectDeposit(current);
+            if (deposit && deposit.status !== 'succeeded') return { deposit };
+            
+            await current.confirm(req.user._id);
+            return { booking: current, deposit };
+        });
+        
+        if (result.notPending) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending bookings can be confirmed'
+            });
+        }
+        
+        if (result.conflict) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot confirm: ${result.conflict.message}`,
+                data: {
+                    alternatives: result.conflict.alternatives,
+                    nextAvailable: result.conflict.nextAvailable
+                }
+            });
+        }
+        
+        if (result.deposit && result.deposit.status !== 'succeeded') {
+            return res.status(402).json({
+                success: false,
+                message: `Deposit payment failed${result.deposit.failureReason ? `: ${result.deposit.failureReason}` : ''}`
+            });
+        }
+        await notifyParties(result.booking, req.user, 'booking_confirmed');
+        await refreshJobSheets(result.booking);
         
         res.status(200).json({
             success: true,
             message: 'Booking confirmed successfully',
-            data: booking
+            data: result.booking,
+            deposit: result.deposit
         });
     } catch (error) {
         next(error);
@@ -337,13 +609,20 @@ const confirmBooking = async (req, res, next) => {
 };
 
 /**
- * @desc    Complete booking with optional review
- * @route   PATCH /api/v1/bookings/:id/complete
- * @access  Public
+ * @desc    Reject a booking request
+ * @route   PATCH /api/v1/bookings/:id/reject
+ * @access  Private (Owner/Admin)
  */
-const completeBooking = async (req, res, next) => {
+const rejectBooking = async (req, res, next) => {
     try {
-        const { rating, comment } = req.body;
+        const { reason } = req.body;
+        
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please give a reason for rejecting the request'
+            });
+        }
         
         const booking = await Booking.findById(req.params.id);
         
@@ -354,30 +633,27 @@ const completeBooking = async (req, res, next) => {
             });
         }
         
-        if (!['confirmed', 'in_progress'].includes(booking.status)) {
-            return res.status(400).json({
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Only confirmed or in-progress bookings can be completed'
+                message: 'Not authorized to reject this booking'
             });
         }
         
-        await booking.complete(rating, comment);
-        
-        // Update machine rating if review provided
-        if (rating) {
-            const machine = await Machine.findById(booking.machine);
-            if (machine) {
-                const newCount = machine.rating.count + 1;
-                const newAverage = ((machine.rating.average * machine.rating.count) + rating) / newCount;
-                machine.rating.average = Math.round(newAverage * 10) / 10;
-                machine.rating.count = newCount;
-                await machine.save();
-            }
+        // Nothing has been paid before confirmation, so there is nothing to refund
+        if (!['pending', 'countered'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending or countered bookings can be rejected'
+            });
         }
         
+        await booking.reject(reason, req.user._id);
+        await notifyParties(booking, req.user, 'booking_rejected', { reason });
+        
         res.status(200).json({
             success: true,
-            message: 'Booking completed successfully',
+            message: 'Booking rejected',
             data: booking
         });
     } catch (error) {
@@ -386,110 +662,129 @@ const completeBooking = async (req, res, next) => {
 };
 
 /**
- * @desc    Auto-schedule bookings for a date
- * @route   POST /api/v1/bookings/schedule
- * @access  Public (would be admin/owner in production)
+ * @desc    Propose a different date, slot or price for a booking request
+ * @route   PATCH /api/v1/bookings/:id/counter-offer
+ * @access  Private (Owner/Admin)
  */
-const scheduleBookings = async (req, res, next) => {
+const proposeCounterOffer = async (req, res, next) => {
     try {
-        const { date, machineId } = req.body;
+        const { date, startTime, totalCost, message } = req.body;
         
-        if (!date) {
+        if (date === undefined && startTime === undefined && totalCost === undefined) {
             return res.status(400).json({
                 success: false,
-                message: 'Date is required'
+                message: 'Propose a new date, start time or price'
             });
         }
         
-        const scheduleDate = new Date(date);
+        if (startTime && !TIME_PATTERN.test(startTime)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start time must be in HH:MM format'
+            });
+        }
         
-        // Build query for pending bookings
-        const query = {
-            status: 'pending',
-            'timeSlots.startTime': null
-        };
+        if (totalCost !== undefined && !(Number(totalCost) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Proposed price must be greater than 0'
+            });
+        }
         
-        // Filter by date
-        const startOfDay = new Date(scheduleDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(scheduleDate);
-        endOfDay.setHours(23, 59, 59, 999);
-        query.date = { $gte: startOfDay, $lte: endOfDay };
+        const booking = await Booking.findById(req.params.id);
         
-        // Optionally filter by machine
-        if (machineId) {
-            query.machine = machineId;
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
         }
         
-        // Get pending bookings with populated data
-        const pendingBookings = await Booking.find(query)
-            .populate('machine')
-            .populate('farmer', 'name location');
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this booking'
+            });
+        }
         
-        if (pendingBookings.length === 0) {
-            return res.status(200).json({
-                success: true,
-                message: 'No pending bookings to schedule',
-                data: { scheduled: 0, bookings: [] }
+        if (booking.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending bookings can be countered'
             });
         }
         
-        // Group bookings by machine
-        const bookingsByMachine = {};
-        pendingBookings.forEach(booking => {
-            const machineIdStr = booking.machine._id.toString();
-            if (!bookingsByMachine[machineIdStr]) {
-                bookingsByMachine[machineIdStr] = {
-                    machine: booking.machine,
-                    bookings: []
-                };
-            }
-            bookingsByMachine[machineIdStr].bookings.push(booking);
+        const proposedDate = date ? scheduler.startOfDay(date) : booking.date;
+        if (Number.isNaN(proposedDate.getTime()) || proposedDate < scheduler.startOfDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Proposed date must be today or later'
+            });
+        }
+        
+        const machine = await Machine.findById(booking.machine);
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!machine.isAvailableOnDay(proposedDate)) {
+            return res.status(400).json({
+                success: false,
+                message: describeUnavailableDay(machine, proposedDate)
+            });
+        }
+        
+        // Re-quote for the proposed day; an explicit price becomes an adjustment line
+        const cost = machine.calculateCost(booking.acres, booking.cost.travelDistanceKm || 0, {
+            date: proposedDate,
+            priority: booking.priority
         });
+        if (totalCost !== undefined && Math.round(Number(totalCost)) !== cost.totalCost) {
+            const adjustment = Math.round(Number(totalCost)) - cost.totalCost;
+            cost.items.push({ code: 'COUNTER_OFFER', label: 'Owner price adjustment', amount: adjustment });
+            cost.totalCost += adjustment;
+        }
         
-        // Schedule each machine's bookings
-        const scheduledBookings = [];
+        const proposedStart = startTime || (date ? null : booking.timeSlots?.startTime);
         
-        for (const machineIdStr of Object.keys(bookingsByMachine)) {
-            const { machine, bookings } = bookingsByMachine[machineIdStr];
-            
-            // Use scheduler algorithm to optimize time slots
-            const scheduledSlots = scheduler.scheduleJobs(bookings, machine);
-            
-            // Update bookings with scheduled time slots
-            for (const slot of scheduledSlots) {
-                const booking = await Booking.findById(slot.bookingId);
-                if (booking) {
-                    booking.timeSlots = {
-                        startTime: slot.startTime,
-                        endTime: slot.endTime,
-                        slotOrder: slot.order
-                    };
-                    booking.schedulingInfo = {
-                        autoScheduled: true,
-                        distanceFromPrevious: slot.distanceFromPrevious || 0,
-                        scheduledAt: new Date()
-                    };
-                    booking.status = 'confirmed';
-                    await booking.save();
-                    
-                    await booking.populate([
-                        { path: 'farmer', select: 'name email phone' },
-                        { path: 'machine', select: 'name type' }
-                    ]);
-                    
-                    scheduledBookings.push(booking);
+        // The proposal is only checked here; it holds no time until the farmer accepts
+        const conflict = await withDayLocks(machine._id, [proposedDate], () =>
+            findReservationConflict(machine, proposedDate, booking.acres, proposedStart, {
+                fieldLocation: booking.fieldLocation?.coordinates,
+                excludeBookingId: booking._id,
+                workType: booking.workType
+            })
+        );
+        
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict.message,
+                data: {
+                    alternatives: conflict.alternatives,
+                    nextAvailable: conflict.nextAvailable
                 }
-            }
+            });
         }
         
+        await booking.proposeCounterOffer({
+            date: proposedDate,
+            startTime: proposedStart || undefined,
+            endTime: proposedStart
+                ? scheduler.formatTime(scheduler.parseTime(proposedStart) + booking.estimatedDuration)
+                : undefined,
+            cost,
+            message
+        }, req.user._id);
+        await notifyParties(booking, req.user, 'counter_offer');
+        
         res.status(200).json({
             success: true,
-            message: `Successfully scheduled ${scheduledBookings.length} bookings`,
-            data: {
-                scheduled: scheduledBookings.length,
-                bookings: scheduledBookings
-            }
+            message: 'Counter-offer sent to the farmer',
+            data: booking
         });
     } catch (error) {
         next(error);
@@ -497,26 +792,90 @@ const scheduleBookings = async (req, res, next) => {
 };
 
 /**
- * @desc    Get bookings by farmer
- * @route   GET /api/v1/bookings/farmer/:farmerId
- * @access  Public
+ * @desc    Accept the owner's counter-offer (confirms the booking)
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/accept
+ * @access  Private (Farmer/Admin)
  */
-const getBookingsByFarmer = async (req, res, next) => {
+const acceptCounterOffer = async (req, res, next) => {
     try {
-        const { status } = req.query;
+        const booking = await Booking.findById(req.params.id);
         
-        const query = { farmer: req.params.farmerId };
-        if (status) query.status = status;
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
         
-        const bookings = await Booking.find(query)
-            .populate('machine', 'name type pricing location')
-            .populate('owner', 'name phone')
-            .sort({ date: -1 });
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this counter-offer'
+            });
+        }
+        
+        if (booking.status !== 'countered') {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has no open counter-offer'
+            });
+        }
+        
+        const offer = booking.counterOffer;
+        const machine = await Machine.findById(booking.machine);
+        
+        // The proposed time may have been taken since the owner offered it
+        const result = await withDayLocks(booking.machine, [offer.date], async () => {
+            if (machine) {
+                const conflict = await findReservationConflict(machine, offer.date, booking.acres, offer.startTime, {
+                    fieldLocation: booking.fieldLocation?.coordinates,
+                    excludeBookingId: booking._id,
+                    workType: booking.workType
+                });
+                if (conflict) return { conflict };
+            }
+            
+            booking.date = offer.date;
+            booking.timeSlots = offer.startTime
+                ? { startTime: offer.startTime, endTime: offer.endTime, slotOrder: 0 }
+                : undefined;
+            booking.cost = booking.toObject().counterOffer.cost;
+            
+            const deposit = await collectDeposit(booking);
+            if (deposit && deposit.status !== 'succeeded') return { deposit };
+            
+            booking.transitionTo('confirmed', { actor: req.user._id, reason: 'Counter-offer accepted' });
+            booking.counterOffer.response = 'accepted';
+            booking.counterOffer.respondedAt = new Date();
+            await booking.save();
+            return { deposit };
+        });
+        
+        if (result.conflict) {
+            return res.status(409).json({
+                success: false,
+                message: `The proposed time is no longer free: ${result.conflict.message}`,
+                data: {
+                    alternatives: result.conflict.alternatives,
+                    nextAvailable: result.conflict.nextAvailable
+                }
+            });
+        }
+        
+        if (result.deposit && result.deposit.status !== 'succeeded') {
+            return res.status(402).json({
+                success: false,
+                message: `Deposit payment failed${result.deposit.failureReason ? `: ${result.deposit.failureReason}` : ''}`
+            });
+        }
+        await notifyParties(booking, req.user, 'counter_offer_accepted');
+        await refreshJobSheets(booking);
         
         res.status(200).json({
             success: true,
-            count: bookings.length,
-            data: bookings
+            message: 'Counter-offer accepted and booking confirmed',
+            data: booking,
+            deposit: result.deposit
         });
     } catch (error) {
         next(error);
@@ -524,28 +883,444 @@ const getBookingsByFarmer = async (req, res, next) => {
 };
 
 /**
- * @desc    Get bookings by owner
- * @route   GET /api/v1/bookings/owner/:ownerId
- * @access  Public
+ * @desc    Decline the owner's counter-offer (cancels the request)
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/decline
+ * @access  Private (Farmer/Admin)
  */
-const getBookingsByOwner = async (req, res, next) => {
+const declineCounterOffer = async (req, res, next) => {
     try {
-        const { status, date } = req.query;
+        const booking = await Booking.findById(req.params.id);
         
-        const query = { owner: req.params.ownerId };
-        if (status) query.status = status;
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
         
-        if (date) {
-            const startOfDay = new Date(date);
-            startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(date);
-            endOfDay.setHours(23, 59, 59, 999);
-            query.date = { $gte: startOfDay, $lte: endOfDay };
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this counter-offer'
+            });
+        }
+        
+        if (booking.status !== 'countered') {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has no open counter-offer'
+            });
+        }
+        
+        booking.counterOffer.response = 'declined';
+        booking.counterOffer.respondedAt = new Date();
+        await booking.cancel(req.body.reason || 'Counter-offer declined', {}, req.user._id);
+        await notifyParties(booking, req.user, 'counter_offer_declined');
+        
+        res.status(200).json({
+            success: true,
+            message: 'Counter-offer declined and request cancelled',
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Start work on a confirmed booking
+ * @route   PATCH /api/v1/bookings/:id/start
+ * @access  Private (Owner/Admin)
+ */
+const startBooking = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to start this booking'
+            });
+        }
+        
+        if (booking.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed bookings can be started'
+            });
+        }
+        
+        const startedAt = req.body.actualStart ? new Date(req.body.actualStart) : new Date();
+        if (Number.isNaN(startedAt.getTime()) || startedAt > new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Actual start must be a valid time that is not in the future'
+            });
+        }
+        
+        await booking.start(req.user._id, startedAt);
+        await notifyParties(booking, req.user, 'job_started');
+        
+        res.status(200).json({
+            success: true,
+            message: 'Job started',
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Complete booking with optional review and the actual work log
+ * @route   PATCH /api/v1/bookings/:id/complete
+ * @access  Private
+ */
+const completeBooking = async (req, res, next) => {
+    try {
+        const { rating, comment, actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes } = req.body;
+        const actuals = { actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes };
+        const hasActuals = Object.values(actuals).some(value => value !== undefined && value !== '');
+        
+        const booking = await Booking.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to complete this booking'
+            });
+        }
+        
+        // Only the owner (or admin) reports what was actually done
+        if (hasActuals && !isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the machine owner can report actual work'
+            });
+        }
+        
+        if (!['confirmed', 'in_progress'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed or in-progress bookings can be completed'
+            });
+        }
+        
+        const machine = await Machine.findById(booking.machine);
+        
+        if (hasActuals || booking.workLog?.startedAt) {
+            const { workLog, error } = buildWorkLog(booking, actuals);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            // Bill for the acres actually worked
+            const cost = machine && repriceForActualAcres(booking, workLog.actualAcres, acres =>
+                machine.calculateCost(acres, booking.cost.travelDistanceKm || 0, {
+                    date: booking.date,
+                    priority: booking.priority
+                }));
+            if (cost) {
+                booking.cost = cost;
+            }
+            booking.workLog = workLog;
+        }
+        
+        // Only the request that claims the completion settles payment
+        if (!await booking.complete(rating, comment, req.user._id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking was already completed or changed'
+            });
+        }
+        
+        // Settle whatever the deposit did not cover, or refund any overpayment
+        const { net } = await LedgerEntry.getBookingSummary(booking._id);
+        const due = booking.cost.totalCost - net;
+        let payment = null;
+        if (due > 0) {
+            payment = await recordPayment(booking, 'balance', due, 'Balance on completion');
+        } else if (due < 0) {
+            payment = await recordPayment(booking, 'refund', -due, 'Refund for acres not worked');
+        }
+        
+        const invoice = await Invoice.issueForBooking(booking, machine);
+        await notifyParties(booking, req.user, 'booking_completed');
+        await recordMachineUsage(booking);
+        
+        // Update machine rating if review provided
+        if (rating && machine) {
+            const newCount = machine.rating.count + 1;
+            const newAverage = ((machine.rating.average * machine.rating.count) + rating) / newCount;
+            machine.rating.average = Math.round(newAverage * 10) / 10;
+            machine.rating.count = newCount;
+            await machine.save();
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Booking completed successfully',
+            data: booking,
+            payment,
+            invoice
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Auto-schedule pending bookings over a date range
+ * @route   POST /api/v1/bookings/schedule
+ * @access  Private (Owner/Admin)
+ */
+const scheduleBookings = async (req, res, next) => {
+    try {
+        const { date, startDate, endDate, horizonDays, machineId, mode, strategy } = req.body;
+        
+        if (!date && !startDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date or startDate is required'
+            });
+        }
+        
+        if (strategy && !routeOptimizer.getStrategies().includes(strategy)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown route strategy. Use one of: ${routeOptimizer.getStrategies().join(', ')}`
+            });
+        }
+        
+        // Horizon: startDate (or date) through endDate, defaulting to a week
+        const rangeStart = scheduler.startOfDay(startDate || date);
+        const rangeEnd = endDate
+            ? scheduler.startOfDay(endDate)
+            : new Date(rangeStart.getFullYear(), rangeStart.getMonth(),
+                rangeStart.getDate() + (parseInt(horizonDays) || scheduler.DEFAULT_HORIZON_DAYS) - 1);
+        rangeEnd.setHours(23, 59, 59, 999);
+        
+        if (rangeEnd < rangeStart) {
+            return res.status(400).json({
+                success: false,
+                message: 'endDate must be on or after startDate'
+            });
+        }
+        
+        // Build query for pending bookings requested within the horizon
+        const query = {
+            status: 'pending',
+            'timeSlots.startTime': null,
+            date: { $gte: rangeStart, $lte: rangeEnd }
+        };
+        
+        // Optionally filter by machine
+        if (machineId) {
+            query.machine = machineId;
+        }
+        
+        // Owners can only schedule their own machines
+        if (!isAdmin(req.user)) {
+            query.owner = req.user._id;
+        }
+        
+        // Get pending bookings with populated data
+        const pendingBookings = await Booking.find(query)
+            .populate('machine')
+            .populate('farmer', 'name location');
+        
+        if (pendingBookings.length === 0) {
+            return res.status(200).json({
+                success: true,
+                message: 'No pending bookings to schedule',
+                data: { scheduled: 0, bookings: [], unscheduled: [], reassigned: [], route: null }
+            });
+        }
+        
+        const attemptedAt = new Date();
+        const reassignedBookings = [];
+        
+        // Fleet mode: flexible bookings may move to another of the owner's machines
+        if (mode === 'fleet') {
+            const fleetQuery = { status: 'active', 'availability.isAvailable': true };
+            if (!isAdmin(req.user)) {
+                fleetQuery.owner = req.user._id;
+            }
+            const fleet = await Machine.find(fleetQuery);
+            
+            const existingByMachine = {};
+            for (const fleetMachine of fleet) {
+                existingByMachine[fleetMachine._id.toString()] = await Booking.find(
+                    reservedBookingsQuery(fleetMachine._id, rangeStart, rangeEnd)
+                );
+            }
+            
+            const { assignments } = fleetAssigner.assignFleet(pendingBookings, fleet, {
+                startDate: rangeStart,
+                endDate: rangeEnd,
+                existingByMachine,
+                strategy
+            });
+            
+            for (const assignment of assignments.filter(a => a.reassigned)) {
+                const booking = pendingBookings.find(b => b._id.toString() === assignment.bookingId.toString());
+                const newMachine = fleet.find(m => m._id.toString() === assignment.machineId);
+                const entry = {
+                    from: booking.machine._id,
+                    to: newMachine._id,
+                    reason: `Fleet assignment: lowest added travel/lateness cost (${assignment.cost})`,
+                    assignedAt: attemptedAt
+                };
+                const estimatedDuration = newMachine.calculateTimeRequired(booking.acres, booking.workType);
+                // Priced for the new machine, travelling from its home in case it cannot be placed yet
+                const cost = newMachine.calculateCost(booking.acres, scheduler.calculateDistance(
+                    newMachine.location?.coordinates,
+                    booking.fieldLocation?.coordinates
+                ), {
+                    date: booking.date,
+                    priority: booking.priority
+                });
+                
+                // Only move requests still waiting where they were read (not cancelled, confirmed or moved meanwhile)
+                const { modifiedCount } = await Booking.updateOne(
+                    { _id: booking._id, status: 'pending', 'timeSlots.startTime': null, machine: entry.from },
+                    {
+                        $set: { machine: newMachine._id, estimatedDuration, cost },
+                        $push: { assignmentHistory: entry }
+                    }
+                );
+                if (!modifiedCount) {
+                    pendingBookings.splice(pendingBookings.indexOf(booking), 1);
+                    continue;
+                }
+                
+                booking.machine = newMachine;
+                booking.estimatedDuration = estimatedDuration;
+                booking.cost = cost;
+                reassignedBookings.push({
+                    bookingId: booking._id,
+                    from: entry.from,
+                    to: entry.to,
+                    cost: assignment.cost
+                });
+            }
+        }
+        
+        // Place and confirm each machine's bookings across the horizon
+        const {
+            scheduled: scheduledBookings,
+            unscheduled: unscheduledBookings,
+            routeReports
+        } = await placeBookings(pendingBookings, { rangeStart, rangeEnd, strategy, actor: req.user._id });
+        
+        // Tell farmers when their jobs were placed, and operators whose day changed (outside the calendar locks)
+        for (const booking of scheduledBookings) {
+            await notifyParties(booking, req.user, 'booking_scheduled');
+            await refreshJobSheets(booking);
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: `Successfully scheduled ${scheduledBookings.length} bookings` +
+                (unscheduledBookings.length ? `, ${unscheduledBookings.length} left pending` : ''),
+            data: {
+                startDate: scheduler.toDateKey(rangeStart),
+                endDate: scheduler.toDateKey(rangeEnd),
+                scheduled: scheduledBookings.length,
+                bookings: scheduledBookings,
+                unscheduled: unscheduledBookings,
+                reassigned: reassignedBookings,
+                route: routeOptimizer.combineRouteReports(routeReports, strategy || routeOptimizer.DEFAULT_STRATEGY)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get bookings by farmer
+ * @route   GET /api/v1/bookings/farmer/:farmerId
+ * @access  Private
+ */
+const getBookingsByFarmer = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        
+        if (!isSelfOrAdmin(req.user, req.params.farmerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view these bookings'
+            });
+        }
+        
+        const query = { farmer: req.params.farmerId };
+        if (status) query.status = status;
+        
+        const bookings = await Booking.find(query)
+            .populate('machine', 'name type pricing location')
+            .populate('owner', 'name phone')
+            .populate('assignmentHistory.from assignmentHistory.to', 'name')
+            .sort({ date: -1 });
+        
+        res.status(200).json({
+            success: true,
+            count: bookings.length,
+            data: bookings
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get bookings by owner
+ * @route   GET /api/v1/bookings/owner/:ownerId
+ * @access  Private (Owner/Admin)
+ */
+const getBookingsByOwner = async (req, res, next) => {
+    try {
+        const { status, date } = req.query;
+        
+        if (!isSelfOrAdmin(req.user, req.params.ownerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view these bookings'
+            });
+        }
+        
+        const query = { owner: req.params.ownerId };
+        if (status) query.status = status;
+        
+        if (date) {
+            const startOfDay = new Date(date);
+            startOfDay.setHours(0, 0, 0, 0);
+            const endOfDay = new Date(date);
+            endOfDay.setHours(23, 59, 59, 999);
+            query.date = { $gte: startOfDay, $lte: endOfDay };
         }
         
         const bookings = await Booking.find(query)
             .populate('farmer', 'name phone location')
             .populate('machine', 'name type')
+            .populate('assignmentHistory.from assignmentHistory.to', 'name')
             .sort({ date: 1, 'timeSlots.slotOrder': 1 });
         
         res.status(200).json({
@@ -560,8 +1335,9 @@ const getBookingsByOwner = async (req, res, next) => {
 
 /**
  * @desc    Get schedule for a machine on a date
+ *          (the machine's owner sees every booking, others only their own)
  * @route   GET /api/v1/bookings/schedule/:machineId
- * @access  Public
+ * @access  Private
  */
 const getMachineSchedule = async (req, res, next) => {
     try {
@@ -574,16 +1350,29 @@ const getMachineSchedule = async (req, res, next) => {
             });
         }
         
+        const machine = await Machine.findById(req.params.machineId);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
         const scheduleDate = new Date(date);
         const bookings = await Booking.getBookingsForDate(req.params.machineId, scheduleDate);
         
-        await Booking.populate(bookings, [
+        // Capacity counts every booking; details only go to the owner or the booking's farmer
+        const visible = canManageMachine(req.user, machine)
+            ? bookings
+            : bookings.filter(b => isSelfOrAdmin(req.user, b.farmer));
+        
+        await Booking.populate(visible, [
             { path: 'farmer', select: 'name phone' },
             { path: 'machine', select: 'name type availability' }
         ]);
         
         // Calculate remaining capacity
-        const machine = await Machine.findById(req.params.machineId);
         let totalBookedAcres = 0;
         let totalBookedMinutes = 0;
         
@@ -592,8 +1381,8 @@ const getMachineSchedule = async (req, res, next) => {
             totalBookedMinutes += b.estimatedDuration;
         });
         
-        const remainingCapacityAcres = machine ? Math.max(0, machine.dailyCapacityAcres - totalBookedAcres) : 0;
-        const workingMinutes = machine ? (machine.availability.workingHoursEnd - machine.availability.workingHoursStart) * 60 : 0;
+        const remainingCapacityAcres = Math.max(0, machine.dailyCapacityAcres - totalBookedAcres);
+        const workingMinutes = scheduler.getWorkingMinutes(machine, scheduleDate);
         const remainingMinutes = Math.max(0, workingMinutes - totalBookedMinutes);
         
         res.status(200).json({
@@ -606,8 +1395,272 @@ const getMachineSchedule = async (req, res, next) => {
                 remainingCapacityAcres,
                 remainingMinutes
             },
-            data: bookings
+            data: visible
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Load a machine for its job sheet, checking the user may see it
+ * @param {Object} req - Request with params.machineId
+ * @param {Object} res - Response
+ * @returns {Promise<Object|null>} - Machine, or null once an error response is sent
+ */
+const findJobSheetMachine = async (req, res) => {
+    const machine = await Machine.findById(req.params.machineId);
+    
+    if (!machine) {
+        res.status(404).json({
+            success: false,
+            message: 'Machine not found'
         });
+        return null;
+    }
+    
+    if (!canManageMachine(req.user, machine)) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to view this machine\'s job sheet'
+        });
+        return null;
+    }
+    
+    return machine;
+};
+
+/**
+ * @desc    Preview a machine's daily job sheet and when it was last sent
+ * @route   GET /api/v1/bookings/job-sheet/:machineId
+ * @access  Private (Owner/Admin)
+ */
+const getJobSheet = async (req, res, next) => {
+    try {
+        const machine = await findJobSheetMachine(req, res);
+        if (!machine) return;
+        
+        const day = scheduler.startOfDay(req.query.date || new Date());
+        const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        
+        const bookings = await Booking.find({
+            machine: machine._id,
+            date: { $gte: day, $lt: nextDay },
+            status: { $in: JOB_SHEET_STATUSES }
+        }).populate('farmer', 'name phone');
+        
+        const sheet = buildJobSheet(machine, day, bookings);
+        const lastSent = await JobSheet.findOne({ machine: machine._id, date: day });
+        const owner = await User.findById(machine.owner).select('name phone');
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                ...sheet,
+                recipient: getSheetRecipient(machine, owner),
+                text: formatJobSheet(sheet, { updated: Boolean(lastSent?.fingerprint) }),
+                lastSent
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send a machine's daily job sheet to its operator now
+ * @route   POST /api/v1/bookings/job-sheet/:machineId
+ * @access  Private (Owner/Admin)
+ */
+const sendJobSheet = async (req, res, next) => {
+    try {
+        const machine = await findJobSheetMachine(req, res);
+        if (!machine) return;
+        
+        const { sheet, text, jobSheet, sent, channelOff } = await JobSheet.send(machine, req.body.date || new Date(), {
+            reason: 'manual',
+            force: true
+        });
+        
+        if (channelOff) {
+            return res.status(400).json({
+                success: false,
+                message: `Job sheets are turned off for the ${machine.operator?.channel || 'sms'} channel`
+            });
+        }
+        
+        res.status(sent ? 200 : 502).json({
+            success: sent,
+            message: sent
+                ? `Job sheet sent to ${jobSheet.recipient.name || jobSheet.recipient.phone}`
+                : `Job sheet could not be sent: ${jobSheet.delivery.failureReason}`,
+            data: { ...sheet, text, lastSent: jobSheet }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a booking's payments and balance
+ * @route   GET /api/v1/bookings/:id/payments
+ * @access  Private
+ */
+const getBookingPayments = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        const summary = await LedgerEntry.getBookingSummary(booking._id);
+        const balanceDue = booking.status === 'cancelled'
+            ? 0
+            : Math.max(0, booking.cost.totalCost - summary.net);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                totalCost: booking.cost.totalCost,
+                depositDue: calculateDeposit(booking.cost.totalCost),
+                ...summary,
+                balanceDue
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a booking's status history
+ * @route   GET /api/v1/bookings/:id/history
+ * @access  Private
+ */
+const getBookingHistory = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .select('farmer owner status statusHistory')
+            .populate('statusHistory.actor', 'name role');
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                status: booking.status,
+                allowedNext: STATUS_TRANSITIONS[booking.status],
+                history: booking.statusHistory
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview the fee and refund if a booking were cancelled now
+ * @route   GET /api/v1/bookings/:id/cancellation
+ * @access  Private (Farmer/Admin)
+ */
+const getCancellationPreview = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this booking'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: await getCancellationTerms(booking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download a completed booking's invoice
+ * @route   GET /api/v1/bookings/:id/invoice
+ * @access  Private
+ */
+const getBookingInvoice = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invoices are issued once the booking is completed'
+            });
+        }
+        
+        // Bookings completed before invoicing existed get theirs on first download
+        let invoice = await Invoice.findOne({ booking: booking._id });
+        if (!invoice) {
+            invoice = await Invoice.issueForBooking(booking, await Machine.findById(booking.machine));
+        }
+        await invoice.populate([
+            { path: 'owner', select: 'name email phone' },
+            { path: 'farmer', select: 'name email phone' }
+        ]);
+        const payments = await LedgerEntry.getBookingSummary(booking._id);
+        
+        const format = req.query.format || (req.accepts(['html', 'pdf']) === 'pdf' ? 'pdf' : 'html');
+        if (format === 'pdf') {
+            res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+            return res.type('application/pdf').send(renderInvoicePdf(invoice, payments));
+        }
+        
+        res.type('html').send(renderInvoiceHtml(invoice, payments));
     } catch (error) {
         next(error);
     }
@@ -619,10 +1672,21 @@ module.exports = {
     getBookingById,
     updateBooking,
     cancelBooking,
+    getCancellationPreview,
     confirmBooking,
+    rejectBooking,
+    proposeCounterOffer,
+    acceptCounterOffer,
+    declineCounterOffer,
+    startBooking,
     completeBooking,
     scheduleBookings,
     getBookingsByFarmer,
     getBookingsByOwner,
-    getMachineSchedule
+    getMachineSchedule,
+    getJobSheet,
+    sendJobSheet,
+    getBookingPayments,
+    getBookingInvoice,
+    getBookingHistory
 };
@@ -7,9 +7,15 @@
 const userController = require('./userController');
 const machineController = require('./machineController');
 const bookingController = require('./bookingController');
+const paymentController = require('./paymentController');
+const notificationController = require('./notificationController');
+const jobController = require('./jobController');
 
 module.exports = {
     userController,
     machineController,
-    bookingController
+    bookingController,
+    paymentController,
+    notificationController,
+    jobController
 };
@@ -0,0 +1,104 @@
+/**
+ * Background Job Controller
+ *
+ * Admin view of the recurring background jobs: their schedule, state and
+ * recent runs, running one now and turning one on or off
+ */
+
+const { getJob, getJobStatuses, runJobNow, setJobEnabled } = require('../utils/jobRunner');
+// Registers the jobs
+require('../utils/backgroundJobs');
+
+/**
+ * @desc    Get every background job with its state and recent runs
+ * @route   GET /api/v1/jobs
+ * @access  Private (Admin)
+ */
+const getJobs = async (req, res, next) => {
+    try {
+        const jobs = await getJobStatuses();
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            data: jobs
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Run a background job now
+ * @route   POST /api/v1/jobs/:name/run
+ * @access  Private (Admin)
+ */
+const runJob = async (req, res, next) => {
+    try {
+        if (!getJob(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Background job not found'
+            });
+        }
+
+        const run = await runJobNow(req.params.name);
+
+        if (!run) {
+            return res.status(409).json({
+                success: false,
+                message: 'This job is already running'
+            });
+        }
+
+        res.status(200).json({
+            success: run.status === 'succeeded',
+            message: run.status === 'succeeded' ? 'Job ran successfully' : `Job failed: ${run.error}`,
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Turn a background job on or off
+ * @route   PATCH /api/v1/jobs/:name
+ * @access  Private (Admin)
+ */
+const updateJob = async (req, res, next) => {
+    try {
+        if (!getJob(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Background job not found'
+            });
+        }
+
+        if (typeof req.body.enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        const state = await setJobEnabled(req.params.name, req.body.enabled);
+
+        res.status(200).json({
+            success: true,
+            message: `Job ${state.enabled ? 'enabled' : 'disabled'}`,
+            data: {
+                name: state.name,
+                enabled: state.enabled
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getJobs,
+    runJob,
+    updateJob
+};
@@ -6,11 +6,49 @@
 
 const Machine = require('../models/Machine');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const ServiceRecord = require('../models/ServiceRecord');
+const scheduler = require('../algorithms/scheduler');
+const { getDayAvailability, findNextAvailableDays } = require('../utils/availability');
+const { canManageMachine } = require('../utils/permissions');
+const { calibrateMachine, calibrateAllMachines } = require('../utils/timeCalibration');
+const { DEFAULT_RESPONSE_HOURS, RESPONSE_STATS_DAYS, summarizeOwnerResponses } = require('../utils/responseDeadline');
+const { validateBlackout, describeBlackout } = require('../utils/blackouts');
+const { validateWeeklyHours } = require('../utils/workingHours');
+const { notifyParties } = require('../utils/bookingEffects');
+const { buildIntervals, validateService, resetIntervals, summarizeMaintenance } = require('../utils/maintenance');
+
+/**
+ * Flag the machine's open bookings that fall inside a new blackout and tell the farmers
+ * @param {Object} machine - Machine document
+ * @param {Object} blackout - Blackout just added
+ * @param {Object} actor - User who added it
+ * @returns {Promise<Array>} - Flagged bookings [{ bookingId, date, status }]
+ */
+const flagBlackoutConflicts = async (machine, blackout, actor) => {
+    const rangeEnd = new Date(blackout.endDate);
+    rangeEnd.setHours(23, 59, 59, 999);
+    const reason = describeBlackout(blackout);
+    
+    const bookings = await Booking.find({
+        machine: machine._id,
+        date: { $gte: scheduler.startOfDay(blackout.startDate), $lte: rangeEnd },
+        status: { $in: ['pending', 'countered', 'confirmed'] }
+    });
+    
+    for (const booking of bookings) {
+        booking.rescheduleRequired = { blackout: blackout._id, reason, flaggedAt: new Date() };
+        await booking.save();
+        await notifyParties(booking, actor, 'booking_reschedule_needed', { reason });
+    }
+    
+    return bookings.map(b => ({ bookingId: b._id, date: b.date, status: b.status }));
+};
 
 /**
  * @desc    Add a new machine
  * @route   POST /api/v1/machines
- * @access  Public (would be owner only in production)
+ * @access  Private (Owner/Admin)
  */
 const addMachine = async (req, res, next) => {
     try {
@@ -23,11 +61,17 @@ const addMachine = async (req, res, next) => {
             location,
             pricing,
             availability,
+            cancellationPolicy,
+            responseDeadlineHours,
+            operator,
             dailyCapacityAcres
         } = req.body;
         
+        // Owners list their own machines; admins may list on behalf of an owner
+        const ownerId = req.user.role === 'admin' && owner ? owner : req.user._id;
+        
         // Verify owner exists and has owner role
-        const ownerUser = await User.findById(owner);
+        const ownerUser = await User.findById(ownerId);
         if (!ownerUser) {
             return res.status(404).json({
                 success: false,
@@ -46,12 +90,15 @@ const addMachine = async (req, res, next) => {
         const machine = await Machine.create({
             name,
             type,
-            owner,
+            owner: ownerId,
             description,
             specifications,
             location,
             pricing,
             availability,
+            cancellationPolicy,
+            responseDeadlineHours,
+            operator,
             dailyCapacityAcres
         });
         
@@ -158,7 +205,7 @@ const getMachineById = async (req, res, next) => {
 /**
  * @desc    Update machine
  * @route   PUT /api/v1/machines/:id
- * @access  Public (would be owner only in production)
+ * @access  Private (Owner/Admin)
  */
 const updateMachine = async (req, res, next) => {
     try {
@@ -171,10 +218,17 @@ const updateMachine = async (req, res, next) => {
             });
         }
         
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
         // Fields that can be updated
         const allowedUpdates = [
             'name', 'description', 'specifications', 'location',
-            'pricing', 'availability', 'dailyCapacityAcres', 'status'
+            'pricing', 'cancellationPolicy', 'responseDeadlineHours', 'operator', 'dailyCapacityAcres', 'status'
         ];
         
         // Apply updates
@@ -184,6 +238,21 @@ const updateMachine = async (req, res, next) => {
             }
         });
         
+        // Availability is merged field by field, so the learned times per work type survive an edit
+        const availabilityUpdates = [
+            'isAvailable', 'workingHoursStart', 'workingHoursEnd', 'availableDays', 'weeklyHours', 'timePerAcre'
+        ];
+        availabilityUpdates.forEach(field => {
+            if (req.body.availability?.[field] !== undefined) {
+                machine.availability[field] = req.body.availability[field];
+            }
+        });
+        
+        // Proposals come from the calibration job; owners only choose whether they apply themselves
+        if (req.body.timeCalibration?.autoApply !== undefined) {
+            machine.timeCalibration.autoApply = Boolean(req.body.timeCalibration.autoApply);
+        }
+        
         await machine.save();
         await machine.populate('owner', 'name email phone');
         
@@ -200,11 +269,11 @@ const updateMachine = async (req, res, next) => {
 /**
  * @desc    Delete machine
  * @route   DELETE /api/v1/machines/:id
- * @access  Public (would be owner only in production)
+ * @access  Private (Owner/Admin)
  */
 const deleteMachine = async (req, res, next) => {
     try {
-        const machine = await Machine.findByIdAndDelete(req.params.id);
+        const machine = await Machine.findById(req.params.id);
         
         if (!machine) {
             return res.status(404).json({
@@ -213,6 +282,15 @@ const deleteMachine = async (req, res, next) => {
             });
         }
         
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        await machine.deleteOne();
+        
         res.status(200).json({
             success: true,
             message: 'Machine deleted successfully'
@@ -246,11 +324,21 @@ const getMachinesByOwner = async (req, res, next) => {
 /**
  * @desc    Update machine availability
  * @route   PATCH /api/v1/machines/:id/availability
- * @access  Public (would be owner only in production)
+ * @access  Private (Owner/Admin)
  */
 const updateMachineAvailability = async (req, res, next) => {
     try {
-        const { isAvailable, workingHoursStart, workingHoursEnd, availableDays } = req.body;
+        const { isAvailable, workingHoursStart, workingHoursEnd, availableDays, weeklyHours } = req.body;
+        
+        if (weeklyHours !== undefined) {
+            const error = validateWeeklyHours(weeklyHours);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
         
         const machine = await Machine.findById(req.params.id);
         
@@ -261,11 +349,20 @@ const updateMachineAvailability = async (req, res, next) => {
             });
         }
         
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
         // Update availability fields
         if (isAvailable !== undefined) machine.availability.isAvailable = isAvailable;
         if (workingHoursStart !== undefined) machine.availability.workingHoursStart = workingHoursStart;
         if (workingHoursEnd !== undefined) machine.availability.workingHoursEnd = workingHoursEnd;
         if (availableDays !== undefined) machine.availability.availableDays = availableDays;
+        // A template replaces the whole-hour settings (an empty one goes back to them)
+        if (weeklyHours !== undefined) machine.availability.weeklyHours = weeklyHours;
         
         await machine.save();
         
@@ -352,6 +449,752 @@ const searchNearbyMachines = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get free booking slots for a machine on a day
+ * @route   GET /api/v1/machines/:id/slots?date=&acres=&workType=&latitude=&longitude=&days=
+ * @access  Public
+ */
+const getMachineSlots = async (req, res, next) => {
+    try {
+        const { date, acres, workType, latitude, longitude, days = 3 } = req.query;
+        
+        if (!date || !acres) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date and acres are required'
+            });
+        }
+        
+        const acresValue = parseFloat(acres);
+        const requestedDay = scheduler.startOfDay(date);
+        
+        if (!(acresValue > 0) || isNaN(requestedDay)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date must be valid and acres must be greater than 0'
+            });
+        }
+        
+        if (requestedDay < scheduler.startOfDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date must be today or in the future'
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const fieldLocation = latitude && longitude
+            ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+            : null;
+        
+        const { slots, reason } = await getDayAvailability(machine, requestedDay, acresValue, { fieldLocation, workType });
+        
+        // Next few days that still have room
+        const nextAvailable = await findNextAvailableDays(
+            machine, requestedDay, acresValue, parseInt(days) || 0, { fieldLocation, workType }
+        );
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                date: scheduler.toDateKey(requestedDay),
+                acres: acresValue,
+                requiredDuration: machine.calculateTimeRequired(acresValue, workType),
+                available: slots.length > 0,
+                reason,
+                slots,
+                nextAvailable
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Price a job on a machine without booking it
+ * @route   POST /api/v1/machines/:id/quote
+ * @access  Public
+ */
+const getMachineQuote = async (req, res, next) => {
+    try {
+        const { acres, date, fieldLocation, workType, priority = 1 } = req.body;
+        
+        const acresValue = parseFloat(acres);
+        const requestedDay = date ? scheduler.startOfDay(date) : null;
+        
+        if (!(acresValue > 0) || !requestedDay || isNaN(requestedDay)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid date and acres greater than 0 are required'
+            });
+        }
+        
+        if (requestedDay < scheduler.startOfDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date must be today or in the future'
+            });
+        }
+        
+        const priorityValue = parseInt(priority);
+        if (![1, 2, 3].includes(priorityValue)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Priority must be 1 (normal), 2 (high) or 3 (urgent)'
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (acresValue < machine.pricing.minimumAcres) {
+            return res.status(400).json({
+                success: false,
+                message: `Minimum booking is ${machine.pricing.minimumAcres} acres`
+            });
+        }
+        
+        // Same pricing createBooking applies: travel from the machine's home to the field
+        const travelDistanceKm = scheduler.calculateDistance(
+            machine.location?.coordinates,
+            fieldLocation?.coordinates
+        );
+        const quote = machine.calculateCost(acresValue, travelDistanceKm, {
+            date: requestedDay,
+            priority: priorityValue
+        });
+        
+        // Earliest feasible slot: the requested day, else the next day with room
+        const availabilityOptions = { fieldLocation: fieldLocation?.coordinates, workType };
+        const { slots, reason } = await getDayAvailability(machine, requestedDay, acresValue, availabilityOptions);
+        let earliestSlot = null;
+        if (slots.length) {
+            earliestSlot = { date: scheduler.toDateKey(requestedDay), startTime: slots[0].startTime, endTime: slots[0].endTime };
+        } else {
+            const [nextDay] = await findNextAvailableDays(machine, requestedDay, acresValue, 1, availabilityOptions);
+            if (nextDay) {
+                earliestSlot = { date: nextDay.date, startTime: nextDay.slots[0].startTime, endTime: nextDay.slots[0].endTime };
+            }
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                date: scheduler.toDateKey(requestedDay),
+                acres: acresValue,
+                priority: priorityValue,
+                ...quote,
+                estimatedDuration: machine.calculateTimeRequired(acresValue, workType),
+                available: slots.length > 0,
+                reason,
+                earliestSlot
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add a blackout period (service, repairs, owner's use, holiday)
+ * @route   POST /api/v1/machines/:id/blackouts
+ * @access  Private (Owner/Admin)
+ */
+const addBlackout = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const validationError = validateBlackout(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+        
+        const { startDate, endDate, reason, note } = req.body;
+        machine.blackouts.push({ startDate, endDate, reason, note });
+        await machine.save();
+        
+        // Bookings already on those days need a new date
+        const blackout = machine.blackouts[machine.blackouts.length - 1];
+        const conflicts = await flagBlackoutConflicts(machine, blackout, req.user);
+        
+        res.status(201).json({
+            success: true,
+            message: conflicts.length
+                ? `Blackout added; ${conflicts.length} booking(s) on those days need a new date`
+                : 'Blackout added',
+            data: {
+                blackout,
+                conflicts
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a blackout period
+ * @route   DELETE /api/v1/machines/:id/blackouts/:blackoutId
+ * @access  Private (Owner/Admin)
+ */
+const removeBlackout = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const blackout = machine.blackouts.id(req.params.blackoutId);
+        if (!blackout) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blackout not found'
+            });
+        }
+        
+        blackout.deleteOne();
+        await machine.save();
+        
+        // Bookings flagged only because of it can stay where they are
+        const { modifiedCount } = await Booking.updateMany(
+            { 'rescheduleRequired.blackout': blackout._id },
+            { $unset: { rescheduleRequired: 1 } }
+        );
+        
+        res.status(200).json({
+            success: true,
+            message: 'Blackout removed',
+            data: {
+                blackouts: machine.blackouts,
+                unflaggedBookings: modifiedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get how often and how fast the owner answers this machine's booking requests
+ * @route   GET /api/v1/machines/:id/response-stats
+ * @access  Public
+ */
+const getMachineResponseStats = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id).select('responseDeadlineHours');
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const since = new Date(Date.now() - RESPONSE_STATS_DAYS * 24 * 60 * 60 * 1000);
+        const bookings = await Booking.find({ machine: machine._id, createdAt: { $gte: since } })
+            .select('createdAt statusHistory');
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                deadlineHours: machine.responseDeadlineHours || DEFAULT_RESPONSE_HOURS,
+                periodDays: RESPONSE_STATS_DAYS,
+                ...summarizeOwnerResponses(bookings)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a machine's learned time per acre and pending calibration proposals
+ * @route   GET /api/v1/machines/:id/time-calibration
+ * @access  Private (Owner/Admin)
+ */
+const getTimeCalibration = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this machine\'s calibration'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                timePerAcre: machine.availability.timePerAcre,
+                timePerAcreByWorkType: machine.availability.timePerAcreByWorkType,
+                autoApply: machine.timeCalibration.autoApply,
+                lastRunAt: machine.timeCalibration.lastRunAt,
+                proposals: machine.timeCalibration.proposals
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Recalibrate a machine's time per acre from its completed jobs
+ * @route   POST /api/v1/machines/:id/time-calibration
+ * @access  Private (Owner/Admin)
+ */
+const runTimeCalibration = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const result = await calibrateMachine(machine, { apply: req.body.apply === true });
+        
+        res.status(200).json({
+            success: true,
+            message: result.applied.length
+                ? `Applied ${result.applied.length} new time-per-acre estimate(s)`
+                : `${result.proposals.length} time-per-acre estimate(s) proposed`,
+            data: {
+                ...result,
+                timePerAcre: machine.availability.timePerAcre,
+                timePerAcreByWorkType: machine.availability.timePerAcreByWorkType
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Apply pending calibration proposals
+ * @route   POST /api/v1/machines/:id/time-calibration/apply
+ * @access  Private (Owner/Admin)
+ */
+const applyTimeCalibration = async (req, res, next) => {
+    try {
+        const { workTypes } = req.body;
+        
+        if (workTypes !== undefined && !Array.isArray(workTypes)) {
+            return res.status(400).json({
+                success: false,
+                message: 'workTypes must be a list of work types'
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const applied = machine.applyTimeCalibration(workTypes);
+        
+        if (!applied.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'No matching calibration proposals to apply'
+            });
+        }
+        
+        await machine.save();
+        
+        res.status(200).json({
+            success: true,
+            message: `Applied ${applied.length} time-per-acre estimate(s)`,
+            data: {
+                applied,
+                timePerAcre: machine.availability.timePerAcre,
+                timePerAcreByWorkType: machine.availability.timePerAcreByWorkType,
+                proposals: machine.timeCalibration.proposals
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Recalibrate every active machine
+ * @route   POST /api/v1/machines/time-calibration/run
+ * @access  Private (Admin)
+ */
+const runAllTimeCalibrations = async (req, res, next) => {
+    try {
+        const summary = await calibrateAllMachines();
+        
+        res.status(200).json({
+            success: true,
+            count: summary.length,
+            data: summary
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a machine's usage, service intervals with their status, and service log
+ * @route   GET /api/v1/machines/:id/maintenance
+ * @access  Private (Owner/Admin)
+ */
+const getMaintenance = async (req, res, next) => {
+    try {
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this machine\'s maintenance'
+            });
+        }
+        
+        const services = await ServiceRecord.find({ machine: machine._id }).sort({ createdAt: -1 });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                ...summarizeMaintenance(machine.maintenance),
+                services,
+                totalCost: services
+                    .filter(s => s.status === 'completed')
+                    .reduce((sum, s) => sum + (s.cost || 0), 0)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Set a machine's service intervals and/or correct its engine hours
+ * @route   PUT /api/v1/machines/:id/maintenance
+ * @access  Private (Owner/Admin)
+ */
+const updateMaintenance = async (req, res, next) => {
+    try {
+        const { engineHours, intervals } = req.body;
+        
+        if (engineHours !== undefined && !(Number(engineHours) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Engine hours must be 0 or more'
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        if (engineHours !== undefined) {
+            machine.maintenance.engineHours = Number(engineHours);
+        }
+        
+        // New intervals count from the corrected hour meter
+        if (intervals !== undefined) {
+            const result = buildIntervals(machine.maintenance.intervals, intervals, machine.maintenance);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            machine.maintenance.intervals = result.intervals;
+        }
+        
+        await machine.save();
+        
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance settings updated',
+            data: summarizeMaintenance(machine.maintenance)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Log a service carried out, or book one for a later day (optionally blacking out the machine)
+ * @route   POST /api/v1/machines/:id/maintenance/services
+ * @access  Private (Owner/Admin)
+ */
+const logService = async (req, res, next) => {
+    try {
+        const validationError = validateService(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const { description, intervals = [], date, cost, notes, blackout, blackoutEndDate } = req.body;
+        
+        if (!Array.isArray(intervals) || intervals.some(id => !machine.maintenance.intervals.id(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'intervals must list this machine\'s service intervals'
+            });
+        }
+        
+        // A service on a later day is booked; one today or earlier was carried out
+        const now = new Date();
+        const serviceDate = date ? new Date(date) : now;
+        const scheduled = scheduler.startOfDay(serviceDate) > scheduler.startOfDay(now);
+        
+        if (blackout && !scheduled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only a service booked for a later day can black out the machine'
+            });
+        }
+        
+        const service = new ServiceRecord({
+            machine: machine._id,
+            owner: machine.owner,
+            description,
+            intervals,
+            status: scheduled ? 'scheduled' : 'completed',
+            cost: Number(cost) || 0,
+            notes
+        });
+        
+        let addedBlackout = null;
+        if (scheduled) {
+            service.scheduledFor = scheduler.startOfDay(serviceDate);
+            
+            if (blackout) {
+                const window = {
+                    startDate: service.scheduledFor,
+                    endDate: blackoutEndDate ? new Date(blackoutEndDate) : service.scheduledFor,
+                    reason: 'service',
+                    note: service.description
+                };
+                const blackoutError = validateBlackout(window);
+                if (blackoutError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: blackoutError
+                    });
+                }
+                machine.blackouts.push(window);
+                addedBlackout = machine.blackouts[machine.blackouts.length - 1];
+                service.blackout = addedBlackout._id;
+            }
+        } else {
+            service.completedAt = serviceDate < now ? serviceDate : now;
+            service.engineHours = machine.maintenance.engineHours;
+            service.acresWorked = machine.maintenance.acresWorked;
+            resetIntervals(machine.maintenance.intervals, intervals, machine.maintenance, service.completedAt);
+        }
+        
+        await machine.save();
+        await service.save();
+        
+        // Bookings already on the service days need a new date
+        const conflicts = addedBlackout ? await flagBlackoutConflicts(machine, addedBlackout, req.user) : [];
+        
+        res.status(201).json({
+            success: true,
+            message: scheduled
+                ? `Service booked${conflicts.length ? `; ${conflicts.length} booking(s) on those days need a new date` : ''}`
+                : 'Service logged',
+            data: {
+                service,
+                blackout: addedBlackout,
+                conflicts,
+                maintenance: summarizeMaintenance(machine.maintenance)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a booked service as done, with its final cost
+ * @route   PATCH /api/v1/machines/:id/maintenance/services/:serviceId/complete
+ * @access  Private (Owner/Admin)
+ */
+const completeService = async (req, res, next) => {
+    try {
+        const { cost, notes } = req.body;
+        
+        if (cost !== undefined && !(Number(cost) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Service cost must be 0 or more'
+            });
+        }
+        
+        const machine = await Machine.findById(req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const service = await ServiceRecord.findOne({ _id: req.params.serviceId, machine: machine._id });
+        
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+        
+        if (service.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Service is already completed'
+            });
+        }
+        
+        service.status = 'completed';
+        service.completedAt = new Date();
+        service.engineHours = machine.maintenance.engineHours;
+        service.acresWorked = machine.maintenance.acresWorked;
+        if (cost !== undefined) service.cost = Number(cost);
+        if (notes !== undefined) service.notes = notes;
+        
+        resetIntervals(machine.maintenance.intervals, service.intervals, machine.maintenance, service.completedAt);
+        await machine.save();
+        await service.save();
+        
+        res.status(200).json({
+            success: true,
+            message: 'Service completed',
+            data: {
+                service,
+                maintenance: summarizeMaintenance(machine.maintenance)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     addMachine,
     getAllMachines,
@@ -360,5 +1203,18 @@ module.exports = {
     deleteMachine,
     getMachinesByOwner,
     updateMachineAvailability,
-    searchNearbyMachines
+    searchNearbyMachines,
+    getMachineSlots,
+    getMachineQuote,
+    getMachineResponseStats,
+    addBlackout,
+    removeBlackout,
+    getTimeCalibration,
+    runTimeCalibration,
+    applyTimeCalibration,
+    runAllTimeCalibrations,
+    getMaintenance,
+    updateMaintenance,
+    logService,
+    completeService
 };
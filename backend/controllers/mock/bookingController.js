@@ -3,7 +3,318 @@
  * In-memory implementation when MongoDB is not available
  */
 
-const { bookings, machines, users, generateId, populateBooking } = require('../../data/mockData');
+const {
+    users,
+    bookings,
+    machines,
+    ledgerEntries,
+    invoices,
+    jobSheets,
+    generateId,
+    calculateMockCost,
+    populateBooking
+} = require('../../data/mockData');
+const { isSelfOrAdmin, canManageMachine, canViewBooking } = require('../../utils/permissions');
+const { toSchedulerMachine, getMockDayAvailability, findMockNextAvailableDays, recordMockMachineUsage } = require('./machineController');
+const scheduler = require('../../algorithms/scheduler');
+const { DEPOSIT_PERCENT, calculateDeposit, summarizeLedger, findRefundableCharge, processPayment } = require('../../utils/payments');
+const { DEFAULT_POLICY, calculateCancellation } = require('../../utils/cancellation');
+const { STATUS_TRANSITIONS, canTransition, assertTransition } = require('../../utils/bookingStatus');
+const { calculateRespondBy, getExpiryReason } = require('../../utils/responseDeadline');
+const { describeUnavailableDay } = require('../../utils/blackouts');
+const { buildWorkLog, repriceForActualAcres } = require('../../utils/workLog');
+const { notifyMock, notifyMockParties } = require('./notificationController');
+const { sendOnChannel } = require('../../utils/notificationChannels');
+const {
+    buildJobSheet,
+    formatJobSheet,
+    fingerprintJobSheet,
+    getSheetRecipient
+} = require('../../utils/jobSheet');
+const {
+    TAX_PERCENT,
+    formatInvoiceNumber,
+    calculateIncludedTax,
+    renderInvoiceHtml,
+    renderInvoicePdf
+} = require('../../utils/invoices');
+
+/**
+ * Move money for a mock booking and record it in the in-memory ledger
+ * @param {Object} booking - Mock booking
+ * @param {string} type - 'deposit', 'balance', 'cancellation_fee' or 'refund'
+ * @param {number} amount - Amount in rupees
+ * @param {string} description - Ledger description
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const recordMockPayment = async (booking, type, amount, description) => {
+    const providerRef = type === 'refund'
+        ? findRefundableCharge(ledgerEntries.filter(e => e.booking === booking._id))
+        : undefined;
+    const result = await processPayment(type, { amount, reference: booking._id, payer: booking.farmer, providerRef });
+    const entry = {
+        _id: generateId('payment'),
+        booking: booking._id,
+        farmer: booking.farmer,
+        owner: booking.owner,
+        type,
+        amount,
+        ...result,
+        description,
+        createdAt: new Date()
+    };
+    ledgerEntries.push(entry);
+    return entry;
+};
+
+/**
+ * Issue a mock booking's invoice (or return the one already issued)
+ * @param {Object} booking - Completed mock booking
+ * @returns {Object} - Invoice
+ */
+const issueMockInvoice = (booking) => {
+    const existing = invoices.find(i => i.booking === booking._id);
+    if (existing) return existing;
+    
+    const machine = machines.find(m => m._id === booking.machine);
+    const sequence = invoices.filter(i => i.owner === booking.owner).length + 1;
+    const totalCost = booking.cost?.totalCost || 0;
+    const invoice = {
+        _id: generateId('invoice'),
+        owner: booking.owner,
+        farmer: booking.farmer,
+        booking: booking._id,
+        sequence,
+        number: formatInvoiceNumber(sequence),
+        machineName: machine?.name,
+        workDate: booking.date,
+        acres: booking.workLog?.actualAcres ?? booking.acres,
+        ratePerAcre: machine?.pricing?.ratePerAcre,
+        items: booking.cost?.items || [],
+        travelCost: booking.cost?.travelCost || 0,
+        travelDistanceKm: booking.cost?.travelDistanceKm || 0,
+        totalCost,
+        taxPercent: TAX_PERCENT,
+        taxAmount: calculateIncludedTax(totalCost),
+        issuedAt: new Date()
+    };
+    invoices.push(invoice);
+    return invoice;
+};
+
+/**
+ * Move a mock booking to a new status and record the change
+ * @param {Object} booking - Mock booking
+ * @param {string} status - New status
+ * @param {Object} options - { actor (user id), reason }
+ * @throws {Error} - 400 if the transition table does not allow the change
+ */
+const transitionMockBooking = (booking, status, { actor, reason } = {}) => {
+    assertTransition(booking.status, status);
+    booking.statusHistory = [
+        ...(booking.statusHistory || []),
+        { from: booking.status, to: status, actor, reason, changedAt: new Date() }
+    ];
+    booking.status = status;
+};
+
+/**
+ * Work out what cancelling a mock booking now would cost under its machine's policy
+ * @param {Object} booking - Mock booking
+ * @returns {Object} - Result of calculateCancellation, plus the policy applied
+ */
+const getMockCancellationTerms = (booking) => {
+    const machine = machines.find(m => m._id === booking.machine);
+    const policy = { ...DEFAULT_POLICY, ...machine?.cancellationPolicy };
+    const { net } = summarizeLedger(ledgerEntries.filter(e => e.booking === booking._id));
+    
+    const terms = calculateCancellation(booking, {
+        policy,
+        workingStartMinutes: scheduler.getWorkingIntervals(toSchedulerMachine(machine), booking.date)[0]?.start ?? 8 * 60,
+        paid: net
+    });
+    return { ...terms, paid: net, policy };
+};
+
+/**
+ * Move the money a status change calls for: deposit on confirm, balance
+ * (or overpayment refund) on completion, refund less any late fee on cancellation
+ * @param {Object} booking - Mock booking (already in its new status)
+ * @returns {Promise<Object|null>} - Ledger entry, or null if nothing was due
+ */
+const settleMockPayments = async (booking) => {
+    const { net } = summarizeLedger(ledgerEntries.filter(e => e.booking === booking._id));
+    const totalCost = booking.cost?.totalCost || 0;
+    const fee = booking.cancellation?.fee || 0;
+    
+    if (booking.status === 'confirmed' && calculateDeposit(totalCost) > net) {
+        return recordMockPayment(booking, 'deposit', calculateDeposit(totalCost) - net, `Deposit (${DEPOSIT_PERCENT}%)`);
+    }
+    if (booking.status === 'completed' && totalCost > net) {
+        return recordMockPayment(booking, 'balance', totalCost - net, 'Balance on completion');
+    }
+    if (booking.status === 'completed' && net > totalCost) {
+        return recordMockPayment(booking, 'refund', net - totalCost, 'Refund for acres not worked');
+    }
+    if (booking.status === 'cancelled' && net > fee) {
+        return recordMockPayment(booking, 'refund', net - fee, 'Refund on cancellation');
+    }
+    if (booking.status === 'cancelled' && fee > net) {
+        return recordMockPayment(booking, 'cancellation_fee', fee - net, `Cancellation fee (${booking.cancellation.feePercent}%)`);
+    }
+    return null;
+};
+
+/**
+ * Cancel a mock booking under its machine's policy
+ * @param {Object} booking - Mock booking
+ * @param {string} reason - Cancellation reason
+ * @param {string} actor - User cancelling
+ * @returns {Promise<Object>} - { terms, payment }; terms.allowed is false if nothing changed
+ */
+const cancelMockBooking = async (booking, reason, actor) => {
+    const terms = getMockCancellationTerms(booking);
+    if (!terms.allowed) return { terms, payment: null };
+    
+    transitionMockBooking(booking, 'cancelled', { actor, reason });
+    booking.cancellationReason = reason;
+    booking.cancellation = {
+        fee: terms.fee,
+        feePercent: terms.feePercent,
+        hoursBeforeStart: terms.hoursBeforeStart,
+        cancelledAt: new Date()
+    };
+    return { terms, payment: await settleMockPayments(booking) };
+};
+
+/**
+ * Complete a mock booking, recording the actual work, billing for it and
+ * adding its usage to the machine
+ * @param {Object} booking - Confirmed or in-progress mock booking
+ * @param {Object} actuals - { actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes }
+ * @param {string} actor - User completing
+ * @returns {Promise<Object>} - { payment, invoice } or { error }
+ */
+const completeMockBooking = async (booking, actuals, actor) => {
+    const hasActuals = Object.values(actuals).some(value => value !== undefined && value !== '');
+    
+    if (hasActuals || booking.workLog?.startedAt) {
+        const { workLog, error } = buildWorkLog(booking, actuals);
+        if (error) return { error };
+        
+        const machine = machines.find(m => m._id === booking.machine);
+        const cost = machine && repriceForActualAcres(booking, workLog.actualAcres, acres =>
+            calculateMockCost(machine, acres, booking.fieldLocation?.coordinates, {
+                date: booking.date,
+                priority: booking.priority
+            }));
+        if (cost) {
+            booking.cost = cost;
+        }
+        booking.workLog = workLog;
+    }
+    
+    transitionMockBooking(booking, 'completed', { actor });
+    const payment = await settleMockPayments(booking);
+    const invoice = issueMockInvoice(booking);
+    await recordMockMachineUsage(booking);
+    return { payment, invoice };
+};
+
+/**
+ * Expire mock requests past their response deadline or job day
+ * Demo mode has no background jobs, so server.js runs this every minute.
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Bookings expired
+ */
+const expireMockBookings = async (now = new Date()) => {
+    const expired = [];
+    
+    for (const booking of bookings) {
+        const reason = getExpiryReason(booking, now);
+        if (!reason) continue;
+        
+        transitionMockBooking(booking, 'expired', { reason });
+        await notifyMock(booking.farmer, 'booking_expired', booking, { reason });
+        expired.push(booking);
+    }
+    
+    return expired;
+};
+
+/**
+ * Build a mock machine's job sheet for a day and send it to the operator
+ * Same rules as JobSheet.send: unchanged sheets are only re-sent when forced.
+ * @param {Object} machine - Mock machine
+ * @param {Date} date - Day
+ * @param {Object} options - { reason, force }
+ * @returns {Promise<Object>} - { sheet, text, jobSheet, sent, channelOff }
+ */
+const sendMockJobSheet = async (machine, date, { reason = 'manual', force = false } = {}) => {
+    const day = scheduler.startOfDay(date);
+    const dayKey = scheduler.toDateKey(day);
+    
+    const sheet = buildJobSheet(machine, day, bookings
+        .filter(b => b.machine === machine._id && scheduler.toDateKey(b.date) === dayKey)
+        .map(populateBooking));
+    const fingerprint = fingerprintJobSheet(sheet);
+    const existing = jobSheets.find(s => s.machine === machine._id && scheduler.toDateKey(s.date) === dayKey);
+    const text = formatJobSheet(sheet, { updated: Boolean(existing?.fingerprint) });
+    
+    const unchanged = existing ? existing.fingerprint === fingerprint : sheet.stops.length === 0;
+    if (unchanged && !force) {
+        return { sheet, text, jobSheet: existing, sent: false };
+    }
+    
+    const recipient = getSheetRecipient(machine, users.find(u => u._id === machine.owner));
+    const delivery = recipient.phone
+        ? await sendOnChannel(recipient.channel, { to: recipient.phone, body: text })
+        : { status: 'failed', failureReason: 'No operator or owner phone number' };
+    if (!delivery) {
+        return { sheet, text, jobSheet: existing, sent: false, channelOff: true };
+    }
+    
+    const jobSheet = existing || { _id: generateId('jobsheet'), machine: machine._id, date: day, version: 0 };
+    if (!existing) jobSheets.push(jobSheet);
+    Object.assign(jobSheet, {
+        recipient: { name: recipient.name, phone: recipient.phone },
+        channel: recipient.channel,
+        text,
+        fingerprint: delivery.status === 'sent' ? fingerprint : null,
+        stopCount: sheet.stops.length,
+        version: jobSheet.version + 1,
+        reason,
+        delivery: {
+            adapter: delivery.adapter,
+            status: delivery.status,
+            providerRef: delivery.providerRef,
+            failureReason: delivery.failureReason
+        },
+        sentAt: new Date()
+    });
+    
+    return { sheet, text, jobSheet, sent: delivery.status === 'sent' };
+};
+
+/**
+ * Re-send the job sheet for a mock booking's day if one was already sent
+ * Never throws: a failed job sheet must not fail the booking change.
+ * @param {Object} booking - Mock booking
+ * @returns {Promise<Object|null>} - Result of sendMockJobSheet, or null
+ */
+const refreshMockJobSheet = async (booking) => {
+    try {
+        const dayKey = scheduler.toDateKey(booking.date);
+        const sent = jobSheets.some(s => s.machine === booking.machine && scheduler.toDateKey(s.date) === dayKey);
+        const machine = machines.find(m => m._id === booking.machine);
+        if (!sent || !machine) return null;
+        
+        return await sendMockJobSheet(machine, booking.date, { reason: 'schedule_change' });
+    } catch (error) {
+        console.error(`Job sheet for booking ${booking._id} failed:`, error.message);
+        return null;
+    }
+};
 
 /**
  * @desc    Create a new booking request
@@ -12,24 +323,21 @@ const { bookings, machines, users, generateId, populateBooking } = require('../.
 const createBooking = async (req, res, next) => {
     try {
         const {
-            farmer,
             machine,
             date,
             fieldLocation,
             acres,
             workType,
             priority,
-            notes
+            notes,
+            fleetRequest,
+            timeWindow,
+            mustFinishBy,
+            startTime
         } = req.body;
         
-        // Validate farmer exists
-        const farmerUser = users.find(u => u._id === farmer);
-        if (!farmerUser) {
-            return res.status(404).json({
-                success: false,
-                message: 'Farmer not found'
-            });
-        }
+        // The booking is always made by the authenticated farmer
+        const farmer = req.user._id;
         
         // Validate machine exists
         const machineDoc = machines.find(m => m._id === machine);
@@ -47,9 +355,39 @@ const createBooking = async (req, res, next) => {
             });
         }
         
-        // Calculate cost
-        const baseCost = (machineDoc.pricing?.ratePerAcre || 500) * acres;
-        const estimatedDuration = Math.ceil(acres / (machineDoc.dailyCapacityAcres || 10) * 60);
+        // Reject overlapping slots and over-committed days (single process, so no lock needed)
+        const bookingDay = scheduler.startOfDay(date);
+        const { slots, requiredDuration, code } = getMockDayAvailability(machineDoc, bookingDay, acres);
+        const start = startTime ? scheduler.parseTime(startTime) : null;
+        const startFree = start === null || slots.some(slot =>
+            start >= scheduler.parseTime(slot.startTime) && start <= scheduler.parseTime(slot.latestStart));
+        
+        if (code === 'DAY_UNAVAILABLE') {
+            return res.status(400).json({
+                success: false,
+                message: describeUnavailableDay(machineDoc, bookingDay)
+            });
+        }
+        
+        if (code === 'CAPACITY_FULL' || !startFree) {
+            return res.status(409).json({
+                success: false,
+                message: code === 'CAPACITY_FULL'
+                    ? `Machine's daily capacity of ${machineDoc.dailyCapacityAcres || 10} acres would be exceeded on this day`
+                    : 'Requested time overlaps another booking for this machine',
+                data: {
+                    alternatives: slots,
+                    nextAvailable: findMockNextAvailableDays(machineDoc, bookingDay, acres, 3)
+                }
+            });
+        }
+        
+        // Calculate cost, charging travel from the machine's home to the field
+        const cost = calculateMockCost(machineDoc, acres, fieldLocation?.coordinates, {
+            date: bookingDay,
+            priority: priority || 1
+        });
+        const estimatedDuration = requiredDuration;
         
         const newBooking = {
             _id: generateId('booking'),
@@ -61,18 +399,30 @@ const createBooking = async (req, res, next) => {
             acres,
             workType: workType || 'other',
             status: 'pending',
-            cost: {
-                baseCost,
-                travelCost: 0,
-                totalCost: baseCost
-            },
+            statusHistory: [{ from: null, to: 'pending', actor: farmer, reason: 'Booking requested', changedAt: new Date() }],
+            cost,
             estimatedDuration,
             priority: priority || 1,
             notes,
+            timeWindow: timeWindow || {},
+            timeSlots: startTime ? {
+                startTime,
+                endTime: scheduler.formatTime(start + estimatedDuration),
+                slotOrder: 0
+            } : {},
+            mustFinishBy: mustFinishBy ? new Date(mustFinishBy) : null,
+            fleetRequest: fleetRequest?.enabled ? {
+                enabled: true,
+                machineType: machineDoc.type,
+                maxDistanceKm: fleetRequest.maxDistanceKm
+            } : { enabled: false },
+            assignmentHistory: [],
+            respondBy: calculateRespondBy(new Date(), bookingDay, machineDoc.responseDeadlineHours),
             createdAt: new Date()
         };
         
         bookings.push(newBooking);
+        await notifyMockParties(newBooking, req.user, 'booking_requested');
         
         res.status(201).json({
             success: true,
@@ -107,6 +457,11 @@ const getAllBookings = async (req, res, next) => {
         if (owner) filteredBookings = filteredBookings.filter(b => b.owner === owner);
         if (machine) filteredBookings = filteredBookings.filter(b => b.machine === machine);
         
+        // Non-admins only see bookings they are a party to
+        if (req.user.role !== 'admin') {
+            filteredBookings = filteredBookings.filter(b => canViewBooking(req.user, b));
+        }
+        
         if (date) {
             const filterDate = new Date(date).toDateString();
             filteredBookings = filteredBookings.filter(b => 
@@ -150,6 +505,13 @@ const getBookingById = async (req, res, next) => {
             });
         }
         
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
         res.status(200).json({
             success: true,
             data: populateBooking(booking)
@@ -165,7 +527,9 @@ const getBookingById = async (req, res, next) => {
  */
 const updateBookingStatus = async (req, res, next) => {
     try {
-        const { status, cancellationReason } = req.body;
+        const { cancellationReason } = req.body;
+        // Older clients send 'in-progress'
+        const status = req.body.status === 'in-progress' ? 'in_progress' : req.body.status;
         
         const bookingIndex = bookings.findIndex(b => b._id === req.params.id);
         
@@ -176,7 +540,8 @@ const updateBookingStatus = async (req, res, next) => {
             });
         }
         
-        const validStatuses = ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled'];
+        // Rejections and counter-offers carry details, so they have their own endpoints
+        const validStatuses = ['confirmed', 'in_progress', 'completed', 'cancelled'];
         if (!validStatuses.includes(status)) {
             return res.status(400).json({
                 success: false,
@@ -184,15 +549,110 @@ const updateBookingStatus = async (req, res, next) => {
             });
         }
         
-        bookings[bookingIndex].status = status;
-        if (status === 'cancelled' && cancellationReason) {
-            bookings[bookingIndex].cancellationReason = cancellationReason;
+        // Only owners confirm and only farmers cancel (admins may do both)
+        const allowedRoles = {
+            confirmed: ['owner', 'admin'],
+            cancelled: ['farmer', 'admin']
+        };
+        if (allowedRoles[status] && !allowedRoles[status].includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: `Role '${req.user.role}' cannot set status to ${status}`
+            });
+        }
+        
+        // ...and only for their own bookings
+        const booking = bookings[bookingIndex];
+        const isParty = status === 'confirmed'
+            ? isSelfOrAdmin(req.user, booking.owner)
+            : status === 'cancelled'
+                ? isSelfOrAdmin(req.user, booking.farmer)
+                : canViewBooking(req.user, booking);
+        if (!isParty) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this booking'
+            });
+        }
+        
+        if (!canTransition(booking.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change booking status from ${booking.status} to ${status}`
+            });
+        }
+        
+        if (status === 'cancelled') {
+            const { terms, payment } = await cancelMockBooking(booking, cancellationReason || 'Cancelled by user', req.user._id);
+            if (!terms.allowed) {
+                return res.status(400).json({
+                    success: false,
+                    message: terms.reason
+                });
+            }
+            await notifyMockParties(booking, req.user, 'booking_cancelled', { reason: booking.cancellationReason });
+            await refreshMockJobSheet(booking);
+            return res.status(200).json({
+                success: true,
+                message: 'Booking status updated',
+                data: populateBooking(booking),
+                cancellation: terms,
+                payment
+            });
+        }
+        
+        // Other requests may have filled the day since this one came in
+        if (status === 'confirmed') {
+            const machine = machines.find(m => m._id === booking.machine);
+            const { slots, code, reason } = getMockDayAvailability(machine, booking.date, booking.acres, { excludeBookingId: booking._id });
+            const start = booking.timeSlots?.startTime ? scheduler.parseTime(booking.timeSlots.startTime) : null;
+            const startFree = start === null || slots.some(slot =>
+                start >= scheduler.parseTime(slot.startTime) && start <= scheduler.parseTime(slot.latestStart));
+            
+            if (code || !startFree) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Cannot confirm: ${reason || (code === 'CAPACITY_FULL'
+                        ? `Machine's daily capacity of ${machine.dailyCapacityAcres || 10} acres would be exceeded on this day`
+                        : 'Requested time overlaps another booking for this machine')}`,
+                    data: {
+                        alternatives: slots,
+                        nextAvailable: findMockNextAvailableDays(machine, booking.date, booking.acres, 3)
+                    }
+                });
+            }
+        }
+        
+        let payment = null;
+        if (status === 'completed') {
+            const result = await completeMockBooking(booking, {}, req.user._id);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            payment = result.payment;
+        } else {
+            transitionMockBooking(booking, status, { actor: req.user._id });
+            if (status === 'in_progress') {
+                booking.workLog = { ...booking.workLog, startedAt: new Date() };
+            }
+            payment = await settleMockPayments(booking);
         }
+        const notificationTypes = {
+            confirmed: 'booking_confirmed',
+            in_progress: 'job_started',
+            completed: 'booking_completed'
+        };
+        await notifyMockParties(booking, req.user, notificationTypes[status]);
+        await refreshMockJobSheet(booking);
         
         res.status(200).json({
             success: true,
             message: 'Booking status updated',
-            data: populateBooking(bookings[bookingIndex])
+            data: populateBooking(bookings[bookingIndex]),
+            payment
         });
     } catch (error) {
         next(error);
@@ -205,6 +665,13 @@ const updateBookingStatus = async (req, res, next) => {
  */
 const getBookingsByFarmer = async (req, res, next) => {
     try {
+        if (!isSelfOrAdmin(req.user, req.params.farmerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view these bookings'
+            });
+        }
+        
         const farmerBookings = bookings
             .filter(b => b.farmer === req.params.farmerId)
             .map(populateBooking);
@@ -225,6 +692,13 @@ const getBookingsByFarmer = async (req, res, next) => {
  */
 const getBookingsByOwner = async (req, res, next) => {
     try {
+        if (!isSelfOrAdmin(req.user, req.params.ownerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view these bookings'
+            });
+        }
+        
         const ownerBookings = bookings
             .filter(b => b.owner === req.params.ownerId)
             .map(populateBooking);
@@ -241,12 +715,23 @@ const getBookingsByOwner = async (req, res, next) => {
 
 /**
  * @desc    Get bookings by machine
+ *          (the machine's owner sees every booking, others only their own)
  * @route   GET /api/v1/bookings/machine/:machineId
  */
 const getBookingsByMachine = async (req, res, next) => {
     try {
+        const machine = machines.find(m => m._id === req.params.machineId);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const canSeeAll = canManageMachine(req.user, machine);
         const machineBookings = bookings
-            .filter(b => b.machine === req.params.machineId)
+            .filter(b => b.machine === machine._id && (canSeeAll || isSelfOrAdmin(req.user, b.farmer)))
             .map(populateBooking);
         
         res.status(200).json({
@@ -274,12 +759,33 @@ const cancelBooking = async (req, res, next) => {
             });
         }
         
-        bookings[bookingIndex].status = 'cancelled';
-        bookings[bookingIndex].cancellationReason = req.body.reason || 'Cancelled by user';
+        if (!isSelfOrAdmin(req.user, bookings[bookingIndex].farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this booking'
+            });
+        }
+        
+        const { terms, payment } = await cancelMockBooking(bookings[bookingIndex], req.body.reason || 'Cancelled by user', req.user._id);
+        
+        if (!terms.allowed) {
+            return res.status(400).json({
+                success: false,
+                message: terms.reason
+            });
+        }
+        await notifyMockParties(bookings[bookingIndex], req.user, 'booking_cancelled', {
+            reason: bookings[bookingIndex].cancellationReason
+        });
+        await refreshMockJobSheet(bookings[bookingIndex]);
         
         res.status(200).json({
             success: true,
-            message: 'Booking cancelled successfully'
+            message: terms.fee > 0
+                ? `Booking cancelled with a fee of ₹${terms.fee}`
+                : 'Booking cancelled successfully',
+            cancellation: terms,
+            payment
         });
     } catch (error) {
         next(error);
@@ -287,37 +793,50 @@ const cancelBooking = async (req, res, next) => {
 };
 
 /**
- * @desc    Get optimized schedule
- * @route   POST /api/v1/bookings/schedule/optimize
+ * @desc    Reject a booking request
+ * @route   PATCH /api/v1/bookings/:id/reject
  */
-const getOptimizedSchedule = async (req, res, next) => {
+const rejectBooking = async (req, res, next) => {
     try {
-        const { machineId, date } = req.body;
+        const { reason } = req.body;
+        const booking = bookings.find(b => b._id === req.params.id);
         
-        const dateBookings = bookings.filter(b => {
-            const bookingDate = new Date(b.date).toDateString();
-            const targetDate = new Date(date).toDateString();
-            return b.machine === machineId && bookingDate === targetDate;
-        });
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
         
-        // Simple schedule - just return sorted by priority
-        const schedule = dateBookings
-            .sort((a, b) => b.priority - a.priority)
-            .map((b, index) => ({
-                ...populateBooking(b),
-                slotOrder: index + 1,
-                startTime: `${6 + index * 2}:00`,
-                endTime: `${8 + index * 2}:00`
-            }));
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reject this booking'
+            });
+        }
+        
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please give a reason for rejecting the request'
+            });
+        }
+        
+        if (!['pending', 'countered'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending or countered bookings can be rejected'
+            });
+        }
+        
+        transitionMockBooking(booking, 'rejected', { actor: req.user._id, reason });
+        booking.rejectionReason = reason;
+        await notifyMockParties(booking, req.user, 'booking_rejected', { reason });
         
         res.status(200).json({
             success: true,
-            data: {
-                date,
-                machineId,
-                totalBookings: schedule.length,
-                schedule
-            }
+            message: 'Booking rejected',
+            data: populateBooking(booking)
         });
     } catch (error) {
         next(error);
@@ -325,22 +844,103 @@ const getOptimizedSchedule = async (req, res, next) => {
 };
 
 /**
- * @desc    Get schedule for a date
- * @route   GET /api/v1/bookings/schedule/:date
+ * @desc    Propose a different date, slot or price for a booking request
+ * @route   PATCH /api/v1/bookings/:id/counter-offer
  */
-const getScheduleByDate = async (req, res, next) => {
+const proposeCounterOffer = async (req, res, next) => {
     try {
-        const targetDate = new Date(req.params.date).toDateString();
+        const { date, startTime, totalCost, message } = req.body;
+        const booking = bookings.find(b => b._id === req.params.id);
         
-        const dateBookings = bookings
-            .filter(b => new Date(b.date).toDateString() === targetDate)
-            .map(populateBooking);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this booking'
+            });
+        }
+        
+        if (booking.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending bookings can be countered'
+            });
+        }
+        
+        if (date === undefined && startTime === undefined && totalCost === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Propose a new date, start time or price'
+            });
+        }
+        
+        if (totalCost !== undefined && !(Number(totalCost) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Proposed price must be greater than 0'
+            });
+        }
+        
+        const proposedDate = date ? scheduler.startOfDay(date) : scheduler.startOfDay(booking.date);
+        if (Number.isNaN(proposedDate.getTime()) || proposedDate < scheduler.startOfDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Proposed date must be today or later'
+            });
+        }
+        
+        const machine = machines.find(m => m._id === booking.machine);
+        const proposedStart = startTime || (date ? null : booking.timeSlots?.startTime);
+        const { slots, code } = getMockDayAvailability(machine, proposedDate, booking.acres, { excludeBookingId: booking._id });
+        const start = proposedStart ? scheduler.parseTime(proposedStart) : null;
+        const startFree = start === null || slots.some(slot =>
+            start >= scheduler.parseTime(slot.startTime) && start <= scheduler.parseTime(slot.latestStart));
+        
+        if (code || !startFree) {
+            return res.status(409).json({
+                success: false,
+                message: code === 'DAY_UNAVAILABLE'
+                    ? describeUnavailableDay(machine, proposedDate)
+                    : 'Proposed time is not free on this machine',
+                data: {
+                    alternatives: slots,
+                    nextAvailable: findMockNextAvailableDays(machine, proposedDate, booking.acres, 3)
+                }
+            });
+        }
+        
+        // Re-quote for the proposed day; an explicit price becomes an adjustment line
+        const cost = calculateMockCost(machine, booking.acres, booking.fieldLocation?.coordinates, {
+            date: proposedDate,
+            priority: booking.priority
+        });
+        if (totalCost !== undefined && Math.round(Number(totalCost)) !== cost.totalCost) {
+            const adjustment = Math.round(Number(totalCost)) - cost.totalCost;
+            cost.items.push({ code: 'COUNTER_OFFER', label: 'Owner price adjustment', amount: adjustment });
+            cost.totalCost += adjustment;
+        }
+        
+        transitionMockBooking(booking, 'countered', { actor: req.user._id, reason: message });
+        booking.counterOffer = {
+            date: proposedDate,
+            startTime: proposedStart || undefined,
+            endTime: proposedStart ? scheduler.formatTime(start + booking.estimatedDuration) : undefined,
+            cost,
+            message,
+            proposedAt: new Date()
+        };
+        await notifyMockParties(booking, req.user, 'counter_offer');
         
         res.status(200).json({
             success: true,
-            date: req.params.date,
-            count: dateBookings.length,
-            data: dateBookings
+            message: 'Counter-offer sent to the farmer',
+            data: populateBooking(booking)
         });
     } catch (error) {
         next(error);
@@ -348,38 +948,588 @@ const getScheduleByDate = async (req, res, next) => {
 };
 
 /**
- * @desc    Add rating to booking
- * @route   POST /api/v1/bookings/:id/rating
+ * @desc    Accept the owner's counter-offer (confirms the booking)
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/accept
  */
-const addRating = async (req, res, next) => {
+const acceptCounterOffer = async (req, res, next) => {
     try {
-        const { rating, review } = req.body;
-        
-        const bookingIndex = bookings.findIndex(b => b._id === req.params.id);
+        const booking = bookings.find(b => b._id === req.params.id);
         
-        if (bookingIndex === -1) {
+        if (!booking) {
             return res.status(404).json({
                 success: false,
                 message: 'Booking not found'
             });
         }
         
-        bookings[bookingIndex].rating = {
-            score: rating,
-            review,
-            ratedAt: new Date()
-        };
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this counter-offer'
+            });
+        }
+        
+        if (booking.status !== 'countered') {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has no open counter-offer'
+            });
+        }
+        
+        // The proposed time may have been taken since the owner offered it
+        const offer = booking.counterOffer;
+        const machine = machines.find(m => m._id === booking.machine);
+        const { slots, code } = getMockDayAvailability(machine, offer.date, booking.acres);
+        const start = offer.startTime ? scheduler.parseTime(offer.startTime) : null;
+        const startFree = start === null || slots.some(slot =>
+            start >= scheduler.parseTime(slot.startTime) && start <= scheduler.parseTime(slot.latestStart));
+        
+        if (code || !startFree) {
+            return res.status(409).json({
+                success: false,
+                message: 'The proposed time is no longer free',
+                data: {
+                    alternatives: slots,
+                    nextAvailable: findMockNextAvailableDays(machine, offer.date, booking.acres, 3)
+                }
+            });
+        }
+        
+        booking.date = offer.date;
+        // The offered day was checked free, so any blackout clash is resolved
+        delete booking.rescheduleRequired;
+        booking.timeSlots = offer.startTime ? { startTime: offer.startTime, endTime: offer.endTime, slotOrder: 0 } : {};
+        booking.cost = offer.cost;
+        transitionMockBooking(booking, 'confirmed', { actor: req.user._id, reason: 'Counter-offer accepted' });
+        booking.counterOffer = { ...offer, response: 'accepted', respondedAt: new Date() };
+        const deposit = await settleMockPayments(booking);
+        await notifyMockParties(booking, req.user, 'counter_offer_accepted');
+        await refreshMockJobSheet(booking);
         
         res.status(200).json({
             success: true,
-            message: 'Rating added successfully',
-            data: populateBooking(bookings[bookingIndex])
+            message: 'Counter-offer accepted and booking confirmed',
+            data: populateBooking(booking),
+            deposit
         });
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * @desc    Decline the owner's counter-offer (cancels the request)
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/decline
+ */
+const declineCounterOffer = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to respond to this counter-offer'
+            });
+        }
+        
+        if (booking.status !== 'countered') {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has no open counter-offer'
+            });
+        }
+        
+        booking.counterOffer = { ...booking.counterOffer, response: 'declined', respondedAt: new Date() };
+        await cancelMockBooking(booking, req.body.reason || 'Counter-offer declined', req.user._id);
+        await notifyMockParties(booking, req.user, 'counter_offer_declined');
+        
+        res.status(200).json({
+            success: true,
+            message: 'Counter-offer declined and request cancelled',
+            data: populateBooking(booking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Start work on a confirmed booking
+ * @route   PATCH /api/v1/bookings/:id/start
+ */
+const startBooking = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to start this booking'
+            });
+        }
+        
+        if (booking.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed bookings can be started'
+            });
+        }
+        
+        const startedAt = req.body.actualStart ? new Date(req.body.actualStart) : new Date();
+        if (Number.isNaN(startedAt.getTime()) || startedAt > new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Actual start must be a valid time that is not in the future'
+            });
+        }
+        
+        transitionMockBooking(booking, 'in_progress', { actor: req.user._id });
+        booking.workLog = { ...booking.workLog, startedAt };
+        await notifyMockParties(booking, req.user, 'job_started');
+        
+        res.status(200).json({
+            success: true,
+            message: 'Job started',
+            data: populateBooking(booking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Complete booking with the actual work log
+ * @route   PATCH /api/v1/bookings/:id/complete
+ */
+const completeBooking = async (req, res, next) => {
+    try {
+        const { actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes } = req.body;
+        const actuals = { actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes };
+        
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to complete this booking'
+            });
+        }
+        
+        const hasActuals = Object.values(actuals).some(value => value !== undefined && value !== '');
+        if (hasActuals && !isSelfOrAdmin(req.user, booking.owner)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the machine owner can report actual work'
+            });
+        }
+        
+        if (!['confirmed', 'in_progress'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed or in-progress bookings can be completed'
+            });
+        }
+        
+        const { error, payment, invoice } = await completeMockBooking(booking, actuals, req.user._id);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        await notifyMockParties(booking, req.user, 'booking_completed');
+        
+        res.status(200).json({
+            success: true,
+            message: 'Booking completed successfully',
+            data: populateBooking(booking),
+            payment,
+            invoice
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get optimized schedule
+ * @route   POST /api/v1/bookings/schedule/optimize
+ */
+const getOptimizedSchedule = async (req, res, next) => {
+    try {
+        const { machineId, date } = req.body;
+        
+        const dateBookings = bookings.filter(b => {
+            const bookingDate = new Date(b.date).toDateString();
+            const targetDate = new Date(date).toDateString();
+            return b.machine === machineId && bookingDate === targetDate;
+        });
+        
+        // Simple schedule - just return sorted by priority
+        const schedule = dateBookings
+            .sort((a, b) => b.priority - a.priority)
+            .map((b, index) => ({
+                ...populateBooking(b),
+                slotOrder: index + 1,
+                startTime: `${6 + index * 2}:00`,
+                endTime: `${8 + index * 2}:00`
+            }));
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                date,
+                machineId,
+                totalBookings: schedule.length,
+                schedule
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get schedule for a date (only bookings the user is a party to)
+ * @route   GET /api/v1/bookings/schedule/:date
+ */
+const getScheduleByDate = async (req, res, next) => {
+    try {
+        const targetDate = new Date(req.params.date).toDateString();
+        
+        const dateBookings = bookings
+            .filter(b => new Date(b.date).toDateString() === targetDate && canViewBooking(req.user, b))
+            .map(populateBooking);
+        
+        res.status(200).json({
+            success: true,
+            date: req.params.date,
+            count: dateBookings.length,
+            data: dateBookings
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Find a mock machine for its job sheet, checking the user may see it
+ * @param {Object} req - Request with params.machineId
+ * @param {Object} res - Response
+ * @returns {Object|null} - Machine, or null once an error response is sent
+ */
+const findJobSheetMachine = (req, res) => {
+    const machine = machines.find(m => m._id === req.params.machineId);
+    
+    if (!machine) {
+        res.status(404).json({
+            success: false,
+            message: 'Machine not found'
+        });
+        return null;
+    }
+    
+    if (!canManageMachine(req.user, machine)) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to view this machine\'s job sheet'
+        });
+        return null;
+    }
+    
+    return machine;
+};
+
+/**
+ * @desc    Preview a machine's daily job sheet and when it was last sent
+ * @route   GET /api/v1/bookings/job-sheet/:machineId
+ */
+const getJobSheet = async (req, res, next) => {
+    try {
+        const machine = findJobSheetMachine(req, res);
+        if (!machine) return;
+        
+        const day = scheduler.startOfDay(req.query.date || new Date());
+        const dayKey = scheduler.toDateKey(day);
+        
+        const sheet = buildJobSheet(machine, day, bookings
+            .filter(b => b.machine === machine._id && scheduler.toDateKey(b.date) === dayKey)
+            .map(populateBooking));
+        const lastSent = jobSheets.find(s => s.machine === machine._id && scheduler.toDateKey(s.date) === dayKey) || null;
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                ...sheet,
+                recipient: getSheetRecipient(machine, users.find(u => u._id === machine.owner)),
+                text: formatJobSheet(sheet, { updated: Boolean(lastSent?.fingerprint) }),
+                lastSent
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send a machine's daily job sheet to its operator now
+ * @route   POST /api/v1/bookings/job-sheet/:machineId
+ */
+const sendJobSheet = async (req, res, next) => {
+    try {
+        const machine = findJobSheetMachine(req, res);
+        if (!machine) return;
+        
+        const { sheet, text, jobSheet, sent, channelOff } = await sendMockJobSheet(machine, req.body.date || new Date(), {
+            reason: 'manual',
+            force: true
+        });
+        
+        if (channelOff) {
+            return res.status(400).json({
+                success: false,
+                message: `Job sheets are turned off for the ${machine.operator?.channel || 'sms'} channel`
+            });
+        }
+        
+        res.status(sent ? 200 : 502).json({
+            success: sent,
+            message: sent
+                ? `Job sheet sent to ${jobSheet.recipient.name || jobSheet.recipient.phone}`
+                : `Job sheet could not be sent: ${jobSheet.delivery.failureReason}`,
+            data: { ...sheet, text, lastSent: jobSheet }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add rating to booking
+ * @route   POST /api/v1/bookings/:id/rating
+ */
+const addRating = async (req, res, next) => {
+    try {
+        const { rating, review } = req.body;
+        
+        const bookingIndex = bookings.findIndex(b => b._id === req.params.id);
+        
+        if (bookingIndex === -1) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, bookings[bookingIndex].farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to rate this booking'
+            });
+        }
+        
+        bookings[bookingIndex].rating = {
+            score: rating,
+            review,
+            ratedAt: new Date()
+        };
+        
+        res.status(200).json({
+            success: true,
+            message: 'Rating added successfully',
+            data: populateBooking(bookings[bookingIndex])
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a booking's payments and balance
+ * @route   GET /api/v1/bookings/:id/payments
+ */
+const getBookingPayments = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        const entries = ledgerEntries.filter(e => e.booking === booking._id);
+        const summary = summarizeLedger(entries);
+        const totalCost = booking.cost?.totalCost || 0;
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                totalCost,
+                depositDue: calculateDeposit(totalCost),
+                ...summary,
+                entries,
+                balanceDue: booking.status === 'cancelled' ? 0 : Math.max(0, totalCost - summary.net)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a booking's status history
+ * @route   GET /api/v1/bookings/:id/history
+ */
+const getBookingHistory = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        const history = (booking.statusHistory || []).map(entry => {
+            const actor = users.find(u => u._id === entry.actor);
+            return { ...entry, actor: actor ? { _id: actor._id, name: actor.name, role: actor.role } : null };
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                status: booking.status,
+                allowedNext: STATUS_TRANSITIONS[booking.status],
+                history
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview the fee and refund if a booking were cancelled now
+ * @route   GET /api/v1/bookings/:id/cancellation
+ */
+const getCancellationPreview = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!isSelfOrAdmin(req.user, booking.farmer)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this booking'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: getMockCancellationTerms(booking)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download a completed booking's invoice
+ * @route   GET /api/v1/bookings/:id/invoice
+ */
+const getBookingInvoice = async (req, res, next) => {
+    try {
+        const booking = bookings.find(b => b._id === req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        
+        if (!canViewBooking(req.user, booking)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this booking'
+            });
+        }
+        
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invoices are issued once the booking is completed'
+            });
+        }
+        
+        const party = (id) => {
+            const user = users.find(u => u._id === id);
+            return user ? { name: user.name, email: user.email, phone: user.phone } : null;
+        };
+        const invoice = {
+            ...issueMockInvoice(booking),
+            owner: party(booking.owner),
+            farmer: party(booking.farmer)
+        };
+        const entries = ledgerEntries.filter(e => e.booking === booking._id);
+        const payments = { ...summarizeLedger(entries), entries };
+        
+        const format = req.query.format || (req.accepts(['html', 'pdf']) === 'pdf' ? 'pdf' : 'html');
+        if (format === 'pdf') {
+            res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+            return res.type('application/pdf').send(renderInvoicePdf(invoice, payments));
+        }
+        
+        res.type('html').send(renderInvoiceHtml(invoice, payments));
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     createBooking,
     getAllBookings,
@@ -389,7 +1539,20 @@ module.exports = {
     getBookingsByOwner,
     getBookingsByMachine,
     cancelBooking,
+    getCancellationPreview,
+    rejectBooking,
+    proposeCounterOffer,
+    acceptCounterOffer,
+    declineCounterOffer,
+    startBooking,
+    completeBooking,
     getOptimizedSchedule,
     getScheduleByDate,
-    addRating
+    getJobSheet,
+    sendJobSheet,
+    addRating,
+    getBookingPayments,
+    getBookingInvoice,
+    getBookingHistory,
+    expireMockBookings
 };
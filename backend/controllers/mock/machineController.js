@@ -3,7 +3,107 @@
  * In-memory implementation when MongoDB is not available
  */
 
-const { machines, users, generateId, populateMachineOwner } = require('../../data/mockData');
+const { machines, users, bookings, serviceRecords, generateId, populateMachineOwner, calculateMockCost } = require('../../data/mockData');
+const { canManageMachine } = require('../../utils/permissions');
+const scheduler = require('../../algorithms/scheduler');
+const { DEFAULT_RESPONSE_HOURS, RESPONSE_STATS_DAYS, summarizeOwnerResponses } = require('../../utils/responseDeadline');
+const { validateBlackout, describeBlackout, describeUnavailableDay } = require('../../utils/blackouts');
+const { validateWeeklyHours, normalizeWeeklyHours } = require('../../utils/workingHours');
+const {
+    usageForBooking,
+    buildIntervals,
+    validateService,
+    resetIntervals,
+    summarizeMaintenance,
+    findNewAlerts,
+    describeIntervalUsage
+} = require('../../utils/maintenance');
+const { notifyMock, notifyMockParties } = require('./notificationController');
+
+/**
+ * Add a blackout to a mock machine and flag the open bookings inside it
+ * @param {Object} machine - Mock machine
+ * @param {Object} window - { startDate, endDate, reason, note } (already validated)
+ * @param {Object} actor - User adding it
+ * @returns {Promise<Object>} - { blackout, conflicts }
+ */
+const addMockBlackout = async (machine, { startDate, endDate, reason, note }, actor) => {
+    const blackout = {
+        _id: generateId('blackout'),
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        reason,
+        note,
+        createdAt: new Date()
+    };
+    machine.blackouts = [...(machine.blackouts || []), blackout];
+    
+    const description = describeBlackout(blackout);
+    const flagged = bookings.filter(b => b.machine === machine._id &&
+        ['pending', 'countered', 'confirmed'].includes(b.status) &&
+        scheduler.findBlackout({ blackouts: [blackout] }, b.date));
+    for (const booking of flagged) {
+        booking.rescheduleRequired = { blackout: blackout._id, reason: description, flaggedAt: new Date() };
+        await notifyMockParties(booking, actor, 'booking_reschedule_needed', { reason: description });
+    }
+    
+    return {
+        blackout,
+        conflicts: flagged.map(b => ({ bookingId: b._id, date: b.date, status: b.status }))
+    };
+};
+
+/**
+ * A mock machine's maintenance, set up empty the first time it is needed
+ * @param {Object} machine - Mock machine
+ * @returns {Object} - { engineHours, acresWorked, intervals }
+ */
+const getMockMaintenance = (machine) => {
+    if (!machine.maintenance) {
+        machine.maintenance = { engineHours: 0, acresWorked: 0, intervals: [] };
+    }
+    return machine.maintenance;
+};
+
+/**
+ * Add a completed mock booking's usage to its machine and alert the owner
+ * about service intervals that became due or overdue
+ * @param {Object} booking - Completed mock booking
+ * @returns {Promise<Array>} - Alerts sent [{ intervalId, name, status }]
+ */
+const recordMockMachineUsage = async (booking) => {
+    const machine = machines.find(m => m._id === booking.machine);
+    if (!machine) return [];
+    
+    const maintenance = getMockMaintenance(machine);
+    const { engineHours, acres } = usageForBooking(booking);
+    maintenance.engineHours += engineHours;
+    maintenance.acresWorked += acres;
+    
+    const sent = [];
+    for (const { interval, ...status } of findNewAlerts(maintenance)) {
+        interval.alertedStatus = status.status;
+        await notifyMock(machine.owner, `maintenance_${status.status}`, booking, {
+            machine: { _id: machine._id, name: machine.name },
+            interval: interval.name,
+            usage: describeIntervalUsage(interval, status)
+        });
+        sent.push({ intervalId: interval._id, name: interval.name, status: status.status });
+    }
+    return sent;
+};
+
+/**
+ * Keep a mock machine's weekly hours template sorted and its working days in
+ * step with it, as the Machine model does on save
+ * @param {Object} availability - Mock machine availability (changed in place)
+ */
+const syncMockWeeklyHours = (availability) => {
+    if (!availability?.weeklyHours?.length) return;
+    
+    availability.weeklyHours = normalizeWeeklyHours(availability.weeklyHours);
+    availability.availableDays = [...new Set(availability.weeklyHours.map(i => scheduler.DAY_NAMES[i.day]))];
+};
 
 /**
  * @desc    Add a new machine
@@ -20,11 +120,17 @@ const addMachine = async (req, res, next) => {
             location,
             pricing,
             availability,
+            cancellationPolicy,
+            responseDeadlineHours,
+            operator,
             dailyCapacityAcres
         } = req.body;
         
+        // Owners list their own machines; admins may list on behalf of an owner
+        const ownerId = req.user.role === 'admin' && owner ? owner : req.user._id;
+        
         // Verify owner exists
-        const ownerUser = users.find(u => u._id === owner);
+        const ownerUser = users.find(u => u._id === ownerId);
         if (!ownerUser) {
             return res.status(404).json({
                 success: false,
@@ -39,16 +145,27 @@ const addMachine = async (req, res, next) => {
             });
         }
         
+        const hoursError = availability?.weeklyHours && validateWeeklyHours(availability.weeklyHours);
+        if (hoursError) {
+            return res.status(400).json({
+                success: false,
+                message: hoursError
+            });
+        }
+        
         const newMachine = {
             _id: generateId('machine'),
             name,
             type,
-            owner,
+            owner: ownerId,
             description,
             specifications: specifications || {},
             location: location || {},
             pricing: pricing || { ratePerAcre: 500, minimumAcres: 1 },
             availability: availability || { isAvailable: true, availableDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] },
+            cancellationPolicy: cancellationPolicy || { freeUntilHours: 24, lateFeePercent: 0 },
+            responseDeadlineHours: responseDeadlineHours || DEFAULT_RESPONSE_HOURS,
+            operator: { channel: 'sms', ...operator },
             dailyCapacityAcres: dailyCapacityAcres || 10,
             status: 'active',
             images: [],
@@ -57,6 +174,7 @@ const addMachine = async (req, res, next) => {
             createdAt: new Date()
         };
         
+        syncMockWeeklyHours(newMachine.availability);
         machines.push(newMachine);
         
         res.status(201).json({
@@ -181,7 +299,22 @@ const updateMachine = async (req, res, next) => {
             });
         }
         
-        const allowedUpdates = ['name', 'description', 'specifications', 'pricing', 'availability', 'status', 'location'];
+        if (!canManageMachine(req.user, machines[machineIndex])) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const hoursError = req.body.availability?.weeklyHours && validateWeeklyHours(req.body.availability.weeklyHours);
+        if (hoursError) {
+            return res.status(400).json({
+                success: false,
+                message: hoursError
+            });
+        }
+        
+        const allowedUpdates = ['name', 'description', 'specifications', 'pricing', 'availability', 'cancellationPolicy', 'responseDeadlineHours', 'operator', 'status', 'location'];
         
         allowedUpdates.forEach(field => {
             if (req.body[field] !== undefined) {
@@ -192,6 +325,7 @@ const updateMachine = async (req, res, next) => {
                 }
             }
         });
+        syncMockWeeklyHours(machines[machineIndex].availability);
         
         res.status(200).json({
             success: true,
@@ -218,6 +352,13 @@ const deleteMachine = async (req, res, next) => {
             });
         }
         
+        if (!canManageMachine(req.user, machines[machineIndex])) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
         // Soft delete
         machines[machineIndex].status = 'inactive';
         
@@ -282,11 +423,31 @@ const updateAvailability = async (req, res, next) => {
             });
         }
         
+        if (!canManageMachine(req.user, machines[machineIndex])) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const { weeklyHours } = req.body;
+        if (weeklyHours !== undefined) {
+            const error = validateWeeklyHours(weeklyHours);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+        
         machines[machineIndex].availability = {
             ...machines[machineIndex].availability,
             ...req.body
         };
         
+        syncMockWeeklyHours(machines[machineIndex].availability);
+        
         res.status(200).json({
             success: true,
             message: 'Availability updated successfully',
@@ -320,6 +481,596 @@ const getNearbyMachines = async (req, res, next) => {
     }
 };
 
+/**
+ * Give a mock machine the availability shape the scheduler reads
+ * Mock machines keep working hours as HH:MM strings rather than whole hours.
+ * @param {Object} machine - Mock machine
+ * @returns {Object} - { blackouts, availability }
+ */
+const toSchedulerMachine = (machine) => {
+    const workingHours = machine?.availability?.workingHours || {};
+    return {
+        blackouts: machine?.blackouts,
+        availability: {
+            availableDays: machine?.availability?.availableDays,
+            weeklyHours: machine?.availability?.weeklyHours,
+            workingHoursStart: workingHours.start ? scheduler.parseTime(workingHours.start) / 60 : 8,
+            workingHoursEnd: workingHours.end ? scheduler.parseTime(workingHours.end) / 60 : 18
+        }
+    };
+};
+
+/**
+ * Find a mock machine's free slots on a day
+ * Mock machines have no timePerAcre.
+ * @param {Object} machine - Mock machine
+ * @param {Date} day - Day to check
+ * @param {number} acres - Acres to be worked
+ * @param {Object} options - { excludeBookingId }
+ * @returns {Object} - { slots, requiredDuration, code, reason }
+ */
+const getMockDayAvailability = (machine, day, acres, options = {}) => {
+    const schedulerMachine = toSchedulerMachine(machine);
+    const requiredDuration = Math.ceil(acres / (machine.dailyCapacityAcres || 10) * 60);
+    
+    if (!machine.availability?.isAvailable || !scheduler.isWorkingDay(schedulerMachine, day)) {
+        return { slots: [], requiredDuration, code: 'DAY_UNAVAILABLE', reason: describeUnavailableDay(schedulerMachine, day) };
+    }
+    
+    const dayBookings = bookings.filter(b => b.machine === machine._id &&
+        b._id !== options.excludeBookingId &&
+        !['cancelled', 'rejected', 'countered', 'expired'].includes(b.status) &&
+        scheduler.toDateKey(b.date) === scheduler.toDateKey(day));
+    const usedAcres = dayBookings.reduce((sum, b) => sum + (b.acres || 0), 0);
+    if (usedAcres + acres > (machine.dailyCapacityAcres || 10)) {
+        return { slots: [], requiredDuration, code: 'CAPACITY_FULL' };
+    }
+    
+    const slots = scheduler.getAvailableSlots(dayBookings, schedulerMachine, requiredDuration, { date: day });
+    return { slots, requiredDuration, code: slots.length ? null : 'NO_FREE_TIME' };
+};
+
+/**
+ * Find the next days after a date with free slots on a mock machine
+ * @param {Object} machine - Mock machine
+ * @param {Date} fromDay - Day to search after
+ * @param {number} acres - Acres to be worked
+ * @param {number} count - Number of days wanted
+ * @returns {Array} - [{ date, slots }]
+ */
+const findMockNextAvailableDays = (machine, fromDay, acres, count) => {
+    const nextAvailable = [];
+    for (let offset = 1; offset <= 14 && nextAvailable.length < count; offset++) {
+        const day = scheduler.startOfDay(fromDay);
+        day.setDate(day.getDate() + offset);
+        const { slots } = getMockDayAvailability(machine, day, acres);
+        if (slots.length) {
+            nextAvailable.push({ date: scheduler.toDateKey(day), slots });
+        }
+    }
+    return nextAvailable;
+};
+
+/**
+ * @desc    Get free booking slots for a machine on a day
+ * @route   GET /api/v1/machines/:id/slots
+ */
+const getMachineSlots = async (req, res, next) => {
+    try {
+        const { date, acres, days = 3 } = req.query;
+        
+        if (!date || !(parseFloat(acres) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date and acres are required'
+            });
+        }
+        
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const acresValue = parseFloat(acres);
+        const requestedDay = scheduler.startOfDay(date);
+        const { slots, requiredDuration, reason } = getMockDayAvailability(machine, requestedDay, acresValue);
+        const nextAvailable = findMockNextAvailableDays(machine, requestedDay, acresValue, parseInt(days) || 0);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                date: scheduler.toDateKey(requestedDay),
+                acres: acresValue,
+                requiredDuration,
+                available: slots.length > 0,
+                reason: slots.length ? null : (reason || 'No free slots on this day'),
+                slots,
+                nextAvailable
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Price a job on a machine without booking it
+ * @route   POST /api/v1/machines/:id/quote
+ */
+const getMachineQuote = async (req, res, next) => {
+    try {
+        const { acres, date, fieldLocation, priority = 1 } = req.body;
+        const acresValue = parseFloat(acres);
+        
+        if (!date || !(acresValue > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid date and acres greater than 0 are required'
+            });
+        }
+        
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const requestedDay = scheduler.startOfDay(date);
+        const quote = calculateMockCost(machine, acresValue, fieldLocation?.coordinates, {
+            date: requestedDay,
+            priority: parseInt(priority) || 1
+        });
+        
+        const { slots, requiredDuration, reason } = getMockDayAvailability(machine, requestedDay, acresValue);
+        let earliestSlot = null;
+        if (slots.length) {
+            earliestSlot = { date: scheduler.toDateKey(requestedDay), startTime: slots[0].startTime, endTime: slots[0].endTime };
+        } else {
+            const [nextDay] = findMockNextAvailableDays(machine, requestedDay, acresValue, 1);
+            if (nextDay) {
+                earliestSlot = { date: nextDay.date, startTime: nextDay.slots[0].startTime, endTime: nextDay.slots[0].endTime };
+            }
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                date: scheduler.toDateKey(requestedDay),
+                acres: acresValue,
+                priority: parseInt(priority) || 1,
+                ...quote,
+                estimatedDuration: requiredDuration,
+                available: slots.length > 0,
+                reason: slots.length ? null : (reason || 'No free slots on this day'),
+                earliestSlot
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add a blackout period (service, repairs, owner's use, holiday)
+ * @route   POST /api/v1/machines/:id/blackouts
+ */
+const addBlackout = async (req, res, next) => {
+    try {
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const validationError = validateBlackout(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+        
+        const { blackout, conflicts } = await addMockBlackout(machine, req.body, req.user);
+        
+        res.status(201).json({
+            success: true,
+            message: conflicts.length
+                ? `Blackout added; ${conflicts.length} booking(s) on those days need a new date`
+                : 'Blackout added',
+            data: {
+                blackout,
+                conflicts
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a blackout period
+ * @route   DELETE /api/v1/machines/:id/blackouts/:blackoutId
+ */
+const removeBlackout = async (req, res, next) => {
+    try {
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        if (!(machine.blackouts || []).some(b => b._id === req.params.blackoutId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blackout not found'
+            });
+        }
+        
+        machine.blackouts = machine.blackouts.filter(b => b._id !== req.params.blackoutId);
+        
+        // Bookings flagged only because of it can stay where they are
+        const unflagged = bookings.filter(b => b.rescheduleRequired?.blackout === req.params.blackoutId);
+        unflagged.forEach(b => { delete b.rescheduleRequired; });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Blackout removed',
+            data: {
+                blackouts: machine.blackouts,
+                unflaggedBookings: unflagged.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get how often and how fast the owner answers this machine's booking requests
+ * @route   GET /api/v1/machines/:id/response-stats
+ */
+const getMachineResponseStats = async (req, res, next) => {
+    try {
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        const since = new Date(Date.now() - RESPONSE_STATS_DAYS * 24 * 60 * 60 * 1000);
+        const machineBookings = bookings.filter(b => b.machine === machine._id && new Date(b.createdAt) >= since);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                machineId: machine._id,
+                deadlineHours: machine.responseDeadlineHours || DEFAULT_RESPONSE_HOURS,
+                periodDays: RESPONSE_STATS_DAYS,
+                ...summarizeOwnerResponses(machineBookings)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a machine's usage, service intervals with their status, and service log
+ * @route   GET /api/v1/machines/:id/maintenance
+ */
+const getMaintenance = async (req, res, next) => {
+    try {
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this machine\'s maintenance'
+            });
+        }
+        
+        const services = serviceRecords
+            .filter(s => s.machine === machine._id)
+            .sort((a, b) => b.createdAt - a.createdAt);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                ...summarizeMaintenance(getMockMaintenance(machine)),
+                services,
+                totalCost: services
+                    .filter(s => s.status === 'completed')
+                    .reduce((sum, s) => sum + (s.cost || 0), 0)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Set a machine's service intervals and/or correct its engine hours
+ * @route   PUT /api/v1/machines/:id/maintenance
+ */
+const updateMaintenance = async (req, res, next) => {
+    try {
+        const { engineHours, intervals } = req.body;
+        
+        if (engineHours !== undefined && !(Number(engineHours) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Engine hours must be 0 or more'
+            });
+        }
+        
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const maintenance = getMockMaintenance(machine);
+        // New intervals count from the corrected hour meter
+        const usage = {
+            engineHours: engineHours !== undefined ? Number(engineHours) : maintenance.engineHours,
+            acresWorked: maintenance.acresWorked
+        };
+        
+        let newIntervals = null;
+        if (intervals !== undefined) {
+            const result = buildIntervals(maintenance.intervals, intervals, usage);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            newIntervals = result.intervals.map(i => ({ _id: generateId('interval'), ...i }));
+        }
+        
+        maintenance.engineHours = usage.engineHours;
+        if (newIntervals) maintenance.intervals = newIntervals;
+        
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance settings updated',
+            data: summarizeMaintenance(maintenance)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Log a service carried out, or book one for a later day (optionally blacking out the machine)
+ * @route   POST /api/v1/machines/:id/maintenance/services
+ */
+const logService = async (req, res, next) => {
+    try {
+        const validationError = validateService(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+        
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const maintenance = getMockMaintenance(machine);
+        const { description, intervals = [], date, cost, notes, blackout, blackoutEndDate } = req.body;
+        
+        if (!Array.isArray(intervals) || intervals.some(id => !maintenance.intervals.some(i => i._id === id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'intervals must list this machine\'s service intervals'
+            });
+        }
+        
+        // A service on a later day is booked; one today or earlier was carried out
+        const now = new Date();
+        const serviceDate = date ? new Date(date) : now;
+        const scheduled = scheduler.startOfDay(serviceDate) > scheduler.startOfDay(now);
+        
+        if (blackout && !scheduled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only a service booked for a later day can black out the machine'
+            });
+        }
+        
+        const service = {
+            _id: generateId('service'),
+            machine: machine._id,
+            owner: machine.owner,
+            description: String(description).trim(),
+            intervals,
+            status: scheduled ? 'scheduled' : 'completed',
+            cost: Number(cost) || 0,
+            notes,
+            createdAt: now
+        };
+        
+        let addedBlackout = null;
+        let conflicts = [];
+        if (scheduled) {
+            service.scheduledFor = scheduler.startOfDay(serviceDate);
+            
+            if (blackout) {
+                const window = {
+                    startDate: service.scheduledFor,
+                    endDate: blackoutEndDate ? new Date(blackoutEndDate) : service.scheduledFor,
+                    reason: 'service',
+                    note: service.description
+                };
+                const blackoutError = validateBlackout(window);
+                if (blackoutError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: blackoutError
+                    });
+                }
+                ({ blackout: addedBlackout, conflicts } = await addMockBlackout(machine, window, req.user));
+                service.blackout = addedBlackout._id;
+            }
+        } else {
+            service.completedAt = serviceDate < now ? serviceDate : now;
+            service.engineHours = maintenance.engineHours;
+            service.acresWorked = maintenance.acresWorked;
+            resetIntervals(maintenance.intervals, intervals, maintenance, service.completedAt);
+        }
+        serviceRecords.push(service);
+        
+        res.status(201).json({
+            success: true,
+            message: scheduled
+                ? `Service booked${conflicts.length ? `; ${conflicts.length} booking(s) on those days need a new date` : ''}`
+                : 'Service logged',
+            data: {
+                service,
+                blackout: addedBlackout,
+                conflicts,
+                maintenance: summarizeMaintenance(maintenance)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a booked service as done, with its final cost
+ * @route   PATCH /api/v1/machines/:id/maintenance/services/:serviceId/complete
+ */
+const completeService = async (req, res, next) => {
+    try {
+        const { cost, notes } = req.body;
+        
+        if (cost !== undefined && !(Number(cost) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Service cost must be 0 or more'
+            });
+        }
+        
+        const machine = machines.find(m => m._id === req.params.id);
+        
+        if (!machine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Machine not found'
+            });
+        }
+        
+        if (!canManageMachine(req.user, machine)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this machine'
+            });
+        }
+        
+        const service = serviceRecords.find(s => s._id === req.params.serviceId && s.machine === machine._id);
+        
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+        
+        if (service.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Service is already completed'
+            });
+        }
+        
+        const maintenance = getMockMaintenance(machine);
+        service.status = 'completed';
+        service.completedAt = new Date();
+        service.engineHours = maintenance.engineHours;
+        service.acresWorked = maintenance.acresWorked;
+        if (cost !== undefined) service.cost = Number(cost);
+        if (notes !== undefined) service.notes = notes;
+        
+        resetIntervals(maintenance.intervals, service.intervals, maintenance, service.completedAt);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Service completed',
+            data: {
+                service,
+                maintenance: summarizeMaintenance(maintenance)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     addMachine,
     getAllMachines,
@@ -329,5 +1080,18 @@ module.exports = {
     getMachinesByOwner,
     getMachineTypes,
     updateAvailability,
-    getNearbyMachines
+    getNearbyMachines,
+    getMachineSlots,
+    getMachineQuote,
+    getMachineResponseStats,
+    addBlackout,
+    removeBlackout,
+    getMaintenance,
+    updateMaintenance,
+    logService,
+    completeService,
+    recordMockMachineUsage,
+    toSchedulerMachine,
+    getMockDayAvailability,
+    findMockNextAvailableDays
 };
@@ -0,0 +1,192 @@
+/**
+ * Mock Notification Controller
+ * In-memory implementation when MongoDB is not available
+ */
+
+const { users, notifications, generateId } = require('../../data/mockData');
+const { renderNotification, deliverExternally } = require('../../utils/notifications');
+const { subscribe, publish } = require('../../utils/notificationStream');
+const { generateStreamTicket } = require('../../utils/tokens');
+
+/**
+ * Count a user's unread mock notifications
+ * @param {string} userId - Recipient id
+ * @returns {number}
+ */
+const countUnread = (userId) => notifications.filter(n => n.recipient === userId && !n.readAt).length;
+
+/**
+ * Notify a user about a mock booking event (store, push live, send SMS/email)
+ * Never throws: a failed notification must not fail the booking change.
+ * @param {string} recipient - User id
+ * @param {string} type - Notification type
+ * @param {Object} booking - Mock booking
+ * @param {Object} extra - Details for the message (e.g. { reason })
+ * @returns {Promise<Object|null>} - Notification
+ */
+const notifyMock = async (recipient, type, booking, extra = {}) => {
+    try {
+        const notification = {
+            _id: generateId('notification'),
+            recipient,
+            booking: booking._id,
+            ...renderNotification(type, booking, extra),
+            readAt: null,
+            deliveries: [],
+            createdAt: new Date()
+        };
+        notifications.push(notification);
+
+        publish(recipient, 'notification', { notification, unreadCount: countUnread(recipient) });
+
+        notification.deliveries = await deliverExternally(users.find(u => u._id === recipient), notification);
+        return notification;
+    } catch (error) {
+        console.error(`Notification ${type} for booking ${booking?._id} failed:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Notify a mock booking's farmer and owner about an event, except whoever caused it
+ * @param {Object} booking - Mock booking
+ * @param {Object} actor - User who made the change
+ * @param {string} type - Notification type
+ * @param {Object} extra - Details for the message
+ * @returns {Promise<Array>} - Notifications sent
+ */
+const notifyMockParties = (booking, actor, type, extra) => Promise.all(
+    [booking.farmer, booking.owner]
+        .filter(party => party && party !== actor?._id)
+        .map(party => notifyMock(party, type, booking, extra))
+);
+
+/**
+ * @desc    Get the current user's notifications, newest first
+ * @route   GET /api/v1/notifications
+ */
+const getNotifications = async (req, res, next) => {
+    try {
+        const { unread, page = 1, limit = 20 } = req.query;
+
+        const mine = notifications
+            .filter(n => n.recipient === req.user._id && (unread !== 'true' || !n.readAt))
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        const skip = (page - 1) * limit;
+        const pageItems = mine.slice(skip, skip + parseInt(limit)).map(({ deliveries: _, ...n }) => n);
+
+        res.status(200).json({
+            success: true,
+            count: pageItems.length,
+            total: mine.length,
+            totalPages: Math.ceil(mine.length / limit),
+            currentPage: parseInt(page),
+            unreadCount: countUnread(req.user._id),
+            data: pageItems
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's unread notification count
+ * @route   GET /api/v1/notifications/unread-count
+ */
+const getUnreadCount = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                unreadCount: countUnread(req.user._id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark one notification as read
+ * @route   PATCH /api/v1/notifications/:id/read
+ */
+const markNotificationRead = async (req, res, next) => {
+    try {
+        const notification = notifications.find(n => n._id === req.params.id && n.recipient === req.user._id);
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        notification.readAt = notification.readAt || new Date();
+
+        res.status(200).json({
+            success: true,
+            data: notification,
+            unreadCount: countUnread(req.user._id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PATCH /api/v1/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const unread = notifications.filter(n => n.recipient === req.user._id && !n.readAt);
+        unread.forEach(n => { n.readAt = new Date(); });
+
+        res.status(200).json({
+            success: true,
+            message: `${unread.length} notification(s) marked as read`,
+            unreadCount: 0
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Issue a one-minute ticket for opening the notification stream
+ * @route   POST /api/v1/notifications/stream-ticket
+ */
+const createStreamTicket = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { ticket: generateStreamTicket(req.user) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Live stream of new notifications (Server-Sent Events)
+ * @route   GET /api/v1/notifications/stream
+ */
+const streamNotifications = async (req, res, next) => {
+    try {
+        subscribe(req.user._id, req, res, { unreadCount: countUnread(req.user._id) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    notifyMock,
+    notifyMockParties,
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    createStreamTicket,
+    streamNotifications
+};
@@ -0,0 +1,38 @@
+/**
+ * Mock Payment Controller
+ * In-memory implementation when MongoDB is not available
+ */
+
+const { ledgerEntries } = require('../../data/mockData');
+const { isAdmin } = require('../../utils/permissions');
+const { summarizeLedger } = require('../../utils/payments');
+
+/**
+ * @desc    Get the current user's payment totals (owner earnings or farmer spend)
+ * @route   GET /api/v1/payments/summary
+ */
+const getPaymentSummary = async (req, res, next) => {
+    try {
+        const { ownerId, farmerId } = req.query;
+        
+        let matches;
+        if (isAdmin(req.user)) {
+            matches = ownerId ? (e => e.owner === ownerId) : farmerId ? (e => e.farmer === farmerId) : (() => true);
+        } else if (req.user.role === 'owner') {
+            matches = e => e.owner === req.user._id;
+        } else {
+            matches = e => e.farmer === req.user._id;
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: summarizeLedger(ledgerEntries.filter(matches))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getPaymentSummary
+};
@@ -5,6 +5,8 @@
 
 const bcrypt = require('bcryptjs');
 const { users, generateId } = require('../../data/mockData');
+const { generateAuthTokens, verifyRefreshToken } = require('../../utils/tokens');
+const { isAdmin, isSelfOrAdmin } = require('../../utils/permissions');
 
 /**
  * @desc    Register a new user
@@ -23,12 +25,12 @@ const registerUser = async (req, res, next) => {
             });
         }
         
-        // Validate role
-        const validRoles = ['farmer', 'owner', 'admin'];
+        // Validate role (admins are added by another admin, never by signing up)
+        const validRoles = ['farmer', 'owner'];
         if (role && !validRoles.includes(role)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid role. Must be farmer, owner, or admin'
+                message: 'Invalid role. Must be farmer or owner'
             });
         }
         
@@ -55,7 +57,8 @@ const registerUser = async (req, res, next) => {
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
-            data: publicUser
+            data: publicUser,
+            tokens: generateAuthTokens(newUser)
         });
     } catch (error) {
         next(error);
@@ -108,7 +111,52 @@ const loginUser = async (req, res, next) => {
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            data: publicUser
+            data: publicUser,
+            tokens: generateAuthTokens(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/v1/users/refresh-token
+ */
+const refreshToken = async (req, res, next) => {
+    try {
+        const { refreshToken: token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+        
+        let payload;
+        try {
+            payload = verifyRefreshToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+        
+        const user = users.find(u => u._id === payload.id);
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found or deactivated'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            tokens: generateAuthTokens(user)
         });
     } catch (error) {
         next(error);
@@ -147,7 +195,14 @@ const getUserProfile = async (req, res, next) => {
  */
 const updateUserProfile = async (req, res, next) => {
     try {
-        const { name, phone, location } = req.body;
+        const { name, phone, location, notificationPreferences } = req.body;
+        
+        if (!isSelfOrAdmin(req.user, req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this profile'
+            });
+        }
         
         const userIndex = users.findIndex(u => u._id === req.params.id);
         
@@ -161,6 +216,12 @@ const updateUserProfile = async (req, res, next) => {
         if (name) users[userIndex].name = name;
         if (phone) users[userIndex].phone = phone;
         if (location) users[userIndex].location = { ...users[userIndex].location, ...location };
+        if (notificationPreferences) {
+            users[userIndex].notificationPreferences = {
+                ...users[userIndex].notificationPreferences,
+                ...notificationPreferences
+            };
+        }
         
         const { password: _, ...publicUser } = users[userIndex];
         
@@ -174,6 +235,55 @@ const updateUserProfile = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Create a user of any role, including another admin
+ * @route   POST /api/v1/users
+ */
+const createUser = async (req, res, next) => {
+    try {
+        const { name, email, password, phone, role, location } = req.body;
+        
+        if (users.find(u => u.email === email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+        
+        const validRoles = ['farmer', 'owner', 'admin'];
+        if (role && !validRoles.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role. Must be farmer, owner, or admin'
+            });
+        }
+        
+        const newUser = {
+            _id: generateId('user'),
+            name,
+            email,
+            password: await bcrypt.hash(password, 10),
+            phone,
+            role: role || 'farmer',
+            location: location || {},
+            isActive: true,
+            createdAt: new Date()
+        };
+        
+        users.push(newUser);
+        
+        const { password: _, ...publicUser } = newUser;
+        
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            data: publicUser
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all users
  * @route   GET /api/v1/users
@@ -182,6 +292,13 @@ const getAllUsers = async (req, res, next) => {
     try {
         const { role, page = 1, limit = 10 } = req.query;
         
+        if (!isAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can list users'
+            });
+        }
+        
         let filteredUsers = [...users];
         
         if (role) {
@@ -235,8 +352,10 @@ const deleteUser = async (req, res, next) => {
 module.exports = {
     registerUser,
     loginUser,
+    refreshToken,
     getUserProfile,
     updateUserProfile,
+    createUser,
     getAllUsers,
     deleteUser
 };
@@ -0,0 +1,155 @@
+/**
+ * Notification Controller
+ *
+ * The signed-in user's notification inbox and its live stream
+ */
+
+const Notification = require('../models/Notification');
+const { subscribe } = require('../utils/notificationStream');
+const { generateStreamTicket } = require('../utils/tokens');
+
+/**
+ * @desc    Get the current user's notifications, newest first
+ * @route   GET /api/v1/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+    try {
+        const { unread, page = 1, limit = 20 } = req.query;
+
+        const query = { recipient: req.user._id };
+        if (unread === 'true') query.readAt = null;
+
+        const skip = (page - 1) * limit;
+
+        const notifications = await Notification.find(query)
+            .select('-deliveries')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Notification.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            unreadCount: await Notification.countUnread(req.user._id),
+            data: notifications
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's unread notification count
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                unreadCount: await Notification.countUnread(req.user._id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark one notification as read
+ * @route   PATCH /api/v1/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res, next) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: notification,
+            unreadCount: await Notification.countUnread(req.user._id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PATCH /api/v1/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `${result.modifiedCount} notification(s) marked as read`,
+            unreadCount: 0
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Issue a one-minute ticket for opening the notification stream
+ * @route   POST /api/v1/notifications/stream-ticket
+ * @access  Private
+ */
+const createStreamTicket = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { ticket: generateStreamTicket(req.user) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Live stream of new notifications (Server-Sent Events)
+ * @route   GET /api/v1/notifications/stream
+ * @access  Private (stream ticket)
+ */
+const streamNotifications = async (req, res, next) => {
+    try {
+        const unreadCount = await Notification.countUnread(req.user._id);
+        subscribe(req.user._id, req, res, { unreadCount });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    createStreamTicket,
+    streamNotifications
+};
@@ -0,0 +1,42 @@
+/**
+ * Payment Controller
+ * 
+ * Reports money moved through the payments ledger
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const { isAdmin } = require('../utils/permissions');
+
+/**
+ * @desc    Get the current user's payment totals (owner earnings or farmer spend)
+ * @route   GET /api/v1/payments/summary
+ * @access  Private
+ */
+const getPaymentSummary = async (req, res, next) => {
+    try {
+        const { ownerId, farmerId } = req.query;
+        
+        // Owners see what they received, farmers what they paid; admins may pick either
+        let filter;
+        if (isAdmin(req.user)) {
+            filter = ownerId ? { owner: ownerId } : farmerId ? { farmer: farmerId } : {};
+        } else if (req.user.role === 'owner') {
+            filter = { owner: req.user._id };
+        } else {
+            filter = { farmer: req.user._id };
+        }
+        
+        const totals = await LedgerEntry.getTotals(filter);
+        
+        res.status(200).json({
+            success: true,
+            data: totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getPaymentSummary
+};
@@ -5,6 +5,8 @@
  */
 
 const User = require('../models/User');
+const { generateAuthTokens, verifyRefreshToken } = require('../utils/tokens');
+const { isAdmin, isSelfOrAdmin } = require('../utils/permissions');
 
 /**
  * @desc    Register a new user
@@ -24,12 +26,12 @@ const registerUser = async (req, res, next) => {
             });
         }
         
-        // Validate role
-        const validRoles = ['farmer', 'owner', 'admin'];
+        // Validate role (admins are added by another admin, never by signing up)
+        const validRoles = ['farmer', 'owner'];
         if (role && !validRoles.includes(role)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid role. Must be farmer, owner, or admin'
+                message: 'Invalid role. Must be farmer or owner'
             });
         }
         
@@ -46,7 +48,8 @@ const registerUser = async (req, res, next) => {
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
-            data: user.toPublicJSON()
+            data: user.toPublicJSON(),
+            tokens: generateAuthTokens(user)
         });
     } catch (error) {
         next(error);
@@ -98,11 +101,57 @@ const loginUser = async (req, res, next) => {
             });
         }
         
-        // Return user data (no JWT for now)
+        // Return user data with access and refresh tokens
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            data: user.toPublicJSON()
+            data: user.toPublicJSON(),
+            tokens: generateAuthTokens(user)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/v1/users/refresh-token
+ * @access  Public
+ */
+const refreshToken = async (req, res, next) => {
+    try {
+        const { refreshToken: token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+        
+        let payload;
+        try {
+            payload = verifyRefreshToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+        
+        const user = await User.findById(payload.id);
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found or deactivated'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            tokens: generateAuthTokens(user)
         });
     } catch (error) {
         next(error);
@@ -112,7 +161,7 @@ const loginUser = async (req, res, next) => {
 /**
  * @desc    Get user profile
  * @route   GET /api/v1/users/:id
- * @access  Public (would be protected in production)
+ * @access  Private
  */
 const getUserProfile = async (req, res, next) => {
     try {
@@ -137,17 +186,31 @@ const getUserProfile = async (req, res, next) => {
 /**
  * @desc    Update user profile
  * @route   PUT /api/v1/users/:id
- * @access  Public (would be protected in production)
+ * @access  Private
  */
 const updateUserProfile = async (req, res, next) => {
     try {
-        const { name, phone, location } = req.body;
+        const { name, phone, location, notificationPreferences } = req.body;
+        
+        if (!isSelfOrAdmin(req.user, req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this profile'
+            });
+        }
         
         // Fields that can be updated
         const updateData = {};
         if (name) updateData.name = name;
         if (phone) updateData.phone = phone;
         if (location) updateData.location = location;
+        if (notificationPreferences) {
+            ['sms', 'email'].forEach(channel => {
+                if (notificationPreferences[channel] !== undefined) {
+                    updateData[`notificationPreferences.${channel}`] = Boolean(notificationPreferences[channel]);
+                }
+            });
+        }
         
         const user = await User.findByIdAndUpdate(
             req.params.id,
@@ -173,14 +236,65 @@ const updateUserProfile = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all users (admin only in production)
+ * @desc    Create a user of any role, including another admin
+ * @route   POST /api/v1/users
+ * @access  Private (Admin)
+ */
+const createUser = async (req, res, next) => {
+    try {
+        const { name, email, password, phone, role, location } = req.body;
+        
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+        
+        const validRoles = ['farmer', 'owner', 'admin'];
+        if (role && !validRoles.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role. Must be farmer, owner, or admin'
+            });
+        }
+        
+        const user = await User.create({
+            name,
+            email,
+            password,
+            phone,
+            role: role || 'farmer',
+            location
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            data: user.toPublicJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all users
  * @route   GET /api/v1/users
- * @access  Public (would be admin only in production)
+ * @access  Private (Admin)
  */
 const getAllUsers = async (req, res, next) => {
     try {
         const { role, district, page = 1, limit = 10 } = req.query;
         
+        if (!isAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can list users'
+            });
+        }
+        
         // Build query
         const query = {};
         if (role) query.role = role;
@@ -212,7 +326,7 @@ const getAllUsers = async (req, res, next) => {
 /**
  * @desc    Delete user
  * @route   DELETE /api/v1/users/:id
- * @access  Public (would be admin only in production)
+ * @access  Private (Admin)
  */
 const deleteUser = async (req, res, next) => {
     try {
@@ -237,8 +351,10 @@ const deleteUser = async (req, res, next) => {
 module.exports = {
     registerUser,
     loginUser,
+    refreshToken,
     getUserProfile,
     updateUserProfile,
+    createUser,
     getAllUsers,
     deleteUser
 };
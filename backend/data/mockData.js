@@ -4,6 +4,8 @@
  */
 
 const bcrypt = require('bcryptjs');
+const { calculateDistance } = require('../algorithms/scheduler');
+const { calculateQuote } = require('../utils/pricing');
 
 // Generate unique IDs
 let userIdCounter = 1;
@@ -93,14 +95,35 @@ const machines = [
             ratePerAcre: 1200,
             ratePerHour: 2500,
             minimumAcres: 5,
-            transportChargePerKm: 50
+            transportChargePerKm: 50,
+            rules: {
+                peakSeasons: [
+                    { name: 'Rabi harvest', startDate: new Date('2026-04-01'), endDate: new Date('2026-05-15'), surchargePercent: 20 },
+                    { name: 'Kharif harvest', startDate: new Date('2026-10-01'), endDate: new Date('2026-11-15'), surchargePercent: 20 }
+                ],
+                weekendSurchargePercent: 10,
+                urgentSurchargePercent: 15,
+                volumeDiscounts: [
+                    { minAcres: 20, discountPercent: 5 },
+                    { minAcres: 50, discountPercent: 10 }
+                ]
+            }
         },
         availability: {
             isAvailable: true,
             availableDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
             workingHours: { start: '06:00', end: '18:00' }
         },
+        cancellationPolicy: { freeUntilHours: 48, lateFeePercent: 10 },
         dailyCapacityAcres: 25,
+        maintenance: {
+            engineHours: 1180,
+            acresWorked: 2310,
+            intervals: [
+                { _id: generateId('interval'), name: 'Engine oil and filter', everyHours: 250, lastServiceHours: 1000, lastServiceAcres: 1960, lastServiceAt: new Date('2026-01-10') },
+                { _id: generateId('interval'), name: 'Full service', everyHours: 1000, everyAcres: 2500, lastServiceHours: 250, lastServiceAcres: 500, lastServiceAt: new Date('2025-03-01') }
+            ]
+        },
         status: 'active',
         images: ['https://images.unsplash.com/photo-1605002990847-6bb6e00e2c0f?w=800'],
         averageRating: 4.5,
@@ -135,8 +158,15 @@ const machines = [
         },
         availability: {
             isAvailable: true,
-            availableDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
-            workingHours: { start: '05:00', end: '19:00' }
+            availableDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+            // Split shift around the afternoon heat, half day on Saturday
+            weeklyHours: [
+                ...['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].flatMap(day => [
+                    { day, start: '05:30', end: '12:30' },
+                    { day, start: '14:00', end: '19:00' }
+                ]),
+                { day: 'saturday', start: '06:30', end: '13:00' }
+            ]
         },
         dailyCapacityAcres: 15,
         status: 'active',
@@ -299,6 +329,26 @@ const machines = [
     }
 ];
 
+// Mock coordinates use {lat, lng}; the scheduler expects {latitude, longitude}
+const toCoordinates = (coords) => coords
+    ? { latitude: coords.latitude ?? coords.lat, longitude: coords.longitude ?? coords.lng }
+    : null;
+
+// Helper function to build an itemised booking quote, charging travel from the machine's home
+const calculateMockCost = (machine, acres, fieldCoordinates, options = {}) => {
+    const travelDistanceKm = calculateDistance(
+        toCoordinates(machine.location?.coordinates),
+        toCoordinates(fieldCoordinates)
+    );
+    const pricing = {
+        ...machine.pricing,
+        ratePerAcre: machine.pricing?.ratePerAcre || 500,
+        travelChargePerKm: machine.pricing?.travelChargePerKm ?? machine.pricing?.transportChargePerKm ?? 0
+    };
+    
+    return calculateQuote(pricing, { ...options, acres, distanceKm: travelDistanceKm });
+};
+
 // Sample Bookings
 const bookings = [
     {
@@ -315,11 +365,11 @@ const bookings = [
         acres: 10,
         workType: 'harvesting',
         status: 'confirmed',
-        cost: {
-            baseCost: 12000,
-            travelCost: 500,
-            totalCost: 12500
-        },
+        statusHistory: [
+            { from: null, to: 'pending', actor: users[0]._id, reason: 'Booking requested', changedAt: new Date('2026-01-15') },
+            { from: 'pending', to: 'confirmed', actor: users[1]._id, changedAt: new Date('2026-01-16') }
+        ],
+        cost: calculateMockCost(machines[0], 10, { lat: 30.9010, lng: 75.8573 }, { date: new Date('2026-01-20') }),
         estimatedDuration: 240,
         priority: 2,
         createdAt: new Date('2026-01-15')
@@ -338,17 +388,46 @@ const bookings = [
         acres: 5,
         workType: 'tilling',
         status: 'pending',
-        cost: {
-            baseCost: 4000,
-            travelCost: 300,
-            totalCost: 4300
-        },
+        statusHistory: [
+            { from: null, to: 'pending', actor: users[0]._id, reason: 'Booking requested', changedAt: new Date('2026-01-16') }
+        ],
+        cost: calculateMockCost(machines[1], 5, { lat: 30.9010, lng: 75.8573 }, { date: new Date('2026-01-22') }),
         estimatedDuration: 180,
         priority: 1,
         createdAt: new Date('2026-01-16')
     }
 ];
 
+// Payments ledger (see models/LedgerEntry.js)
+const ledgerEntries = [];
+
+// Issued invoices (see models/Invoice.js)
+const invoices = [];
+
+// Notification inbox (see models/Notification.js)
+const notifications = [];
+
+// Operators' daily job sheets, last sent per machine and day (see models/JobSheet.js)
+const jobSheets = [];
+
+// Machines' service logs (see models/ServiceRecord.js)
+const serviceRecords = [
+    {
+        _id: generateId('service'),
+        machine: machines[0]._id,
+        owner: machines[0].owner,
+        description: '250-hour oil change',
+        intervals: [machines[0].maintenance.intervals[0]._id],
+        status: 'completed',
+        completedAt: new Date('2026-01-10'),
+        engineHours: 1000,
+        acresWorked: 1960,
+        cost: 6500,
+        notes: 'Oil, oil filter and fuel filter replaced',
+        createdAt: new Date('2026-01-10')
+    }
+];
+
 // Helper function to populate owner in machine
 const populateMachineOwner = (machine) => {
     const owner = users.find(u => u._id === machine.owner);
@@ -382,7 +461,13 @@ module.exports = {
     users,
     machines,
     bookings,
+    ledgerEntries,
+    invoices,
+    notifications,
+    jobSheets,
+    serviceRecords,
     generateId,
+    calculateMockCost,
     populateMachineOwner,
     populateBooking
 };
@@ -0,0 +1,101 @@
+/**
+ * Authentication Middleware
+ * 
+ * Resolves the current user from the Bearer access token (or, on the
+ * notification stream, a stream ticket) and guards routes by user role
+ * (farmer, owner, admin)
+ */
+
+const User = require('../models/User');
+const { verifyAccessToken, verifyStreamTicket } = require('../utils/tokens');
+
+/**
+ * Build a middleware that authenticates the request
+ * @param {Function} findUserById - async (id) => user or null
+ * @param {Function} verifyToken - Decodes the Bearer token (defaults to access tokens)
+ * @returns {Function} - Express middleware that sets req.user
+ */
+const createProtect = (findUserById, verifyToken = verifyAccessToken) => async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization || '';
+        const [scheme, token] = authHeader.split(' ');
+        
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, no token provided'
+            });
+        }
+        
+        let payload;
+        try {
+            payload = verifyToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: error.name === 'TokenExpiredError'
+                    ? 'Access token expired'
+                    : 'Not authorized, invalid token'
+            });
+        }
+        
+        const user = await findUserById(payload.id);
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, user not found or deactivated'
+            });
+        }
+        
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Require an authenticated user (MongoDB lookup)
+ */
+const protect = createProtect((id) => User.findById(id));
+
+/**
+ * Require a stream ticket instead of an access token (MongoDB lookup)
+ */
+const protectStream = createProtect((id) => User.findById(id), verifyStreamTicket);
+
+/**
+ * Accept a stream ticket as ?ticket= on routes browsers open with EventSource,
+ * which cannot send an Authorization header. Use before protectStream.
+ */
+const ticketFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.ticket) {
+        req.headers.authorization = `Bearer ${req.query.ticket}`;
+    }
+    next();
+};
+
+/**
+ * Restrict a route to the given roles
+ * Must be used after protect
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: `Role '${req.user?.role}' is not allowed to access this resource`
+        });
+    }
+    next();
+};
+
+module.exports = {
+    createProtect,
+    protect,
+    protectStream,
+    ticketFromQuery,
+    authorize
+};
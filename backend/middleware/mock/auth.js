@@ -0,0 +1,38 @@
+/**
+ * Mock Authentication Middleware
+ * In-memory user lookup when MongoDB is not available
+ */
+
+const { users } = require('../../data/mockData');
+const { verifyStreamTicket } = require('../../utils/tokens');
+const { createProtect, ticketFromQuery, authorize } = require('../auth');
+
+/**
+ * Find a mock user without the password
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>}
+ */
+const findPublicUser = async (id) => {
+    const user = users.find(u => u._id === id);
+    if (!user) return null;
+    
+    const { password: _, ...publicUser } = user;
+    return publicUser;
+};
+
+/**
+ * Require an authenticated user (in-memory lookup)
+ */
+const protect = createProtect(findPublicUser);
+
+/**
+ * Require a stream ticket instead of an access token (in-memory lookup)
+ */
+const protectStream = createProtect(findPublicUser, verifyStreamTicket);
+
+module.exports = {
+    protect,
+    protectStream,
+    ticketFromQuery,
+    authorize
+};
@@ -0,0 +1,84 @@
+/**
+ * Background Job Model
+ *
+ * Persisted state of one recurring job run by utils/jobRunner.js: whether
+ * it is enabled, which scheduled run it last completed (so a run is never
+ * repeated, even across restarts or several server instances), the lock
+ * held while it runs and its most recent runs.
+ */
+
+const mongoose = require('mongoose');
+
+const backgroundJobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+
+    // Scheduled run (its due time, ISO) last completed
+    lastRunKey: {
+        type: String,
+        default: null
+    },
+
+    // Held while a run is in progress; stale locks expire (see jobRunner LOCK_TTL_MS)
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    failureCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Most recent runs, newest last (capped by jobRunner RUN_HISTORY_LIMIT)
+    runs: [{
+        key: {
+            type: String
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual']
+        },
+        status: {
+            type: String,
+            enum: ['succeeded', 'failed']
+        },
+        startedAt: {
+            type: Date
+        },
+        finishedAt: {
+            type: Date
+        },
+        durationMs: {
+            type: Number
+        },
+        result: {
+            type: mongoose.Schema.Types.Mixed
+        },
+        error: {
+            type: String
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+const BackgroundJob = mongoose.model('BackgroundJob', backgroundJobSchema);
+
+module.exports = BackgroundJob;
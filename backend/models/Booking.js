@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { BOOKING_STATUSES, assertTransition } = require('../utils/bookingStatus');
 
 const bookingSchema = new mongoose.Schema({
     // Reference to the farmer who made the booking
@@ -35,7 +36,9 @@ const bookingSchema = new mongoose.Schema({
         required: [true, 'Booking date is required'],
         validate: {
             validator: function(date) {
-                // Booking date must be today or in the future
+                // Booking date must be today or in the future when it is set; a booking
+                // whose day has passed can still be started, completed or expired
+                if (!this.isNew && !this.isModified('date')) return true;
                 const today = new Date();
                 today.setHours(0, 0, 0, 0);
                 return date >= today;
@@ -61,6 +64,36 @@ const bookingSchema = new mongoose.Schema({
         }
     },
     
+    // Farmer's preferred working window for the day, honoured by the scheduler
+    timeWindow: {
+        earliestStart: {
+            type: String, // Format: "HH:MM" (24-hour)
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Earliest start must be in HH:MM format']
+        },
+        latestFinish: {
+            type: String, // Format: "HH:MM" (24-hour)
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Latest finish must be in HH:MM format'],
+            validate: {
+                validator: function(latestFinish) {
+                    const earliestStart = this.timeWindow?.earliestStart;
+                    return !latestFinish || !earliestStart || latestFinish > earliestStart;
+                },
+                message: 'Latest finish must be after earliest start'
+            }
+        }
+    },
+    
+    // Harvest-critical jobs must be completed on or before this date
+    mustFinishBy: {
+        type: Date,
+        validate: {
+            validator: function(mustFinishBy) {
+                return !mustFinishBy || !this.date || mustFinishBy >= new Date(this.date).setHours(0, 0, 0, 0);
+            },
+            message: 'Must-finish-by date cannot be before the booking date'
+        }
+    },
+    
     // Field/Farm location where work needs to be done
     fieldLocation: {
         village: {
@@ -127,12 +160,35 @@ const bookingSchema = new mongoose.Schema({
             required: true,
             min: 0
         },
+        // Work cost after pricing rules (base plus surcharges minus discounts)
+        workCost: {
+            type: Number,
+            min: 0
+        },
         // Travel/transport cost
         travelCost: {
             type: Number,
             default: 0,
             min: 0
         },
+        // Distance the travel cost was charged for (km)
+        travelDistanceKm: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Itemised quote lines (base, pricing rules, travel); discounts are negative
+        items: [{
+            code: {
+                type: String
+            },
+            label: {
+                type: String
+            },
+            amount: {
+                type: Number
+            }
+        }],
         // Total cost
         totalCost: {
             type: Number,
@@ -147,16 +203,116 @@ const bookingSchema = new mongoose.Schema({
         required: true
     },
     
-    // Booking status
+    // What actually happened on the job, kept next to the estimate
+    workLog: {
+        startedAt: {
+            type: Date
+        },
+        finishedAt: {
+            type: Date
+        },
+        // Estimate at booking time
+        estimatedAcres: {
+            type: Number,
+            min: 0
+        },
+        estimatedMinutes: {
+            type: Number,
+            min: 0
+        },
+        quotedCost: {
+            type: Number,
+            min: 0
+        },
+        // Reported by the owner/operator at completion
+        actualAcres: {
+            type: Number,
+            min: 0
+        },
+        actualMinutes: {
+            type: Number,
+            min: 0
+        },
+        fuelUsedLitres: {
+            type: Number,
+            min: 0
+        },
+        operatorNotes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Operator notes cannot exceed 500 characters']
+        }
+    },
+    
+    // Booking status (allowed changes are listed in utils/bookingStatus.js)
     status: {
         type: String,
         enum: {
-            values: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'],
+            values: BOOKING_STATUSES,
             message: 'Invalid booking status'
         },
         default: 'pending'
     },
     
+    // Every status change, oldest first
+    statusHistory: [{
+        from: {
+            type: String // null for the initial request
+        },
+        to: {
+            type: String,
+            required: true
+        },
+        // User who made the change (empty for automatic changes)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
+    // Fleet request - any machine of this type within maxDistanceKm may do the job
+    fleetRequest: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        machineType: {
+            type: String
+        },
+        maxDistanceKm: {
+            type: Number,
+            min: [1, 'Maximum distance must be at least 1 km']
+        }
+    },
+    
+    // Machine reassignments made by fleet scheduling
+    assignmentHistory: [{
+        from: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Machine'
+        },
+        to: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Machine'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        assignedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
     // Priority level for scheduling
     priority: {
         type: Number,
@@ -171,6 +327,87 @@ const bookingSchema = new mongoose.Schema({
         trim: true
     },
     
+    // Owner's reason for turning the request down (if rejected)
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    
+    // Owner's proposed changes (while countered); the farmer accepts or declines
+    counterOffer: {
+        date: {
+            type: Date
+        },
+        startTime: {
+            type: String // Format: "HH:MM"
+        },
+        endTime: {
+            type: String // Format: "HH:MM"
+        },
+        // Full quote for the proposal, including any owner price adjustment
+        cost: {
+            baseCost: {
+                type: Number
+            },
+            workCost: {
+                type: Number
+            },
+            travelCost: {
+                type: Number
+            },
+            travelDistanceKm: {
+                type: Number
+            },
+            items: [{
+                code: {
+                    type: String
+                },
+                label: {
+                    type: String
+                },
+                amount: {
+                    type: Number
+                }
+            }],
+            totalCost: {
+                type: Number
+            }
+        },
+        message: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Counter-offer message cannot exceed 300 characters']
+        },
+        proposedAt: {
+            type: Date
+        },
+        response: {
+            type: String,
+            enum: ['accepted', 'declined']
+        },
+        respondedAt: {
+            type: Date
+        }
+    },
+    
+    // Fee charged under the machine's cancellation policy (if cancelled)
+    cancellation: {
+        fee: {
+            type: Number,
+            default: 0
+        },
+        feePercent: {
+            type: Number,
+            default: 0
+        },
+        hoursBeforeStart: {
+            type: Number
+        },
+        cancelledAt: {
+            type: Date
+        }
+    },
+    
     // Notes/special instructions
     notes: {
         type: String,
@@ -210,7 +447,48 @@ const bookingSchema = new mongoose.Schema({
         // Scheduling timestamp
         scheduledAt: {
             type: Date
+        },
+        // Date the farmer asked for (set when the job rolled to a later day)
+        requestedDate: {
+            type: Date
+        },
+        // Why the last auto-schedule run could not place this booking
+        unscheduledReason: {
+            type: String,
+            default: null
+        },
+        // Last time the scheduler tried to place this booking
+        lastAttemptAt: {
+            type: Date
+        }
+    },
+    
+    // Owner must answer the request by this time or it expires (see utils/responseDeadline.js)
+    respondBy: {
+        type: Date
+    },
+    
+    // Set when a blackout added later covers the booking's day; cleared once it moves
+    rescheduleRequired: {
+        blackout: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        reason: {
+            type: String
+        },
+        flaggedAt: {
+            type: Date
         }
+    },
+    
+    // Day-before reminder sent to both parties (see utils/backgroundJobs.js)
+    reminderSentAt: {
+        type: Date
+    },
+    
+    // Confirmed job whose time passed without it being started
+    overdueSince: {
+        type: Date
     }
 }, {
     timestamps: true
@@ -234,14 +512,45 @@ bookingSchema.virtual('isEditable').get(function() {
 // Pre-save Middleware
 // ===========================================
 
+// Remember the stored status so saves can check the change against the transition table
+bookingSchema.post('init', function() {
+    this.$locals.savedStatus = this.status;
+});
+
 bookingSchema.pre('save', function(next) {
     // Calculate total cost if not set
     if (this.cost.baseCost && !this.cost.totalCost) {
         this.cost.totalCost = this.cost.baseCost + (this.cost.travelCost || 0);
     }
+    
+    if (this.isNew) {
+        if (!this.statusHistory.length) {
+            this.statusHistory.push({ from: null, to: this.status, actor: this.farmer, reason: 'Booking requested' });
+        }
+    } else if (this.isModified('status') && this.$locals.savedStatus !== this.status) {
+        try {
+            assertTransition(this.$locals.savedStatus, this.status);
+        } catch (error) {
+            return next(error);
+        }
+        // Status set directly rather than through transitionTo: still record it
+        const last = this.statusHistory[this.statusHistory.length - 1];
+        if (!last || last.to !== this.status) {
+            this.statusHistory.push({ from: this.$locals.savedStatus, to: this.status });
+        }
+    }
+    
+    // A booking moved to another day or machine no longer clashes with the blackout
+    if (!this.isNew && this.rescheduleRequired?.flaggedAt && (this.isModified('date') || this.isModified('machine'))) {
+        this.rescheduleRequired = undefined;
+    }
     next();
 });
 
+bookingSchema.post('save', function() {
+    this.$locals.savedStatus = this.status;
+});
+
 // ===========================================
 // Static Methods
 // ===========================================
@@ -259,10 +568,11 @@ bookingSchema.statics.getBookingsForDate = async function(machineId, date) {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
     
+    // Rejected and countered requests give their time back to the calendar
     return await this.find({
         machine: machineId,
         date: { $gte: startOfDay, $lte: endOfDay },
-        status: { $nin: ['cancelled'] }
+        status: { $nin: ['cancelled', 'rejected', 'countered', 'expired'] }
     }).sort({ 'timeSlots.slotOrder': 1 });
 };
 
@@ -289,34 +599,136 @@ bookingSchema.statics.getPendingBookingsForDate = async function(date) {
 // Instance Methods
 // ===========================================
 
+/**
+ * Move the booking to a new status and record the change (does not save)
+ * @param {string} status - New status
+ * @param {Object} options - { actor (user id), reason }
+ * @returns {Booking} - This booking
+ * @throws {Error} - 400 if the transition table does not allow the change
+ */
+bookingSchema.methods.transitionTo = function(status, { actor, reason } = {}) {
+    assertTransition(this.status, status);
+    this.statusHistory.push({ from: this.status, to: status, actor, reason });
+    this.status = status;
+    return this;
+};
+
 /**
  * Confirm the booking
+ * @param {ObjectId} actor - User confirming
  * @returns {Promise<Booking>} - Updated booking
  */
-bookingSchema.methods.confirm = async function() {
-    this.status = 'confirmed';
+bookingSchema.methods.confirm = async function(actor) {
+    this.transitionTo('confirmed', { actor });
     return await this.save();
 };
 
 /**
  * Cancel the booking
  * @param {string} reason - Cancellation reason
+ * @param {Object} terms - Result of calculateCancellation (optional)
+ * @param {ObjectId} actor - User cancelling
  * @returns {Promise<Booking>} - Updated booking
  */
-bookingSchema.methods.cancel = async function(reason) {
-    this.status = 'cancelled';
+bookingSchema.methods.cancel = async function(reason, terms = {}, actor) {
+    this.transitionTo('cancelled', { actor, reason });
     this.cancellationReason = reason;
+    this.cancellation = {
+        fee: terms.fee || 0,
+        feePercent: terms.feePercent || 0,
+        hoursBeforeStart: terms.hoursBeforeStart,
+        cancelledAt: new Date()
+    };
+    return await this.save();
+};
+
+/**
+ * Move to a new status with one atomic update on the status it was read with,
+ * so of two requests racing for the same change only one wins
+ * Other modified fields are left for a later save.
+ * @param {string} status - Target status
+ * @param {Object} options - { actor, reason } for the status history
+ * @returns {Promise<boolean>} - False if the stored status had already changed
+ */
+bookingSchema.methods.claimTransition = async function(status, options) {
+    const from = this.status;
+    this.transitionTo(status, options);
+    const entry = this.statusHistory[this.statusHistory.length - 1];
+    
+    const { modifiedCount } = await this.constructor.updateOne(
+        { _id: this._id, status: from },
+        { $set: { status }, $push: { statusHistory: entry.toObject() } }
+    );
+    if (!modifiedCount) return false;
+    
+    // Already stored, so a later save must not write the change again
+    this.unmarkModified('status');
+    this.unmarkModified('statusHistory');
+    this.$locals.savedStatus = this.status;
+    return true;
+};
+
+/**
+ * Expire a request nobody answered in time
+ * Claimed atomically, so an answer from the owner at the same moment wins and
+ * the job day having passed does not matter.
+ * @param {string} reason - Why it expired
+ * @returns {Promise<Booking|null>} - Updated booking, or null if its status had already changed
+ */
+bookingSchema.methods.expire = async function(reason) {
+    return await this.claimTransition('expired', { reason }) ? this : null;
+};
+
+/**
+ * Turn down a pending request
+ * @param {string} reason - Owner's reason
+ * @param {ObjectId} actor - User rejecting
+ * @returns {Promise<Booking>} - Updated booking
+ */
+bookingSchema.methods.reject = async function(reason, actor) {
+    this.transitionTo('rejected', { actor, reason });
+    this.rejectionReason = reason;
+    return await this.save();
+};
+
+/**
+ * Propose a different date, slot or price for a pending request
+ * @param {Object} offer - { date, startTime, endTime, cost, message }
+ * @param {ObjectId} actor - User proposing
+ * @returns {Promise<Booking>} - Updated booking
+ */
+bookingSchema.methods.proposeCounterOffer = async function(offer, actor) {
+    this.transitionTo('countered', { actor, reason: offer.message });
+    this.counterOffer = {
+        ...offer,
+        proposedAt: new Date()
+    };
+    return await this.save();
+};
+
+/**
+ * Start work on a confirmed booking
+ * @param {ObjectId} actor - User starting the job
+ * @param {Date} startedAt - When work began (defaults to now)
+ * @returns {Promise<Booking>} - Updated booking
+ */
+bookingSchema.methods.start = async function(actor, startedAt = new Date()) {
+    this.transitionTo('in_progress', { actor });
+    this.workLog = { ...(this.workLog?.toObject?.() || {}), startedAt };
     return await this.save();
 };
 
 /**
  * Mark booking as completed and add review
+ * The status change is claimed atomically first, so of two completions
+ * racing only one goes on to settle payment.
  * @param {number} rating - Rating (1-5)
  * @param {string} comment - Review comment
- * @returns {Promise<Booking>} - Updated booking
+ * @param {ObjectId} actor - User completing
+ * @returns {Promise<Booking|null>} - Updated booking, or null if its status had already changed
  */
-bookingSchema.methods.complete = async function(rating, comment) {
-    this.status = 'completed';
+bookingSchema.methods.complete = async function(rating, comment, actor) {
+    if (!await this.claimTransition('completed', { actor })) return null;
     if (rating) {
         this.review = {
             rating,
@@ -336,6 +748,7 @@ bookingSchema.index({ farmer: 1, date: 1 });
 bookingSchema.index({ machine: 1, date: 1 });
 bookingSchema.index({ owner: 1, date: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ status: 1, respondBy: 1 });
 bookingSchema.index({ date: 1 });
 bookingSchema.index({ 'fieldLocation.district': 1 });
 
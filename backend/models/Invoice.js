@@ -0,0 +1,161 @@
+/**
+ * Invoice Model
+ *
+ * Issued once per booking when it is completed. Numbers run sequentially
+ * per owner (INV-00001, INV-00002, ...). The charges are copied from the
+ * booking at issue time so later edits cannot change an issued invoice;
+ * payments are read from the ledger whenever it is rendered.
+ */
+
+const mongoose = require('mongoose');
+const { TAX_PERCENT, formatInvoiceNumber, calculateIncludedTax } = require('../utils/invoices');
+
+const invoiceSchema = new mongoose.Schema({
+    // Owner issuing the invoice; numbering is per owner
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Farmer being billed
+    farmer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+
+    // Position in the owner's sequence and the printed number
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    number: {
+        type: String,
+        required: true
+    },
+
+    // Snapshot of the work billed
+    machineName: {
+        type: String
+    },
+    workDate: {
+        type: Date
+    },
+    acres: {
+        type: Number,
+        required: true
+    },
+    ratePerAcre: {
+        type: Number
+    },
+    items: [{
+        code: {
+            type: String
+        },
+        label: {
+            type: String
+        },
+        amount: {
+            type: Number
+        }
+    }],
+    travelCost: {
+        type: Number,
+        default: 0
+    },
+    travelDistanceKm: {
+        type: Number,
+        default: 0
+    },
+    totalCost: {
+        type: Number,
+        required: true
+    },
+
+    // Tax included in totalCost
+    taxPercent: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Issue the invoice for a completed booking (or return the one already issued)
+ * The next number is the owner's highest sequence + 1; if another request takes
+ * it first the unique index rejects ours and we try the following number.
+ * @param {Object} booking - Booking document
+ * @param {Object} machine - Machine document (optional, for name and rate)
+ * @returns {Promise<Invoice>}
+ */
+invoiceSchema.statics.issueForBooking = async function(booking, machine) {
+    const existing = await this.findOne({ booking: booking._id });
+    if (existing) return existing;
+
+    const totalCost = booking.cost.totalCost;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const last = await this.findOne({ owner: booking.owner }).sort({ sequence: -1 }).select('sequence');
+        const sequence = (last?.sequence || 0) + 1;
+        try {
+            return await this.create({
+                owner: booking.owner,
+                farmer: booking.farmer,
+                booking: booking._id,
+                sequence,
+                number: formatInvoiceNumber(sequence),
+                machineName: machine?.name,
+                workDate: booking.date,
+                acres: booking.workLog?.actualAcres ?? booking.acres,
+                ratePerAcre: machine?.pricing?.ratePerAcre,
+                items: booking.cost.items,
+                travelCost: booking.cost.travelCost,
+                travelDistanceKm: booking.cost.travelDistanceKm,
+                totalCost,
+                taxPercent: TAX_PERCENT,
+                taxAmount: calculateIncludedTax(totalCost)
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            // The booking may have been invoiced concurrently
+            const issued = await this.findOne({ booking: booking._id });
+            if (issued) return issued;
+        }
+    }
+
+    throw new Error('Could not allocate an invoice number, please try again');
+};
+
+// ===========================================
+// Indexes
+// ===========================================
+
+// One invoice per booking, one number per owner
+invoiceSchema.index({ booking: 1 }, { unique: true });
+invoiceSchema.index({ owner: 1, sequence: 1 }, { unique: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,190 @@
+/**
+ * Job Sheet Model
+ *
+ * The latest daily job sheet sent for a machine and day. Sending goes
+ * through JobSheet.send, which rebuilds the sheet from the day's bookings
+ * and only messages the operator again when the stops have changed.
+ */
+
+const mongoose = require('mongoose');
+const { startOfDay } = require('../algorithms/scheduler');
+const { sendOnChannel } = require('../utils/notificationChannels');
+const {
+    JOB_SHEET_STATUSES,
+    buildJobSheet,
+    formatJobSheet,
+    fingerprintJobSheet,
+    getSheetRecipient
+} = require('../utils/jobSheet');
+
+const jobSheetSchema = new mongoose.Schema({
+    machine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Machine',
+        required: true
+    },
+
+    // Day the sheet covers (start of day)
+    date: {
+        type: Date,
+        required: true
+    },
+
+    // Operator (or owner) it was sent to
+    recipient: {
+        name: {
+            type: String
+        },
+        phone: {
+            type: String
+        }
+    },
+    channel: {
+        type: String,
+        enum: ['sms', 'whatsapp']
+    },
+
+    // Last text sent and the fingerprint of its stops (null until one is delivered)
+    text: {
+        type: String
+    },
+    fingerprint: {
+        type: String,
+        default: null
+    },
+    stopCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Times the sheet has been sent for this day
+    version: {
+        type: Number,
+        default: 0
+    },
+    reason: {
+        type: String,
+        enum: ['morning', 'schedule_change', 'manual']
+    },
+
+    delivery: {
+        adapter: {
+            type: String
+        },
+        status: {
+            type: String,
+            enum: ['sent', 'failed']
+        },
+        providerRef: {
+            type: String
+        },
+        failureReason: {
+            type: String
+        }
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Build a machine's job sheet for a day and send it to the operator
+ * Nothing is sent when the stops match the last delivered sheet, unless
+ * forced, nor when there is no sheet yet and no jobs to put on one.
+ * @param {Object} machine - Machine document
+ * @param {Date} date - Day
+ * @param {Object} options - { reason: 'morning' | 'schedule_change' | 'manual', force: send even if unchanged }
+ * @returns {Promise<Object>} - { sheet, text, jobSheet, sent, channelOff }
+ */
+jobSheetSchema.statics.send = async function(machine, date, { reason = 'manual', force = false } = {}) {
+    const day = startOfDay(date);
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+
+    const bookings = await this.model('Booking').find({
+        machine: machine._id,
+        date: { $gte: day, $lt: nextDay },
+        status: { $in: JOB_SHEET_STATUSES }
+    }).populate('farmer', 'name phone');
+
+    const sheet = buildJobSheet(machine, day, bookings);
+    const fingerprint = fingerprintJobSheet(sheet);
+    const existing = await this.findOne({ machine: machine._id, date: day });
+    const text = formatJobSheet(sheet, { updated: Boolean(existing?.fingerprint) });
+
+    const unchanged = existing ? existing.fingerprint === fingerprint : sheet.stops.length === 0;
+    if (unchanged && !force) {
+        return { sheet, text, jobSheet: existing, sent: false };
+    }
+
+    const owner = await this.model('User').findById(machine.owner?._id || machine.owner).select('name phone');
+    const recipient = getSheetRecipient(machine, owner);
+    const delivery = recipient.phone
+        ? await sendOnChannel(recipient.channel, { to: recipient.phone, body: text })
+        : { status: 'failed', failureReason: 'No operator or owner phone number' };
+
+    // Channel turned off
+    if (!delivery) {
+        return { sheet, text, jobSheet: existing, sent: false, channelOff: true };
+    }
+
+    const jobSheet = existing || new this({ machine: machine._id, date: day });
+    jobSheet.recipient = { name: recipient.name, phone: recipient.phone };
+    jobSheet.channel = recipient.channel;
+    jobSheet.text = text;
+    // A failed delivery keeps no fingerprint so the next change or morning run retries it
+    jobSheet.fingerprint = delivery.status === 'sent' ? fingerprint : null;
+    jobSheet.stopCount = sheet.stops.length;
+    jobSheet.version += 1;
+    jobSheet.reason = reason;
+    jobSheet.delivery = {
+        adapter: delivery.adapter,
+        status: delivery.status,
+        providerRef: delivery.providerRef,
+        failureReason: delivery.failureReason
+    };
+    jobSheet.sentAt = new Date();
+    await jobSheet.save();
+
+    return { sheet, text, jobSheet, sent: delivery.status === 'sent' };
+};
+
+/**
+ * Re-send a day's job sheet after a schedule change, if one was already sent
+ * that day (days not sent yet go out with the morning run)
+ * Never throws: a failed job sheet must not fail the booking change.
+ * @param {ObjectId} machineId - Machine id
+ * @param {Date} date - Day that changed
+ * @returns {Promise<Object|null>} - Result of send, or null if nothing was re-sent
+ */
+jobSheetSchema.statics.resend = async function(machineId, date) {
+    try {
+        if (!machineId || !date) return null;
+
+        const day = startOfDay(date);
+        if (!(await this.exists({ machine: machineId, date: day }))) return null;
+
+        const machine = await this.model('Machine').findById(machineId);
+        if (!machine) return null;
+
+        return await this.send(machine, day, { reason: 'schedule_change' });
+    } catch (error) {
+        console.error(`Job sheet for machine ${machineId} on ${date} failed:`, error.message);
+        return null;
+    }
+};
+
+// ===========================================
+// Indexes
+// ===========================================
+
+jobSheetSchema.index({ machine: 1, date: 1 }, { unique: true });
+
+const JobSheet = mongoose.model('JobSheet', jobSheetSchema);
+
+module.exports = JobSheet;
@@ -0,0 +1,109 @@
+/**
+ * LedgerEntry Model
+ *
+ * One money movement for a booking: a deposit, balance or late
+ * cancellation fee paid by the farmer, or a refund back to them. Failed attempts are kept too, so the
+ * ledger is the full payment record; balances are computed from it.
+ */
+
+const mongoose = require('mongoose');
+const { summarizeLedger } = require('../utils/payments');
+
+const ledgerEntrySchema = new mongoose.Schema({
+    // Booking the money is for
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+
+    // Paying farmer
+    farmer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Receiving machine owner
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // What the movement is for
+    type: {
+        type: String,
+        enum: ['deposit', 'balance', 'cancellation_fee', 'refund'],
+        required: true
+    },
+
+    // Amount in rupees (always positive; refunds flow back to the farmer)
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount must be positive']
+    },
+
+    // Outcome reported by the provider
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+
+    // Provider that handled it and its reference
+    provider: {
+        type: String,
+        required: true
+    },
+    providerRef: {
+        type: String
+    },
+    failureReason: {
+        type: String
+    },
+
+    description: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Summarise the money moved for a booking
+ * @param {ObjectId} bookingId - Booking ID
+ * @returns {Promise<Object>} - { paid, refunded, net, entries }
+ */
+ledgerEntrySchema.statics.getBookingSummary = async function(bookingId) {
+    const entries = await this.find({ booking: bookingId }).sort({ createdAt: 1 });
+    return { ...summarizeLedger(entries), entries };
+};
+
+/**
+ * Summarise the money an owner received or a farmer paid
+ * @param {Object} filter - { owner } or { farmer }
+ * @returns {Promise<Object>} - { paid, refunded, net }
+ */
+ledgerEntrySchema.statics.getTotals = async function(filter) {
+    const entries = await this.find({ ...filter, status: 'succeeded' }).select('type amount status');
+    return summarizeLedger(entries);
+};
+
+// ===========================================
+// Indexes
+// ===========================================
+
+ledgerEntrySchema.index({ booking: 1, createdAt: 1 });
+ledgerEntrySchema.index({ owner: 1, status: 1 });
+ledgerEntrySchema.index({ farmer: 1, status: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
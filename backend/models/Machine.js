@@ -6,6 +6,10 @@
  */
 
 const mongoose = require('mongoose');
+const { calculateQuote } = require('../utils/pricing');
+const { BLACKOUT_REASONS } = require('../utils/blackouts');
+const { validateWeeklyHours, normalizeWeeklyHours } = require('../utils/workingHours');
+const { isWorkingDay } = require('../algorithms/scheduler');
 
 const machineSchema = new mongoose.Schema({
     // Machine name/title
@@ -128,6 +132,65 @@ const machineSchema = new mongoose.Schema({
             type: Number,
             default: 0,
             min: [0, 'Travel charge must be positive']
+        },
+        // Owner-defined rules applied on top of the acre rate
+        rules: {
+            // Date ranges charged at a surcharge (highest matching season applies)
+            peakSeasons: [{
+                name: {
+                    type: String,
+                    trim: true,
+                    maxlength: [50, 'Season name cannot exceed 50 characters']
+                },
+                startDate: {
+                    type: Date,
+                    required: [true, 'Season start date is required']
+                },
+                endDate: {
+                    type: Date,
+                    required: [true, 'Season end date is required'],
+                    validate: {
+                        validator: function(value) {
+                            return !this.startDate || value >= this.startDate;
+                        },
+                        message: 'Season end date must be on or after its start date'
+                    }
+                },
+                surchargePercent: {
+                    type: Number,
+                    required: true,
+                    min: [0, 'Surcharge must be positive'],
+                    max: [200, 'Surcharge cannot exceed 200%']
+                }
+            }],
+            // Surcharge for Saturday and Sunday jobs
+            weekendSurchargePercent: {
+                type: Number,
+                default: 0,
+                min: [0, 'Surcharge must be positive'],
+                max: [200, 'Surcharge cannot exceed 200%']
+            },
+            // Surcharge for urgent-priority bookings
+            urgentSurchargePercent: {
+                type: Number,
+                default: 0,
+                min: [0, 'Surcharge must be positive'],
+                max: [200, 'Surcharge cannot exceed 200%']
+            },
+            // Discount tiers by booked acres (best reached tier applies)
+            volumeDiscounts: [{
+                minAcres: {
+                    type: Number,
+                    required: true,
+                    min: [1, 'Discount tier must start at 1 acre or more']
+                },
+                discountPercent: {
+                    type: Number,
+                    required: true,
+                    min: [0, 'Discount must be positive'],
+                    max: [90, 'Discount cannot exceed 90%']
+                }
+            }]
         }
     },
     
@@ -138,7 +201,7 @@ const machineSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
-        // Working hours
+        // Working hours (whole hours, used when there is no weekly hours template)
         workingHoursStart: {
             type: Number,
             default: 8, // 8 AM
@@ -151,12 +214,51 @@ const machineSchema = new mongoose.Schema({
             min: 0,
             max: 23
         },
+        // Weekly hours template: one entry per working interval, so a day can
+        // have several (e.g. around a lunch break) and each weekday its own hours
+        weeklyHours: {
+            type: [{
+                _id: false,
+                // 0 = Sunday, 6 = Saturday
+                day: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                    max: 6
+                },
+                // HH:MM
+                start: {
+                    type: String,
+                    required: true
+                },
+                end: {
+                    type: String,
+                    required: true
+                }
+            }],
+            default: [],
+            validate: {
+                validator: function(hours) {
+                    return !validateWeeklyHours(hours);
+                },
+                message: props => validateWeeklyHours(props.value)
+            }
+        },
         // Time required per acre (in minutes)
         timePerAcre: {
             type: Number,
             default: 60, // 1 hour per acre
             min: [15, 'Time per acre must be at least 15 minutes']
         },
+        // Learned time per acre for specific work types (minutes), overriding timePerAcre
+        timePerAcreByWorkType: {
+            type: Map,
+            of: {
+                type: Number,
+                min: [15, 'Time per acre must be at least 15 minutes']
+            },
+            default: {}
+        },
         // Days of week when available (0 = Sunday, 6 = Saturday)
         availableDays: {
             type: [Number],
@@ -170,6 +272,171 @@ const machineSchema = new mongoose.Schema({
         }
     },
     
+    // Cancellation terms offered to farmers
+    cancellationPolicy: {
+        // Cancelling up to this many hours before the job starts is free
+        freeUntilHours: {
+            type: Number,
+            default: 24,
+            min: [0, 'Free cancellation window must be positive'],
+            max: [720, 'Free cancellation window cannot exceed 720 hours']
+        },
+        // Fee, as a percentage of the booking total, for later cancellations
+        lateFeePercent: {
+            type: Number,
+            default: 0,
+            min: [0, 'Cancellation fee must be positive'],
+            max: [100, 'Cancellation fee cannot exceed 100%']
+        }
+    },
+    
+    // Hours the owner has to answer a booking request before it expires
+    responseDeadlineHours: {
+        type: Number,
+        default: 24,
+        min: [1, 'Response deadline must be at least 1 hour'],
+        max: [168, 'Response deadline cannot exceed 168 hours']
+    },
+    
+    // Dated periods the machine cannot be booked (whole days, inclusive)
+    blackouts: [{
+        startDate: {
+            type: Date,
+            required: [true, 'Blackout start date is required']
+        },
+        endDate: {
+            type: Date,
+            required: [true, 'Blackout end date is required'],
+            validate: {
+                validator: function(value) {
+                    return !this.startDate || value >= this.startDate;
+                },
+                message: 'Blackout end date must be on or after its start date'
+            }
+        },
+        reason: {
+            type: String,
+            enum: {
+                values: Object.keys(BLACKOUT_REASONS),
+                message: 'Invalid blackout reason'
+            },
+            required: true
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Blackout note cannot exceed 200 characters']
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
+    // Who drives the machine in the field; gets the daily job sheet (the owner when not set)
+    operator: {
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Operator name cannot exceed 100 characters']
+        },
+        phone: {
+            type: String,
+            match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit operator phone number']
+        },
+        // Basic phones get SMS; WhatsApp where the operator has it
+        channel: {
+            type: String,
+            enum: {
+                values: ['sms', 'whatsapp'],
+                message: 'Job sheet channel must be sms or whatsapp'
+            },
+            default: 'sms'
+        }
+    },
+    
+    // Time-per-acre calibration from completed jobs (see algorithms/timeCalibrator.js)
+    timeCalibration: {
+        // Apply new estimates as soon as the calibration job finds them
+        autoApply: {
+            type: Boolean,
+            default: false
+        },
+        lastRunAt: {
+            type: Date
+        },
+        // Estimates waiting for the owner to apply ('all' is the default timePerAcre)
+        proposals: [{
+            workType: {
+                type: String
+            },
+            minutesPerAcre: {
+                type: Number
+            },
+            currentMinutesPerAcre: {
+                type: Number
+            },
+            changePercent: {
+                type: Number
+            },
+            samples: {
+                type: Number
+            },
+            outliers: {
+                type: Number
+            }
+        }]
+    },
+    
+    // Usage and service intervals (see utils/maintenance.js)
+    maintenance: {
+        // Running totals from completed bookings (owners can correct the hour meter)
+        engineHours: {
+            type: Number,
+            default: 0,
+            min: [0, 'Engine hours cannot be negative']
+        },
+        acresWorked: {
+            type: Number,
+            default: 0,
+            min: [0, 'Acres worked cannot be negative']
+        },
+        // e.g. oil change every 250 hours, full service every 1000 hours or 2000 acres
+        intervals: [{
+            name: {
+                type: String,
+                required: [true, 'Service interval name is required'],
+                trim: true,
+                maxlength: [100, 'Service interval name cannot exceed 100 characters']
+            },
+            everyHours: {
+                type: Number,
+                min: [1, 'Service interval must be at least 1 hour']
+            },
+            everyAcres: {
+                type: Number,
+                min: [1, 'Service interval must be at least 1 acre']
+            },
+            // Usage at the last service; the interval counts from here
+            lastServiceHours: {
+                type: Number,
+                default: 0
+            },
+            lastServiceAcres: {
+                type: Number,
+                default: 0
+            },
+            lastServiceAt: {
+                type: Date
+            },
+            // Highest alert sent since the last service
+            alertedStatus: {
+                type: String,
+                enum: ['due', 'overdue']
+            }
+        }]
+    },
+
     // Capacity - acres that can be processed per day
     dailyCapacityAcres: {
         type: Number,
@@ -210,39 +477,79 @@ machineSchema.virtual('workingHoursDuration').get(function() {
     return this.availability.workingHoursEnd - this.availability.workingHoursStart;
 });
 
+// ===========================================
+// Pre-validate Middleware
+// ===========================================
+
+// Keep a weekly hours template sorted and availableDays in step with it
+machineSchema.pre('validate', function(next) {
+    const weeklyHours = this.availability?.weeklyHours;
+    
+    if (weeklyHours?.length && this.isModified('availability.weeklyHours') && !validateWeeklyHours(weeklyHours)) {
+        const sorted = normalizeWeeklyHours(weeklyHours);
+        this.availability.weeklyHours = sorted;
+        this.availability.availableDays = [...new Set(sorted.map(interval => interval.day))];
+    }
+    next();
+});
+
 // ===========================================
 // Instance Methods
 // ===========================================
 
 /**
- * Calculate estimated cost for given acres
+ * Calculate an itemised quote for given acres
+ * Applies the machine's pricing rules (peak season, weekend, urgent, volume).
  * @param {number} acres - Number of acres
- * @param {number} distanceKm - Distance in kilometers (optional)
- * @returns {number} - Estimated total cost
+ * @param {number} distanceKm - Travel distance to the field in kilometers (optional)
+ * @param {Object} options - { date, priority } of the booking (optional)
+ * @returns {Object} - { baseCost, items, workCost, travelCost, travelDistanceKm, totalCost }
  */
-machineSchema.methods.calculateCost = function(acres, distanceKm = 0) {
-    const baseCost = acres * this.pricing.ratePerAcre;
-    const travelCost = distanceKm * this.pricing.travelChargePerKm;
-    return Math.round(baseCost + travelCost);
+machineSchema.methods.calculateCost = function(acres, distanceKm = 0, options = {}) {
+    return calculateQuote(this.pricing, { ...options, acres, distanceKm });
 };
 
 /**
  * Calculate estimated time required for given acres
+ * Uses the learned rate for the work type when there is one.
  * @param {number} acres - Number of acres
+ * @param {string} workType - Booking work type (optional)
  * @returns {number} - Time in minutes
  */
-machineSchema.methods.calculateTimeRequired = function(acres) {
-    return Math.ceil(acres * this.availability.timePerAcre);
+machineSchema.methods.calculateTimeRequired = function(acres, workType) {
+    const timePerAcre = (workType && this.availability.timePerAcreByWorkType?.get(workType)) ||
+        this.availability.timePerAcre;
+    return Math.ceil(acres * timePerAcre);
+};
+
+/**
+ * Apply calibration proposals to the machine's time per acre (does not save)
+ * @param {Array<string>} workTypes - Proposals to apply (defaults to all)
+ * @returns {Array} - Proposals applied
+ */
+machineSchema.methods.applyTimeCalibration = function(workTypes) {
+    const proposals = this.timeCalibration?.proposals || [];
+    const applied = proposals.filter(p => !workTypes || workTypes.includes(p.workType));
+
+    applied.forEach(proposal => {
+        if (proposal.workType === 'all') {
+            this.availability.timePerAcre = proposal.minutesPerAcre;
+        } else {
+            this.availability.timePerAcreByWorkType.set(proposal.workType, proposal.minutesPerAcre);
+        }
+    });
+    this.timeCalibration.proposals = proposals.filter(p => !applied.includes(p));
+
+    return applied.map(p => p.toObject());
 };
 
 /**
  * Check if machine is available on a specific day
  * @param {Date} date - Date to check
- * @returns {boolean} - True if available
+ * @returns {boolean} - True if available (a working day outside any blackout)
  */
 machineSchema.methods.isAvailableOnDay = function(date) {
-    const dayOfWeek = date.getDay();
-    return this.availability.availableDays.includes(dayOfWeek) && 
+    return isWorkingDay(this, date) &&
            this.availability.isAvailable &&
            this.status === 'active';
 };
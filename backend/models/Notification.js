@@ -0,0 +1,136 @@
+/**
+ * Notification Model
+ *
+ * In-app inbox entry for one user about one booking event. Creating it
+ * through Notification.notify also pushes it to the user's open streams
+ * and sends it by SMS/email, recording how each delivery went.
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, renderNotification, deliverExternally } = require('../utils/notifications');
+const { publish } = require('../utils/notificationStream');
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    type: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: 'Invalid notification type'
+        },
+        required: true
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // Frontend path to open
+    link: {
+        type: String
+    },
+
+    // Unread until set
+    readAt: {
+        type: Date
+    },
+
+    // Off-platform deliveries (SMS, email)
+    deliveries: [{
+        channel: {
+            type: String,
+            enum: ['sms', 'email']
+        },
+        adapter: {
+            type: String
+        },
+        status: {
+            type: String,
+            enum: ['sent', 'failed']
+        },
+        providerRef: {
+            type: String
+        },
+        failureReason: {
+            type: String
+        },
+        sentAt: {
+            type: Date
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Static Methods
+// ===========================================
+
+/**
+ * Count a user's unread notifications
+ * @param {ObjectId} recipient - User id
+ * @returns {Promise<number>}
+ */
+notificationSchema.statics.countUnread = function(recipient) {
+    return this.countDocuments({ recipient, readAt: null });
+};
+
+/**
+ * Notify a user about a booking event
+ * Never throws: a failed notification must not fail the booking change.
+ * @param {ObjectId} recipient - User id
+ * @param {string} type - Notification type
+ * @param {Object} booking - Booking document
+ * @param {Object} extra - Details for the message (e.g. { reason })
+ * @returns {Promise<Notification|null>} - Notification, or null if it could not be stored
+ */
+notificationSchema.statics.notify = async function(recipient, type, booking, extra = {}) {
+    try {
+        const recipientId = recipient?._id || recipient;
+        const notification = await this.create({
+            recipient: recipientId,
+            booking: booking._id,
+            ...renderNotification(type, booking, extra)
+        });
+
+        publish(recipientId, 'notification', {
+            notification,
+            unreadCount: await this.countUnread(recipientId)
+        });
+
+        const user = await this.model('User').findById(recipientId).select('phone email notificationPreferences');
+        notification.deliveries = await deliverExternally(user, notification);
+        if (notification.deliveries.length) {
+            await notification.save();
+        }
+        return notification;
+    } catch (error) {
+        console.error(`Notification ${type} for booking ${booking?._id} failed:`, error.message);
+        return null;
+    }
+};
+
+// ===========================================
+// Indexes
+// ===========================================
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,90 @@
+/**
+ * Service Record Model
+ *
+ * One entry in a machine's service log: a service booked for a future
+ * day, or one carried out, with what it cost. Completing a service resets
+ * the intervals it covered to the machine's usage at that point.
+ */
+
+const mongoose = require('mongoose');
+
+const serviceRecordSchema = new mongoose.Schema({
+    machine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Machine',
+        required: true
+    },
+
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // What was done, e.g. "250-hour service" or "Clutch plate replaced"
+    description: {
+        type: String,
+        required: [true, 'Service description is required'],
+        trim: true,
+        maxlength: [200, 'Service description cannot exceed 200 characters']
+    },
+
+    // Machine intervals this service covers (Machine.maintenance.intervals)
+    intervals: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'completed'],
+        default: 'completed'
+    },
+
+    // Day the service is booked for
+    scheduledFor: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+
+    // Machine usage when the service was done
+    engineHours: {
+        type: Number,
+        min: 0
+    },
+    acresWorked: {
+        type: Number,
+        min: 0
+    },
+
+    // Parts and labour, in rupees
+    cost: {
+        type: Number,
+        default: 0,
+        min: [0, 'Service cost cannot be negative']
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Service notes cannot exceed 500 characters']
+    },
+
+    // Blackout created on the machine for a booked service
+    blackout: {
+        type: mongoose.Schema.Types.ObjectId
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Indexes
+// ===========================================
+
+serviceRecordSchema.index({ machine: 1, createdAt: -1 });
+
+const ServiceRecord = mongoose.model('ServiceRecord', serviceRecordSchema);
+
+module.exports = ServiceRecord;
@@ -0,0 +1,49 @@
+/**
+ * SlotLock Model
+ *
+ * Short-lived lock on one machine's calendar for one day.
+ * Held while a booking's slot and capacity are checked and written,
+ * so concurrent requests cannot reserve the same time twice.
+ */
+
+const mongoose = require('mongoose');
+
+const slotLockSchema = new mongoose.Schema({
+    // Machine whose calendar is locked
+    machine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Machine',
+        required: true
+    },
+
+    // Locked day (YYYY-MM-DD, local time)
+    date: {
+        type: String,
+        required: true
+    },
+
+    // Identifies the current holder so only it can release the lock
+    lockId: {
+        type: String,
+        default: null
+    },
+
+    // Lock is free once this time has passed (guards against crashed holders)
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================================
+// Indexes
+// ===========================================
+
+// One lock document per machine per day
+slotLockSchema.index({ machine: 1, date: 1 }, { unique: true });
+
+const SlotLock = mongoose.model('SlotLock', slotLockSchema);
+
+module.exports = SlotLock;
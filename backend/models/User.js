@@ -85,6 +85,18 @@ const userSchema = new mongoose.Schema({
         }
     },
     
+    // Off-platform notification channels (the in-app inbox is always on)
+    notificationPreferences: {
+        sms: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: true
+        }
+    },
+    
     // Account status
     isActive: {
         type: Boolean,
@@ -139,6 +151,7 @@ userSchema.methods.toPublicJSON = function() {
         phone: this.phone,
         role: this.role,
         location: this.location,
+        notificationPreferences: this.notificationPreferences,
         isActive: this.isActive,
         createdAt: this.createdAt
     };
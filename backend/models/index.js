@@ -7,9 +7,23 @@
 const User = require('./User');
 const Machine = require('./Machine');
 const Booking = require('./Booking');
+const SlotLock = require('./SlotLock');
+const LedgerEntry = require('./LedgerEntry');
+const Invoice = require('./Invoice');
+const Notification = require('./Notification');
+const JobSheet = require('./JobSheet');
+const BackgroundJob = require('./BackgroundJob');
+const ServiceRecord = require('./ServiceRecord');
 
 module.exports = {
     User,
     Machine,
-    Booking
+    Booking,
+    SlotLock,
+    LedgerEntry,
+    Invoice,
+    Notification,
+    JobSheet,
+    BackgroundJob,
+    ServiceRecord
 };
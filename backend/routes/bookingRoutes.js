@@ -12,13 +12,28 @@ const {
     getBookingById,
     updateBooking,
     cancelBooking,
+    getCancellationPreview,
     confirmBooking,
+    rejectBooking,
+    proposeCounterOffer,
+    acceptCounterOffer,
+    declineCounterOffer,
+    startBooking,
     completeBooking,
     scheduleBookings,
     getBookingsByFarmer,
     getBookingsByOwner,
-    getMachineSchedule
+    getMachineSchedule,
+    getJobSheet,
+    sendJobSheet,
+    getBookingPayments,
+    getBookingInvoice,
+    getBookingHistory
 } = require('../controllers/bookingController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Every booking route requires an authenticated user
+router.use(protect);
 
 // ===========================================
 // Scheduling Routes
@@ -26,20 +41,37 @@ const {
 
 /**
  * @route   POST /api/v1/bookings/schedule
- * @desc    Auto-schedule pending bookings for a date
- * @access  Public (Admin/Owner in production)
- * @body    date (required), machineId (optional)
+ * @desc    Auto-schedule pending bookings over a date range
+ * @access  Private (Owner/Admin)
+ * @body    date or startDate (required), endDate, horizonDays, machineId, mode ('fleet'),
+ *          strategy ('greedy' | '2opt' | 'oropt' | 'local') (optional)
  */
-router.post('/schedule', scheduleBookings);
+router.post('/schedule', authorize('owner', 'admin'), scheduleBookings);
 
 /**
  * @route   GET /api/v1/bookings/schedule/:machineId
  * @desc    Get schedule for a specific machine
- * @access  Public
+ * @access  Private
  * @query   date (required)
  */
 router.get('/schedule/:machineId', getMachineSchedule);
 
+/**
+ * @route   GET /api/v1/bookings/job-sheet/:machineId
+ * @desc    Preview a machine's daily job sheet and when it was last sent
+ * @access  Private (Owner/Admin)
+ * @query   date (defaults to today)
+ */
+router.get('/job-sheet/:machineId', authorize('owner', 'admin'), getJobSheet);
+
+/**
+ * @route   POST /api/v1/bookings/job-sheet/:machineId
+ * @desc    Send a machine's daily job sheet to its operator now
+ * @access  Private (Owner/Admin)
+ * @body    date (defaults to today)
+ */
+router.post('/job-sheet/:machineId', authorize('owner', 'admin'), sendJobSheet);
+
 // ===========================================
 // User-specific Routes
 // ===========================================
@@ -47,7 +79,7 @@ router.get('/schedule/:machineId', getMachineSchedule);
 /**
  * @route   GET /api/v1/bookings/farmer/:farmerId
  * @desc    Get all bookings by a farmer
- * @access  Public (Farmer only in production)
+ * @access  Private
  * @query   status (optional)
  */
 router.get('/farmer/:farmerId', getBookingsByFarmer);
@@ -55,10 +87,10 @@ router.get('/farmer/:farmerId', getBookingsByFarmer);
 /**
  * @route   GET /api/v1/bookings/owner/:ownerId
  * @desc    Get all bookings for an owner's machines
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
  * @query   status, date (optional)
  */
-router.get('/owner/:ownerId', getBookingsByOwner);
+router.get('/owner/:ownerId', authorize('owner', 'admin'), getBookingsByOwner);
 
 // ===========================================
 // CRUD Routes
@@ -67,14 +99,14 @@ router.get('/owner/:ownerId', getBookingsByOwner);
 /**
  * @route   POST /api/v1/bookings
  * @desc    Create a new booking request
- * @access  Public (Farmer only in production)
+ * @access  Private (Farmer)
  */
-router.post('/', createBooking);
+router.post('/', authorize('farmer'), createBooking);
 
 /**
  * @route   GET /api/v1/bookings
  * @desc    Get all bookings with filters
- * @access  Public (Admin in production)
+ * @access  Private
  * @query   status, date, farmer, owner, machine, page, limit
  */
 router.get('/', getAllBookings);
@@ -82,41 +114,109 @@ router.get('/', getAllBookings);
 /**
  * @route   GET /api/v1/bookings/:id
  * @desc    Get single booking by ID
- * @access  Public
+ * @access  Private
  */
 router.get('/:id', getBookingById);
 
+/**
+ * @route   GET /api/v1/bookings/:id/payments
+ * @desc    Get a booking's ledger entries and balance
+ * @access  Private
+ */
+router.get('/:id/payments', getBookingPayments);
+
+/**
+ * @route   GET /api/v1/bookings/:id/invoice
+ * @desc    Download a completed booking's invoice as HTML or PDF
+ * @access  Private
+ * @query   format ('html' or 'pdf', defaults to the Accept header)
+ */
+router.get('/:id/invoice', getBookingInvoice);
+
+/**
+ * @route   GET /api/v1/bookings/:id/history
+ * @desc    Get a booking's status changes (from, to, actor, reason, time)
+ * @access  Private
+ */
+router.get('/:id/history', getBookingHistory);
+
 /**
  * @route   PUT /api/v1/bookings/:id
  * @desc    Update booking details
- * @access  Public (Farmer only in production)
+ * @access  Private (Farmer/Admin)
  */
-router.put('/:id', updateBooking);
+router.put('/:id', authorize('farmer', 'admin'), updateBooking);
 
 // ===========================================
 // Status Update Routes
 // ===========================================
 
+/**
+ * @route   GET /api/v1/bookings/:id/cancellation
+ * @desc    Preview the fee and refund for cancelling now
+ * @access  Private (Farmer/Admin)
+ */
+router.get('/:id/cancellation', authorize('farmer', 'admin'), getCancellationPreview);
+
 /**
  * @route   PATCH /api/v1/bookings/:id/cancel
- * @desc    Cancel a booking
- * @access  Public
+ * @desc    Cancel a booking, applying the machine's cancellation policy
+ * @access  Private (Farmer/Admin)
  * @body    reason (optional)
  */
-router.patch('/:id/cancel', cancelBooking);
+router.patch('/:id/cancel', authorize('farmer', 'admin'), cancelBooking);
 
 /**
  * @route   PATCH /api/v1/bookings/:id/confirm
  * @desc    Confirm a pending booking
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
+ */
+router.patch('/:id/confirm', authorize('owner', 'admin'), confirmBooking);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/reject
+ * @desc    Turn down a pending booking request
+ * @access  Private (Owner/Admin)
+ * @body    reason
+ */
+router.patch('/:id/reject', authorize('owner', 'admin'), rejectBooking);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/counter-offer
+ * @desc    Propose a different date, start time or price for a pending request
+ * @access  Private (Owner/Admin)
+ * @body    date, startTime, totalCost, message (at least one of date, startTime, totalCost)
+ */
+router.patch('/:id/counter-offer', authorize('owner', 'admin'), proposeCounterOffer);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/accept
+ * @desc    Accept the owner's counter-offer and confirm the booking
+ * @access  Private (Farmer/Admin)
+ */
+router.patch('/:id/counter-offer/accept', authorize('farmer', 'admin'), acceptCounterOffer);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/counter-offer/decline
+ * @desc    Decline the owner's counter-offer, cancelling the request
+ * @access  Private (Farmer/Admin)
+ * @body    reason (optional)
+ */
+router.patch('/:id/counter-offer/decline', authorize('farmer', 'admin'), declineCounterOffer);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/start
+ * @desc    Start work on a confirmed booking
+ * @access  Private (Owner/Admin)
+ * @body    actualStart (optional, defaults to now)
  */
-router.patch('/:id/confirm', confirmBooking);
+router.patch('/:id/start', authorize('owner', 'admin'), startBooking);
 
 /**
  * @route   PATCH /api/v1/bookings/:id/complete
- * @desc    Mark booking as completed with optional review
- * @access  Public
- * @body    rating (1-5), comment (optional)
+ * @desc    Mark booking as completed with optional review and actual work log
+ * @access  Private (actuals: Owner/Admin)
+ * @body    rating (1-5), comment, actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes (all optional)
  */
 router.patch('/:id/complete', completeBooking);
 
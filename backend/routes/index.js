@@ -7,9 +7,15 @@
 const userRoutes = require('./userRoutes');
 const machineRoutes = require('./machineRoutes');
 const bookingRoutes = require('./bookingRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const jobRoutes = require('./jobRoutes');
 
 module.exports = {
     userRoutes,
     machineRoutes,
-    bookingRoutes
+    bookingRoutes,
+    paymentRoutes,
+    notificationRoutes,
+    jobRoutes
 };
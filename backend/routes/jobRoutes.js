@@ -0,0 +1,41 @@
+/**
+ * Background Job Routes
+ *
+ * Admin API endpoints for the recurring background jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJobs, runJob, updateJob } = require('../controllers/jobController');
+const { protect, authorize } = require('../middleware/auth');
+
+// ===========================================
+// Background Job Routes
+// ===========================================
+
+// Every job route is for admins only
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    Get every background job with its state and recent runs
+ * @access  Private (Admin)
+ */
+router.get('/', getJobs);
+
+/**
+ * @route   POST /api/v1/jobs/:name/run
+ * @desc    Run a background job now
+ * @access  Private (Admin)
+ */
+router.post('/:name/run', runJob);
+
+/**
+ * @route   PATCH /api/v1/jobs/:name
+ * @desc    Turn a background job on or off
+ * @access  Private (Admin)
+ * @body    enabled
+ */
+router.patch('/:name', updateJob);
+
+module.exports = router;
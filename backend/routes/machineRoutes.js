@@ -14,8 +14,22 @@ const {
     deleteMachine,
     getMachinesByOwner,
     updateMachineAvailability,
-    searchNearbyMachines
+    searchNearbyMachines,
+    getMachineSlots,
+    getMachineQuote,
+    getMachineResponseStats,
+    addBlackout,
+    removeBlackout,
+    getTimeCalibration,
+    runTimeCalibration,
+    applyTimeCalibration,
+    runAllTimeCalibrations,
+    getMaintenance,
+    updateMaintenance,
+    logService,
+    completeService
 } = require('../controllers/machineController');
+const { protect, authorize } = require('../middleware/auth');
 
 // ===========================================
 // Machine Routes
@@ -36,12 +50,19 @@ router.get('/search/nearby', searchNearbyMachines);
  */
 router.get('/owner/:ownerId', getMachinesByOwner);
 
+/**
+ * @route   POST /api/v1/machines/time-calibration/run
+ * @desc    Recalibrate time per acre for every active machine
+ * @access  Private (Admin)
+ */
+router.post('/time-calibration/run', protect, authorize('admin'), runAllTimeCalibrations);
+
 /**
  * @route   POST /api/v1/machines
  * @desc    Add a new machine
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
  */
-router.post('/', addMachine);
+router.post('/', protect, authorize('owner', 'admin'), addMachine);
 
 /**
  * @route   GET /api/v1/machines
@@ -58,25 +79,117 @@ router.get('/', getAllMachines);
  */
 router.get('/:id', getMachineById);
 
+/**
+ * @route   GET /api/v1/machines/:id/slots
+ * @desc    Get free booking slots for a day (and the next days with availability)
+ * @access  Public
+ * @query   date, acres (required), workType, latitude, longitude, days (optional)
+ */
+router.get('/:id/slots', getMachineSlots);
+
+/**
+ * @route   POST /api/v1/machines/:id/quote
+ * @desc    Get an itemised price estimate and the earliest free slot without booking
+ * @access  Public
+ * @body    acres, date (required), fieldLocation, workType, priority (optional)
+ */
+router.post('/:id/quote', getMachineQuote);
+
+/**
+ * @route   GET /api/v1/machines/:id/response-stats
+ * @desc    How often and how fast the owner answers booking requests
+ * @access  Public
+ */
+router.get('/:id/response-stats', getMachineResponseStats);
+
 /**
  * @route   PUT /api/v1/machines/:id
  * @desc    Update machine details
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
  */
-router.put('/:id', updateMachine);
+router.put('/:id', protect, authorize('owner', 'admin'), updateMachine);
 
 /**
  * @route   DELETE /api/v1/machines/:id
  * @desc    Delete machine
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
  */
-router.delete('/:id', deleteMachine);
+router.delete('/:id', protect, authorize('owner', 'admin'), deleteMachine);
 
 /**
  * @route   PATCH /api/v1/machines/:id/availability
  * @desc    Update machine availability settings
- * @access  Public (Owner only in production)
+ * @access  Private (Owner/Admin)
+ */
+router.patch('/:id/availability', protect, authorize('owner', 'admin'), updateMachineAvailability);
+
+/**
+ * @route   POST /api/v1/machines/:id/blackouts
+ * @desc    Add a blackout period; bookings on those days are flagged for rescheduling
+ * @access  Private (Owner/Admin)
+ * @body    startDate, endDate, reason (service|repair|owner_use|holiday), note (optional)
+ */
+router.post('/:id/blackouts', protect, authorize('owner', 'admin'), addBlackout);
+
+/**
+ * @route   DELETE /api/v1/machines/:id/blackouts/:blackoutId
+ * @desc    Remove a blackout period
+ * @access  Private (Owner/Admin)
+ */
+router.delete('/:id/blackouts/:blackoutId', protect, authorize('owner', 'admin'), removeBlackout);
+
+/**
+ * @route   GET /api/v1/machines/:id/time-calibration
+ * @desc    Get learned time per acre by work type and pending proposals
+ * @access  Private (Owner/Admin)
+ */
+router.get('/:id/time-calibration', protect, authorize('owner', 'admin'), getTimeCalibration);
+
+/**
+ * @route   POST /api/v1/machines/:id/time-calibration
+ * @desc    Recalibrate time per acre from completed jobs
+ * @access  Private (Owner/Admin)
+ * @body    apply (optional, apply proposals immediately)
+ */
+router.post('/:id/time-calibration', protect, authorize('owner', 'admin'), runTimeCalibration);
+
+/**
+ * @route   POST /api/v1/machines/:id/time-calibration/apply
+ * @desc    Apply pending calibration proposals
+ * @access  Private (Owner/Admin)
+ * @body    workTypes (optional, defaults to all proposals)
+ */
+router.post('/:id/time-calibration/apply', protect, authorize('owner', 'admin'), applyTimeCalibration);
+
+/**
+ * @route   GET /api/v1/machines/:id/maintenance
+ * @desc    Get engine hours, acres worked, service intervals with their status and the service log
+ * @access  Private (Owner/Admin)
+ */
+router.get('/:id/maintenance', protect, authorize('owner', 'admin'), getMaintenance);
+
+/**
+ * @route   PUT /api/v1/machines/:id/maintenance
+ * @desc    Set service intervals and/or correct engine hours
+ * @access  Private (Owner/Admin)
+ * @body    intervals ([{ _id, name, everyHours, everyAcres }]), engineHours (optional)
+ */
+router.put('/:id/maintenance', protect, authorize('owner', 'admin'), updateMaintenance);
+
+/**
+ * @route   POST /api/v1/machines/:id/maintenance/services
+ * @desc    Log a service, or book one for a later day
+ * @access  Private (Owner/Admin)
+ * @body    description, intervals, date, cost, notes, blackout, blackoutEndDate (optional)
+ */
+router.post('/:id/maintenance/services', protect, authorize('owner', 'admin'), logService);
+
+/**
+ * @route   PATCH /api/v1/machines/:id/maintenance/services/:serviceId/complete
+ * @desc    Mark a booked service as done
+ * @access  Private (Owner/Admin)
+ * @body    cost, notes (optional)
  */
-router.patch('/:id/availability', updateMachineAvailability);
+router.patch('/:id/maintenance/services/:serviceId/complete', protect, authorize('owner', 'admin'), completeService);
 
 module.exports = router;
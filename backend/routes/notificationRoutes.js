@@ -0,0 +1,70 @@
+/**
+ * Notification Routes
+ *
+ * API endpoints for the notification inbox and live stream
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    createStreamTicket,
+    streamNotifications
+} = require('../controllers/notificationController');
+const { protect, protectStream, ticketFromQuery } = require('../middleware/auth');
+
+// ===========================================
+// Notification Routes
+// ===========================================
+
+/**
+ * @route   GET /api/v1/notifications/stream
+ * @desc    Live stream of new notifications (Server-Sent Events)
+ * @access  Private (stream ticket)
+ * @query   ticket (from POST /stream-ticket, as EventSource cannot send headers)
+ */
+router.get('/stream', ticketFromQuery, protectStream, streamNotifications);
+
+// Every other notification route requires an authenticated user
+router.use(protect);
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get the current user's notifications, newest first
+ * @access  Private
+ * @query   unread (true for unread only), page, limit
+ */
+router.get('/', getNotifications);
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Get the current user's unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @route   PATCH /api/v1/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/v1/notifications/:id/read
+ * @desc    Mark one notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', markNotificationRead);
+
+/**
+ * @route   POST /api/v1/notifications/stream-ticket
+ * @desc    Issue a one-minute ticket for opening the stream
+ * @access  Private
+ */
+router.post('/stream-ticket', createStreamTicket);
+
+module.exports = router;
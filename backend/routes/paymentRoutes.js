@@ -0,0 +1,27 @@
+/**
+ * Payment Routes
+ * 
+ * API endpoints for the payments ledger
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getPaymentSummary } = require('../controllers/paymentController');
+const { protect } = require('../middleware/auth');
+
+// Every payment route requires an authenticated user
+router.use(protect);
+
+// ===========================================
+// Payment Routes
+// ===========================================
+
+/**
+ * @route   GET /api/v1/payments/summary
+ * @desc    Get payment totals: received (owner) or paid (farmer), refunds and net
+ * @access  Private
+ * @query   ownerId, farmerId (admin only)
+ */
+router.get('/summary', getPaymentSummary);
+
+module.exports = router;
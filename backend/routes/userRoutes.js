@@ -9,11 +9,14 @@ const router = express.Router();
 const {
     registerUser,
     loginUser,
+    refreshToken,
     getUserProfile,
     updateUserProfile,
+    createUser,
     getAllUsers,
     deleteUser
 } = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
 
 // ===========================================
 // Public Routes
@@ -33,32 +36,51 @@ router.post('/register', registerUser);
  */
 router.post('/login', loginUser);
 
+/**
+ * @route   POST /api/v1/users/refresh-token
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ * @body    refreshToken (required)
+ */
+router.post('/refresh-token', refreshToken);
+
+// ===========================================
+// Protected Routes
+// ===========================================
+
+/**
+ * @route   POST /api/v1/users
+ * @desc    Create a user of any role, including another admin
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), createUser);
+
 /**
  * @route   GET /api/v1/users
  * @desc    Get all users (with optional filters)
- * @access  Public (Admin in production)
+ * @access  Private (Admin)
  */
-router.get('/', getAllUsers);
+router.get('/', protect, authorize('admin'), getAllUsers);
 
 /**
  * @route   GET /api/v1/users/:id
  * @desc    Get user profile by ID
- * @access  Public
+ * @access  Private
  */
-router.get('/:id', getUserProfile);
+router.get('/:id', protect, getUserProfile);
 
 /**
  * @route   PUT /api/v1/users/:id
  * @desc    Update user profile
- * @access  Public (Protected in production)
+ * @access  Private
  */
-router.put('/:id', updateUserProfile);
+router.put('/:id', protect, updateUserProfile);
 
 /**
  * @route   DELETE /api/v1/users/:id
  * @desc    Delete user
- * @access  Public (Admin in production)
+ * @access  Private (Admin)
  */
-router.delete('/:id', deleteUser);
+router.delete('/:id', protect, authorize('admin'), deleteUser);
 
 module.exports = router;
@@ -13,6 +13,9 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a token secret outside development
+require('./utils/tokens');
+
 // Initialize Express app
 const app = express();
 
@@ -23,8 +26,8 @@ let useMockData = false;
 // Middleware Configuration
 // ===========================================
 
-// Enable CORS for cross-origin requests
-app.use(cors());
+// Enable CORS for cross-origin requests (exposing the invoice download filename)
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 
 // Parse JSON request bodies
 app.use(express.json());
@@ -84,15 +87,19 @@ app.get('/', (req, res) => {
 const setupMockRoutes = () => {
     const express = require('express');
     
+    const { protect, protectStream, ticketFromQuery, authorize } = require('./middleware/mock/auth');
+    
     // Mock User Routes
     const userRouter = express.Router();
     const mockUserController = require('./controllers/mock/userController');
     userRouter.post('/register', mockUserController.registerUser);
     userRouter.post('/login', mockUserController.loginUser);
-    userRouter.get('/', mockUserController.getAllUsers);
-    userRouter.get('/:id', mockUserController.getUserProfile);
-    userRouter.put('/:id', mockUserController.updateUserProfile);
-    userRouter.delete('/:id', mockUserController.deleteUser);
+    userRouter.post('/refresh-token', mockUserController.refreshToken);
+    userRouter.post('/', protect, authorize('admin'), mockUserController.createUser);
+    userRouter.get('/', protect, authorize('admin'), mockUserController.getAllUsers);
+    userRouter.get('/:id', protect, mockUserController.getUserProfile);
+    userRouter.put('/:id', protect, mockUserController.updateUserProfile);
+    userRouter.delete('/:id', protect, authorize('admin'), mockUserController.deleteUser);
     
     // Mock Machine Routes
     const machineRouter = express.Router();
@@ -102,29 +109,70 @@ const setupMockRoutes = () => {
     machineRouter.get('/owner/:ownerId', mockMachineController.getMachinesByOwner);
     machineRouter.get('/', mockMachineController.getAllMachines);
     machineRouter.get('/:id', mockMachineController.getMachineById);
-    machineRouter.post('/', mockMachineController.addMachine);
-    machineRouter.put('/:id', mockMachineController.updateMachine);
-    machineRouter.patch('/:id/availability', mockMachineController.updateAvailability);
-    machineRouter.delete('/:id', mockMachineController.deleteMachine);
+    machineRouter.get('/:id/slots', mockMachineController.getMachineSlots);
+    machineRouter.post('/:id/quote', mockMachineController.getMachineQuote);
+    machineRouter.get('/:id/response-stats', mockMachineController.getMachineResponseStats);
+    machineRouter.post('/', protect, authorize('owner', 'admin'), mockMachineController.addMachine);
+    machineRouter.put('/:id', protect, authorize('owner', 'admin'), mockMachineController.updateMachine);
+    machineRouter.patch('/:id/availability', protect, authorize('owner', 'admin'), mockMachineController.updateAvailability);
+    machineRouter.post('/:id/blackouts', protect, authorize('owner', 'admin'), mockMachineController.addBlackout);
+    machineRouter.delete('/:id/blackouts/:blackoutId', protect, authorize('owner', 'admin'), mockMachineController.removeBlackout);
+    machineRouter.get('/:id/maintenance', protect, authorize('owner', 'admin'), mockMachineController.getMaintenance);
+    machineRouter.put('/:id/maintenance', protect, authorize('owner', 'admin'), mockMachineController.updateMaintenance);
+    machineRouter.post('/:id/maintenance/services', protect, authorize('owner', 'admin'), mockMachineController.logService);
+    machineRouter.patch('/:id/maintenance/services/:serviceId/complete', protect, authorize('owner', 'admin'), mockMachineController.completeService);
+    machineRouter.delete('/:id', protect, authorize('owner', 'admin'), mockMachineController.deleteMachine);
     
-    // Mock Booking Routes
+    // Mock Booking Routes (all require authentication)
     const bookingRouter = express.Router();
     const mockBookingController = require('./controllers/mock/bookingController');
+    bookingRouter.use(protect);
     bookingRouter.get('/schedule/:date', mockBookingController.getScheduleByDate);
-    bookingRouter.post('/schedule/optimize', mockBookingController.getOptimizedSchedule);
+    bookingRouter.post('/schedule/optimize', authorize('owner', 'admin'), mockBookingController.getOptimizedSchedule);
+    bookingRouter.get('/job-sheet/:machineId', authorize('owner', 'admin'), mockBookingController.getJobSheet);
+    bookingRouter.post('/job-sheet/:machineId', authorize('owner', 'admin'), mockBookingController.sendJobSheet);
     bookingRouter.get('/farmer/:farmerId', mockBookingController.getBookingsByFarmer);
-    bookingRouter.get('/owner/:ownerId', mockBookingController.getBookingsByOwner);
+    bookingRouter.get('/owner/:ownerId', authorize('owner', 'admin'), mockBookingController.getBookingsByOwner);
     bookingRouter.get('/machine/:machineId', mockBookingController.getBookingsByMachine);
     bookingRouter.get('/', mockBookingController.getAllBookings);
     bookingRouter.get('/:id', mockBookingController.getBookingById);
-    bookingRouter.post('/', mockBookingController.createBooking);
+    bookingRouter.get('/:id/payments', mockBookingController.getBookingPayments);
+    bookingRouter.get('/:id/invoice', mockBookingController.getBookingInvoice);
+    bookingRouter.get('/:id/history', mockBookingController.getBookingHistory);
+    bookingRouter.get('/:id/cancellation', authorize('farmer', 'admin'), mockBookingController.getCancellationPreview);
+    bookingRouter.post('/', authorize('farmer'), mockBookingController.createBooking);
     bookingRouter.patch('/:id/status', mockBookingController.updateBookingStatus);
-    bookingRouter.post('/:id/rating', mockBookingController.addRating);
-    bookingRouter.delete('/:id', mockBookingController.cancelBooking);
+    bookingRouter.patch('/:id/reject', authorize('owner', 'admin'), mockBookingController.rejectBooking);
+    bookingRouter.patch('/:id/counter-offer', authorize('owner', 'admin'), mockBookingController.proposeCounterOffer);
+    bookingRouter.patch('/:id/counter-offer/accept', authorize('farmer', 'admin'), mockBookingController.acceptCounterOffer);
+    bookingRouter.patch('/:id/counter-offer/decline', authorize('farmer', 'admin'), mockBookingController.declineCounterOffer);
+    bookingRouter.patch('/:id/start', authorize('owner', 'admin'), mockBookingController.startBooking);
+    bookingRouter.patch('/:id/complete', mockBookingController.completeBooking);
+    bookingRouter.post('/:id/rating', authorize('farmer', 'admin'), mockBookingController.addRating);
+    bookingRouter.delete('/:id', authorize('farmer', 'admin'), mockBookingController.cancelBooking);
+    
+    // Mock Payment Routes
+    const paymentRouter = express.Router();
+    const mockPaymentController = require('./controllers/mock/paymentController');
+    paymentRouter.use(protect);
+    paymentRouter.get('/summary', mockPaymentController.getPaymentSummary);
+    
+    // Mock Notification Routes
+    const notificationRouter = express.Router();
+    const mockNotificationController = require('./controllers/mock/notificationController');
+    notificationRouter.get('/stream', ticketFromQuery, protectStream, mockNotificationController.streamNotifications);
+    notificationRouter.use(protect);
+    notificationRouter.get('/', mockNotificationController.getNotifications);
+    notificationRouter.get('/unread-count', mockNotificationController.getUnreadCount);
+    notificationRouter.patch('/read-all', mockNotificationController.markAllNotificationsRead);
+    notificationRouter.patch('/:id/read', mockNotificationController.markNotificationRead);
+    notificationRouter.post('/stream-ticket', mockNotificationController.createStreamTicket);
     
     app.use(`${API_PREFIX}/users`, userRouter);
     app.use(`${API_PREFIX}/machines`, machineRouter);
     app.use(`${API_PREFIX}/bookings`, bookingRouter);
+    app.use(`${API_PREFIX}/payments`, paymentRouter);
+    app.use(`${API_PREFIX}/notifications`, notificationRouter);
     
     console.log('📦 Mock routes loaded successfully');
 };
@@ -137,10 +185,16 @@ const setupProductionRoutes = () => {
     const userRoutes = require('./routes/userRoutes');
     const machineRoutes = require('./routes/machineRoutes');
     const bookingRoutes = require('./routes/bookingRoutes');
+    const paymentRoutes = require('./routes/paymentRoutes');
+    const notificationRoutes = require('./routes/notificationRoutes');
+    const jobRoutes = require('./routes/jobRoutes');
     
     app.use(`${API_PREFIX}/users`, userRoutes);
     app.use(`${API_PREFIX}/machines`, machineRoutes);
     app.use(`${API_PREFIX}/bookings`, bookingRoutes);
+    app.use(`${API_PREFIX}/payments`, paymentRoutes);
+    app.use(`${API_PREFIX}/notifications`, notificationRoutes);
+    app.use(`${API_PREFIX}/jobs`, jobRoutes);
     
     console.log('🔌 Production routes loaded successfully');
 };
@@ -208,9 +262,17 @@ const startServer = async () => {
     // Setup routes based on DB connection
     if (dbConnected) {
         setupProductionRoutes();
+        
+        // Nightly scheduling, reminders, expiry, overdue checks and job sheets
+        require('./utils/backgroundJobs').startBackgroundJobs();
     } else {
         useMockData = true;
         setupMockRoutes();
+        
+        // Demo mode has no background jobs, but unanswered requests still expire
+        const { expireMockBookings } = require('./controllers/mock/bookingController');
+        expireMockBookings();
+        setInterval(expireMockBookings, 60 * 1000).unref();
     }
     
     // Start listening for requests
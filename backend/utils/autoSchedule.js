@@ -0,0 +1,140 @@
+/**
+ * Auto-scheduling
+ *
+ * Places pending bookings on their machines' calendars with the horizon
+ * scheduler and confirms them. Used by POST /bookings/schedule and by the
+ * nightly background job.
+ */
+
+const Booking = require('../models/Booking');
+const scheduler = require('../algorithms/scheduler');
+const { withDayLocks } = require('./slotLocks');
+const { collectDeposit } = require('./bookingEffects');
+
+/**
+ * Query for bookings that already hold time on a machine's calendar
+ * @param {*} machineId - Machine id
+ * @param {Date} rangeStart - First day
+ * @param {Date} rangeEnd - Last day (end of day)
+ * @returns {Object} - Mongo filter
+ */
+const reservedBookingsQuery = (machineId, rangeStart, rangeEnd) => ({
+    machine: machineId,
+    date: { $gte: rangeStart, $lte: rangeEnd },
+    $or: [
+        { status: { $in: ['confirmed', 'in_progress'] } },
+        { status: 'pending', 'timeSlots.startTime': { $ne: null } }
+    ]
+});
+
+/**
+ * Schedule pending bookings machine by machine and confirm the ones placed
+ * Each machine's calendar is locked while its slots are read and written.
+ * Bookings that cannot be placed stay pending with the reason recorded.
+ * @param {Array} pendingBookings - Pending bookings with machine populated
+ * @param {Object} options - Scheduling options
+ * @param {Date} options.rangeStart - First day of the horizon
+ * @param {Date} options.rangeEnd - Last day of the horizon (end of day)
+ * @param {string} options.strategy - Route strategy (optional)
+ * @param {ObjectId} options.actor - User scheduling (empty for the nightly job)
+ * @returns {Promise<Object>} - { scheduled: bookings, unscheduled: [{ bookingId, code, reason, machineId }], routeReports }
+ */
+const placeBookings = async (pendingBookings, { rangeStart, rangeEnd, strategy, actor } = {}) => {
+    const attemptedAt = new Date();
+
+    // Group bookings by machine
+    const bookingsByMachine = {};
+    pendingBookings.forEach(booking => {
+        const machineIdStr = booking.machine._id.toString();
+        if (!bookingsByMachine[machineIdStr]) {
+            bookingsByMachine[machineIdStr] = {
+                machine: booking.machine,
+                bookings: []
+            };
+        }
+        bookingsByMachine[machineIdStr].bookings.push(booking);
+    });
+
+    // Schedule each machine's bookings across the horizon
+    const scheduledBookings = [];
+    const unscheduledBookings = [];
+    const routeReports = [];
+
+    for (const machineIdStr of Object.keys(bookingsByMachine)) {
+        const { machine, bookings } = bookingsByMachine[machineIdStr];
+
+        // Hold the machine's calendar while reading and writing its slots
+        await withDayLocks(machine._id, scheduler.getWorkingDays(machine, rangeStart, rangeEnd), async () => {
+            // Jobs already on the machine's calendar take time and capacity
+            const existingBookings = await Booking.find(reservedBookingsQuery(machine._id, rangeStart, rangeEnd));
+
+            // Use scheduler algorithm to optimize time slots
+            const { scheduled, unscheduled, route } = scheduler.scheduleHorizon(bookings, machine, {
+                startDate: rangeStart,
+                endDate: rangeEnd,
+                existingBookings,
+                strategy
+            });
+            routeReports.push(route);
+
+            // Update bookings with scheduled days and time slots
+            for (const slot of scheduled) {
+                const booking = await Booking.findById(slot.bookingId);
+                // Skip anything that changed since it was read (e.g. cancelled meanwhile)
+                if (!booking || booking.status !== 'pending') continue;
+
+                if (slot.rolledOver) {
+                    booking.schedulingInfo.requestedDate = booking.date;
+                    booking.date = slot.date;
+                }
+                booking.timeSlots = {
+                    startTime: slot.startTime,
+                    endTime: slot.endTime,
+                    slotOrder: slot.order
+                };
+                booking.schedulingInfo.autoScheduled = true;
+                booking.schedulingInfo.distanceFromPrevious = slot.distanceFromPrevious || 0;
+                // Travel is charged from the previous job in the route (or home for the first)
+                booking.cost = machine.calculateCost(booking.acres, slot.distanceFromPrevious || 0, {
+                    date: booking.date,
+                    priority: booking.priority
+                });
+                booking.schedulingInfo.scheduledAt = attemptedAt;
+                booking.schedulingInfo.unscheduledReason = null;
+                booking.schedulingInfo.lastAttemptAt = attemptedAt;
+                booking.transitionTo('confirmed', { actor, reason: 'Auto-scheduled' });
+                await booking.save();
+                // A failed deposit is settled with the balance on completion
+                await collectDeposit(booking);
+
+                await booking.populate([
+                    { path: 'farmer', select: 'name email phone' },
+                    { path: 'machine', select: 'name type' }
+                ]);
+
+                scheduledBookings.push(booking);
+            }
+
+            // Leave unplaceable bookings pending, recording why
+            for (const item of unscheduled) {
+                await Booking.updateOne(
+                    { _id: item.bookingId },
+                    {
+                        $set: {
+                            'schedulingInfo.unscheduledReason': item.reason,
+                            'schedulingInfo.lastAttemptAt': attemptedAt
+                        }
+                    }
+                );
+                unscheduledBookings.push({ ...item, machineId: machine._id });
+            }
+        });
+    }
+
+    return { scheduled: scheduledBookings, unscheduled: unscheduledBookings, routeReports };
+};
+
+module.exports = {
+    reservedBookingsQuery,
+    placeBookings
+};
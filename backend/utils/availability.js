@@ -0,0 +1,109 @@
+/**
+ * Availability Helpers
+ *
+ * Works out which times and how many acres a machine still has free on a day.
+ * Shared by the slots endpoint and the booking reservation checks.
+ */
+
+const Booking = require('../models/Booking');
+const scheduler = require('../algorithms/scheduler');
+const { describeUnavailableDay } = require('./blackouts');
+
+/**
+ * Days searched ahead when looking for the next days with free slots
+ */
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Check if a booking holds time and capacity on its day
+ * Pending requests the owner has not placed yet do not.
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+const holdsCapacity = (booking) => booking.status !== 'pending' || Boolean(booking.timeSlots?.startTime);
+
+/**
+ * Find the free slots a machine has on one day
+ * @param {Object} machine - Machine document
+ * @param {Date} day - Day to check
+ * @param {number} acres - Acres to be worked
+ * @param {Object} options - { fieldLocation, excludeBookingId, workType }
+ * @returns {Promise<Object>} - { slots, usedAcres, code, reason }
+ *   code is null, 'DAY_UNAVAILABLE', 'CAPACITY_FULL' or 'NO_FREE_TIME'
+ */
+const getDayAvailability = async (machine, day, acres, options = {}) => {
+    const { fieldLocation, excludeBookingId, workType } = options;
+
+    if (!machine.isAvailableOnDay(day)) {
+        return { slots: [], usedAcres: 0, code: 'DAY_UNAVAILABLE', reason: describeUnavailableDay(machine, day) };
+    }
+
+    const dayBookings = (await Booking.getBookingsForDate(machine._id, day))
+        .filter(b => !excludeBookingId || String(b._id) !== String(excludeBookingId));
+
+    const usedAcres = dayBookings
+        .filter(holdsCapacity)
+        .reduce((sum, b) => sum + (b.acres || 0), 0);
+    if (usedAcres + acres > machine.dailyCapacityAcres) {
+        return { slots: [], usedAcres, code: 'CAPACITY_FULL', reason: 'Daily acre capacity is already used up' };
+    }
+
+    const slots = scheduler.getAvailableSlots(
+        dayBookings,
+        machine,
+        machine.calculateTimeRequired(acres, workType),
+        { date: day, fieldLocation }
+    );
+
+    if (!slots.length) {
+        return { slots, usedAcres, code: 'NO_FREE_TIME', reason: 'No free time left on this day' };
+    }
+
+    return { slots, usedAcres, code: null, reason: null };
+};
+
+/**
+ * Find the next days after a date that still have free slots
+ * @param {Object} machine - Machine document
+ * @param {Date} fromDay - Day to search after
+ * @param {number} acres - Acres to be worked
+ * @param {number} count - Number of days wanted
+ * @param {Object} options - Passed to getDayAvailability
+ * @returns {Promise<Array>} - [{ date, slots }]
+ */
+const findNextAvailableDays = async (machine, fromDay, acres, count, options = {}) => {
+    const nextAvailable = [];
+    const wanted = Math.min(count, MAX_LOOKAHEAD_DAYS);
+
+    for (let offset = 1; offset <= MAX_LOOKAHEAD_DAYS && nextAvailable.length < wanted; offset++) {
+        const day = scheduler.startOfDay(fromDay);
+        day.setDate(day.getDate() + offset);
+
+        const { slots } = await getDayAvailability(machine, day, acres, options);
+        if (slots.length) {
+            nextAvailable.push({ date: scheduler.toDateKey(day), slots });
+        }
+    }
+
+    return nextAvailable;
+};
+
+/**
+ * Check if a start time falls inside one of the free slots
+ * @param {Array} slots - Slots from getAvailableSlots
+ * @param {string} startTime - Requested start (HH:MM)
+ * @returns {boolean}
+ */
+const isStartAvailable = (slots, startTime) => {
+    const start = scheduler.parseTime(startTime);
+    return slots.some(slot => start >= scheduler.parseTime(slot.startTime) &&
+        start <= scheduler.parseTime(slot.latestStart || slot.startTime));
+};
+
+module.exports = {
+    MAX_LOOKAHEAD_DAYS,
+    holdsCapacity,
+    getDayAvailability,
+    findNextAvailableDays,
+    isStartAvailable
+};
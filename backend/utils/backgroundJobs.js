@@ -0,0 +1,208 @@
+/**
+ * Background Jobs
+ *
+ * The recurring jobs run by utils/jobRunner.js. Each one only touches
+ * bookings still in the state it looks for, so running it twice (or after
+ * a missed run) does no harm.
+ */
+
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { startOfDay, parseTime } = require('../algorithms/scheduler');
+const { placeBookings } = require('./autoSchedule');
+const { notifyParties, refreshJobSheets } = require('./bookingEffects');
+const { JOB_SHEET_HOUR, sendMorningJobSheets } = require('./morningJobSheets');
+const { getExpiryReason } = require('./responseDeadline');
+const { registerJob, startJobRunner } = require('./jobRunner');
+
+/**
+ * Local times the daily jobs run (HH:MM)
+ */
+const AUTO_SCHEDULE_AT = process.env.AUTO_SCHEDULE_AT || '21:00';
+const REMINDERS_AT = process.env.REMINDERS_AT || '18:00';
+
+/**
+ * First and last moment of the day after a date
+ * @param {Date} date - Reference date
+ * @returns {Object} - { dayStart, dayEnd }
+ */
+const nextDayRange = (date) => {
+    const dayStart = startOfDay(date);
+    dayStart.setDate(dayStart.getDate() + 1);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+    return { dayStart, dayEnd };
+};
+
+/**
+ * When a confirmed booking should have been done by: its slot's end, or the end of its day
+ * @param {Object} booking - Booking document
+ * @returns {Date}
+ */
+const bookingDueBy = (booking) => {
+    const dueBy = startOfDay(booking.date);
+    if (booking.timeSlots?.endTime) {
+        dueBy.setMinutes(parseTime(booking.timeSlots.endTime));
+    } else {
+        dueBy.setHours(23, 59, 59, 999);
+    }
+    return dueBy;
+};
+
+// ===========================================
+// JOBS
+// ===========================================
+
+registerJob({
+    name: 'auto_schedule',
+    description: "Place and confirm the next day's pending requests, machine by machine",
+    schedule: { dailyAt: AUTO_SCHEDULE_AT },
+    run: async ({ dueAt }) => {
+        const { dayStart, dayEnd } = nextDayRange(dueAt);
+
+        const pendingBookings = await Booking.find({
+            date: { $gte: dayStart, $lte: dayEnd },
+            status: 'pending',
+            'timeSlots.startTime': null
+        }).populate('machine').populate('farmer', 'name location');
+
+        const { scheduled, unscheduled } = await placeBookings(pendingBookings, {
+            rangeStart: dayStart,
+            rangeEnd: dayEnd
+        });
+
+        for (const booking of scheduled) {
+            await notifyParties(booking, null, 'booking_scheduled');
+            await refreshJobSheets(booking);
+        }
+
+        return {
+            date: dayStart,
+            scheduled: scheduled.length,
+            unscheduled: unscheduled.map(({ bookingId, reason }) => ({ bookingId, reason }))
+        };
+    }
+});
+
+registerJob({
+    name: 'booking_reminders',
+    description: 'Remind farmers and owners of confirmed jobs the day before',
+    schedule: { dailyAt: REMINDERS_AT },
+    run: async ({ dueAt }) => {
+        const { dayStart, dayEnd } = nextDayRange(dueAt);
+
+        const bookings = await Booking.find({
+            date: { $gte: dayStart, $lte: dayEnd },
+            status: 'confirmed',
+            reminderSentAt: null
+        });
+        let sent = 0;
+
+        for (const booking of bookings) {
+            // Claim the reminder first so a second run cannot send it again
+            const claimed = await Booking.updateOne(
+                { _id: booking._id, reminderSentAt: null },
+                { $set: { reminderSentAt: new Date() } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            await notifyParties(booking, null, 'booking_reminder');
+            sent++;
+        }
+
+        return { date: dayStart, sent };
+    }
+});
+
+registerJob({
+    name: 'expire_stale_requests',
+    description: 'Expire requests past their response deadline or job day, and tell the farmer',
+    schedule: { everyMinutes: 15 },
+    run: async () => {
+        const now = new Date();
+
+        const bookings = await Booking.find({
+            $or: [
+                { status: 'pending', respondBy: { $lte: now } },
+                { status: { $in: ['pending', 'countered'] }, date: { $lt: startOfDay(now) } }
+            ]
+        });
+        const expired = [];
+        const failed = [];
+
+        for (const booking of bookings) {
+            const reason = getExpiryReason(booking, now);
+            if (!reason) continue;
+
+            // One booking that cannot be expired must not hold up the rest
+            try {
+                // Skip requests the owner answered since they were loaded
+                if (!await booking.expire(reason)) continue;
+                await Notification.notify(booking.farmer, 'booking_expired', booking, { reason });
+                expired.push(booking._id);
+            } catch (error) {
+                console.error(`Could not expire booking ${booking._id}:`, error.message);
+                failed.push({ bookingId: booking._id, error: error.message });
+            }
+        }
+
+        return { expired, failed };
+    }
+});
+
+registerJob({
+    name: 'mark_overdue',
+    description: 'Flag confirmed jobs whose time has passed without being started, and tell the owner',
+    schedule: { everyMinutes: 30 },
+    run: async () => {
+        const now = new Date();
+
+        const bookings = await Booking.find({
+            date: { $lte: now },
+            status: 'confirmed',
+            overdueSince: null
+        });
+        const overdue = [];
+
+        for (const booking of bookings) {
+            if (bookingDueBy(booking) > now) continue;
+
+            const claimed = await Booking.updateOne(
+                { _id: booking._id, status: 'confirmed', overdueSince: null },
+                { $set: { overdueSince: now } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            await Notification.notify(booking.owner, 'booking_overdue', booking);
+            overdue.push(booking._id);
+        }
+
+        return { overdue };
+    }
+});
+
+registerJob({
+    name: 'morning_job_sheets',
+    description: "Send each operator the day's job sheet",
+    schedule: { dailyAt: `${String(JOB_SHEET_HOUR).padStart(2, '0')}:00` },
+    run: async ({ dueAt }) => {
+        const results = await sendMorningJobSheets(dueAt);
+        return {
+            machines: results.length,
+            sent: results.filter(r => r.sent).length,
+            failed: results.filter(r => r.status === 'failed')
+        };
+    }
+});
+
+/**
+ * Start running the background jobs (production mode only)
+ * @returns {Promise<void>}
+ */
+const startBackgroundJobs = () => startJobRunner();
+
+module.exports = {
+    AUTO_SCHEDULE_AT,
+    REMINDERS_AT,
+    startBackgroundJobs
+};
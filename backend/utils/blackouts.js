@@ -0,0 +1,82 @@
+/**
+ * Blackout Helpers
+ *
+ * Dated periods a machine cannot be booked: servicing, repairs, the
+ * owner's own use or festival holidays. Whether a day falls inside one is
+ * scheduler.findBlackout; this covers checking and describing them.
+ */
+
+const { findBlackout } = require('../algorithms/scheduler');
+
+/**
+ * Why a machine can be blacked out, with display labels
+ */
+const BLACKOUT_REASONS = {
+    service: 'Service',
+    repair: 'Repairs',
+    owner_use: "Owner's own use",
+    holiday: 'Festival holiday'
+};
+
+/**
+ * Longest blackout allowed, in days (longer absences: set the machine inactive)
+ */
+const MAX_BLACKOUT_DAYS = 180;
+
+/**
+ * Check a blackout before it is added
+ * @param {Object} blackout - { startDate, endDate, reason }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBlackout = ({ startDate, endDate, reason } = {}) => {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+        return 'Start and end dates are required';
+    }
+    if (end < start) {
+        return 'End date must be on or after the start date';
+    }
+    if ((end - start) / (24 * 60 * 60 * 1000) + 1 > MAX_BLACKOUT_DAYS) {
+        return `A blackout cannot be longer than ${MAX_BLACKOUT_DAYS} days`;
+    }
+    if (!BLACKOUT_REASONS[reason]) {
+        return `Reason must be one of: ${Object.keys(BLACKOUT_REASONS).join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Describe a blackout for messages, e.g. "Service, 20 Oct - 22 Oct"
+ * @param {Object} blackout - { startDate, endDate, reason }
+ * @returns {string}
+ */
+const describeBlackout = (blackout) => {
+    const format = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    const label = BLACKOUT_REASONS[blackout.reason] || 'Unavailable';
+    const start = format(blackout.startDate);
+    const end = format(blackout.endDate);
+    return start === end ? `${label}, ${start}` : `${label}, ${start} - ${end}`;
+};
+
+/**
+ * Explain why a machine cannot be booked on a day
+ * @param {Object} machine - Machine with availability and blackouts
+ * @param {Date} day - Day that is unavailable
+ * @returns {string}
+ */
+const describeUnavailableDay = (machine, day) => {
+    const blackout = findBlackout(machine, day);
+    return blackout
+        ? `Machine is unavailable on this day (${describeBlackout(blackout)})`
+        : 'Machine is not available on this day';
+};
+
+module.exports = {
+    BLACKOUT_REASONS,
+    MAX_BLACKOUT_DAYS,
+    validateBlackout,
+    describeBlackout,
+    describeUnavailableDay
+};
@@ -0,0 +1,137 @@
+/**
+ * Booking Side Effects
+ *
+ * What happens around a booking change besides the booking itself: money
+ * through the ledger, notifications to the parties, operators' job
+ * sheets and the machine's usage for maintenance. Shared by the booking
+ * controller and the background jobs.
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const Notification = require('../models/Notification');
+const JobSheet = require('../models/JobSheet');
+const Machine = require('../models/Machine');
+const { toDateKey } = require('../algorithms/scheduler');
+const { toId } = require('./permissions');
+const { DEPOSIT_PERCENT, calculateDeposit, findRefundableCharge, processPayment } = require('./payments');
+const { usageForBooking, findNewAlerts, describeIntervalUsage } = require('./maintenance');
+
+/**
+ * Move money for a booking through the payment provider and record it in the ledger
+ * Refunds go back against the booking's latest settled charge.
+ * @param {Object} booking - Booking document
+ * @param {string} type - 'deposit', 'balance' or 'refund'
+ * @param {number} amount - Amount in rupees
+ * @param {string} description - Ledger description
+ * @returns {Promise<Object>} - Ledger entry (check its status)
+ */
+const recordPayment = async (booking, type, amount, description) => {
+    const providerRef = type === 'refund'
+        ? findRefundableCharge(await LedgerEntry.find({ booking: booking._id }))
+        : undefined;
+    const result = await processPayment(type, {
+        amount,
+        reference: String(booking._id),
+        payer: booking.farmer,
+        providerRef
+    });
+
+    return LedgerEntry.create({
+        booking: booking._id,
+        farmer: booking.farmer,
+        owner: booking.owner,
+        type,
+        amount,
+        status: result.status,
+        provider: result.provider,
+        providerRef: result.providerRef,
+        failureReason: result.failureReason,
+        description
+    });
+};
+
+/**
+ * Collect the confirmation deposit, less anything already paid
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object|null>} - Ledger entry, or null if nothing was due
+ */
+const collectDeposit = async (booking) => {
+    const { net } = await LedgerEntry.getBookingSummary(booking._id);
+    const due = calculateDeposit(booking.cost.totalCost) - net;
+    if (due <= 0) return null;
+    return recordPayment(booking, 'deposit', due, `Deposit (${DEPOSIT_PERCENT}%)`);
+};
+
+/**
+ * Notify the booking's farmer and owner about an event, except whoever caused it
+ * @param {Object} booking - Booking document
+ * @param {Object|null} actor - User who made the change (null for automatic changes: both are told)
+ * @param {string} type - Notification type
+ * @param {Object} extra - Details for the message (e.g. { reason })
+ * @returns {Promise<Array>} - Notifications sent
+ */
+const notifyParties = (booking, actor, type, extra) => Promise.all(
+    [booking.farmer, booking.owner]
+        .filter(party => party && toId(party) !== toId(actor))
+        .map(party => Notification.notify(party, type, booking, extra))
+);
+
+/**
+ * Re-send the operator's job sheet for the booking's day, and for any
+ * machine and day it moved away from, where one was already sent
+ * @param {Object} booking - Booking document
+ * @param {Array} previous - Earlier placements ({ machine, date })
+ * @returns {Promise<Array>} - Re-send results
+ */
+const refreshJobSheets = (booking, previous = []) => {
+    const placements = {};
+    [{ machine: booking.machine, date: booking.date }, ...previous].forEach(({ machine, date }) => {
+        placements[`${toId(machine)}:${toDateKey(date)}`] = { machineId: toId(machine), date };
+    });
+    return Promise.all(Object.values(placements).map(({ machineId, date }) => JobSheet.resend(machineId, date)));
+};
+
+/**
+ * Add a completed booking's engine hours and acres to its machine, and
+ * tell the owner about any service interval that became due or overdue
+ * @param {Object} booking - Completed booking document
+ * @returns {Promise<Array>} - Alerts sent [{ intervalId, name, status }]
+ */
+const recordMachineUsage = async (booking) => {
+    const { engineHours, acres } = usageForBooking(booking);
+    const machine = await Machine.findByIdAndUpdate(
+        toId(booking.machine),
+        { $inc: { 'maintenance.engineHours': engineHours, 'maintenance.acresWorked': acres } },
+        { new: true }
+    );
+    if (!machine) return [];
+
+    const sent = [];
+    for (const { interval, ...status } of findNewAlerts(machine.maintenance)) {
+        // Claim the alert so a completion running alongside cannot send it too
+        const claimed = await Machine.updateOne(
+            {
+                _id: machine._id,
+                'maintenance.intervals': { $elemMatch: { _id: interval._id, alertedStatus: interval.alertedStatus || null } }
+            },
+            { $set: { 'maintenance.intervals.$.alertedStatus': status.status } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        await Notification.notify(machine.owner, `maintenance_${status.status}`, booking, {
+            machine: { _id: machine._id, name: machine.name },
+            interval: interval.name,
+            usage: describeIntervalUsage(interval, status)
+        });
+        sent.push({ intervalId: interval._id, name: interval.name, status: status.status });
+    }
+    return sent;
+};
+
+module.exports = {
+    recordPayment,
+    collectDeposit,
+    notifyParties,
+    refreshJobSheets,
+    recordMachineUsage
+};
@@ -0,0 +1,54 @@
+/**
+ * Booking Status Transitions
+ *
+ * The single table of which booking status may follow which. The Booking
+ * model enforces it on every save and the mock controllers check it
+ * directly, so every path through the API obeys the same rules.
+ */
+
+/**
+ * Statuses each status may move to (final statuses move nowhere)
+ */
+const STATUS_TRANSITIONS = {
+    pending: ['countered', 'confirmed', 'rejected', 'cancelled', 'expired'],
+    countered: ['confirmed', 'rejected', 'cancelled', 'expired'],
+    confirmed: ['in_progress', 'completed', 'cancelled'],
+    in_progress: ['completed'],
+    completed: [],
+    rejected: [],
+    cancelled: [],
+    expired: []
+};
+
+/**
+ * All booking statuses
+ */
+const BOOKING_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+/**
+ * Check whether a booking may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throw a 400 error unless the transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+    if (!canTransition(from, to)) {
+        const error = new Error(`Cannot change booking status from ${from} to ${to}`);
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    BOOKING_STATUSES,
+    canTransition,
+    assertTransition
+};
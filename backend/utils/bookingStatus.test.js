@@ -0,0 +1,80 @@
+/**
+ * Booking Status Transition Tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { BOOKING_STATUSES, canTransition, assertTransition } = require('./bookingStatus');
+
+const FINAL_STATUSES = ['completed', 'rejected', 'cancelled', 'expired'];
+
+// A stored booking as read from the database
+const storedBooking = (status) => Booking.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    status,
+    statusHistory: []
+});
+
+test('allows the normal lifecycle of a booking', () => {
+    assert.ok(canTransition('pending', 'countered'));
+    assert.ok(canTransition('countered', 'confirmed'));
+    assert.ok(canTransition('pending', 'confirmed'));
+    assert.ok(canTransition('confirmed', 'in_progress'));
+    assert.ok(canTransition('in_progress', 'completed'));
+});
+
+test('final statuses move nowhere', () => {
+    for (const from of FINAL_STATUSES) {
+        for (const to of BOOKING_STATUSES) {
+            assert.equal(canTransition(from, to), false, `${from} -> ${to}`);
+        }
+    }
+});
+
+test('rejects skipped, backward and unknown transitions with a 400', () => {
+    for (const [from, to] of [
+        ['pending', 'in_progress'],
+        ['pending', 'completed'],
+        ['in_progress', 'cancelled'],
+        ['confirmed', 'pending'],
+        ['completed', 'pending'],
+        ['unknown', 'confirmed']
+    ]) {
+        assert.throws(() => assertTransition(from, to), error => {
+            assert.equal(error.statusCode, 400);
+            assert.equal(error.message, `Cannot change booking status from ${from} to ${to}`);
+            return true;
+        });
+    }
+});
+
+test('a booking refuses a disallowed change and keeps its status and history', () => {
+    const booking = storedBooking('cancelled');
+
+    assert.throws(() => booking.transitionTo('confirmed'), /from cancelled to confirmed/);
+    assert.equal(booking.status, 'cancelled');
+    assert.equal(booking.statusHistory.length, 0);
+});
+
+test('a booking records each allowed change in its history', () => {
+    const booking = storedBooking('pending');
+    const actor = new mongoose.Types.ObjectId();
+
+    booking.transitionTo('confirmed', { actor, reason: 'Slot free' });
+
+    assert.equal(booking.status, 'confirmed');
+    assert.deepEqual(
+        booking.statusHistory.map(({ from, to, reason }) => ({ from, to, reason })),
+        [{ from: 'pending', to: 'confirmed', reason: 'Slot free' }]
+    );
+    assert.equal(String(booking.statusHistory[0].actor), String(actor));
+});
+
+test('saving a status set directly is checked against the table too', async () => {
+    const booking = storedBooking('completed');
+    booking.status = 'pending';
+
+    await assert.rejects(booking.save({ validateBeforeSave: false }), /from completed to pending/);
+});
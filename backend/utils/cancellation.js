@@ -0,0 +1,82 @@
+/**
+ * Cancellation Helpers
+ *
+ * Applies a machine's cancellation policy: free until a cut-off before the
+ * job starts, then a percentage of the total cost. Jobs already under way
+ * cannot be cancelled.
+ */
+
+const { parseTime, startOfDay } = require('../algorithms/scheduler');
+
+/**
+ * Policy used when a machine has none set (always free)
+ */
+const DEFAULT_POLICY = { freeUntilHours: 24, lateFeePercent: 0 };
+
+/**
+ * Statuses that can no longer be cancelled, and why
+ */
+const BLOCKED_REASONS = {
+    rejected: 'Booking was rejected by the owner',
+    in_progress: 'Work has already started on this booking',
+    completed: 'Cannot cancel a completed booking',
+    cancelled: 'Booking is already cancelled',
+    expired: 'Request expired without an answer from the owner'
+};
+
+/**
+ * When a booking's work starts
+ * Uses the reserved slot, else the start of the machine's working day.
+ * @param {Object} booking - Booking
+ * @param {number} workingStartMinutes - Machine's day start (minutes from midnight)
+ * @returns {Date}
+ */
+const getJobStart = (booking, workingStartMinutes) => {
+    const start = startOfDay(booking.date);
+    const minutes = booking.timeSlots?.startTime ? parseTime(booking.timeSlots.startTime) : workingStartMinutes;
+    start.setMinutes(minutes || 0);
+    return start;
+};
+
+/**
+ * Work out what cancelling a booking now would cost
+ * @param {Object} booking - Booking
+ * @param {Object} options - { policy, workingStartMinutes, paid (net paid so far), now }
+ * @returns {Object} - { allowed, reason, fee, feePercent, refund, chargeDue, freeUntil, hoursBeforeStart }
+ *   refund is what goes back to the farmer, chargeDue what they still owe for the fee
+ */
+const calculateCancellation = (booking, options = {}) => {
+    const { workingStartMinutes, paid = 0, now = new Date() } = options;
+    const policy = { ...DEFAULT_POLICY, ...options.policy };
+
+    const { status } = booking;
+    if (BLOCKED_REASONS[status]) {
+        return { allowed: false, reason: BLOCKED_REASONS[status] };
+    }
+
+    const startAt = getJobStart(booking, workingStartMinutes);
+    const freeUntil = new Date(startAt.getTime() - policy.freeUntilHours * 3600000);
+    const hoursBeforeStart = Math.max(0, Math.round((startAt - now) / 360000) / 10);
+
+    // Requests the owner never confirmed are always free to withdraw
+    const isLate = !['pending', 'countered'].includes(status) && now > freeUntil;
+    const feePercent = isLate ? policy.lateFeePercent : 0;
+    const fee = Math.round((booking.cost?.totalCost || 0) * feePercent / 100);
+
+    return {
+        allowed: true,
+        reason: null,
+        fee,
+        feePercent,
+        refund: Math.max(0, paid - fee),
+        chargeDue: Math.max(0, fee - paid),
+        freeUntil,
+        hoursBeforeStart
+    };
+};
+
+module.exports = {
+    DEFAULT_POLICY,
+    getJobStart,
+    calculateCancellation
+};
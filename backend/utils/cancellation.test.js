@@ -0,0 +1,84 @@
+/**
+ * Cancellation Terms Tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POLICY, getJobStart, calculateCancellation } = require('./cancellation');
+
+// Free until 24 hours before the job, then half the total cost
+const policy = { freeUntilHours: 24, lateFeePercent: 50 };
+
+// A 1000 rupee job booked for 10 January 2030 at 09:00 (local time)
+const booking = (status, startTime = '09:00') => ({
+    status,
+    date: new Date(2030, 0, 10),
+    timeSlots: { startTime },
+    cost: { totalCost: 1000 }
+});
+
+const dayBefore = (hour) => new Date(2030, 0, 9, hour);
+
+test('the job starts at its slot, else when the machine starts work', () => {
+    assert.deepEqual(getJobStart(booking('confirmed'), 480), new Date(2030, 0, 10, 9));
+    assert.deepEqual(getJobStart(booking('confirmed', null), 480), new Date(2030, 0, 10, 8));
+});
+
+test('cancelling before the cut-off is free and refunds everything paid', () => {
+    const terms = calculateCancellation(booking('confirmed'), { policy, paid: 200, now: dayBefore(8) });
+
+    assert.equal(terms.allowed, true);
+    assert.equal(terms.feePercent, 0);
+    assert.equal(terms.fee, 0);
+    assert.equal(terms.refund, 200);
+    assert.equal(terms.chargeDue, 0);
+    assert.deepEqual(terms.freeUntil, dayBefore(9));
+    assert.equal(terms.hoursBeforeStart, 25);
+});
+
+test('cancelling after the cut-off charges the late fee', () => {
+    const terms = calculateCancellation(booking('confirmed'), { policy, paid: 200, now: dayBefore(10) });
+
+    assert.equal(terms.feePercent, 50);
+    assert.equal(terms.fee, 500);
+    // The deposit covers part of the fee; the rest is still owed
+    assert.equal(terms.refund, 0);
+    assert.equal(terms.chargeDue, 300);
+    assert.equal(terms.hoursBeforeStart, 23);
+});
+
+test('a late fee comes out of what was paid before the rest is refunded', () => {
+    const terms = calculateCancellation(booking('confirmed'), { policy, paid: 800, now: dayBefore(10) });
+
+    assert.equal(terms.refund, 300);
+    assert.equal(terms.chargeDue, 0);
+});
+
+test('requests the owner has not confirmed are free to withdraw at any time', () => {
+    for (const status of ['pending', 'countered']) {
+        const terms = calculateCancellation(booking(status), { policy, now: dayBefore(23) });
+        assert.equal(terms.fee, 0, status);
+    }
+});
+
+test('without a policy cancelling is always free', () => {
+    assert.equal(DEFAULT_POLICY.lateFeePercent, 0);
+
+    const terms = calculateCancellation(booking('confirmed'), { paid: 200, now: dayBefore(23) });
+    assert.equal(terms.fee, 0);
+    assert.equal(terms.refund, 200);
+});
+
+test('bookings that are finished or under way cannot be cancelled', () => {
+    for (const [status, reason] of [
+        ['in_progress', /already started/],
+        ['completed', /completed booking/],
+        ['cancelled', /already cancelled/],
+        ['rejected', /rejected by the owner/],
+        ['expired', /expired without an answer/]
+    ]) {
+        const terms = calculateCancellation(booking(status), { policy, now: dayBefore(8) });
+        assert.equal(terms.allowed, false, status);
+        assert.match(terms.reason, reason);
+    }
+});
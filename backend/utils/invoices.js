@@ -0,0 +1,161 @@
+/**
+ * Invoice Helpers
+ *
+ * Numbering, tax and rendering (HTML and PDF) for booking invoices.
+ * Prices are tax-inclusive, so the invoice shows the tax contained in the
+ * total rather than adding it on top.
+ */
+
+const { createPdf } = require('./pdf');
+
+/**
+ * GST rate included in booking prices
+ */
+const TAX_PERCENT = Number(process.env.INVOICE_TAX_PERCENT ?? 18);
+
+/**
+ * Printed invoice number for a position in an owner's sequence
+ * @param {number} sequence - 1-based sequence
+ * @returns {string} - e.g. INV-00012
+ */
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Tax contained in a tax-inclusive amount
+ * @param {number} total - Amount including tax
+ * @returns {number}
+ */
+const calculateIncludedTax = (total) => Math.round(total - total / (1 + TAX_PERCENT / 100));
+
+const formatMoney = (amount) => `₹${Math.round(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric', month: 'short', year: 'numeric'
+}) : '');
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Work out the sections both renderers print
+ * @param {Object} invoice - Invoice (owner and farmer populated)
+ * @param {Object} payments - Ledger summary { entries, paid, refunded, net }
+ * @returns {Object} - { charges, payments, balance }
+ */
+const buildInvoiceSections = (invoice, payments) => {
+    const charges = (invoice.items || []).map(item => ({
+        label: item.label,
+        amount: formatMoney(item.amount)
+    }));
+
+    const received = (payments.entries || [])
+        .filter(e => e.status === 'succeeded')
+        .map(e => ({
+            label: `${formatDate(e.createdAt)} ${e.type === 'refund' ? 'Refund' : e.description || e.type}`,
+            amount: e.type === 'refund' ? `-${formatMoney(e.amount)}` : formatMoney(e.amount)
+        }));
+
+    return {
+        charges,
+        payments: received,
+        balance: Math.max(0, invoice.totalCost - (payments.net || 0))
+    };
+};
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice (owner and farmer populated)
+ * @param {Object} payments - Ledger summary { entries, paid, refunded, net }
+ * @returns {string} - HTML
+ */
+const renderInvoiceHtml = (invoice, payments) => {
+    const sections = buildInvoiceSections(invoice, payments);
+    const rows = (lines) => lines.map(line =>
+        `<tr><td>${escapeHtml(line.label)}</td><td class="amount">${escapeHtml(line.amount)}</td></tr>`
+    ).join('');
+    const owner = invoice.owner || {};
+    const farmer = invoice.farmer || {};
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+h1 { color: #15803d; margin-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+td, th { padding: 6px 0; border-bottom: 1px solid #e5e7eb; text-align: left; }
+.amount { text-align: right; }
+.parties { display: flex; justify-content: space-between; margin: 24px 0; }
+.muted { color: #6b7280; }
+.total td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Invoice ${escapeHtml(invoice.number)}</h1>
+<p class="muted">Issued ${escapeHtml(formatDate(invoice.issuedAt))}</p>
+<div class="parties">
+  <div><strong>From</strong><br>${escapeHtml(owner.name)}<br>${escapeHtml(owner.phone)}<br>${escapeHtml(owner.email)}</div>
+  <div><strong>Billed to</strong><br>${escapeHtml(farmer.name)}<br>${escapeHtml(farmer.phone)}<br>${escapeHtml(farmer.email)}</div>
+</div>
+<p>${escapeHtml(invoice.machineName)} &middot; ${escapeHtml(invoice.acres)} acres at ${escapeHtml(formatMoney(invoice.ratePerAcre))}/acre &middot; ${escapeHtml(formatDate(invoice.workDate))}</p>
+<table>
+  <tr><th>Charges</th><th class="amount">Amount</th></tr>
+  ${rows(sections.charges)}
+  <tr class="total"><td>Total</td><td class="amount">${escapeHtml(formatMoney(invoice.totalCost))}</td></tr>
+  <tr><td class="muted">Includes GST at ${escapeHtml(invoice.taxPercent)}%</td><td class="amount muted">${escapeHtml(formatMoney(invoice.taxAmount))}</td></tr>
+</table>
+<table>
+  <tr><th>Payments received</th><th class="amount">Amount</th></tr>
+  ${sections.payments.length ? rows(sections.payments) : '<tr><td class="muted">None yet</td><td></td></tr>'}
+  <tr class="total"><td>Balance due</td><td class="amount">${escapeHtml(formatMoney(sections.balance))}</td></tr>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice (owner and farmer populated)
+ * @param {Object} payments - Ledger summary { entries, paid, refunded, net }
+ * @returns {Buffer} - PDF file contents
+ */
+const renderInvoicePdf = (invoice, payments) => {
+    const sections = buildInvoiceSections(invoice, payments);
+    const owner = invoice.owner || {};
+    const farmer = invoice.farmer || {};
+
+    return createPdf([
+        { text: `Invoice ${invoice.number}`, size: 18, bold: true },
+        { text: `Issued ${formatDate(invoice.issuedAt)}` },
+        { text: 'From', bold: true, gap: 10 },
+        { text: [owner.name, owner.phone, owner.email].filter(Boolean).join(', ') },
+        { text: 'Billed to', bold: true, gap: 6 },
+        { text: [farmer.name, farmer.phone, farmer.email].filter(Boolean).join(', ') },
+        {
+            text: `${invoice.machineName || 'Machine'} - ${invoice.acres} acres at ${formatMoney(invoice.ratePerAcre)}/acre - ${formatDate(invoice.workDate)}`,
+            gap: 10
+        },
+        { text: 'Charges', value: 'Amount', bold: true, gap: 10 },
+        ...sections.charges.map(line => ({ text: line.label, value: line.amount })),
+        { text: 'Total', value: formatMoney(invoice.totalCost), bold: true },
+        { text: `Includes GST at ${invoice.taxPercent}%`, value: formatMoney(invoice.taxAmount) },
+        { text: 'Payments received', value: 'Amount', bold: true, gap: 10 },
+        ...(sections.payments.length
+            ? sections.payments.map(line => ({ text: line.label, value: line.amount }))
+            : [{ text: 'None yet' }]),
+        { text: 'Balance due', value: formatMoney(sections.balance), bold: true }
+    ]);
+};
+
+module.exports = {
+    TAX_PERCENT,
+    formatInvoiceNumber,
+    calculateIncludedTax,
+    renderInvoiceHtml,
+    renderInvoicePdf
+};
@@ -0,0 +1,279 @@
+/**
+ * Background Job Runner
+ *
+ * Runs recurring jobs inside the API process. A job is due once per
+ * scheduled time: daily at a fixed local time ({ dailyAt: 'HH:MM' }) or
+ * on a fixed interval ({ everyMinutes: n }). A job that missed its time
+ * while the server was down runs once at the next check. The scheduled
+ * time a job last completed, and a lock while it runs, are kept in
+ * BackgroundJob so a run happens once even across restarts or several
+ * server instances.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const BackgroundJob = require('../models/BackgroundJob');
+const { parseTime } = require('../algorithms/scheduler');
+
+/**
+ * How often due jobs are checked
+ */
+const TICK_MS = 60 * 1000;
+
+/**
+ * A lock older than this belongs to a run that died; it may be taken over
+ */
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Runs kept in each job's history
+ */
+const RUN_HISTORY_LIMIT = 20;
+
+/**
+ * Identifies this process in job locks
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+const jobs = {};
+let timer = null;
+
+/**
+ * Register a recurring job
+ * @param {Object} job - Job definition
+ * @param {string} job.name - Unique name
+ * @param {string} job.description - What it does
+ * @param {Object} job.schedule - { dailyAt: 'HH:MM' } or { everyMinutes: n }
+ * @param {Function} job.run - async ({ key, dueAt, trigger }) => result (kept in the run history)
+ */
+const registerJob = (job) => {
+    const { dailyAt, everyMinutes } = job.schedule || {};
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(dailyAt) && !(everyMinutes > 0)) {
+        throw new Error(`Job ${job.name} needs a dailyAt (HH:MM) or everyMinutes schedule`);
+    }
+    jobs[job.name] = job;
+};
+
+/**
+ * Get a registered job definition
+ * @param {string} name - Job name
+ * @returns {Object|undefined}
+ */
+const getJob = (name) => jobs[name];
+
+/**
+ * Most recent time a job was due, at or before now
+ * @param {Object} schedule - { dailyAt } or { everyMinutes }
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const lastDueAt = (schedule, now = new Date()) => {
+    if (schedule.everyMinutes) {
+        const interval = schedule.everyMinutes * 60 * 1000;
+        return new Date(Math.floor(now.getTime() / interval) * interval);
+    }
+
+    const minutes = parseTime(schedule.dailyAt);
+    const due = new Date(now);
+    due.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (due > now) due.setDate(due.getDate() - 1);
+    return due;
+};
+
+/**
+ * Next time a job will be due, after now
+ * @param {Object} schedule - { dailyAt } or { everyMinutes }
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const nextDueAt = (schedule, now = new Date()) => {
+    const last = lastDueAt(schedule, now);
+    return schedule.everyMinutes
+        ? new Date(last.getTime() + schedule.everyMinutes * 60 * 1000)
+        : new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1, last.getHours(), last.getMinutes());
+};
+
+/**
+ * Run a job under its lock and record the outcome
+ * @param {Object} job - Job definition
+ * @param {Object} options - { key: scheduled run (null for manual runs), dueAt, trigger }
+ * @returns {Promise<Object|null>} - The run, or null if another run holds the lock or it already ran
+ */
+const executeJob = async (job, { key = null, dueAt = new Date(), trigger = 'schedule' } = {}) => {
+    const startedAt = new Date();
+
+    // Take the lock; a scheduled run also needs its time not to be done already
+    const claim = {
+        name: job.name,
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(startedAt - LOCK_TTL_MS) } }]
+    };
+    if (key) claim.lastRunKey = { $ne: key };
+
+    const state = await BackgroundJob.findOneAndUpdate(
+        claim,
+        { $set: { lockedAt: startedAt, lockedBy: INSTANCE_ID } },
+        { new: true }
+    );
+    if (!state) return null;
+
+    const run = { key: key || startedAt.toISOString(), trigger, startedAt };
+    try {
+        run.result = await job.run({ key: run.key, dueAt, trigger });
+        run.status = 'succeeded';
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        console.error(`Background job ${job.name} failed:`, error.message);
+    }
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+
+    // A failed scheduled run is not retried until its next time (or a manual run)
+    const update = {
+        $set: { lockedAt: null, lockedBy: null },
+        $inc: { runCount: 1, failureCount: run.status === 'failed' ? 1 : 0 },
+        $push: { runs: { $each: [run], $slice: -RUN_HISTORY_LIMIT } }
+    };
+    if (key) update.$set.lastRunKey = key;
+
+    await BackgroundJob.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, update);
+    return run;
+};
+
+/**
+ * Run every enabled job that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Runs made
+ */
+const runDueJobs = async (now = new Date()) => {
+    const states = await BackgroundJob.find({ name: { $in: Object.keys(jobs) } });
+    const runs = [];
+
+    for (const job of Object.values(jobs)) {
+        const state = states.find(s => s.name === job.name);
+        const dueAt = lastDueAt(job.schedule, now);
+        const key = dueAt.toISOString();
+
+        if (!state || !state.enabled || state.lastRunKey === key) continue;
+
+        const run = await executeJob(job, { key, dueAt, trigger: 'schedule' });
+        if (run) runs.push({ name: job.name, ...run });
+    }
+
+    return runs;
+};
+
+/**
+ * Run a job now, whether or not it is due
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} - The run, or null if it is already running
+ * @throws {Error} - If the job is unknown
+ */
+const runJobNow = async (name) => {
+    const job = jobs[name];
+    if (!job) {
+        throw new Error(`Unknown background job: ${name}`);
+    }
+
+    await BackgroundJob.updateOne({ name }, { $setOnInsert: { name } }, { upsert: true });
+    return executeJob(job, { trigger: 'manual' });
+};
+
+/**
+ * Every registered job with its schedule and persisted state
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - [{ name, description, schedule, enabled, running, nextRunAt, lastRun, runs, ... }]
+ */
+const getJobStatuses = async (now = new Date()) => {
+    const states = await BackgroundJob.find({ name: { $in: Object.keys(jobs) } });
+
+    return Object.values(jobs).map(job => {
+        const state = states.find(s => s.name === job.name);
+        const runs = state?.runs || [];
+        const dueKey = lastDueAt(job.schedule, now).toISOString();
+
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            enabled: state ? state.enabled : true,
+            running: Boolean(state?.lockedAt),
+            lockedBy: state?.lockedBy || null,
+            // Overdue runs go at the next check
+            nextRunAt: state?.lastRunKey === dueKey ? nextDueAt(job.schedule, now) : new Date(now.getTime() + TICK_MS),
+            lastRunKey: state?.lastRunKey || null,
+            runCount: state?.runCount || 0,
+            failureCount: state?.failureCount || 0,
+            lastRun: runs[runs.length - 1] || null,
+            runs: [...runs].reverse()
+        };
+    });
+};
+
+/**
+ * Turn a job on or off
+ * @param {string} name - Job name
+ * @param {boolean} enabled - Whether it runs on schedule
+ * @returns {Promise<Object>} - Updated state
+ * @throws {Error} - If the job is unknown
+ */
+const setJobEnabled = async (name, enabled) => {
+    if (!jobs[name]) {
+        throw new Error(`Unknown background job: ${name}`);
+    }
+    return BackgroundJob.findOneAndUpdate({ name }, { $set: { enabled } }, { new: true, upsert: true });
+};
+
+/**
+ * Start checking for due jobs every minute for as long as the server runs
+ * @returns {Promise<void>}
+ */
+const startJobRunner = async () => {
+    if (timer) return;
+
+    // Every job gets a state document so the lock can be claimed atomically
+    await Promise.all(Object.keys(jobs).map(name =>
+        BackgroundJob.updateOne({ name }, { $setOnInsert: { name } }, { upsert: true })
+    ));
+
+    const tick = async () => {
+        try {
+            const runs = await runDueJobs();
+            runs.forEach(run => {
+                console.log(`⏰ ${run.name} ${run.status} in ${run.durationMs} ms`);
+            });
+        } catch (error) {
+            console.error('Background job check failed:', error.message);
+        }
+    };
+
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+    tick();
+
+    console.log(`⏰ Background jobs: ${Object.keys(jobs).join(', ')}`);
+};
+
+/**
+ * Stop checking for due jobs (runs in progress finish)
+ */
+const stopJobRunner = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    TICK_MS,
+    LOCK_TTL_MS,
+    RUN_HISTORY_LIMIT,
+    registerJob,
+    getJob,
+    lastDueAt,
+    nextDueAt,
+    runDueJobs,
+    runJobNow,
+    getJobStatuses,
+    setJobEnabled,
+    startJobRunner,
+    stopJobRunner
+};
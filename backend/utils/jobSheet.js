@@ -0,0 +1,151 @@
+/**
+ * Job Sheet Helpers
+ *
+ * Turns a machine's day of bookings (as placed by scheduleJobs or listed by
+ * getMachineSchedule) into the compact daily job sheet its operator gets by
+ * SMS or WhatsApp: the stops in driving order with village, farmer, phone,
+ * acres, start time and distance from the previous stop. The text is plain
+ * ASCII so it reads the same on basic phones.
+ */
+
+const crypto = require('crypto');
+const { calculateDistance, toDateKey } = require('../algorithms/scheduler');
+
+/**
+ * Booking statuses listed on a day's sheet
+ * Completed jobs stay listed so finishing one is not a schedule change.
+ */
+const JOB_SHEET_STATUSES = ['confirmed', 'in_progress', 'completed'];
+
+/**
+ * Check that a location has usable GPS coordinates
+ * @param {Object} coords - { latitude, longitude }
+ * @returns {boolean}
+ */
+const hasCoordinates = (coords) => Boolean(coords?.latitude && coords?.longitude);
+
+/**
+ * Order a day's bookings the way the operator drives them: by start time,
+ * then by the scheduler's slot order
+ * @param {Array} bookings - Bookings for one machine and day
+ * @returns {Array} - New ordered array
+ */
+const orderStops = (bookings) => [...bookings].sort((a, b) =>
+    (a.timeSlots?.startTime || '99:99').localeCompare(b.timeSlots?.startTime || '99:99') ||
+    (a.timeSlots?.slotOrder || 0) - (b.timeSlots?.slotOrder || 0)
+);
+
+/**
+ * Build a machine's job sheet for one day
+ * Distances run from the machine's base to the first field, then field to
+ * field; a stop without coordinates on either side has no distance.
+ * @param {Object} machine - Machine ({ _id, name, location })
+ * @param {Date|string} date - Day of the sheet
+ * @param {Array} bookings - The day's bookings, farmer populated with name and phone
+ * @returns {Object} - { machineId, machineName, date, stops, totalAcres, totalDistanceKm }
+ */
+const buildJobSheet = (machine, date, bookings) => {
+    let previous = machine.location?.coordinates;
+
+    const stops = orderStops(bookings.filter(b => JOB_SHEET_STATUSES.includes(b.status)))
+        .map((booking, index) => {
+            const coords = booking.fieldLocation?.coordinates;
+            const distanceKm = hasCoordinates(previous) && hasCoordinates(coords)
+                ? calculateDistance(previous, coords)
+                : null;
+            if (hasCoordinates(coords)) previous = coords;
+
+            return {
+                order: index + 1,
+                bookingId: String(booking._id),
+                startTime: booking.timeSlots?.startTime || null,
+                endTime: booking.timeSlots?.endTime || null,
+                village: booking.fieldLocation?.village || 'Unknown',
+                farmerName: booking.farmer?.name || 'Farmer',
+                farmerPhone: booking.farmer?.phone || null,
+                acres: booking.acres,
+                workType: booking.workType || null,
+                distanceKm
+            };
+        });
+
+    return {
+        machineId: String(machine._id),
+        machineName: machine.name,
+        date: toDateKey(date),
+        stops,
+        totalAcres: stops.reduce((sum, stop) => sum + (stop.acres || 0), 0),
+        totalDistanceKm: Math.round(stops.reduce((sum, stop) => sum + (stop.distanceKm || 0), 0) * 10) / 10
+    };
+};
+
+/**
+ * Format a job sheet as a short text message, one line per stop, e.g.
+ *   AgroShare jobs Tue, 21 Oct - Mahindra 575 DI
+ *   1) 08:00 Rampur | Rajesh Kumar 9876543210 | 5ac ploughing | 3.2km
+ *   Total: 1 job, 5ac, 3.2km
+ * @param {Object} sheet - From buildJobSheet
+ * @param {Object} options - { updated: mark the sheet as replacing one already sent }
+ * @returns {string}
+ */
+const formatJobSheet = (sheet, { updated = false } = {}) => {
+    const day = new Date(`${sheet.date}T00:00:00`).toLocaleDateString('en-IN', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short'
+    });
+    const lines = [`${updated ? 'UPDATED ' : ''}AgroShare jobs ${day} - ${sheet.machineName}`];
+
+    if (sheet.stops.length === 0) {
+        lines.push('No jobs scheduled.');
+        return lines.join('\n');
+    }
+
+    sheet.stops.forEach(stop => {
+        lines.push([
+            `${stop.order}) ${stop.startTime || '--:--'} ${stop.village}`,
+            `${stop.farmerName}${stop.farmerPhone ? ` ${stop.farmerPhone}` : ''}`,
+            `${stop.acres}ac${stop.workType ? ` ${stop.workType}` : ''}`,
+            stop.distanceKm === null ? '-' : `${stop.distanceKm}km`
+        ].join(' | '));
+    });
+
+    const jobs = sheet.stops.length;
+    lines.push(`Total: ${jobs} job${jobs === 1 ? '' : 's'}, ${sheet.totalAcres}ac, ${sheet.totalDistanceKm}km`);
+    return lines.join('\n');
+};
+
+/**
+ * Fingerprint a sheet's stops, to tell whether the schedule changed since it was sent
+ * @param {Object} sheet - From buildJobSheet
+ * @returns {string} - Hex digest
+ */
+const fingerprintJobSheet = (sheet) => crypto
+    .createHash('sha1')
+    .update(JSON.stringify(sheet.stops))
+    .digest('hex');
+
+/**
+ * Who gets a machine's job sheet and how: its operator, or the owner when
+ * no operator phone is set
+ * @param {Object} machine - Machine ({ operator })
+ * @param {Object} owner - Owner user ({ name, phone })
+ * @returns {Object} - { name, phone, channel }
+ */
+const getSheetRecipient = (machine, owner) => {
+    const operator = machine.operator || {};
+    return {
+        name: operator.phone ? operator.name || 'Operator' : owner?.name,
+        phone: operator.phone || owner?.phone || null,
+        channel: operator.channel || 'sms'
+    };
+};
+
+module.exports = {
+    JOB_SHEET_STATUSES,
+    orderStops,
+    buildJobSheet,
+    formatJobSheet,
+    fingerprintJobSheet,
+    getSheetRecipient
+};
@@ -0,0 +1,226 @@
+/**
+ * Maintenance Helpers
+ *
+ * Service intervals are counted in engine hours and/or acres worked since
+ * the interval's last service. Usage comes from completed bookings: the
+ * time and acres in the work log, or the booking's estimate when the job
+ * was completed without one.
+ */
+
+/**
+ * An interval is due once this share of it has been used (%)
+ */
+const DUE_SOON_PERCENT = 90;
+
+/**
+ * How serious each alert level is; an alert is sent when an interval moves up
+ */
+const ALERT_LEVELS = { ok: 0, due: 1, overdue: 2 };
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number}
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Engine hours and acres a completed booking adds to its machine
+ * @param {Object} booking - Completed booking (workLog, estimatedDuration, acres)
+ * @returns {Object} - { engineHours, acres }
+ */
+const usageForBooking = (booking) => {
+    const minutes = booking.workLog?.actualMinutes ?? booking.estimatedDuration ?? 0;
+    const acres = booking.workLog?.actualAcres ?? booking.acres ?? 0;
+    return { engineHours: round1(minutes / 60), acres: round1(acres) };
+};
+
+/**
+ * Check a service interval before it is saved
+ * @param {Object} interval - { name, everyHours, everyAcres }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateInterval = ({ name, everyHours, everyAcres } = {}) => {
+    if (!name || !String(name).trim()) {
+        return 'Each service interval needs a name';
+    }
+    if (everyHours === undefined && everyAcres === undefined) {
+        return `${name}: set everyHours, everyAcres or both`;
+    }
+    if (everyHours !== undefined && !(Number(everyHours) > 0)) {
+        return `${name}: everyHours must be greater than 0`;
+    }
+    if (everyAcres !== undefined && !(Number(everyAcres) > 0)) {
+        return `${name}: everyAcres must be greater than 0`;
+    }
+    return null;
+};
+
+/**
+ * Build a machine's new interval list from what the owner sent
+ * Intervals sent with an existing _id keep their last service; new ones
+ * count from the machine's current usage unless given a last service.
+ * @param {Array} current - Machine's intervals
+ * @param {Array} incoming - [{ _id, name, everyHours, everyAcres, lastServiceHours, lastServiceAcres }]
+ * @param {Object} usage - Machine totals { engineHours, acresWorked }
+ * @returns {Object} - { intervals } or { error }
+ */
+const buildIntervals = (current = [], incoming, usage) => {
+    if (!Array.isArray(incoming)) {
+        return { error: 'intervals must be a list' };
+    }
+
+    const intervals = [];
+    for (const item of incoming) {
+        const error = validateInterval(item);
+        if (error) return { error };
+
+        const existing = item._id && current.find(i => String(i._id) === String(item._id));
+        if (item._id && !existing) {
+            return { error: `Service interval ${item._id} not found` };
+        }
+
+        const everyHours = item.everyHours !== undefined ? Number(item.everyHours) : undefined;
+        const everyAcres = item.everyAcres !== undefined ? Number(item.everyAcres) : undefined;
+        const unchanged = existing && existing.everyHours === everyHours && existing.everyAcres === everyAcres;
+
+        intervals.push({
+            ...(existing ? { _id: existing._id } : {}),
+            name: String(item.name).trim(),
+            everyHours,
+            everyAcres,
+            lastServiceHours: Number(item.lastServiceHours ?? existing?.lastServiceHours ?? usage.engineHours ?? 0),
+            lastServiceAcres: Number(item.lastServiceAcres ?? existing?.lastServiceAcres ?? usage.acresWorked ?? 0),
+            lastServiceAt: existing?.lastServiceAt,
+            // New thresholds get a fresh alert
+            alertedStatus: unchanged ? existing.alertedStatus : undefined
+        });
+    }
+    return { intervals };
+};
+
+/**
+ * Check a service before it is logged
+ * @param {Object} service - { description, date, cost }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateService = ({ description, date, cost } = {}) => {
+    if (!description || !String(description).trim()) {
+        return 'Service description is required';
+    }
+    if (date !== undefined && isNaN(new Date(date))) {
+        return 'Service date must be a valid date';
+    }
+    if (cost !== undefined && !(Number(cost) >= 0)) {
+        return 'Service cost must be 0 or more';
+    }
+    return null;
+};
+
+/**
+ * Restart the intervals a completed service covered from the machine's current usage
+ * @param {Array} intervals - Machine's intervals (changed in place)
+ * @param {Array} intervalIds - Intervals the service covered
+ * @param {Object} usage - Machine totals { engineHours, acresWorked }
+ * @param {Date} servicedAt - When the service was done
+ * @returns {Array} - Intervals reset
+ */
+const resetIntervals = (intervals = [], intervalIds = [], usage, servicedAt) => {
+    const reset = intervals.filter(i => intervalIds.some(id => String(id) === String(i._id)));
+    reset.forEach(interval => {
+        interval.lastServiceHours = usage.engineHours || 0;
+        interval.lastServiceAcres = usage.acresWorked || 0;
+        interval.lastServiceAt = servicedAt;
+        interval.alertedStatus = undefined;
+    });
+    return reset;
+};
+
+/**
+ * Where an interval stands against the machine's usage
+ * Whichever of hours and acres is further along decides the status.
+ * @param {Object} interval - { everyHours, everyAcres, lastServiceHours, lastServiceAcres }
+ * @param {Object} usage - Machine totals { engineHours, acresWorked }
+ * @returns {Object} - { status ('ok', 'due' or 'overdue'), hoursSince, acresSince, hoursRemaining, acresRemaining, percentUsed }
+ */
+const getIntervalStatus = (interval, usage) => {
+    const hoursSince = round1((usage.engineHours || 0) - (interval.lastServiceHours || 0));
+    const acresSince = round1((usage.acresWorked || 0) - (interval.lastServiceAcres || 0));
+
+    const shares = [];
+    if (interval.everyHours) shares.push(hoursSince / interval.everyHours);
+    if (interval.everyAcres) shares.push(acresSince / interval.everyAcres);
+    const percentUsed = Math.round(Math.max(0, ...shares) * 100);
+
+    let status = 'ok';
+    if (percentUsed >= 100) {
+        status = 'overdue';
+    } else if (percentUsed >= DUE_SOON_PERCENT) {
+        status = 'due';
+    }
+
+    return {
+        status,
+        hoursSince,
+        acresSince,
+        hoursRemaining: interval.everyHours ? round1(interval.everyHours - hoursSince) : null,
+        acresRemaining: interval.everyAcres ? round1(interval.everyAcres - acresSince) : null,
+        percentUsed
+    };
+};
+
+/**
+ * A machine's usage and every interval with its status
+ * @param {Object} maintenance - Machine's maintenance ({ engineHours, acresWorked, intervals })
+ * @returns {Object} - { engineHours, acresWorked, status (worst interval), intervals }
+ */
+const summarizeMaintenance = (maintenance = {}) => {
+    const usage = {
+        engineHours: round1(maintenance.engineHours || 0),
+        acresWorked: round1(maintenance.acresWorked || 0)
+    };
+    const intervals = (maintenance.intervals || []).map(interval => ({
+        ...(interval.toObject ? interval.toObject() : interval),
+        ...getIntervalStatus(interval, usage)
+    }));
+    const worst = intervals.reduce((level, i) => Math.max(level, ALERT_LEVELS[i.status]), 0);
+
+    return {
+        ...usage,
+        status: Object.keys(ALERT_LEVELS).find(key => ALERT_LEVELS[key] === worst),
+        intervals
+    };
+};
+
+/**
+ * Intervals that became due or overdue since their last alert
+ * @param {Object} maintenance - Machine's maintenance ({ engineHours, acresWorked, intervals })
+ * @returns {Array} - [{ interval, status, ...getIntervalStatus }] (the caller records alertedStatus)
+ */
+const findNewAlerts = (maintenance = {}) => (maintenance.intervals || [])
+    .map(interval => ({ interval, ...getIntervalStatus(interval, maintenance) }))
+    .filter(({ interval, status }) => ALERT_LEVELS[status] > ALERT_LEVELS[interval.alertedStatus || 'ok']);
+
+/**
+ * Describe how far an interval has run, e.g. "232 of 250 engine hours"
+ * @param {Object} interval - { everyHours, everyAcres }
+ * @param {Object} status - From getIntervalStatus
+ * @returns {string}
+ */
+const describeIntervalUsage = (interval, status) => [
+    interval.everyHours ? `${status.hoursSince} of ${interval.everyHours} engine hours` : null,
+    interval.everyAcres ? `${status.acresSince} of ${interval.everyAcres} acres` : null
+].filter(Boolean).join(', ');
+
+module.exports = {
+    DUE_SOON_PERCENT,
+    usageForBooking,
+    validateInterval,
+    buildIntervals,
+    validateService,
+    resetIntervals,
+    getIntervalStatus,
+    summarizeMaintenance,
+    findNewAlerts,
+    describeIntervalUsage
+};
@@ -0,0 +1,54 @@
+/**
+ * Morning Job Sheets
+ *
+ * Sends every machine with work that day its job sheet. Run each morning
+ * at JOB_SHEET_HOUR by the background jobs (see utils/backgroundJobs.js).
+ */
+
+const Booking = require('../models/Booking');
+const Machine = require('../models/Machine');
+const JobSheet = require('../models/JobSheet');
+const { startOfDay } = require('../algorithms/scheduler');
+
+/**
+ * Hour of the day (0-23) the morning sheets go out
+ */
+const JOB_SHEET_HOUR = parseInt(process.env.JOB_SHEET_HOUR) || 6;
+
+/**
+ * Send the day's job sheet for every machine with confirmed work
+ * @param {Date} date - Day to send for (defaults to today)
+ * @returns {Promise<Array>} - [{ machineId, sent, status, failureReason }]
+ */
+const sendMorningJobSheets = async (date = new Date()) => {
+    const day = startOfDay(date);
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+
+    const machineIds = await Booking.distinct('machine', {
+        date: { $gte: day, $lt: nextDay },
+        status: { $in: ['confirmed', 'in_progress'] }
+    });
+    const machines = await Machine.find({ _id: { $in: machineIds } });
+    const results = [];
+
+    for (const machine of machines) {
+        try {
+            const { jobSheet, sent } = await JobSheet.send(machine, day, { reason: 'morning' });
+            results.push({
+                machineId: machine._id,
+                sent,
+                status: jobSheet?.delivery?.status || null,
+                failureReason: jobSheet?.delivery?.failureReason || null
+            });
+        } catch (error) {
+            results.push({ machineId: machine._id, sent: false, status: 'failed', failureReason: error.message });
+        }
+    }
+
+    return results;
+};
+
+module.exports = {
+    JOB_SHEET_HOUR,
+    sendMorningJobSheets
+};
@@ -0,0 +1,100 @@
+/**
+ * Notification Channels
+ *
+ * Pluggable SMS, WhatsApp and email adapters. The in-app inbox and live stream are
+ * always on; these carry the same notification off the platform. The
+ * built-in 'console' and 'file' adapters stand in for real gateways during
+ * local development.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Channels a notification can be sent on, with the adapter used by default
+ */
+const CHANNELS = {
+    sms: { envVar: 'NOTIFY_SMS_ADAPTER', defaultAdapter: 'console' },
+    whatsapp: { envVar: 'NOTIFY_WHATSAPP_ADAPTER', defaultAdapter: 'console' },
+    email: { envVar: 'NOTIFY_EMAIL_ADAPTER', defaultAdapter: 'console' }
+};
+
+const adapters = {};
+
+/**
+ * Register a delivery adapter
+ * An adapter implements send({ channel, to, subject, body }), resolving to
+ * { status: 'sent' | 'failed', providerRef, failureReason }.
+ * @param {string} name - Adapter name (matches NOTIFY_SMS_ADAPTER / NOTIFY_WHATSAPP_ADAPTER / NOTIFY_EMAIL_ADAPTER)
+ * @param {Object} adapter - { send }
+ */
+const registerAdapter = (name, adapter) => {
+    adapters[name] = { name, ...adapter };
+};
+
+/**
+ * Get the adapter configured for a channel
+ * @param {string} channel - 'sms', 'whatsapp' or 'email'
+ * @returns {Object|null} - Adapter, or null if the channel is turned off ('none')
+ * @throws {Error} - If the channel or adapter is unknown
+ */
+const getAdapter = (channel) => {
+    const config = CHANNELS[channel];
+    if (!config) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+
+    const name = process.env[config.envVar] || config.defaultAdapter;
+    if (name === 'none') return null;
+
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new Error(`Unknown notification adapter: ${name}`);
+    }
+    return adapter;
+};
+
+// Local adapter: print the message to the server log
+registerAdapter('console', {
+    send: async ({ channel, to, subject, body }) => {
+        console.log(`📨 [${channel}] to ${to}: ${subject ? `${subject} - ` : ''}${body}`);
+        return { status: 'sent', providerRef: `console_${crypto.randomUUID()}` };
+    }
+});
+
+// Local adapter: append the message as a JSON line to NOTIFY_OUTBOX_FILE
+registerAdapter('file', {
+    send: async (message) => {
+        const file = process.env.NOTIFY_OUTBOX_FILE || path.join(os.tmpdir(), 'agroshare-outbox.log');
+        const providerRef = `file_${crypto.randomUUID()}`;
+        await fs.promises.appendFile(file, JSON.stringify({ ...message, providerRef, sentAt: new Date() }) + '\n');
+        return { status: 'sent', providerRef };
+    }
+});
+
+/**
+ * Send one message on a channel
+ * @param {string} channel - 'sms', 'whatsapp' or 'email'
+ * @param {Object} message - { to, subject, body }
+ * @returns {Promise<Object|null>} - { channel, adapter, status, providerRef, failureReason }, null if turned off
+ */
+const sendOnChannel = async (channel, message) => {
+    const adapter = getAdapter(channel);
+    if (!adapter) return null;
+
+    try {
+        const result = await adapter.send({ channel, ...message });
+        return { channel, adapter: adapter.name, ...result };
+    } catch (error) {
+        return { channel, adapter: adapter.name, status: 'failed', failureReason: error.message };
+    }
+};
+
+module.exports = {
+    CHANNELS,
+    registerAdapter,
+    getAdapter,
+    sendOnChannel
+};
@@ -0,0 +1,88 @@
+/**
+ * Notification Stream
+ *
+ * Server-Sent Events push channel. Each signed-in browser tab keeps one
+ * open response per user; new notifications and unread counts are written
+ * to every open response of the recipient. Connections live in this
+ * process only.
+ */
+
+/**
+ * Comment line sent this often keeps proxies from closing idle streams
+ */
+const HEARTBEAT_MS = 25000;
+
+// userId -> Set of open responses
+const subscribers = new Map();
+
+/**
+ * Write one SSE event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open an SSE stream for a user
+ * @param {string} userId - Recipient id
+ * @param {Object} req - Express request (its close ends the subscription)
+ * @param {Object} res - Express response
+ * @param {Object} initial - Payload of the first 'ready' event
+ */
+const subscribe = (userId, req, res, initial = {}) => {
+    const key = String(userId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    writeEvent(res, 'ready', initial);
+
+    if (!subscribers.has(key)) subscribers.set(key, new Set());
+    subscribers.get(key).add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const open = subscribers.get(key);
+        if (!open) return;
+        open.delete(res);
+        if (!open.size) subscribers.delete(key);
+    });
+};
+
+/**
+ * Push an event to every open stream of a user
+ * @param {string} userId - Recipient id
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {number} - Streams written to
+ */
+const publish = (userId, event, data) => {
+    const open = subscribers.get(String(userId));
+    if (!open) return 0;
+
+    open.forEach(res => writeEvent(res, event, data));
+    return open.size;
+};
+
+/**
+ * Number of users with at least one open stream
+ * @returns {number}
+ */
+const connectedUsers = () => subscribers.size;
+
+module.exports = {
+    HEARTBEAT_MS,
+    subscribe,
+    publish,
+    connectedUsers
+};
@@ -0,0 +1,172 @@
+/**
+ * Notification Helpers
+ *
+ * What each booking event tells its recipient, and how a notification
+ * leaves the platform. Storing it in the inbox is up to the caller
+ * (Notification model or the mock store); pushing it live goes through
+ * notificationStream and SMS/email through notificationChannels.
+ */
+
+const { sendOnChannel } = require('./notificationChannels');
+
+/**
+ * Format a booking day for messages, e.g. "20 Jan 2026"
+ * @param {Date|string} date - Day
+ * @returns {string}
+ */
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+/**
+ * Describe the job, e.g. "5 acres of ploughing"
+ * @param {Object} booking - Booking
+ * @returns {string}
+ */
+const describeJob = (booking) => `${booking.acres} acres of ${booking.workType || 'work'}`;
+
+/**
+ * Title and message for each notification type
+ * Each message builder gets the booking and the extra details passed by the caller.
+ * Notifications open the booking unless the template has its own link.
+ */
+const NOTIFICATION_TEMPLATES = {
+    booking_requested: {
+        title: 'New booking request',
+        message: (b) => `${describeJob(b)} requested for ${formatDay(b.date)}.`
+    },
+    booking_confirmed: {
+        title: 'Booking confirmed',
+        message: (b) => `Your booking for ${describeJob(b)} on ${formatDay(b.date)}` +
+            `${b.timeSlots?.startTime ? ` at ${b.timeSlots.startTime}` : ''} is confirmed.`
+    },
+    booking_cancelled: {
+        title: 'Booking cancelled',
+        message: (b, { reason }) => `The booking for ${describeJob(b)} on ${formatDay(b.date)} was cancelled` +
+            `${reason ? `: ${reason}` : '.'}`
+    },
+    booking_rejected: {
+        title: 'Booking request declined',
+        message: (b, { reason }) => `Your request for ${formatDay(b.date)} was declined` +
+            `${reason ? `: ${reason}` : '.'}`
+    },
+    counter_offer: {
+        title: 'Counter-offer received',
+        message: (b) => `The owner proposed ${formatDay(b.counterOffer?.date || b.date)}` +
+            `${b.counterOffer?.startTime ? ` at ${b.counterOffer.startTime}` : ''}` +
+            `${b.counterOffer?.cost?.totalCost ? ` for ₹${b.counterOffer.cost.totalCost}` : ''}.`
+    },
+    counter_offer_accepted: {
+        title: 'Counter-offer accepted',
+        message: (b) => `The farmer accepted your offer. ${describeJob(b)} is confirmed for ${formatDay(b.date)}.`
+    },
+    counter_offer_declined: {
+        title: 'Counter-offer declined',
+        message: (b) => `The farmer declined your offer for ${describeJob(b)}; the request is cancelled.`
+    },
+    booking_scheduled: {
+        title: 'Booking scheduled',
+        message: (b) => `${describeJob(b)} is scheduled for ${formatDay(b.date)}` +
+            `${b.timeSlots?.startTime ? ` at ${b.timeSlots.startTime}` : ''}.`
+    },
+    job_started: {
+        title: 'Work has started',
+        message: (b) => `Work on ${describeJob(b)} has started.`
+    },
+    booking_completed: {
+        title: 'Job completed',
+        message: (b) => `${describeJob(b)} is complete. Total ₹${b.cost?.totalCost ?? 0}.`
+    },
+    booking_reminder: {
+        title: 'Job tomorrow',
+        message: (b) => `Reminder: ${describeJob(b)} on ${formatDay(b.date)}` +
+            `${b.timeSlots?.startTime ? ` at ${b.timeSlots.startTime}` : ''}` +
+            `${b.fieldLocation?.village ? ` in ${b.fieldLocation.village}` : ''}.`
+    },
+    booking_reschedule_needed: {
+        title: 'Booking needs a new date',
+        message: (b, { reason }) => `The machine is unavailable on ${formatDay(b.date)}` +
+            `${reason ? ` (${reason})` : ''}. ${describeJob(b)} needs a new date.`
+    },
+    booking_expired: {
+        title: 'Request expired',
+        message: (b, { reason }) => `Your request for ${describeJob(b)} on ${formatDay(b.date)} expired` +
+            `${reason ? `: ${reason}` : ''}. You can book another machine.`
+    },
+    booking_overdue: {
+        title: 'Job overdue',
+        message: (b) => `${describeJob(b)} was due on ${formatDay(b.date)}` +
+            `${b.timeSlots?.startTime ? ` at ${b.timeSlots.startTime}` : ''} but has not been started. ` +
+            'Start it, complete it or cancel it.'
+    },
+    maintenance_due: {
+        title: 'Service due soon',
+        message: (b, { machine, interval, usage }) => `${machine.name} is nearly due for ${interval}: ${usage} ` +
+            'since the last one.',
+        link: (b, { machine }) => `/machines/${machine._id}`
+    },
+    maintenance_overdue: {
+        title: 'Service overdue',
+        message: (b, { machine, interval, usage }) => `${machine.name} is overdue for ${interval}: ${usage} ` +
+            'since the last one. Book the service soon.',
+        link: (b, { machine }) => `/machines/${machine._id}`
+    }
+};
+
+/**
+ * All notification types
+ */
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
+
+/**
+ * Build a notification for a booking event
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} booking - Booking the event is about
+ * @param {Object} extra - Details for the message (e.g. { reason })
+ * @returns {Object} - { type, title, message, link }
+ * @throws {Error} - If the type is unknown
+ */
+const renderNotification = (type, booking, extra = {}) => {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    return {
+        type,
+        title: template.title,
+        message: template.message(booking, extra),
+        link: template.link ? template.link(booking, extra) : `/bookings/${booking._id}`
+    };
+};
+
+/**
+ * Send a notification by SMS and email, as far as the recipient allows
+ * @param {Object} recipient - User ({ phone, email, notificationPreferences })
+ * @param {Object} notification - { title, message }
+ * @returns {Promise<Array>} - Delivery results (channels turned off are left out)
+ */
+const deliverExternally = async (recipient, notification) => {
+    if (!recipient) return [];
+
+    const preferences = recipient.notificationPreferences || {};
+    const sends = [];
+    if (recipient.phone && preferences.sms !== false) {
+        sends.push(sendOnChannel('sms', { to: recipient.phone, body: `${notification.title}: ${notification.message}` }));
+    }
+    if (recipient.email && preferences.email !== false) {
+        sends.push(sendOnChannel('email', { to: recipient.email, subject: notification.title, body: notification.message }));
+    }
+
+    const results = await Promise.all(sends);
+    return results.filter(Boolean).map(result => ({ ...result, sentAt: new Date() }));
+};
+
+module.exports = {
+    NOTIFICATION_TEMPLATES,
+    NOTIFICATION_TYPES,
+    renderNotification,
+    deliverExternally
+};
@@ -0,0 +1,112 @@
+/**
+ * Payment Helpers
+ *
+ * Pluggable payment providers and the amounts the booking lifecycle moves:
+ * a deposit when the owner confirms, the balance on completion and, on
+ * cancellation, a refund less any late-cancellation fee. Providers only move money; every attempt is
+ * written to the ledger (LedgerEntry) by the caller.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Share of the total cost collected as a deposit on confirmation
+ */
+const DEPOSIT_PERCENT = 20;
+
+const providers = {};
+
+/**
+ * Register a payment provider
+ * A provider implements charge({ amount, reference, payer }) and
+ * refund({ amount, reference, providerRef }), each resolving to
+ * { status: 'succeeded' | 'failed', providerRef, failureReason }.
+ * @param {string} name - Provider name (matches PAYMENT_PROVIDER)
+ * @param {Object} provider - { charge, refund }
+ */
+const registerProvider = (name, provider) => {
+    providers[name] = { name, ...provider };
+};
+
+/**
+ * Get the configured provider
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER or 'fake')
+ * @returns {Object} - Provider
+ * @throws {Error} - If the provider is not registered
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+};
+
+// Local provider for development: every charge and refund succeeds at once
+registerProvider('fake', {
+    charge: async () => ({ status: 'succeeded', providerRef: `fake_ch_${crypto.randomUUID()}` }),
+    refund: async () => ({ status: 'succeeded', providerRef: `fake_re_${crypto.randomUUID()}` })
+});
+
+/**
+ * Deposit due when a booking is confirmed
+ * @param {number} totalCost - Booking total
+ * @returns {number}
+ */
+const calculateDeposit = (totalCost) => Math.round((totalCost || 0) * DEPOSIT_PERCENT / 100);
+
+/**
+ * Sum a booking's (or user's) ledger entries
+ * Only succeeded entries count as money moved.
+ * @param {Array} entries - Ledger entries
+ * @returns {Object} - { paid, refunded, net }
+ */
+const summarizeLedger = (entries) => {
+    const settled = entries.filter(e => e.status === 'succeeded');
+    const paid = settled
+        .filter(e => e.type !== 'refund')
+        .reduce((sum, e) => sum + e.amount, 0);
+    const refunded = settled
+        .filter(e => e.type === 'refund')
+        .reduce((sum, e) => sum + e.amount, 0);
+    return { paid, refunded, net: paid - refunded };
+};
+
+/**
+ * Provider reference of the charge a refund goes back against
+ * Refunds return money to the farmer's latest settled charge.
+ * @param {Array} entries - The booking's ledger entries
+ * @returns {string|undefined} - That charge's providerRef
+ */
+const findRefundableCharge = (entries) => entries
+    .filter(e => e.status === 'succeeded' && e.type !== 'refund' && e.providerRef)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .pop()?.providerRef;
+
+/**
+ * Move money through the provider for one ledger entry
+ * @param {string} type - 'deposit', 'balance', 'cancellation_fee' or 'refund'
+ * @param {Object} options - { amount, reference, payer, providerRef (refunds) }
+ * @returns {Promise<Object>} - { provider, status, providerRef, failureReason }
+ */
+const processPayment = async (type, options) => {
+    const provider = getProvider();
+    try {
+        const result = type === 'refund'
+            ? await provider.refund(options)
+            : await provider.charge(options);
+        return { provider: provider.name, ...result };
+    } catch (error) {
+        return { provider: provider.name, status: 'failed', failureReason: error.message };
+    }
+};
+
+module.exports = {
+    DEPOSIT_PERCENT,
+    registerProvider,
+    getProvider,
+    calculateDeposit,
+    summarizeLedger,
+    findRefundableCharge,
+    processPayment
+};
@@ -0,0 +1,88 @@
+/**
+ * Minimal PDF Writer
+ *
+ * Lays out plain text lines on A4 pages using the built-in Helvetica fonts,
+ * which is all invoices need and keeps the backend free of a PDF dependency.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+/**
+ * Make text safe for a PDF string in WinAnsi encoding
+ * @param {string} text - Text to write
+ * @returns {string}
+ */
+const toPdfText = (text) => String(text)
+    .replace(/₹/g, 'Rs. ')
+    .replace(/×/g, 'x')
+    .replace(/[−–—]/g, '-')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Render text lines into a PDF
+ * @param {Array} lines - [{ text, value, size, bold, gap }]; value is printed in a right-hand column,
+ *   gap adds space above the line
+ * @returns {Buffer} - PDF file contents
+ */
+const createPdf = (lines) => {
+    // Split the lines into pages of content stream operators
+    const pages = [];
+    let ops = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const line of lines) {
+        const size = line.size || 10;
+        y -= size * 1.5 + (line.gap || 0);
+        if (y < MARGIN) {
+            pages.push(ops);
+            ops = [];
+            y = PAGE_HEIGHT - MARGIN - size * 1.5;
+        }
+        const font = line.bold ? 'F2' : 'F1';
+        if (line.text) {
+            ops.push(`BT /${font} ${size} Tf ${MARGIN} ${y} Td (${toPdfText(line.text)}) Tj ET`);
+        }
+        if (line.value !== undefined) {
+            ops.push(`BT /${font} ${size} Tf ${PAGE_WIDTH - MARGIN - 110} ${y} Td (${toPdfText(line.value)}) Tj ET`);
+        }
+    }
+    pages.push(ops);
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((pageOps, i) => {
+        const stream = pageOps.join('\n');
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`
+        );
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(body);
+        body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(body);
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = {
+    createPdf
+};
@@ -0,0 +1,59 @@
+/**
+ * Permission Helpers
+ *
+ * Resource-level authorization checks shared by the real and mock controllers.
+ * Ids may be ObjectIds, strings or populated documents.
+ */
+
+/**
+ * Normalize an id, ObjectId or populated document to a string id
+ * @param {*} ref - Id value or populated reference
+ * @returns {string|null} - String id
+ */
+const toId = (ref) => {
+    if (!ref) return null;
+    return String(ref._id || ref);
+};
+
+/**
+ * Check if the user is an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const isAdmin = (user) => user?.role === 'admin';
+
+/**
+ * Check if the user is the referenced user or an admin
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {*} ref - User id or populated user
+ * @returns {boolean}
+ */
+const isSelfOrAdmin = (user, ref) => {
+    return isAdmin(user) || toId(user) === toId(ref);
+};
+
+/**
+ * Check if the user may edit or delete a machine
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} machine - Machine document
+ * @returns {boolean}
+ */
+const canManageMachine = (user, machine) => isSelfOrAdmin(user, machine.owner);
+
+/**
+ * Check if the user is a party to a booking (its farmer or owner)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+const canViewBooking = (user, booking) => {
+    return isSelfOrAdmin(user, booking.farmer) || isSelfOrAdmin(user, booking.owner);
+};
+
+module.exports = {
+    toId,
+    isAdmin,
+    isSelfOrAdmin,
+    canManageMachine,
+    canViewBooking
+};
@@ -0,0 +1,111 @@
+/**
+ * Pricing Helpers
+ *
+ * Evaluates a machine's pricing rules into an itemised quote.
+ * The base work cost is acres × rate; each rule then adds or removes a
+ * percentage of it, and travel is charged per km on top.
+ */
+
+/**
+ * Priority value that counts as urgent (see Booking.priority)
+ */
+const URGENT_PRIORITY = 3;
+
+const round = (value) => Math.round(value);
+
+/**
+ * Check if a date falls inside a peak season (inclusive, whole days)
+ * @param {Object} season - { startDate, endDate }
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+const inSeason = (season, date) => {
+    const start = new Date(season.startDate);
+    const end = new Date(season.endDate);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    return date >= start && date <= end;
+};
+
+/**
+ * Build an itemised quote from a machine's pricing
+ * @param {Object} pricing - Machine pricing { ratePerAcre, travelChargePerKm, rules }
+ * @param {Object} options - { acres, distanceKm, date, priority }
+ * @returns {Object} - { baseCost, items, workCost, travelCost, travelDistanceKm, totalCost }
+ *   items is [{ code, label, amount }]; amount is negative for discounts
+ */
+const calculateQuote = (pricing = {}, options = {}) => {
+    const { acres = 0, distanceKm = 0, priority } = options;
+    const date = options.date ? new Date(options.date) : null;
+    const rules = pricing.rules || {};
+    const rate = pricing.ratePerAcre || 0;
+
+    const baseCost = round(acres * rate);
+    const items = [{ code: 'BASE', label: `${acres} acres × ₹${rate}`, amount: baseCost }];
+
+    // Only the highest matching peak season applies
+    const season = date && (rules.peakSeasons || [])
+        .filter(s => s.surchargePercent > 0 && inSeason(s, date))
+        .sort((a, b) => b.surchargePercent - a.surchargePercent)[0];
+    if (season) {
+        items.push({
+            code: 'PEAK_SEASON',
+            label: `${season.name || 'Peak season'} +${season.surchargePercent}%`,
+            amount: round(baseCost * season.surchargePercent / 100)
+        });
+    }
+
+    const isWeekend = date && (date.getDay() === 0 || date.getDay() === 6);
+    if (isWeekend && rules.weekendSurchargePercent > 0) {
+        items.push({
+            code: 'WEEKEND',
+            label: `Weekend +${rules.weekendSurchargePercent}%`,
+            amount: round(baseCost * rules.weekendSurchargePercent / 100)
+        });
+    }
+
+    if (Number(priority) === URGENT_PRIORITY && rules.urgentSurchargePercent > 0) {
+        items.push({
+            code: 'URGENT',
+            label: `Urgent +${rules.urgentSurchargePercent}%`,
+            amount: round(baseCost * rules.urgentSurchargePercent / 100)
+        });
+    }
+
+    // Best volume tier the booking reaches
+    const tier = (rules.volumeDiscounts || [])
+        .filter(t => t.discountPercent > 0 && acres >= t.minAcres)
+        .sort((a, b) => b.discountPercent - a.discountPercent)[0];
+    if (tier) {
+        items.push({
+            code: 'VOLUME_DISCOUNT',
+            label: `${tier.minAcres}+ acres −${tier.discountPercent}%`,
+            amount: -round(baseCost * tier.discountPercent / 100)
+        });
+    }
+
+    const workCost = Math.max(0, items.reduce((sum, item) => sum + item.amount, 0));
+    const travelDistanceKm = Math.round(distanceKm * 10) / 10;
+    const travelCost = round(distanceKm * (pricing.travelChargePerKm || 0));
+    if (travelCost > 0) {
+        items.push({
+            code: 'TRAVEL',
+            label: `Travel ${travelDistanceKm} km × ₹${pricing.travelChargePerKm}`,
+            amount: travelCost
+        });
+    }
+
+    return {
+        baseCost,
+        items,
+        workCost,
+        travelCost,
+        travelDistanceKm,
+        totalCost: workCost + travelCost
+    };
+};
+
+module.exports = {
+    URGENT_PRIORITY,
+    calculateQuote
+};
@@ -0,0 +1,110 @@
+/**
+ * Response Deadlines
+ *
+ * How long an owner has to answer a booking request before it expires,
+ * and how quickly and reliably an owner answers, worked out from the
+ * bookings' status history.
+ */
+
+const { startOfDay } = require('../algorithms/scheduler');
+
+/**
+ * Hours an owner has to answer, when the machine does not set its own
+ */
+const DEFAULT_RESPONSE_HOURS = 24;
+
+/**
+ * Days of requests the response metric looks back over
+ */
+const RESPONSE_STATS_DAYS = 90;
+
+/**
+ * Statuses that count as the owner answering a pending request
+ */
+const OWNER_RESPONSES = ['confirmed', 'countered', 'rejected'];
+
+/**
+ * When an owner must answer a request by: the machine's deadline after
+ * the request, but never later than the end of the job day
+ * @param {Date} requestedAt - When the request was made
+ * @param {Date} jobDate - Day of the job
+ * @param {number} hours - Machine's response deadline in hours
+ * @returns {Date}
+ */
+const calculateRespondBy = (requestedAt, jobDate, hours = DEFAULT_RESPONSE_HOURS) => {
+    const deadline = new Date(new Date(requestedAt).getTime() + (hours || DEFAULT_RESPONSE_HOURS) * 60 * 60 * 1000);
+    const endOfJobDay = new Date(jobDate);
+    endOfJobDay.setHours(23, 59, 59, 999);
+    return deadline < endOfJobDay ? deadline : endOfJobDay;
+};
+
+/**
+ * Why a booking should expire now, if it should
+ * A pending request expires at its response deadline; a pending or
+ * countered one also expires once its job day has passed.
+ * @param {Object} booking - Booking with status, date and respondBy
+ * @param {Date} now - Current time
+ * @returns {string|null} - Reason, or null if it stays open
+ */
+const getExpiryReason = (booking, now = new Date()) => {
+    if (booking.status === 'pending' && booking.respondBy && new Date(booking.respondBy) <= now) {
+        return 'the owner did not respond in time';
+    }
+    if (['pending', 'countered'].includes(booking.status) && new Date(booking.date) < startOfDay(now)) {
+        return booking.status === 'countered'
+            ? 'the counter-offer was not answered before the job date'
+            : 'the job date passed without a response';
+    }
+    return null;
+};
+
+/**
+ * Summarize how an owner answered requests
+ * A request counts once the owner answered it or it expired unanswered;
+ * requests the farmer withdrew first, or still waiting, are left out.
+ * @param {Array} bookings - Bookings with createdAt and statusHistory
+ * @returns {Object} - { requests, responded, expired, responseRate (%), averageResponseMinutes, medianResponseMinutes }
+ */
+const summarizeOwnerResponses = (bookings) => {
+    const responseMinutes = [];
+    let expired = 0;
+
+    bookings.forEach(booking => {
+        const history = booking.statusHistory || [];
+        const requestedAt = new Date(history[0]?.changedAt || booking.createdAt);
+        const outcome = history.find(entry => entry.from === 'pending');
+        if (!outcome) return;
+
+        if (OWNER_RESPONSES.includes(outcome.to)) {
+            responseMinutes.push(Math.max(0, Math.round((new Date(outcome.changedAt) - requestedAt) / 60000)));
+        } else if (outcome.to === 'expired') {
+            expired++;
+        }
+    });
+
+    const responded = responseMinutes.length;
+    const requests = responded + expired;
+    const sorted = [...responseMinutes].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+        requests,
+        responded,
+        expired,
+        responseRate: requests ? Math.round((responded / requests) * 100) : null,
+        averageResponseMinutes: responded
+            ? Math.round(responseMinutes.reduce((sum, minutes) => sum + minutes, 0) / responded)
+            : null,
+        medianResponseMinutes: responded
+            ? (sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2))
+            : null
+    };
+};
+
+module.exports = {
+    DEFAULT_RESPONSE_HOURS,
+    RESPONSE_STATS_DAYS,
+    calculateRespondBy,
+    getExpiryReason,
+    summarizeOwnerResponses
+};
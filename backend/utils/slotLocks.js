@@ -0,0 +1,115 @@
+/**
+ * Slot Lock Helpers
+ *
+ * Serializes writes to a machine's calendar. A lock is taken by an atomic
+ * upsert on the (machine, date) unique index: if another request holds an
+ * unexpired lock the upsert hits a duplicate key and we retry shortly.
+ * Locks expire after LOCK_TTL_MS so a crashed request cannot hold a day for
+ * ever, and are renewed while the work under them is still running.
+ */
+
+const crypto = require('crypto');
+const SlotLock = require('../models/SlotLock');
+const { toDateKey } = require('../algorithms/scheduler');
+
+const LOCK_TTL_MS = 10000;
+const RENEW_EVERY_MS = LOCK_TTL_MS / 2;
+const RETRY_DELAY_MS = 50;
+const MAX_ATTEMPTS = 60;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Acquire the lock for one machine-day
+ * @param {*} machineId - Machine id
+ * @param {string} date - Day key (YYYY-MM-DD)
+ * @returns {Promise<string>} - Lock id needed to release it
+ * @throws {Error} - 409 if the day stays locked by someone else
+ */
+const acquireLock = async (machineId, date) => {
+    const lockId = crypto.randomUUID();
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const now = new Date();
+        try {
+            await SlotLock.findOneAndUpdate(
+                { machine: machineId, date, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+                { $set: { lockId, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+                { upsert: true }
+            );
+            return lockId;
+        } catch (error) {
+            // Duplicate key: the lock document exists and is still held
+            if (error.code !== 11000) throw error;
+            await wait(RETRY_DELAY_MS);
+        }
+    }
+
+    const error = new Error('Machine calendar is busy, please try again');
+    error.statusCode = 409;
+    throw error;
+};
+
+/**
+ * Release a lock held by lockId
+ * @param {*} machineId - Machine id
+ * @param {string} date - Day key (YYYY-MM-DD)
+ * @param {string} lockId - Id returned by acquireLock
+ */
+const releaseLock = async (machineId, date, lockId) => {
+    await SlotLock.updateOne(
+        { machine: machineId, date, lockId },
+        { $set: { lockId: null, lockedUntil: null } }
+    );
+};
+
+/**
+ * Push back the expiry of locks that are still held
+ * @param {*} machineId - Machine id
+ * @param {Array<string>} lockIds - Ids returned by acquireLock
+ */
+const renewLocks = async (machineId, lockIds) => {
+    await SlotLock.updateMany(
+        { machine: machineId, lockId: { $in: lockIds } },
+        { $set: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+};
+
+/**
+ * Run a function while holding the locks for a machine's days
+ * Days are locked in date order so two requests cannot deadlock. The locks
+ * are renewed until the function finishes, however long it takes (e.g.
+ * auto-scheduling a week and collecting a deposit for each booking).
+ * @param {*} machineId - Machine id
+ * @param {Array<Date>} days - Days to lock
+ * @param {Function} fn - Async work to run under the locks
+ * @returns {Promise<*>} - Result of fn
+ */
+const withDayLocks = async (machineId, days, fn) => {
+    const dateKeys = [...new Set(days.map(toDateKey))].sort();
+    const held = [];
+    const renewal = setInterval(() => {
+        renewLocks(machineId, held.map(lock => lock.lockId)).catch(error => {
+            console.error('Could not renew slot locks:', error.message);
+        });
+    }, RENEW_EVERY_MS);
+    renewal.unref();
+
+    try {
+        for (const date of dateKeys) {
+            held.push({ date, lockId: await acquireLock(machineId, date) });
+        }
+        return await fn();
+    } finally {
+        clearInterval(renewal);
+        for (const { date, lockId } of held) {
+            await releaseLock(machineId, date, lockId);
+        }
+    }
+};
+
+module.exports = {
+    acquireLock,
+    releaseLock,
+    withDayLocks
+};
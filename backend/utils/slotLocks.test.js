@@ -0,0 +1,139 @@
+/**
+ * Slot Lock Tests
+ *
+ * SlotLock is backed by an in-memory collection that behaves like the
+ * unique (machine, date) index: upserting over a lock that is still held
+ * fails with a duplicate key.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const SlotLock = require('../models/SlotLock');
+const { acquireLock, releaseLock, withDayLocks } = require('./slotLocks');
+
+const MACHINE = 'machine_1';
+
+let locks;
+const keyOf = ({ machine, date }) => `${machine}|${date}`;
+const isFree = (lock, now = new Date()) => !lock.lockedUntil || lock.lockedUntil < now;
+
+beforeEach(() => {
+    locks = new Map();
+
+    mock.method(SlotLock, 'findOneAndUpdate', async (filter, update) => {
+        const lock = locks.get(keyOf(filter));
+        if (lock && !isFree(lock)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        const updated = { machine: filter.machine, date: filter.date, ...update.$set };
+        locks.set(keyOf(filter), updated);
+        return updated;
+    });
+
+    mock.method(SlotLock, 'updateOne', async (filter, update) => {
+        const lock = locks.get(keyOf(filter));
+        if (!lock || lock.lockId !== filter.lockId) return { modifiedCount: 0 };
+        Object.assign(lock, update.$set);
+        return { modifiedCount: 1 };
+    });
+
+    mock.method(SlotLock, 'updateMany', async (filter, update) => {
+        let modifiedCount = 0;
+        for (const lock of locks.values()) {
+            if (lock.machine === filter.machine && filter.lockId.$in.includes(lock.lockId)) {
+                Object.assign(lock, update.$set);
+                modifiedCount++;
+            }
+        }
+        return { modifiedCount };
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+test('a second request waits until the first releases the day', async () => {
+    const events = [];
+    let releaseFirst;
+    const firstHolds = new Promise(resolve => { releaseFirst = resolve; });
+
+    const first = withDayLocks(MACHINE, [new Date(2030, 0, 7)], async () => {
+        events.push('first start');
+        await firstHolds;
+        events.push('first end');
+    });
+    const second = withDayLocks(MACHINE, [new Date(2030, 0, 7)], async () => {
+        events.push('second');
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 120));
+    assert.deepEqual(events, ['first start']);
+
+    releaseFirst();
+    await Promise.all([first, second]);
+    assert.deepEqual(events, ['first start', 'first end', 'second']);
+});
+
+test('an expired lock is taken over', async () => {
+    locks.set(`${MACHINE}|2030-01-07`, {
+        machine: MACHINE,
+        date: '2030-01-07',
+        lockId: 'crashed',
+        lockedUntil: new Date(Date.now() - 1000)
+    });
+
+    const lockId = await acquireLock(MACHINE, '2030-01-07');
+
+    assert.notEqual(lockId, 'crashed');
+    assert.equal(locks.get(`${MACHINE}|2030-01-07`).lockId, lockId);
+});
+
+test('gives up with a 409 while another request holds the day', async () => {
+    await acquireLock(MACHINE, '2030-01-07');
+
+    await assert.rejects(acquireLock(MACHINE, '2030-01-07'), error => {
+        assert.equal(error.statusCode, 409);
+        assert.match(error.message, /calendar is busy/);
+        return true;
+    });
+});
+
+test('only the holder can release a lock', async () => {
+    const lockId = await acquireLock(MACHINE, '2030-01-07');
+
+    await releaseLock(MACHINE, '2030-01-07', 'someone-else');
+    assert.equal(locks.get(`${MACHINE}|2030-01-07`).lockId, lockId);
+
+    await releaseLock(MACHINE, '2030-01-07', lockId);
+    assert.equal(locks.get(`${MACHINE}|2030-01-07`).lockId, null);
+});
+
+test('locks each day once, in date order, and releases them when the work fails', async () => {
+    const days = [new Date(2030, 0, 9), new Date(2030, 0, 7), new Date(2030, 0, 9, 15)];
+
+    await assert.rejects(withDayLocks(MACHINE, days, async () => {
+        throw new Error('write failed');
+    }), /write failed/);
+
+    const taken = SlotLock.findOneAndUpdate.mock.calls.map(call => call.arguments[0].date);
+    assert.deepEqual(taken, ['2030-01-07', '2030-01-09']);
+    assert.ok([...locks.values()].every(lock => lock.lockId === null));
+});
+
+test('renews the locks while the work is still running', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+
+    await withDayLocks(MACHINE, [new Date(2030, 0, 7)], async () => {
+        mock.timers.tick(5000);
+
+        assert.equal(SlotLock.updateMany.mock.callCount(), 1);
+        const [filter] = SlotLock.updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter.lockId.$in, [locks.get(`${MACHINE}|2030-01-07`).lockId]);
+    });
+
+    // Renewal stops once the locks are released
+    mock.timers.tick(5000);
+    assert.equal(SlotLock.updateMany.mock.callCount(), 1);
+});
@@ -0,0 +1,70 @@
+/**
+ * Time Calibration Job
+ *
+ * Feeds each machine's completed work logs to the time-per-acre calibrator,
+ * stores what it proposes on the machine and applies it straight away for
+ * machines whose owner turned on auto-apply.
+ */
+
+const Booking = require('../models/Booking');
+const Machine = require('../models/Machine');
+const { calibrate } = require('../algorithms/timeCalibrator');
+
+/**
+ * Most recent jobs used per machine, so the estimate follows machine wear
+ */
+const MAX_JOBS = 100;
+
+/**
+ * Recalibrate one machine and save the result
+ * @param {Object} machine - Machine document
+ * @param {Object} options - { apply: apply every proposal regardless of autoApply }
+ * @returns {Promise<Object>} - { overall, byWorkType, proposals, applied }
+ */
+const calibrateMachine = async (machine, { apply = false } = {}) => {
+    const jobs = await Booking.find({
+        machine: machine._id,
+        status: 'completed',
+        'workLog.actualMinutes': { $gt: 0 },
+        'workLog.actualAcres': { $gt: 0 }
+    })
+        .sort({ 'workLog.finishedAt': -1 })
+        .limit(MAX_JOBS)
+        .select('workType workLog');
+
+    const result = calibrate(jobs, {
+        timePerAcre: machine.availability.timePerAcre,
+        byWorkType: Object.fromEntries(machine.availability.timePerAcreByWorkType || [])
+    });
+
+    machine.timeCalibration.lastRunAt = new Date();
+    machine.timeCalibration.proposals = result.proposals;
+    const applied = apply || machine.timeCalibration.autoApply ? machine.applyTimeCalibration() : [];
+    await machine.save();
+
+    return { ...result, applied };
+};
+
+/**
+ * Recalibrate every active machine
+ * @returns {Promise<Array>} - [{ machineId, proposals, applied }] for machines with news
+ */
+const calibrateAllMachines = async () => {
+    const machines = await Machine.find({ status: { $ne: 'inactive' } });
+    const summary = [];
+
+    for (const machine of machines) {
+        const { proposals, applied } = await calibrateMachine(machine);
+        if (proposals.length) {
+            summary.push({ machineId: machine._id, proposals, applied });
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    MAX_JOBS,
+    calibrateMachine,
+    calibrateAllMachines
+};
@@ -0,0 +1,138 @@
+/**
+ * Token Utilities
+ *
+ * Issues and verifies the signed JWTs used for authentication.
+ * Access tokens are short-lived and sent with every request;
+ * refresh tokens are long-lived and only exchanged for new access tokens.
+ * Stream tickets last a minute and only open the notification stream,
+ * so no reusable token ends up in a URL.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Environments that may sign tokens with the built-in development secret
+ */
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Secret for access tokens and stream tickets
+ * The development fallback is public in the repository, so anywhere else
+ * JWT_SECRET must be set or anyone could forge tokens.
+ * @returns {string}
+ * @throws {Error} - If JWT_SECRET is missing outside development and test
+ */
+const getAccessTokenSecret = () => {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (!DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+        throw new Error('JWT_SECRET must be set unless NODE_ENV is development or test');
+    }
+    return 'agroshare_dev_access_secret';
+};
+
+const ACCESS_TOKEN_SECRET = getAccessTokenSecret();
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || `${ACCESS_TOKEN_SECRET}_refresh`;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const STREAM_TICKET_EXPIRES_IN = '60s';
+
+/**
+ * Generate a short-lived access token for a user
+ * @param {Object} user - User document or plain object with _id and role
+ * @returns {string} - Signed JWT
+ */
+const generateAccessToken = (user) => {
+    return jwt.sign(
+        { id: String(user._id), role: user.role, type: 'access' },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Generate a long-lived refresh token for a user
+ * @param {Object} user - User document or plain object with _id
+ * @returns {string} - Signed JWT
+ */
+const generateRefreshToken = (user) => {
+    return jwt.sign(
+        { id: String(user._id), type: 'refresh' },
+        REFRESH_TOKEN_SECRET,
+        { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Generate both tokens for a user
+ * @param {Object} user - User document or plain object
+ * @returns {Object} - { accessToken, refreshToken }
+ */
+const generateAuthTokens = (user) => ({
+    accessToken: generateAccessToken(user),
+    refreshToken: generateRefreshToken(user)
+});
+
+/**
+ * Generate a one-minute ticket for opening the notification stream
+ * @param {Object} user - User document or plain object with _id and role
+ * @returns {string} - Signed JWT
+ */
+const generateStreamTicket = (user) => {
+    return jwt.sign(
+        { id: String(user._id), role: user.role, type: 'stream' },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: STREAM_TICKET_EXPIRES_IN }
+    );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - If the token is invalid, expired or not an access token
+ */
+const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+    if (payload.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return payload;
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Refresh JWT
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - If the token is invalid, expired or not a refresh token
+ */
+const verifyRefreshToken = (token) => {
+    const payload = jwt.verify(token, REFRESH_TOKEN_SECRET);
+    if (payload.type !== 'refresh') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return payload;
+};
+
+/**
+ * Verify a stream ticket
+ * @param {string} token - Ticket JWT
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - If the ticket is invalid, expired or not a stream ticket
+ */
+const verifyStreamTicket = (token) => {
+    const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+    if (payload.type !== 'stream') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return payload;
+};
+
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    generateAuthTokens,
+    generateStreamTicket,
+    verifyAccessToken,
+    verifyRefreshToken,
+    verifyStreamTicket
+};
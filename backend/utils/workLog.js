@@ -0,0 +1,83 @@
+/**
+ * Work Log Helpers
+ *
+ * Turns what the operator reports at completion into the booking's work
+ * log. The estimate made at booking time is kept next to the actuals so
+ * machine timing (timePerAcre) can be calibrated against real jobs.
+ */
+
+/**
+ * Validate completion actuals and build the work log
+ * Start defaults to when the job was started, end to now.
+ * @param {Object} booking - Booking (acres, estimatedDuration, cost, workLog)
+ * @param {Object} actuals - { actualStart, actualEnd, actualAcres, fuelUsed, operatorNotes }
+ * @param {Date} now - Completion time (defaults to now)
+ * @returns {Object} - { workLog } or { error }
+ */
+const buildWorkLog = (booking, actuals = {}, now = new Date()) => {
+    if (!actuals.actualStart && !booking.workLog?.startedAt) {
+        return { error: 'Actual start is required for a job that was never started' };
+    }
+
+    const startedAt = new Date(actuals.actualStart || booking.workLog.startedAt);
+    const finishedAt = new Date(actuals.actualEnd || now);
+
+    if (Number.isNaN(startedAt.getTime()) || Number.isNaN(finishedAt.getTime())) {
+        return { error: 'Actual start and end must be valid dates' };
+    }
+    if (finishedAt < startedAt) {
+        return { error: 'Actual end must be after the actual start' };
+    }
+    if (finishedAt > now) {
+        return { error: 'Actual end cannot be in the future' };
+    }
+
+    const actualAcres = actuals.actualAcres !== undefined ? Number(actuals.actualAcres) : booking.acres;
+    if (!(actualAcres > 0)) {
+        return { error: 'Actual acres must be greater than 0' };
+    }
+
+    const fuelUsedLitres = actuals.fuelUsed !== undefined ? Number(actuals.fuelUsed) : undefined;
+    if (fuelUsedLitres !== undefined && !(fuelUsedLitres >= 0)) {
+        return { error: 'Fuel used must be 0 or more litres' };
+    }
+
+    return {
+        workLog: {
+            startedAt,
+            finishedAt,
+            estimatedAcres: booking.acres,
+            estimatedMinutes: booking.estimatedDuration,
+            actualAcres,
+            actualMinutes: Math.round((finishedAt - startedAt) / 60000),
+            fuelUsedLitres,
+            operatorNotes: actuals.operatorNotes,
+            quotedCost: booking.cost?.totalCost
+        }
+    };
+};
+
+/**
+ * Re-price a booking for the acres actually worked
+ * Keeps any price adjustment agreed in a counter-offer.
+ * @param {Object} booking - Booking with its quoted cost
+ * @param {number} actualAcres - Acres actually worked
+ * @param {Function} quote - (acres) => quote at the machine's pricing
+ * @returns {Object|null} - New cost, or null if the acres did not change
+ */
+const repriceForActualAcres = (booking, actualAcres, quote) => {
+    if (actualAcres === booking.acres) return null;
+
+    const cost = quote(actualAcres);
+    const adjustment = (booking.cost?.items || []).find(item => item.code === 'COUNTER_OFFER');
+    if (adjustment) {
+        cost.items.push({ code: adjustment.code, label: adjustment.label, amount: adjustment.amount });
+        cost.totalCost = Math.max(0, cost.totalCost + adjustment.amount);
+    }
+    return cost;
+};
+
+module.exports = {
+    buildWorkLog,
+    repriceForActualAcres
+};
@@ -0,0 +1,61 @@
+/**
+ * Working Hours Helpers
+ *
+ * A machine's weekly hours template (availability.weeklyHours) lists the
+ * intervals it works, each { day, start, end } with HH:MM times, so a day
+ * can have a lunch break and Saturdays can be shorter. Which intervals
+ * apply on a date is scheduler.getWorkingIntervals; this covers checking
+ * and tidying a template before it is saved.
+ */
+
+const { parseTime, toDayIndex, DAY_NAMES } = require('../algorithms/scheduler');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check a weekly hours template before it is saved
+ * @param {Array} weeklyHours - [{ day, start, end }]
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateWeeklyHours = (weeklyHours) => {
+    if (!Array.isArray(weeklyHours)) {
+        return 'weeklyHours must be a list';
+    }
+
+    for (const { day, start, end } of weeklyHours) {
+        if (toDayIndex(day) === -1) {
+            return 'Each interval needs a day from 0 (Sunday) to 6 (Saturday)';
+        }
+        if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+            return 'Interval start and end must be HH:MM';
+        }
+        if (parseTime(end) <= parseTime(start)) {
+            return `${DAY_NAMES[toDayIndex(day)]}: ${start}-${end} must end after it starts`;
+        }
+    }
+
+    // Intervals on the same day may touch but not overlap
+    const sorted = normalizeWeeklyHours(weeklyHours);
+    for (let i = 1; i < sorted.length; i++) {
+        const previous = sorted[i - 1];
+        const interval = sorted[i];
+        if (previous.day === interval.day && parseTime(interval.start) < parseTime(previous.end)) {
+            return `${DAY_NAMES[interval.day]}: ${previous.start}-${previous.end} overlaps ${interval.start}-${interval.end}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Sort a template by day and start time, with days as weekday numbers
+ * @param {Array} weeklyHours - [{ day, start, end }]
+ * @returns {Array} - New list
+ */
+const normalizeWeeklyHours = (weeklyHours = []) => weeklyHours
+    .map(({ day, start, end }) => ({ day: toDayIndex(day), start, end }))
+    .sort((a, b) => (a.day - b.day) || (parseTime(a.start) - parseTime(b.start)));
+
+module.exports = {
+    validateWeeklyHours,
+    normalizeWeeklyHours
+};
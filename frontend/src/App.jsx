@@ -10,9 +10,11 @@ import Machines from './pages/Machines';
 import MachineDetails from './pages/MachineDetails';
 import AddMachine from './pages/AddMachine';
 import Bookings from './pages/Bookings';
+import BookingDetails from './pages/BookingDetails';
 import CreateBooking from './pages/CreateBooking';
 import Dashboard from './pages/Dashboard';
 import Schedule from './pages/Schedule';
+import Notifications from './pages/Notifications';
 
 function App() {
   return (
@@ -30,8 +32,10 @@ function App() {
               <Route path="/machines/add" element={<AddMachine />} />
               <Route path="/bookings" element={<Bookings />} />
               <Route path="/bookings/create/:machineId" element={<CreateBooking />} />
+              <Route path="/bookings/:id" element={<BookingDetails />} />
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/schedule" element={<Schedule />} />
+              <Route path="/notifications" element={<Notifications />} />
             </Routes>
           </main>
           <Footer />
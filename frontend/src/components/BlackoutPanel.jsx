@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { machineAPI } from '../services/api';
+import { BLACKOUT_REASONS, describeBlackout, upcomingBlackouts } from '../utils/blackouts';
+import { CalendarOff, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const emptyForm = { startDate: '', endDate: '', reason: 'service', note: '' };
+
+// Owner view of the machine's blackout dates: add one, see what clashes, remove it
+const BlackoutPanel = ({ machine, onChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+
+  const blackouts = upcomingBlackouts(machine.blackouts);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await machineAPI.addBlackout(machine._id, {
+        ...form,
+        endDate: form.endDate || form.startDate
+      });
+      const { blackout, conflicts } = response.data.data;
+      toast.success(response.data.message, { duration: conflicts.length ? 6000 : 3000 });
+      onChange([...(machine.blackouts || []), blackout]);
+      setForm(emptyForm);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add blackout');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (blackoutId) => {
+    setBusy(true);
+    try {
+      const response = await machineAPI.removeBlackout(machine._id, blackoutId);
+      toast.success(response.data.message);
+      onChange(response.data.data.blackouts);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove blackout');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl border p-4">
+      <h3 className="font-semibold text-gray-900 mb-1 flex items-center gap-2">
+        <CalendarOff className="h-5 w-5 text-primary-600" />
+        Blackout Dates
+      </h3>
+      <p className="text-xs text-gray-500 mb-3">
+        No bookings can be made on these days. Bookings already on them are flagged for a new date and the farmers told.
+      </p>
+
+      {blackouts.length > 0 ? (
+        <ul className="space-y-2 mb-4">
+          {blackouts.map(blackout => (
+            <li key={blackout._id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+              <div>
+                <div className="font-medium text-gray-800">{describeBlackout(blackout)}</div>
+                {blackout.note && <div className="text-xs text-gray-500">{blackout.note}</div>}
+              </div>
+              <button
+                onClick={() => handleRemove(blackout._id)}
+                disabled={busy}
+                className="p-1.5 text-gray-400 hover:text-red-500 disabled:opacity-50"
+                title="Remove"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No upcoming blackouts.</p>
+      )}
+
+      <form onSubmit={handleAdd} className="pt-3 border-t space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-xs text-gray-500">
+            From
+            <input
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+              required
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <label className="text-xs text-gray-500">
+            To
+            <input
+              type="date"
+              value={form.endDate}
+              min={form.startDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {Object.entries(BLACKOUT_REASONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            maxLength={200}
+            placeholder="Note (optional)"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-3 py-1.5 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 disabled:opacity-50"
+          >
+            Add blackout
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BlackoutPanel;
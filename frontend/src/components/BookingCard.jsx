@@ -1,5 +1,6 @@
 import { format } from 'date-fns';
-import { Calendar, Clock, MapPin, IndianRupee, CheckCircle, XCircle, AlertCircle, Loader } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Calendar, Clock, MapPin, IndianRupee, CheckCircle, XCircle, AlertCircle, Loader, Shuffle, Download, ArrowLeftRight, Ban, ClipboardCheck, Hourglass } from 'lucide-react';
 
 const statusConfig = {
   pending: {
@@ -7,6 +8,11 @@ const statusConfig = {
     icon: AlertCircle,
     label: 'Pending'
   },
+  countered: {
+    color: 'bg-orange-100 text-orange-700 border-orange-200',
+    icon: ArrowLeftRight,
+    label: 'Counter-offer'
+  },
   confirmed: {
     color: 'bg-blue-100 text-blue-700 border-blue-200',
     icon: CheckCircle,
@@ -26,10 +32,33 @@ const statusConfig = {
     color: 'bg-red-100 text-red-700 border-red-200',
     icon: XCircle,
     label: 'Cancelled'
+  },
+  rejected: {
+    color: 'bg-gray-100 text-gray-700 border-gray-200',
+    icon: Ban,
+    label: 'Rejected'
+  },
+  expired: {
+    color: 'bg-gray-100 text-gray-500 border-gray-200',
+    icon: Hourglass,
+    label: 'Expired'
   }
 };
 
-const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = false, userRole = 'farmer' }) => {
+const BookingCard = ({
+  booking,
+  onCancel,
+  onConfirm,
+  onStart,
+  onComplete,
+  onReject,
+  onCounterOffer,
+  onAcceptCounter,
+  onDeclineCounter,
+  onDownloadInvoice,
+  showActions = false,
+  userRole = 'farmer'
+}) => {
   const {
     _id,
     machine,
@@ -39,9 +68,25 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
     acres,
     cost,
     status,
-    workType
+    workType,
+    fleetRequest,
+    assignmentHistory,
+    timeWindow,
+    mustFinishBy,
+    schedulingInfo,
+    counterOffer,
+    rejectionReason,
+    respondBy,
+    rescheduleRequired,
+    statusHistory,
+    workLog
   } = booking;
 
+  const lastAssignment = assignmentHistory?.length ? assignmentHistory[assignmentHistory.length - 1] : null;
+
+  // Pricing rules that changed the price (base work and travel are implied)
+  const pricingAdjustments = (cost?.items || []).filter(item => item.code !== 'BASE' && item.code !== 'TRAVEL');
+
   const statusInfo = statusConfig[status] || statusConfig.pending;
   const StatusIcon = statusInfo.icon;
 
@@ -53,6 +98,11 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
     }
   };
 
+  const formatMinutes = (minutes) => {
+    if (minutes === undefined || minutes === null) return '—';
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
   return (
     <div className="bg-white rounded-xl shadow-md border border-gray-100 overflow-hidden card-hover">
       <div className="p-5">
@@ -60,7 +110,9 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
         <div className="flex items-start justify-between mb-4">
           <div>
             <h3 className="text-lg font-semibold text-gray-900">
-              {machine?.name || 'Machine'}
+              <Link to={`/bookings/${_id}`} className="hover:text-primary-600">
+                {machine?.name || 'Machine'}
+              </Link>
             </h3>
             <span className="text-sm text-gray-500 capitalize">
               {machine?.type?.replace('_', ' ')} • {workType?.replace('_', ' ')}
@@ -88,6 +140,18 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
             </span>
           </div>
 
+          {/* Preferred Window */}
+          {(timeWindow?.earliestStart || timeWindow?.latestFinish || mustFinishBy) && (
+            <div className="col-span-2 text-xs text-gray-500">
+              {(timeWindow?.earliestStart || timeWindow?.latestFinish) && (
+                <span>Preferred {timeWindow.earliestStart || 'any time'} - {timeWindow.latestFinish || 'end of day'}</span>
+              )}
+              {mustFinishBy && (
+                <span className="ml-2 font-medium text-orange-600">Must finish by {formatDate(mustFinishBy)}</span>
+              )}
+            </div>
+          )}
+
           {/* Location */}
           <div className="flex items-center space-x-2 text-gray-600 col-span-2">
             <MapPin className="h-4 w-4 text-primary-500" />
@@ -97,6 +161,117 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
           </div>
         </div>
 
+        {/* Response Deadline */}
+        {status === 'pending' && respondBy && (
+          <div className="mb-4 text-xs text-gray-500 flex items-center gap-1">
+            <Hourglass className="h-3.5 w-3.5" />
+            <span>
+              {userRole === 'farmer' ? 'Owner must respond by' : 'Respond by'} {format(new Date(respondBy), 'HH:mm, MMM dd')}
+            </span>
+          </div>
+        )}
+
+        {/* Machine blacked out on the booked day */}
+        {['pending', 'countered', 'confirmed'].includes(status) && rescheduleRequired?.flaggedAt && (
+          <div className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-red-700 flex items-start gap-2">
+            <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>Needs a new date: the machine is unavailable that day{rescheduleRequired.reason ? ` (${rescheduleRequired.reason})` : ''}</span>
+          </div>
+        )}
+
+        {/* Scheduling Problem */}
+        {status === 'pending' && schedulingInfo?.unscheduledReason && (
+          <div className="mb-4 p-3 bg-yellow-50 rounded-lg text-sm text-yellow-700 flex items-start gap-2">
+            <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>Not scheduled yet: {schedulingInfo.unscheduledReason}</span>
+          </div>
+        )}
+
+        {/* Counter-offer */}
+        {status === 'countered' && counterOffer && (
+          <div className="mb-4 p-3 bg-orange-50 rounded-lg text-sm text-orange-800">
+            <div className="flex items-center gap-2 font-medium">
+              <ArrowLeftRight className="h-4 w-4" />
+              <span>{userRole === 'farmer' ? 'The owner proposed changes' : 'Waiting for the farmer to respond'}</span>
+            </div>
+            <div className="mt-2 grid grid-cols-3 gap-2 text-xs">
+              <div>
+                <div className="text-orange-600">Date</div>
+                <div className="font-semibold">{formatDate(counterOffer.date)}</div>
+              </div>
+              <div>
+                <div className="text-orange-600">Start</div>
+                <div className="font-semibold">{counterOffer.startTime || 'TBD'}</div>
+              </div>
+              <div>
+                <div className="text-orange-600">Price</div>
+                <div className="font-semibold">₹{counterOffer.cost?.totalCost?.toLocaleString()}</div>
+              </div>
+            </div>
+            {counterOffer.message && <p className="mt-2 text-xs italic">"{counterOffer.message}"</p>}
+          </div>
+        )}
+
+        {/* Rejection */}
+        {status === 'rejected' && rejectionReason && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700 flex items-start gap-2">
+            <Ban className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>Rejected by the owner: {rejectionReason}</span>
+          </div>
+        )}
+
+        {/* Expiry */}
+        {status === 'expired' && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700 flex items-start gap-2">
+            <Hourglass className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>Expired: {statusHistory?.[statusHistory.length - 1]?.reason || 'no response in time'}</span>
+          </div>
+        )}
+
+        {/* Work Log */}
+        {status === 'in_progress' && workLog?.startedAt && (
+          <div className="mb-4 p-3 bg-purple-50 rounded-lg text-sm text-purple-700 flex items-center gap-2">
+            <Loader className="h-4 w-4" />
+            <span>Work started at {format(new Date(workLog.startedAt), 'HH:mm, MMM dd')}</span>
+          </div>
+        )}
+        {status === 'completed' && workLog?.actualAcres !== undefined && (
+          <div className="mb-4 p-3 bg-green-50 rounded-lg text-sm text-green-800">
+            <div className="flex items-center gap-2 font-medium">
+              <ClipboardCheck className="h-4 w-4" />
+              <span>Work log</span>
+            </div>
+            <div className="mt-1 grid grid-cols-2 gap-x-4 text-xs text-green-700">
+              <span>Acres: {workLog.actualAcres} of {workLog.estimatedAcres} booked</span>
+              <span>Time: {formatMinutes(workLog.actualMinutes)} (est. {formatMinutes(workLog.estimatedMinutes)})</span>
+              {workLog.fuelUsedLitres !== undefined && <span>Fuel: {workLog.fuelUsedLitres} L</span>}
+              {workLog.quotedCost !== cost?.totalCost && <span>Quoted: ₹{workLog.quotedCost}</span>}
+            </div>
+            {workLog.operatorNotes && <p className="mt-1 text-xs italic text-green-700">"{workLog.operatorNotes}"</p>}
+          </div>
+        )}
+
+        {/* Fleet Assignment */}
+        {(fleetRequest?.enabled || lastAssignment) && (
+          <div className="mb-4 p-3 bg-blue-50 rounded-lg text-sm text-blue-700">
+            {fleetRequest?.enabled && (
+              <div className="flex items-center space-x-2">
+                <Shuffle className="h-4 w-4" />
+                <span className="capitalize">
+                  Any {fleetRequest.machineType?.replace('_', ' ')}
+                  {fleetRequest.maxDistanceKm ? ` within ${fleetRequest.maxDistanceKm} km` : ''}
+                </span>
+              </div>
+            )}
+            {lastAssignment && (
+              <div className="mt-1 text-xs text-blue-600">
+                Reassigned from {lastAssignment.from?.name || 'another machine'} to {lastAssignment.to?.name || 'this machine'}
+                {lastAssignment.assignedAt && ` on ${formatDate(lastAssignment.assignedAt)}`}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Footer */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-100">
           <div>
@@ -105,6 +280,11 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
               <IndianRupee className="h-4 w-4" />
               <span className="text-lg font-bold">{cost?.totalCost}</span>
             </div>
+            {pricingAdjustments.length > 0 && (
+              <div className="text-xs text-gray-500">
+                incl. {pricingAdjustments.map(item => item.label).join(', ')}
+              </div>
+            )}
           </div>
 
           <div className="text-right">
@@ -113,6 +293,17 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
           </div>
         </div>
 
+        {/* Invoice */}
+        {status === 'completed' && onDownloadInvoice && (
+          <button
+            onClick={() => onDownloadInvoice(_id)}
+            className="mt-4 w-full flex items-center justify-center gap-2 px-4 py-2 border border-primary-200 text-primary-700 rounded-lg text-sm font-medium hover:bg-primary-50 transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            Download Invoice
+          </button>
+        )}
+
         {/* Action Buttons */}
         {showActions && (
           <div className="flex gap-2 mt-4 pt-4 border-t border-gray-100">
@@ -124,15 +315,55 @@ const BookingCard = ({ booking, onCancel, onConfirm, onComplete, showActions = f
                 Confirm
               </button>
             )}
-            {status === 'confirmed' && onComplete && (
+            {status === 'pending' && userRole === 'owner' && onCounterOffer && (
+              <button
+                onClick={() => onCounterOffer(booking)}
+                className="flex-1 px-4 py-2 bg-orange-50 text-orange-700 rounded-lg text-sm font-medium hover:bg-orange-100 transition-colors"
+              >
+                Counter-offer
+              </button>
+            )}
+            {['pending', 'countered'].includes(status) && userRole === 'owner' && onReject && (
+              <button
+                onClick={() => onReject(_id)}
+                className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+              >
+                Reject
+              </button>
+            )}
+            {status === 'countered' && userRole === 'farmer' && onAcceptCounter && (
+              <button
+                onClick={() => onAcceptCounter(_id)}
+                className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 transition-colors"
+              >
+                Accept Offer
+              </button>
+            )}
+            {status === 'countered' && userRole === 'farmer' && onDeclineCounter && (
+              <button
+                onClick={() => onDeclineCounter(_id)}
+                className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+              >
+                Decline
+              </button>
+            )}
+            {status === 'confirmed' && userRole === 'owner' && onStart && (
+              <button
+                onClick={() => onStart(_id)}
+                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition-colors"
+              >
+                Start Job
+              </button>
+            )}
+            {['confirmed', 'in_progress'].includes(status) && userRole === 'owner' && onComplete && (
               <button
-                onClick={() => onComplete(_id)}
+                onClick={() => onComplete(booking)}
                 className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 transition-colors"
               >
                 Mark Complete
               </button>
             )}
-            {['pending', 'confirmed'].includes(status) && onCancel && (
+            {['pending', 'confirmed'].includes(status) && userRole !== 'owner' && onCancel && (
               <button
                 onClick={() => onCancel(_id)}
                 className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
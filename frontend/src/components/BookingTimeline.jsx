@@ -0,0 +1,52 @@
+import { format } from 'date-fns';
+
+const statusLabels = {
+  pending: 'Requested',
+  countered: 'Counter-offer made',
+  confirmed: 'Confirmed',
+  rejected: 'Rejected',
+  in_progress: 'Work started',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  expired: 'Expired'
+};
+
+const dotColors = {
+  pending: 'bg-yellow-500',
+  countered: 'bg-orange-500',
+  confirmed: 'bg-blue-500',
+  rejected: 'bg-gray-500',
+  in_progress: 'bg-purple-500',
+  completed: 'bg-green-500',
+  cancelled: 'bg-red-500',
+  expired: 'bg-gray-400'
+};
+
+// Vertical timeline of a booking's status changes, oldest first
+const BookingTimeline = ({ history = [] }) => {
+  if (!history.length) {
+    return <p className="text-sm text-gray-500">No status changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-gray-200 ml-2">
+      {history.map((entry, index) => (
+        <li key={entry._id || index} className="mb-6 ml-6 last:mb-0">
+          <span className={`absolute -left-[9px] mt-1 h-4 w-4 rounded-full border-2 border-white ${dotColors[entry.to] || 'bg-gray-400'}`}></span>
+          <div className="flex flex-wrap items-baseline justify-between gap-2">
+            <h4 className="font-medium text-gray-900">{statusLabels[entry.to] || entry.to}</h4>
+            <time className="text-xs text-gray-500">
+              {format(new Date(entry.changedAt), 'MMM dd, yyyy • HH:mm')}
+            </time>
+          </div>
+          <p className="text-sm text-gray-600">
+            {entry.actor ? `by ${entry.actor.name}${entry.actor.role ? ` (${entry.actor.role})` : ''}` : 'Automatic'}
+          </p>
+          {entry.reason && <p className="mt-1 text-sm italic text-gray-500">"{entry.reason}"</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default BookingTimeline;
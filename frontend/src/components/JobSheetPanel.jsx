@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { bookingAPI, machineAPI } from '../services/api';
+import { ClipboardList, Send } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Owner view of the operator's daily job sheet (SMS/WhatsApp), with who receives it
+const JobSheetPanel = ({ machine }) => {
+  const [date, setDate] = useState(today());
+  const [jobSheet, setJobSheet] = useState(null);
+  const [operator, setOperator] = useState({ name: '', phone: '', channel: 'sms', ...machine.operator });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchJobSheet();
+  }, [machine._id, date]);
+
+  const fetchJobSheet = async () => {
+    try {
+      const response = await bookingAPI.getJobSheet(machine._id, date);
+      setJobSheet(response.data.data);
+    } catch (error) {
+      setJobSheet(null);
+    }
+  };
+
+  const handleSend = async () => {
+    setBusy(true);
+    try {
+      const response = await bookingAPI.sendJobSheet(machine._id, date);
+      toast.success(response.data.message);
+      fetchJobSheet();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send job sheet');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveOperator = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await machineAPI.update(machine._id, { operator });
+      toast.success('Operator saved');
+      fetchJobSheet();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to save operator');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!jobSheet) {
+    return null;
+  }
+
+  const lastSent = jobSheet.lastSent;
+
+  return (
+    <div className="bg-white rounded-xl border p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <ClipboardList className="h-5 w-5 text-primary-600" />
+          Operator Job Sheet
+        </h3>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        />
+      </div>
+
+      <pre className="p-3 bg-gray-50 rounded-lg text-xs text-gray-700 whitespace-pre-wrap font-mono">{jobSheet.text}</pre>
+
+      <div className="mt-3 flex items-center justify-between gap-2">
+        <p className="text-xs text-gray-500">
+          {lastSent?.sentAt
+            ? `Sent ${lastSent.version}x, last at ${new Date(lastSent.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` +
+              (lastSent.delivery?.status === 'failed' ? ` (failed: ${lastSent.delivery.failureReason})` : '')
+            : 'Not sent yet; goes out automatically in the morning'}
+        </p>
+        <button
+          onClick={handleSend}
+          disabled={busy || !jobSheet.recipient?.phone}
+          className="flex items-center gap-1 px-3 py-1.5 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Send className="h-4 w-4" />
+          Send now
+        </button>
+      </div>
+
+      <form onSubmit={handleSaveOperator} className="mt-4 pt-3 border-t space-y-2">
+        <p className="text-xs text-gray-500">
+          Sent by {jobSheet.recipient?.channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} to {jobSheet.recipient?.name || 'the owner'}
+          {jobSheet.recipient?.phone ? ` (${jobSheet.recipient.phone})` : ''}. Leave the operator phone empty to receive it yourself.
+        </p>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={operator.name || ''}
+            onChange={(e) => setOperator({ ...operator, name: e.target.value })}
+            placeholder="Operator name"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="tel"
+            value={operator.phone || ''}
+            onChange={(e) => setOperator({ ...operator, phone: e.target.value.replace(/\D/g, '').slice(0, 10) })}
+            placeholder="10-digit phone"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <select
+            value={operator.channel}
+            onChange={(e) => setOperator({ ...operator, channel: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+          </select>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Save operator
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default JobSheetPanel;
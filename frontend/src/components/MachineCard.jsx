@@ -1,5 +1,7 @@
 import { Link } from 'react-router-dom';
 import { MapPin, Star, Clock, IndianRupee, Tractor } from 'lucide-react';
+import { describePricingRules } from '../utils/pricing';
+import { summarizeWeeklyHours } from '../utils/workingHours';
 
 const machineTypeIcons = {
   tractor: '🚜',
@@ -27,6 +29,7 @@ const MachineCard = ({ machine }) => {
   } = machine;
 
   const isAvailable = availability?.isAvailable && status === 'active';
+  const hasPricingRules = describePricingRules(pricing).length > 0;
 
   return (
     <Link to={`/machines/${_id}`} className="block">
@@ -80,7 +83,7 @@ const MachineCard = ({ machine }) => {
             {/* Working Hours */}
             <div className="flex items-center text-gray-500 text-sm">
               <Clock className="h-4 w-4 mr-1" />
-              <span>{availability?.workingHoursStart || 8}AM - {availability?.workingHoursEnd || 18}PM</span>
+              <span>{summarizeWeeklyHours(availability)}</span>
             </div>
           </div>
 
@@ -90,6 +93,9 @@ const MachineCard = ({ machine }) => {
               <IndianRupee className="h-5 w-5" />
               <span className="text-xl font-bold">{pricing?.ratePerAcre}</span>
               <span className="text-sm text-gray-500 ml-1">/acre</span>
+              {hasPricingRules && (
+                <span className="ml-2 text-xs text-amber-600">rates vary</span>
+              )}
             </div>
             
             <button className="px-4 py-2 bg-primary-50 text-primary-700 rounded-lg text-sm font-medium hover:bg-primary-100 transition-colors">
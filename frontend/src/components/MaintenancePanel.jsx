@@ -0,0 +1,344 @@
+import { useState, useEffect } from 'react';
+import { machineAPI } from '../services/api';
+import { Wrench, Trash2, Plus, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const statusStyles = {
+  ok: { label: 'OK', badge: 'bg-green-100 text-green-700', bar: 'bg-green-500' },
+  due: { label: 'Due soon', badge: 'bg-amber-100 text-amber-700', bar: 'bg-amber-500' },
+  overdue: { label: 'Overdue', badge: 'bg-red-100 text-red-700', bar: 'bg-red-500' }
+};
+
+const emptyInterval = { name: '', everyHours: '', everyAcres: '' };
+const emptyService = { description: '', date: '', cost: '', notes: '', intervals: [], blackout: false, blackoutEndDate: '' };
+
+// Local YYYY-MM-DD, comparable with date input values
+const todayKey = () => new Date().toLocaleDateString('en-CA');
+
+// e.g. "12 of 250 h, 40 of 500 acres"
+const describeUsage = (interval) => [
+  interval.everyHours ? `${interval.hoursSince} of ${interval.everyHours} h` : null,
+  interval.everyAcres ? `${interval.acresSince} of ${interval.everyAcres} acres` : null
+].filter(Boolean).join(', ');
+
+// Only the numbers the owner filled in
+const toIntervalPayload = ({ _id, name, everyHours, everyAcres }) => ({
+  ...(_id ? { _id } : {}),
+  name,
+  ...(everyHours !== '' && everyHours != null ? { everyHours: Number(everyHours) } : {}),
+  ...(everyAcres !== '' && everyAcres != null ? { everyAcres: Number(everyAcres) } : {})
+});
+
+// Owner view of engine hours, service intervals and the service log
+const MaintenancePanel = ({ machineId, onBlackoutAdded }) => {
+  const [maintenance, setMaintenance] = useState(null);
+  const [intervalForm, setIntervalForm] = useState(emptyInterval);
+  const [serviceForm, setServiceForm] = useState(emptyService);
+  const [showServiceForm, setShowServiceForm] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchMaintenance();
+  }, [machineId]);
+
+  const fetchMaintenance = async () => {
+    try {
+      const response = await machineAPI.getMaintenance(machineId);
+      setMaintenance(response.data.data);
+    } catch (error) {
+      setMaintenance(null);
+    }
+  };
+
+  const runAction = async (action, fallbackError) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+      await fetchMaintenance();
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallbackError);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveIntervals = (intervals) => runAction(
+    () => machineAPI.updateMaintenance(machineId, { intervals: intervals.map(toIntervalPayload) }),
+    'Failed to save service intervals'
+  );
+
+  const handleAddInterval = async (e) => {
+    e.preventDefault();
+    if (await saveIntervals([...maintenance.intervals, intervalForm])) {
+      setIntervalForm(emptyInterval);
+    }
+  };
+
+  const handleLogService = async (e) => {
+    e.preventDefault();
+    const booked = serviceForm.date > todayKey();
+    const data = await runAction(() => machineAPI.logService(machineId, {
+      description: serviceForm.description,
+      intervals: serviceForm.intervals,
+      ...(serviceForm.date ? { date: serviceForm.date } : {}),
+      ...(serviceForm.cost !== '' ? { cost: Number(serviceForm.cost) } : {}),
+      ...(serviceForm.notes ? { notes: serviceForm.notes } : {}),
+      ...(booked && serviceForm.blackout ? { blackout: true, blackoutEndDate: serviceForm.blackoutEndDate || serviceForm.date } : {})
+    }), 'Failed to log service');
+
+    if (data) {
+      if (data.blackout) onBlackoutAdded?.(data.blackout);
+      setServiceForm(emptyService);
+      setShowServiceForm(false);
+    }
+  };
+
+  const toggleServiceInterval = (intervalId) => {
+    const intervals = serviceForm.intervals.includes(intervalId)
+      ? serviceForm.intervals.filter(id => id !== intervalId)
+      : [...serviceForm.intervals, intervalId];
+    setServiceForm({ ...serviceForm, intervals });
+  };
+
+  if (!maintenance) {
+    return null;
+  }
+
+  const booked = serviceForm.date > todayKey();
+
+  return (
+    <div className="bg-white rounded-xl border p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Wrench className="h-5 w-5 text-primary-600" />
+          Maintenance
+        </h3>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[maintenance.status].badge}`}>
+          {statusStyles[maintenance.status].label}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-4 text-sm">
+        <div className="p-2 bg-gray-50 rounded-lg">
+          <div className="text-xs text-gray-500">Engine hours</div>
+          <div className="font-semibold">{maintenance.engineHours} h</div>
+        </div>
+        <div className="p-2 bg-gray-50 rounded-lg">
+          <div className="text-xs text-gray-500">Acres worked</div>
+          <div className="font-semibold">{maintenance.acresWorked}</div>
+        </div>
+      </div>
+
+      {/* Service intervals */}
+      <p className="text-xs font-medium text-gray-500 mb-2">Service intervals</p>
+      {maintenance.intervals.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {maintenance.intervals.map(interval => (
+            <li key={interval._id} className="p-2 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-800">{interval.name}</span>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyles[interval.status].badge}`}>
+                    {statusStyles[interval.status].label}
+                  </span>
+                  <button
+                    onClick={() => saveIntervals(maintenance.intervals.filter(i => i._id !== interval._id))}
+                    disabled={busy}
+                    className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-50"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="mt-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${statusStyles[interval.status].bar}`}
+                  style={{ width: `${Math.min(100, interval.percentUsed)}%` }}
+                />
+              </div>
+              <div className="mt-1 text-xs text-gray-500">{describeUsage(interval)}</div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">No service intervals yet.</p>
+      )}
+
+      <form onSubmit={handleAddInterval} className="grid grid-cols-4 gap-2 mb-4">
+        <input
+          type="text"
+          value={intervalForm.name}
+          onChange={(e) => setIntervalForm({ ...intervalForm, name: e.target.value })}
+          required
+          placeholder="e.g. Oil change"
+          className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="number"
+          min="1"
+          value={intervalForm.everyHours}
+          onChange={(e) => setIntervalForm({ ...intervalForm, everyHours: e.target.value })}
+          placeholder="Hours"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min="1"
+            value={intervalForm.everyAcres}
+            onChange={(e) => setIntervalForm({ ...intervalForm, everyAcres: e.target.value })}
+            placeholder="Acres"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            title="Add interval"
+          >
+            <Plus className="h-4 w-4" />
+          </button>
+        </div>
+      </form>
+
+      {/* Service log */}
+      <div className="pt-3 border-t">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs font-medium text-gray-500">
+            Service log{maintenance.totalCost > 0 && ` · ₹${maintenance.totalCost.toLocaleString()} spent`}
+          </p>
+          <button
+            onClick={() => setShowServiceForm(!showServiceForm)}
+            className="text-sm text-primary-600 hover:text-primary-700"
+          >
+            {showServiceForm ? 'Close' : 'Log or book a service'}
+          </button>
+        </div>
+
+        {showServiceForm && (
+          <form onSubmit={handleLogService} className="space-y-2 mb-3 p-3 bg-gray-50 rounded-lg">
+            <input
+              type="text"
+              value={serviceForm.description}
+              onChange={(e) => setServiceForm({ ...serviceForm, description: e.target.value })}
+              required
+              maxLength={200}
+              placeholder="What was done, e.g. 250-hour service"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-500">
+                Date (later days are booked)
+                <input
+                  type="date"
+                  value={serviceForm.date}
+                  onChange={(e) => setServiceForm({ ...serviceForm, date: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-500">
+                Cost (₹)
+                <input
+                  type="number"
+                  min="0"
+                  value={serviceForm.cost}
+                  onChange={(e) => setServiceForm({ ...serviceForm, cost: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+            </div>
+            {maintenance.intervals.length > 0 && (
+              <div className="flex flex-wrap gap-3 text-sm">
+                {maintenance.intervals.map(interval => (
+                  <label key={interval._id} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={serviceForm.intervals.includes(interval._id)}
+                      onChange={() => toggleServiceInterval(interval._id)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    {interval.name}
+                  </label>
+                ))}
+              </div>
+            )}
+            <input
+              type="text"
+              value={serviceForm.notes}
+              onChange={(e) => setServiceForm({ ...serviceForm, notes: e.target.value })}
+              maxLength={500}
+              placeholder="Notes (optional)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            {booked && (
+              <div className="flex items-center gap-2 text-sm">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={serviceForm.blackout}
+                    onChange={(e) => setServiceForm({ ...serviceForm, blackout: e.target.checked })}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  Block bookings until
+                </label>
+                <input
+                  type="date"
+                  value={serviceForm.blackoutEndDate || serviceForm.date}
+                  min={serviceForm.date}
+                  disabled={!serviceForm.blackout}
+                  onChange={(e) => setServiceForm({ ...serviceForm, blackoutEndDate: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+                />
+              </div>
+            )}
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-3 py-1.5 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 disabled:opacity-50"
+              >
+                {booked ? 'Book service' : 'Log service'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {maintenance.services.length > 0 ? (
+          <ul className="space-y-2">
+            {maintenance.services.map(service => (
+              <li key={service._id} className="flex items-start justify-between text-sm">
+                <div>
+                  <div className="font-medium text-gray-800">{service.description}</div>
+                  <div className="text-xs text-gray-500">
+                    {service.status === 'scheduled'
+                      ? `Booked for ${new Date(service.scheduledFor).toLocaleDateString('en-IN')}`
+                      : `${new Date(service.completedAt).toLocaleDateString('en-IN')} at ${Math.round(service.engineHours)} h`}
+                    {service.cost > 0 && ` · ₹${service.cost.toLocaleString()}`}
+                  </div>
+                </div>
+                {service.status === 'scheduled' && (
+                  <button
+                    onClick={() => runAction(() => machineAPI.completeService(machineId, service._id, {}), 'Failed to complete service')}
+                    disabled={busy}
+                    className="flex items-center gap-1 px-2 py-1 text-xs text-green-700 bg-green-50 rounded-lg hover:bg-green-100 disabled:opacity-50"
+                  >
+                    <Check className="h-3.5 w-3.5" />
+                    Done
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No services logged yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MaintenancePanel;
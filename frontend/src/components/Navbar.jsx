@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import { 
   Menu, 
   X, 
@@ -80,6 +81,7 @@ const Navbar = () => {
                     <span>Add Machine</span>
                   </Link>
                 )}
+                <NotificationBell />
                 <div className="flex items-center space-x-3 pl-3 border-l border-gray-200">
                   <div className="text-right">
                     <p className="text-sm font-medium text-gray-900">{user?.name}</p>
@@ -127,7 +129,8 @@ const Navbar = () => {
           </div>
 
           {/* Mobile menu button */}
-          <div className="md:hidden flex items-center">
+          <div className="md:hidden flex items-center space-x-1">
+            <NotificationBell />
             <button
               onClick={() => setIsOpen(!isOpen)}
               className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
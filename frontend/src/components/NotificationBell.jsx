@@ -0,0 +1,202 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { notificationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Bell, CheckCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Wait before reopening a dropped stream with a fresh ticket
+const RECONNECT_DELAY = 5000;
+
+const formatNotificationTime = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+const NotificationBell = () => {
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [recent, setRecent] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Live unread count and toasts while signed in
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      setRecent([]);
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const retry = () => {
+      if (!stopped) retryTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+
+    const connect = async () => {
+      let ticket;
+      try {
+        const response = await notificationAPI.getStreamTicket();
+        ticket = response.data.data.ticket;
+      } catch {
+        retry();
+        return;
+      }
+      if (stopped) return;
+
+      source = new EventSource(notificationAPI.getStreamUrl(ticket));
+
+      source.addEventListener('ready', (event) => {
+        setUnreadCount(JSON.parse(event.data).unreadCount || 0);
+      });
+
+      source.addEventListener('notification', (event) => {
+        const { notification, unreadCount: count } = JSON.parse(event.data);
+        setUnreadCount(count);
+        setRecent((current) => [notification, ...current].slice(0, 5));
+        toast(`${notification.title}: ${notification.message}`, { icon: '🔔' });
+      });
+
+      // The ticket only lasts a minute, so reopen with a new one rather than
+      // letting EventSource retry the old URL
+      source.onerror = () => {
+        source.close();
+        retry();
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [isAuthenticated]);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening) return;
+
+    try {
+      const response = await notificationAPI.getAll({ limit: 5 });
+      setRecent(response.data.data || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const openNotification = async (notification) => {
+    setIsOpen(false);
+    if (!notification.readAt) {
+      try {
+        const response = await notificationAPI.markRead(notification._id);
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      setUnreadCount(0);
+      setRecent((current) => current.map((n) => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={toggle}
+        className="relative flex items-center justify-center w-10 h-10 rounded-full text-gray-600 hover:bg-gray-100 transition-colors"
+        aria-label="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-xs font-semibold">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-100 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <p className="text-sm font-semibold text-gray-900">Notifications</p>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                className="flex items-center space-x-1 text-xs text-primary-600 hover:text-primary-700"
+              >
+                <CheckCheck className="h-3.5 w-3.5" />
+                <span>Mark all read</span>
+              </button>
+            )}
+          </div>
+
+          {recent.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {recent.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => openNotification(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-primary-50/50'}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                        {notification.title}
+                      </p>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">
+                        {formatNotificationTime(notification.createdAt)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-0.5">{notification.message}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <Link
+            to="/notifications"
+            onClick={() => setIsOpen(false)}
+            className="block px-4 py-2 text-sm text-center text-primary-600 hover:bg-gray-50 border-t border-gray-100 rounded-b-lg"
+          >
+            View all notifications
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
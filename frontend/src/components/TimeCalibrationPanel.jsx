@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { machineAPI } from '../services/api';
+import { Timer, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const workTypeLabel = (workType) => (workType === 'all' ? 'Default (all work)' : workType.replace('_', ' '));
+
+// Owner view of the learned minutes per acre, with proposals from completed jobs
+const TimeCalibrationPanel = ({ machineId }) => {
+  const [calibration, setCalibration] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchCalibration();
+  }, [machineId]);
+
+  const fetchCalibration = async () => {
+    try {
+      const response = await machineAPI.getTimeCalibration(machineId);
+      setCalibration(response.data.data);
+    } catch (error) {
+      setCalibration(null);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      toast.success(response.data.message || successMessage);
+      fetchCalibration();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Calibration failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!calibration) {
+    return null;
+  }
+
+  const learned = Object.entries(calibration.timePerAcreByWorkType || {});
+
+  return (
+    <div className="bg-white rounded-xl border p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Timer className="h-5 w-5 text-primary-600" />
+          Time per Acre
+        </h3>
+        <button
+          onClick={() => runAction(() => machineAPI.calibrateTime(machineId), 'Calibration updated')}
+          disabled={busy}
+          className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${busy ? 'animate-spin' : ''}`} />
+          Recalibrate
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <span className="px-3 py-1 bg-gray-100 rounded-full">Default: {calibration.timePerAcre} min</span>
+        {learned.map(([workType, minutes]) => (
+          <span key={workType} className="px-3 py-1 bg-green-50 text-green-700 rounded-full capitalize">
+            {workType}: {minutes} min
+          </span>
+        ))}
+      </div>
+
+      {calibration.proposals?.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <p className="text-xs text-gray-500">Suggested from your completed jobs:</p>
+          {calibration.proposals.map(proposal => (
+            <div key={proposal.workType} className="flex items-center justify-between p-2 bg-amber-50 rounded-lg text-sm">
+              <span className="capitalize">
+                {workTypeLabel(proposal.workType)}: {proposal.currentMinutesPerAcre} → <strong>{proposal.minutesPerAcre} min</strong>
+                <span className="text-xs text-gray-500"> ({proposal.samples} jobs{proposal.outliers ? `, ${proposal.outliers} ignored` : ''})</span>
+              </span>
+              <button
+                onClick={() => runAction(() => machineAPI.applyTimeCalibration(machineId, [proposal.workType]), 'Applied')}
+                disabled={busy}
+                className="px-3 py-1 bg-primary-600 text-white rounded-lg text-xs font-medium hover:bg-primary-700 disabled:opacity-50"
+              >
+                Apply
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={Boolean(calibration.autoApply)}
+          disabled={busy}
+          onChange={(e) => runAction(
+            () => machineAPI.update(machineId, { timeCalibration: { autoApply: e.target.checked } }),
+            'Saved'
+          )}
+          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+        />
+        Apply new estimates automatically
+      </label>
+      {calibration.lastRunAt && (
+        <p className="mt-1 text-xs text-gray-400">Last calibrated {new Date(calibration.lastRunAt).toLocaleDateString()}</p>
+      )}
+    </div>
+  );
+};
+
+export default TimeCalibrationPanel;
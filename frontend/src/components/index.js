@@ -2,4 +2,10 @@ export { default as Navbar } from './Navbar';
 export { default as Footer } from './Footer';
 export { default as MachineCard } from './MachineCard';
 export { default as BookingCard } from './BookingCard';
+export { default as BookingTimeline } from './BookingTimeline';
+export { default as NotificationBell } from './NotificationBell';
+export { default as TimeCalibrationPanel } from './TimeCalibrationPanel';
+export { default as JobSheetPanel } from './JobSheetPanel';
+export { default as BlackoutPanel } from './BlackoutPanel';
+export { default as MaintenancePanel } from './MaintenancePanel';
 export { default as LoadingSpinner } from './LoadingSpinner';
@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import api from '../services/api';
+import api, { setStoredTokens } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -28,6 +28,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.post('/users/login', { email, password });
       const userData = response.data.data;
+      setStoredTokens(response.data.tokens);
       setUser(userData);
       localStorage.setItem('agroshare_user', JSON.stringify(userData));
       return { success: true, data: userData };
@@ -43,6 +44,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.post('/users/register', userData);
       const newUser = response.data.data;
+      setStoredTokens(response.data.tokens);
       setUser(newUser);
       localStorage.setItem('agroshare_user', JSON.stringify(newUser));
       return { success: true, data: newUser };
@@ -56,6 +58,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     setUser(null);
+    setStoredTokens(null);
     localStorage.removeItem('agroshare_user');
   };
 
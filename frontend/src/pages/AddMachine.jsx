@@ -2,6 +2,8 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { machineAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { describePricingRules, describeCancellationPolicy } from '../utils/pricing';
+import { WEEK_DAYS, toWeeklyHoursList, findWeeklyHoursError, formatIntervals, summarizeWeeklyHours } from '../utils/workingHours';
 import { 
   ChevronLeft, 
   Upload, 
@@ -11,7 +13,10 @@ import {
   Clock,
   Settings,
   Info,
-  CheckCircle
+  CheckCircle,
+  Percent,
+  Plus,
+  Trash2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -27,8 +32,22 @@ const AddMachine = () => {
     model: '',
     yearOfManufacture: '',
     description: '',
-    pricePerHour: '',
-    pricePerDay: '',
+    pricing: {
+      ratePerAcre: '',
+      minimumAcres: 1,
+      travelChargePerKm: '',
+      rules: {
+        peakSeasons: [],
+        weekendSurchargePercent: '',
+        urgentSurchargePercent: '',
+        volumeDiscounts: []
+      }
+    },
+    cancellationPolicy: {
+      freeUntilHours: 24,
+      lateFeePercent: ''
+    },
+    responseDeadlineHours: 24,
     location: {
       village: user?.location?.village || '',
       district: user?.location?.district || '',
@@ -46,9 +65,11 @@ const AddMachine = () => {
     },
     availability: {
       isAvailable: true,
-      workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
-      workingHoursStart: '06:00',
-      workingHoursEnd: '18:00',
+      // One list of { start, end } per day; several make a split shift
+      weeklyHours: Object.fromEntries(WEEK_DAYS.map(day => [
+        day.value,
+        day.value === 'sunday' ? [] : [{ start: '06:00', end: '18:00' }]
+      ])),
       minimumBookingHours: 2
     },
     images: []
@@ -66,16 +87,6 @@ const AddMachine = () => {
     { value: 'other', label: 'Other', emoji: '🔩' }
   ];
 
-  const weekDays = [
-    { value: 'monday', label: 'Mon' },
-    { value: 'tuesday', label: 'Tue' },
-    { value: 'wednesday', label: 'Wed' },
-    { value: 'thursday', label: 'Thu' },
-    { value: 'friday', label: 'Fri' },
-    { value: 'saturday', label: 'Sat' },
-    { value: 'sunday', label: 'Sun' }
-  ];
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     if (name.includes('.')) {
@@ -99,19 +110,62 @@ const AddMachine = () => {
     }
   };
 
-  const toggleWorkingDay = (day) => {
-    setFormData(prev => {
-      const days = prev.availability.workingDays;
-      const newDays = days.includes(day)
-        ? days.filter(d => d !== day)
-        : [...days, day];
-      return {
-        ...prev,
-        availability: { ...prev.availability, workingDays: newDays }
-      };
-    });
+  const updateWeeklyHours = (updater) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: { ...prev.availability, weeklyHours: updater(prev.availability.weeklyHours) }
+    }));
+  };
+
+  // A day switched on starts with the hours of the first working day
+  const toggleWorkingDay = (day) => updateWeeklyHours(hours => {
+    if (hours[day].length) return { ...hours, [day]: [] };
+    const template = WEEK_DAYS.map(d => hours[d.value]).find(intervals => intervals.length);
+    return { ...hours, [day]: template ? template.map(i => ({ ...i })) : [{ start: '06:00', end: '18:00' }] };
+  });
+
+  const addInterval = (day) => updateWeeklyHours(hours => ({
+    ...hours,
+    [day]: [...hours[day], { start: hours[day][hours[day].length - 1]?.end || '', end: '' }]
+  }));
+
+  const changeInterval = (day, index, field, value) => updateWeeklyHours(hours => ({
+    ...hours,
+    [day]: hours[day].map((interval, i) => (i === index ? { ...interval, [field]: value } : interval))
+  }));
+
+  const removeInterval = (day, index) => updateWeeklyHours(hours => ({
+    ...hours,
+    [day]: hours[day].filter((_, i) => i !== index)
+  }));
+
+  // Give every working day the same hours as this one
+  const copyToWorkingDays = (day) => updateWeeklyHours(hours => Object.fromEntries(
+    Object.entries(hours).map(([d, intervals]) => [
+      d,
+      intervals.length ? hours[day].map(i => ({ ...i })) : intervals
+    ])
+  ));
+
+  // Peak seasons and volume discounts are lists under pricing.rules
+  const updateRuleList = (list, updater) => {
+    setFormData(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing,
+        rules: { ...prev.pricing.rules, [list]: updater(prev.pricing.rules[list]) }
+      }
+    }));
   };
 
+  const addRuleItem = (list, item) => updateRuleList(list, items => [...items, item]);
+
+  const changeRuleItem = (list, index, field, value) => updateRuleList(list, items =>
+    items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+  );
+
+  const removeRuleItem = (list, index) => updateRuleList(list, items => items.filter((_, i) => i !== index));
+
   const handleImageUpload = (e) => {
     const files = Array.from(e.target.files);
     // In a real app, you'd upload to a server/cloud storage
@@ -138,13 +192,43 @@ const AddMachine = () => {
           return false;
         }
         return true;
-      case 2:
-        if (!formData.pricePerHour) {
-          toast.error('Please set hourly price');
+      case 2: {
+        if (!formData.pricing.ratePerAcre) {
+          toast.error('Please set the rate per acre');
+          return false;
+        }
+        const hoursError = findWeeklyHoursError(formData.availability.weeklyHours);
+        if (hoursError) {
+          toast.error(hoursError);
           return false;
         }
         return true;
-      case 3:
+      }
+      case 3: {
+        const { peakSeasons, volumeDiscounts } = formData.pricing.rules;
+        if (peakSeasons.some(s => !s.startDate || !s.endDate || !s.surchargePercent)) {
+          toast.error('Please fill dates and surcharge for every peak season');
+          return false;
+        }
+        if (peakSeasons.some(s => s.endDate < s.startDate)) {
+          toast.error('Peak season end date must be on or after its start date');
+          return false;
+        }
+        if (volumeDiscounts.some(t => !t.minAcres || !t.discountPercent)) {
+          toast.error('Please fill acres and discount for every volume discount');
+          return false;
+        }
+        if (Number(formData.cancellationPolicy.lateFeePercent) > 100) {
+          toast.error('Cancellation fee cannot exceed 100%');
+          return false;
+        }
+        if (Number(formData.responseDeadlineHours) < 1 || Number(formData.responseDeadlineHours) > 168) {
+          toast.error('Response deadline must be between 1 and 168 hours');
+          return false;
+        }
+        return true;
+      }
+      case 4:
         if (!formData.location.village || !formData.location.district || !formData.location.state) {
           toast.error('Please fill all location fields');
           return false;
@@ -164,15 +248,36 @@ const AddMachine = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!validateStep(3)) return;
+    if (!validateStep(4)) return;
 
     setLoading(true);
     try {
       // Clean up the data before sending
+      const { rules } = formData.pricing;
       const machineData = {
         ...formData,
-        pricePerHour: Number(formData.pricePerHour),
-        pricePerDay: formData.pricePerDay ? Number(formData.pricePerDay) : Number(formData.pricePerHour) * 8,
+        pricing: {
+          ratePerAcre: Number(formData.pricing.ratePerAcre),
+          minimumAcres: Number(formData.pricing.minimumAcres) || 1,
+          travelChargePerKm: Number(formData.pricing.travelChargePerKm) || 0,
+          rules: {
+            peakSeasons: rules.peakSeasons.map(season => ({
+              ...season,
+              surchargePercent: Number(season.surchargePercent)
+            })),
+            weekendSurchargePercent: Number(rules.weekendSurchargePercent) || 0,
+            urgentSurchargePercent: Number(rules.urgentSurchargePercent) || 0,
+            volumeDiscounts: rules.volumeDiscounts.map(tier => ({
+              minAcres: Number(tier.minAcres),
+              discountPercent: Number(tier.discountPercent)
+            }))
+          }
+        },
+        cancellationPolicy: {
+          freeUntilHours: Number(formData.cancellationPolicy.freeUntilHours) || 0,
+          lateFeePercent: Number(formData.cancellationPolicy.lateFeePercent) || 0
+        },
+        responseDeadlineHours: Number(formData.responseDeadlineHours),
         yearOfManufacture: formData.yearOfManufacture ? Number(formData.yearOfManufacture) : undefined,
         specifications: {
           ...formData.specifications,
@@ -181,6 +286,7 @@ const AddMachine = () => {
         },
         availability: {
           ...formData.availability,
+          weeklyHours: toWeeklyHoursList(formData.availability.weeklyHours),
           minimumBookingHours: Number(formData.availability.minimumBookingHours)
         }
       };
@@ -221,8 +327,9 @@ const AddMachine = () => {
           {[
             { num: 1, label: 'Details' },
             { num: 2, label: 'Pricing' },
-            { num: 3, label: 'Location' },
-            { num: 4, label: 'Review' }
+            { num: 3, label: 'Rules' },
+            { num: 4, label: 'Location' },
+            { num: 5, label: 'Review' }
           ].map((s, i) => (
             <div key={s.num} className="flex items-center">
               <div className="flex flex-col items-center">
@@ -233,8 +340,8 @@ const AddMachine = () => {
                 </div>
                 <span className="text-xs mt-1 text-gray-500">{s.label}</span>
               </div>
-              {i < 3 && (
-                <div className={`w-16 h-1 mx-2 ${step > s.num ? 'bg-primary-600' : 'bg-gray-200'}`}></div>
+              {i < 4 && (
+                <div className={`w-10 h-1 mx-2 ${step > s.num ? 'bg-primary-600' : 'bg-gray-200'}`}></div>
               )}
             </div>
           ))}
@@ -402,81 +509,125 @@ const AddMachine = () => {
                 </div>
 
                 {/* Pricing */}
-                <div className="grid sm:grid-cols-2 gap-4">
+                <div className="grid sm:grid-cols-3 gap-4">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Price per Hour (₹) *</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Rate per Acre (₹) *</label>
                     <div className="relative">
                       <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500">₹</span>
                       <input
                         type="number"
-                        name="pricePerHour"
-                        value={formData.pricePerHour}
+                        name="pricing.ratePerAcre"
+                        value={formData.pricing.ratePerAcre}
                         onChange={handleChange}
                         required
-                        placeholder="500"
+                        min="0"
+                        placeholder="800"
                         className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                       />
                     </div>
                   </div>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Price per Day (₹)</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Acres</label>
+                    <input
+                      type="number"
+                      name="pricing.minimumAcres"
+                      value={formData.pricing.minimumAcres}
+                      onChange={handleChange}
+                      min="0.5"
+                      step="0.5"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Travel Charge (₹/km)</label>
                     <div className="relative">
                       <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500">₹</span>
                       <input
                         type="number"
-                        name="pricePerDay"
-                        value={formData.pricePerDay}
+                        name="pricing.travelChargePerKm"
+                        value={formData.pricing.travelChargePerKm}
                         onChange={handleChange}
-                        placeholder={formData.pricePerHour ? String(Number(formData.pricePerHour) * 8) : '4000'}
+                        min="0"
+                        placeholder="0"
                         className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                       />
                     </div>
-                    <p className="text-xs text-gray-500 mt-1">Leave empty to auto-calculate (8 hours)</p>
                   </div>
                 </div>
 
-                {/* Working Days */}
+                {/* Weekly Working Hours */}
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-3">Working Days</label>
-                  <div className="flex flex-wrap gap-2">
-                    {weekDays.map(day => (
-                      <button
-                        key={day.value}
-                        type="button"
-                        onClick={() => toggleWorkingDay(day.value)}
-                        className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                          formData.availability.workingDays.includes(day.value)
-                            ? 'bg-primary-600 text-white'
-                            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                        }`}
-                      >
-                        {day.label}
-                      </button>
-                    ))}
-                  </div>
-                </div>
-
-                {/* Working Hours */}
-                <div className="grid sm:grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Start Time</label>
-                    <input
-                      type="time"
-                      name="availability.workingHoursStart"
-                      value={formData.availability.workingHoursStart}
-                      onChange={handleChange}
-                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">End Time</label>
-                    <input
-                      type="time"
-                      name="availability.workingHoursEnd"
-                      value={formData.availability.workingHoursEnd}
-                      onChange={handleChange}
-                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-                    />
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Working Hours</label>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Tap a day to switch it on or off. Add a second shift for a lunch break; jobs are never booked across a break.
+                  </p>
+                  <div className="space-y-3">
+                    {WEEK_DAYS.map(day => {
+                      const intervals = formData.availability.weeklyHours[day.value];
+                      return (
+                        <div key={day.value} className="flex flex-col sm:flex-row sm:items-start gap-2 p-3 border border-gray-200 rounded-xl">
+                          <button
+                            type="button"
+                            onClick={() => toggleWorkingDay(day.value)}
+                            className={`w-16 px-3 py-2 rounded-lg font-medium transition-colors ${
+                              intervals.length
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                            }`}
+                          >
+                            {day.label}
+                          </button>
+                          {intervals.length === 0 ? (
+                            <p className="py-2 text-sm text-gray-400">Closed</p>
+                          ) : (
+                            <div className="flex-1 space-y-2">
+                              {intervals.map((interval, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                  <input
+                                    type="time"
+                                    value={interval.start}
+                                    onChange={(e) => changeInterval(day.value, index, 'start', e.target.value)}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                  />
+                                  <span className="text-gray-400">to</span>
+                                  <input
+                                    type="time"
+                                    value={interval.end}
+                                    onChange={(e) => changeInterval(day.value, index, 'end', e.target.value)}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                  />
+                                  <button
+                                    type="button"
+                                    onClick={() => removeInterval(day.value, index)}
+                                    className="p-2 text-gray-400 hover:text-red-600"
+                                    aria-label="Remove hours"
+                                  >
+                                    <Trash2 className="h-4 w-4" />
+                                  </button>
+                                </div>
+                              ))}
+                              <div className="flex gap-4 text-sm">
+                                <button
+                                  type="button"
+                                  onClick={() => addInterval(day.value)}
+                                  className="flex items-center gap-1 text-primary-600 hover:text-primary-700 font-medium"
+                                >
+                                  <Plus className="h-4 w-4" />
+                                  Add shift
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => copyToWorkingDays(day.value)}
+                                  className="text-gray-500 hover:text-gray-700"
+                                >
+                                  Copy to all working days
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
 
@@ -499,8 +650,216 @@ const AddMachine = () => {
               </div>
             )}
 
-            {/* Step 3: Location */}
+            {/* Step 3: Pricing Rules */}
             {step === 3 && (
+              <div className="space-y-6 animate-fade-in">
+                <div className="flex items-center gap-2 mb-6">
+                  <Percent className="h-6 w-6 text-primary-600" />
+                  <h2 className="text-xl font-semibold">Pricing Rules</h2>
+                </div>
+
+                <div className="p-4 bg-blue-50 rounded-xl text-sm text-blue-700 flex gap-2">
+                  <Info className="h-5 w-5 flex-shrink-0" />
+                  <p>Optional. Surcharges and discounts are a percentage of the acre rate and are shown to farmers in every quote.</p>
+                </div>
+
+                {/* Weekend & Urgent */}
+                <div className="grid sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Weekend Surcharge (%)</label>
+                    <input
+                      type="number"
+                      name="pricing.rules.weekendSurchargePercent"
+                      value={formData.pricing.rules.weekendSurchargePercent}
+                      onChange={handleChange}
+                      min="0"
+                      max="200"
+                      placeholder="0"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Urgent Booking Surcharge (%)</label>
+                    <input
+                      type="number"
+                      name="pricing.rules.urgentSurchargePercent"
+                      value={formData.pricing.rules.urgentSurchargePercent}
+                      onChange={handleChange}
+                      min="0"
+                      max="200"
+                      placeholder="0"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                </div>
+
+                {/* Peak Seasons */}
+                <div>
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="block text-sm font-medium text-gray-700">Peak Seasons</label>
+                    <button
+                      type="button"
+                      onClick={() => addRuleItem('peakSeasons', { name: '', startDate: '', endDate: '', surchargePercent: '' })}
+                      className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      <Plus className="h-4 w-4" />
+                      Add season
+                    </button>
+                  </div>
+                  <div className="space-y-3">
+                    {formData.pricing.rules.peakSeasons.map((season, index) => (
+                      <div key={index} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-center">
+                        <input
+                          type="text"
+                          value={season.name}
+                          onChange={(e) => changeRuleItem('peakSeasons', index, 'name', e.target.value)}
+                          placeholder="e.g., Harvest"
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <input
+                          type="date"
+                          value={season.startDate}
+                          onChange={(e) => changeRuleItem('peakSeasons', index, 'startDate', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <input
+                          type="date"
+                          value={season.endDate}
+                          min={season.startDate}
+                          onChange={(e) => changeRuleItem('peakSeasons', index, 'endDate', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <input
+                          type="number"
+                          value={season.surchargePercent}
+                          onChange={(e) => changeRuleItem('peakSeasons', index, 'surchargePercent', e.target.value)}
+                          min="0"
+                          max="200"
+                          placeholder="+ %"
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeRuleItem('peakSeasons', index)}
+                          className="p-2 text-gray-400 hover:text-red-500 justify-self-start"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    ))}
+                    {formData.pricing.rules.peakSeasons.length === 0 && (
+                      <p className="text-sm text-gray-500">No peak seasons. The acre rate applies all year.</p>
+                    )}
+                  </div>
+                </div>
+
+                {/* Volume Discounts */}
+                <div>
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="block text-sm font-medium text-gray-700">Volume Discounts</label>
+                    <button
+                      type="button"
+                      onClick={() => addRuleItem('volumeDiscounts', { minAcres: '', discountPercent: '' })}
+                      className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      <Plus className="h-4 w-4" />
+                      Add discount
+                    </button>
+                  </div>
+                  <div className="space-y-3">
+                    {formData.pricing.rules.volumeDiscounts.map((tier, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          value={tier.minAcres}
+                          onChange={(e) => changeRuleItem('volumeDiscounts', index, 'minAcres', e.target.value)}
+                          min="1"
+                          placeholder="Acres"
+                          className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <span className="text-sm text-gray-500">acres or more get</span>
+                        <input
+                          type="number"
+                          value={tier.discountPercent}
+                          onChange={(e) => changeRuleItem('volumeDiscounts', index, 'discountPercent', e.target.value)}
+                          min="0"
+                          max="90"
+                          placeholder="%"
+                          className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <span className="text-sm text-gray-500">% off</span>
+                        <button
+                          type="button"
+                          onClick={() => removeRuleItem('volumeDiscounts', index)}
+                          className="p-2 text-gray-400 hover:text-red-500"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    ))}
+                    {formData.pricing.rules.volumeDiscounts.length === 0 && (
+                      <p className="text-sm text-gray-500">No volume discounts.</p>
+                    )}
+                  </div>
+                </div>
+
+                {/* Cancellation Policy */}
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-1">Cancellation Policy</h3>
+                  <p className="text-sm text-gray-500 mb-3">Farmers can cancel for free until the cut-off; after that the fee is kept from their payment. Jobs already started cannot be cancelled.</p>
+                  <div className="grid sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Free Until (hours before job)</label>
+                      <input
+                        type="number"
+                        name="cancellationPolicy.freeUntilHours"
+                        value={formData.cancellationPolicy.freeUntilHours}
+                        onChange={handleChange}
+                        min="0"
+                        max="720"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Late Cancellation Fee (%)</label>
+                      <input
+                        type="number"
+                        name="cancellationPolicy.lateFeePercent"
+                        value={formData.cancellationPolicy.lateFeePercent}
+                        onChange={handleChange}
+                        min="0"
+                        max="100"
+                        placeholder="0"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                {/* Response Deadline */}
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-1">Response Deadline</h3>
+                  <p className="text-sm text-gray-500 mb-3">Booking requests you have not confirmed, countered or declined by then expire, so the farmer can look elsewhere.</p>
+                  <div className="grid sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Respond Within (hours)</label>
+                      <input
+                        type="number"
+                        name="responseDeadlineHours"
+                        value={formData.responseDeadlineHours}
+                        onChange={handleChange}
+                        min="1"
+                        max="168"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Step 4: Location */}
+            {step === 4 && (
               <div className="space-y-6 animate-fade-in">
                 <div className="flex items-center gap-2 mb-6">
                   <MapPin className="h-6 w-6 text-primary-600" />
@@ -568,8 +927,8 @@ const AddMachine = () => {
               </div>
             )}
 
-            {/* Step 4: Review */}
-            {step === 4 && (
+            {/* Step 5: Review */}
+            {step === 5 && (
               <div className="space-y-6 animate-fade-in">
                 <div className="flex items-center gap-2 mb-6">
                   <CheckCircle className="h-6 w-6 text-primary-600" />
@@ -590,12 +949,12 @@ const AddMachine = () => {
 
                   <div className="grid sm:grid-cols-2 gap-4 pt-4 border-t">
                     <div>
-                      <p className="text-sm text-gray-500">Hourly Rate</p>
-                      <p className="font-semibold text-primary-600">₹{formData.pricePerHour || '0'}/hour</p>
+                      <p className="text-sm text-gray-500">Rate per Acre</p>
+                      <p className="font-semibold text-primary-600">₹{formData.pricing.ratePerAcre || '0'}/acre</p>
                     </div>
                     <div>
-                      <p className="text-sm text-gray-500">Daily Rate</p>
-                      <p className="font-semibold text-primary-600">₹{formData.pricePerDay || (Number(formData.pricePerHour) * 8) || '0'}/day</p>
+                      <p className="text-sm text-gray-500">Travel Charge</p>
+                      <p className="font-semibold text-primary-600">₹{formData.pricing.travelChargePerKm || '0'}/km</p>
                     </div>
                     <div>
                       <p className="text-sm text-gray-500">Location</p>
@@ -603,17 +962,37 @@ const AddMachine = () => {
                     </div>
                     <div>
                       <p className="text-sm text-gray-500">Working Hours</p>
-                      <p className="font-semibold">{formData.availability.workingHoursStart} - {formData.availability.workingHoursEnd}</p>
+                      <p className="font-semibold">
+                        {summarizeWeeklyHours({ weeklyHours: toWeeklyHoursList(formData.availability.weeklyHours) })}
+                      </p>
+                    </div>
+                  </div>
+
+                  {describePricingRules(formData.pricing).length > 0 && (
+                    <div className="pt-4 border-t">
+                      <p className="text-sm text-gray-500 mb-2">Pricing Rules</p>
+                      <ul className="space-y-1 text-sm text-gray-700">
+                        {describePricingRules(formData.pricing).map(rule => (
+                          <li key={rule}>{rule}</li>
+                        ))}
+                      </ul>
                     </div>
+                  )}
+
+                  <div className="pt-4 border-t">
+                    <p className="text-sm text-gray-500 mb-2">Cancellation Policy</p>
+                    <p className="text-sm text-gray-700">{describeCancellationPolicy(formData.cancellationPolicy)}</p>
+                    <p className="text-sm text-gray-700">Requests expire if not answered within {formData.responseDeadlineHours} hours.</p>
                   </div>
 
                   <div className="pt-4 border-t">
                     <p className="text-sm text-gray-500 mb-2">Working Days</p>
-                    <div className="flex flex-wrap gap-2">
-                      {formData.availability.workingDays.map(day => (
-                        <span key={day} className="px-2 py-1 bg-green-100 text-green-700 rounded text-sm capitalize">
-                          {day.substring(0, 3)}
-                        </span>
+                    <div className="space-y-1 text-sm">
+                      {WEEK_DAYS.filter(day => formData.availability.weeklyHours[day.value].length).map(day => (
+                        <p key={day.value} className="text-gray-700">
+                          <span className="inline-block w-10 font-medium">{day.label}</span>
+                          {formatIntervals(formData.availability.weeklyHours[day.value])}
+                        </p>
                       ))}
                     </div>
                   </div>
@@ -638,7 +1017,7 @@ const AddMachine = () => {
                 </button>
               )}
               
-              {step < 4 ? (
+              {step < 5 ? (
                 <button
                   type="button"
                   onClick={handleNext}
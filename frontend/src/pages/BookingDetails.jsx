@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { bookingAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import BookingCard from '../components/BookingCard';
+import BookingTimeline from '../components/BookingTimeline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { ChevronLeft, History } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const BookingDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [booking, setBooking] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchBooking();
+  }, [id]);
+
+  const fetchBooking = async () => {
+    try {
+      setLoading(true);
+      const [bookingResponse, historyResponse] = await Promise.all([
+        bookingAPI.getById(id),
+        bookingAPI.getHistory(id)
+      ]);
+      setBooking(bookingResponse.data.data);
+      setHistory(historyResponse.data.data.history || []);
+    } catch (error) {
+      toast.error('Failed to load booking');
+      navigate('/bookings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!booking) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Back Button */}
+      <div className="bg-white border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <button
+            onClick={() => navigate('/bookings')}
+            className="flex items-center text-gray-600 hover:text-gray-900"
+          >
+            <ChevronLeft className="h-5 w-5 mr-1" />
+            Back to Bookings
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <BookingCard booking={booking} userRole={user?.role} />
+
+        {/* Status History */}
+        <div className="bg-white rounded-xl shadow-md border border-gray-100 p-5">
+          <div className="flex items-center gap-2 mb-4">
+            <History className="h-5 w-5 text-primary-600" />
+            <h2 className="text-lg font-semibold">Status History</h2>
+          </div>
+          <BookingTimeline history={history} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingDetails;
@@ -4,7 +4,7 @@ import { bookingAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import BookingCard from '../components/BookingCard';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { Calendar, Filter, Search } from 'lucide-react';
+import { Calendar, Filter, Search, X } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Bookings = () => {
@@ -13,14 +13,23 @@ const Bookings = () => {
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [counterBooking, setCounterBooking] = useState(null);
+  const [counterForm, setCounterForm] = useState({ date: '', startTime: '', totalCost: '', message: '' });
+  const [sendingCounter, setSendingCounter] = useState(false);
+  const [completeBooking, setCompleteBooking] = useState(null);
+  const [completeForm, setCompleteForm] = useState({ actualStart: '', actualEnd: '', actualAcres: '', fuelUsed: '', operatorNotes: '' });
+  const [sendingComplete, setSendingComplete] = useState(false);
 
   const statusFilters = [
     { value: 'all', label: 'All Bookings' },
     { value: 'pending', label: 'Pending' },
+    { value: 'countered', label: 'Counter-offers' },
     { value: 'confirmed', label: 'Confirmed' },
     { value: 'in_progress', label: 'In Progress' },
     { value: 'completed', label: 'Completed' },
-    { value: 'cancelled', label: 'Cancelled' }
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'expired', label: 'Expired' }
   ];
 
   useEffect(() => {
@@ -40,25 +49,195 @@ const Bookings = () => {
     }
   };
 
-  const handleStatusUpdate = async (bookingId, status) => {
+  const handleConfirm = async (bookingId) => {
     try {
-      await bookingAPI.updateStatus(bookingId, status);
-      toast.success(`Booking ${status}`);
+      await bookingAPI.confirm(bookingId);
+      toast.success('Booking confirmed');
       fetchBookings();
     } catch (error) {
-      toast.error('Failed to update booking');
+      toast.error(error.response?.data?.message || 'Failed to confirm booking');
+    }
+  };
+
+  const handleReject = async (bookingId) => {
+    const reason = window.prompt('Why are you rejecting this request? The farmer will see your reason.');
+    if (!reason?.trim()) return;
+
+    try {
+      await bookingAPI.reject(bookingId, reason.trim());
+      toast.success('Booking rejected');
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject booking');
+    }
+  };
+
+  const openCounterOffer = (booking) => {
+    setCounterBooking(booking);
+    setCounterForm({
+      date: booking.date ? new Date(booking.date).toISOString().split('T')[0] : '',
+      startTime: booking.timeSlots?.startTime || '',
+      totalCost: booking.cost?.totalCost || '',
+      message: ''
+    });
+  };
+
+  const handleCounterOffer = async (e) => {
+    e.preventDefault();
+    const original = counterBooking;
+
+    // Only send what the owner actually changed
+    const proposal = { message: counterForm.message || undefined };
+    if (counterForm.date && counterForm.date !== new Date(original.date).toISOString().split('T')[0]) {
+      proposal.date = counterForm.date;
+    }
+    if (counterForm.startTime && counterForm.startTime !== original.timeSlots?.startTime) {
+      proposal.startTime = counterForm.startTime;
+    }
+    if (counterForm.totalCost && Number(counterForm.totalCost) !== original.cost?.totalCost) {
+      proposal.totalCost = Number(counterForm.totalCost);
+    }
+    if (!proposal.date && !proposal.startTime && !proposal.totalCost) {
+      toast.error('Change the date, start time or price to make a counter-offer');
+      return;
+    }
+
+    setSendingCounter(true);
+    try {
+      await bookingAPI.counterOffer(original._id, proposal);
+      toast.success('Counter-offer sent');
+      setCounterBooking(null);
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send counter-offer');
+    } finally {
+      setSendingCounter(false);
+    }
+  };
+
+  const handleAcceptCounter = async (bookingId) => {
+    try {
+      await bookingAPI.acceptCounterOffer(bookingId);
+      toast.success('Offer accepted, booking confirmed');
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept offer');
+    }
+  };
+
+  const handleDeclineCounter = async (bookingId) => {
+    if (!window.confirm('Decline the offer? Your request will be cancelled.')) return;
+
+    try {
+      await bookingAPI.declineCounterOffer(bookingId);
+      toast.success('Offer declined');
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to decline offer');
+    }
+  };
+
+  const handleStart = async (bookingId) => {
+    try {
+      await bookingAPI.start(bookingId);
+      toast.success('Job started');
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start job');
+    }
+  };
+
+  // datetime-local inputs want local time without seconds
+  const toLocalInput = (value) => {
+    const date = new Date(value);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+  };
+
+  const openComplete = (booking) => {
+    setCompleteBooking(booking);
+    setCompleteForm({
+      actualStart: booking.workLog?.startedAt ? toLocalInput(booking.workLog.startedAt) : '',
+      actualEnd: toLocalInput(new Date()),
+      actualAcres: booking.acres || '',
+      fuelUsed: '',
+      operatorNotes: ''
+    });
+  };
+
+  const handleComplete = async (e) => {
+    e.preventDefault();
+    if (!completeForm.actualStart) {
+      toast.error('Enter when the work started');
+      return;
+    }
+
+    setSendingComplete(true);
+    try {
+      await bookingAPI.complete(completeBooking._id, {
+        actualStart: new Date(completeForm.actualStart).toISOString(),
+        actualEnd: new Date(completeForm.actualEnd).toISOString(),
+        actualAcres: Number(completeForm.actualAcres),
+        fuelUsed: completeForm.fuelUsed === '' ? undefined : Number(completeForm.fuelUsed),
+        operatorNotes: completeForm.operatorNotes || undefined
+      });
+      toast.success('Booking completed');
+      setCompleteBooking(null);
+      fetchBookings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to complete booking');
+    } finally {
+      setSendingComplete(false);
     }
   };
 
   const handleCancel = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) return;
+    let terms;
+    try {
+      const response = await bookingAPI.getCancellation(bookingId);
+      terms = response.data.data;
+    } catch (error) {
+      toast.error('Could not check the cancellation terms');
+      return;
+    }
+
+    if (!terms.allowed) {
+      toast.error(terms.reason);
+      return;
+    }
+
+    // Spell out the fee and refund before the farmer commits
+    const consequence = terms.fee > 0
+      ? `This is within ${terms.policy.freeUntilHours} hours of the job, so a ${terms.feePercent}% cancellation fee of ₹${terms.fee.toLocaleString()} applies.`
+      : 'Cancelling now is free.';
+    const money = terms.refund > 0
+      ? ` ₹${terms.refund.toLocaleString()} will be refunded to you.`
+      : terms.chargeDue > 0
+        ? ` ₹${terms.chargeDue.toLocaleString()} will be charged.`
+        : '';
+    if (!window.confirm(`${consequence}${money}\n\nCancel this booking?`)) return;
     
     try {
       await bookingAPI.cancel(bookingId);
-      toast.success('Booking cancelled');
+      toast.success(terms.fee > 0 ? `Booking cancelled (fee ₹${terms.fee.toLocaleString()})` : 'Booking cancelled');
       fetchBookings();
     } catch (error) {
-      toast.error('Failed to cancel booking');
+      toast.error(error.response?.data?.message || 'Failed to cancel booking');
+    }
+  };
+
+  const handleDownloadInvoice = async (bookingId) => {
+    try {
+      const response = await bookingAPI.getInvoice(bookingId, 'pdf');
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'invoice.pdf';
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download invoice');
     }
   };
 
@@ -172,13 +351,198 @@ const Bookings = () => {
                 key={booking._id}
                 booking={booking}
                 userRole={user?.role}
-                onStatusUpdate={handleStatusUpdate}
+                showActions
+                onConfirm={handleConfirm}
+                onStart={handleStart}
+                onComplete={openComplete}
+                onReject={handleReject}
+                onCounterOffer={openCounterOffer}
+                onAcceptCounter={handleAcceptCounter}
+                onDeclineCounter={handleDeclineCounter}
                 onCancel={handleCancel}
+                onDownloadInvoice={handleDownloadInvoice}
               />
             ))}
           </div>
         )}
       </div>
+
+      {/* Counter-offer Modal */}
+      {counterBooking && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleCounterOffer} className="bg-white rounded-2xl w-full max-w-md animate-fade-in">
+            <div className="px-6 py-4 border-b flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold">Counter-offer</h3>
+                <p className="text-sm text-gray-500">{counterBooking.machine?.name} • {counterBooking.acres} acres</p>
+              </div>
+              <button type="button" onClick={() => setCounterBooking(null)}>
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <p className="text-sm text-gray-600">Propose a different date, start time or price. The farmer can accept or decline.</p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Date</label>
+                  <input
+                    type="date"
+                    value={counterForm.date}
+                    min={new Date().toISOString().split('T')[0]}
+                    onChange={(e) => setCounterForm(prev => ({ ...prev, date: e.target.value }))}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start Time</label>
+                  <input
+                    type="time"
+                    value={counterForm.startTime}
+                    onChange={(e) => setCounterForm(prev => ({ ...prev, startTime: e.target.value }))}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Total Price (₹)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={counterForm.totalCost}
+                  onChange={(e) => setCounterForm(prev => ({ ...prev, totalCost: e.target.value }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">Leave unchanged to re-quote at your pricing for the new date.</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Message (optional)</label>
+                <textarea
+                  rows={2}
+                  maxLength={300}
+                  value={counterForm.message}
+                  onChange={(e) => setCounterForm(prev => ({ ...prev, message: e.target.value }))}
+                  placeholder="e.g. Fully booked that morning, can come the next day"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+            </div>
+
+            <div className="px-6 py-4 border-t flex gap-3">
+              <button
+                type="button"
+                onClick={() => setCounterBooking(null)}
+                className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sendingCounter}
+                className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 disabled:opacity-50"
+              >
+                {sendingCounter ? 'Sending...' : 'Send Offer'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Completion Modal */}
+      {completeBooking && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleComplete} className="bg-white rounded-2xl w-full max-w-md animate-fade-in">
+            <div className="px-6 py-4 border-b flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold">Complete Job</h3>
+                <p className="text-sm text-gray-500">{completeBooking.machine?.name} • {completeBooking.acres} acres booked</p>
+              </div>
+              <button type="button" onClick={() => setCompleteBooking(null)}>
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <p className="text-sm text-gray-600">Record what was actually done. The bill is recalculated if the acres differ from the booking.</p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Started</label>
+                  <input
+                    type="datetime-local"
+                    required
+                    value={completeForm.actualStart}
+                    onChange={(e) => setCompleteForm(prev => ({ ...prev, actualStart: e.target.value }))}
+                    className="w-full px-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Finished</label>
+                  <input
+                    type="datetime-local"
+                    required
+                    value={completeForm.actualEnd}
+                    onChange={(e) => setCompleteForm(prev => ({ ...prev, actualEnd: e.target.value }))}
+                    className="w-full px-3 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Acres Covered</label>
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.1"
+                    required
+                    value={completeForm.actualAcres}
+                    onChange={(e) => setCompleteForm(prev => ({ ...prev, actualAcres: e.target.value }))}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Fuel Used (L)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={completeForm.fuelUsed}
+                    onChange={(e) => setCompleteForm(prev => ({ ...prev, fuelUsed: e.target.value }))}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Operator Notes (optional)</label>
+                <textarea
+                  rows={2}
+                  maxLength={500}
+                  value={completeForm.operatorNotes}
+                  onChange={(e) => setCompleteForm(prev => ({ ...prev, operatorNotes: e.target.value }))}
+                  placeholder="e.g. Wet patch near the canal left for later"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+            </div>
+
+            <div className="px-6 py-4 border-t flex gap-3">
+              <button
+                type="button"
+                onClick={() => setCompleteBooking(null)}
+                className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sendingComplete}
+                className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 disabled:opacity-50"
+              >
+                {sendingComplete ? 'Saving...' : 'Complete Job'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
@@ -15,6 +15,23 @@ import {
 import toast from 'react-hot-toast';
 import { format, addDays, isBefore, startOfDay } from 'date-fns';
 
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTimeString = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Start times offered inside each free slot, every 30 minutes up to its latest start
+const getStartOptions = (slots = []) => slots.flatMap(slot => {
+  const options = [];
+  for (let time = toMinutes(slot.startTime); time <= toMinutes(slot.latestStart || slot.startTime); time += 30) {
+    options.push(toTimeString(time));
+  }
+  return options;
+});
+
 const CreateBooking = () => {
   const { machineId } = useParams();
   const navigate = useNavigate();
@@ -22,9 +39,16 @@ const CreateBooking = () => {
   const [machine, setMachine] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  const [slotInfo, setSlotInfo] = useState(null);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [loadingQuote, setLoadingQuote] = useState(false);
   const [formData, setFormData] = useState({
     date: format(addDays(new Date(), 1), 'yyyy-MM-dd'),
     startTime: '08:00',
+    latestFinish: '',
+    mustFinishBy: '',
     duration: 4,
     fieldLocation: {
       village: user?.location?.village || '',
@@ -33,7 +57,11 @@ const CreateBooking = () => {
       fieldArea: ''
     },
     priority: 'normal',
-    notes: ''
+    notes: '',
+    fleetRequest: {
+      enabled: false,
+      maxDistanceKm: 10
+    }
   });
 
   const durations = [
@@ -43,6 +71,9 @@ const CreateBooking = () => {
     { value: 8, label: '8 hours (Full Day)' }
   ];
 
+  // Backend stores priority as 1 (normal) to 3 (urgent)
+  const priorityLevels = { normal: 1, high: 2, urgent: 3 };
+
   const priorities = [
     { value: 'normal', label: 'Normal', desc: 'Regular scheduling', color: 'gray' },
     { value: 'high', label: 'High Priority', desc: 'Prioritized scheduling', color: 'orange' },
@@ -53,10 +84,77 @@ const CreateBooking = () => {
     fetchMachine();
   }, [machineId]);
 
+  useEffect(() => {
+    const acres = Number(formData.fieldLocation.fieldArea);
+    if (!machine || !(acres > 0)) {
+      setSlotInfo(null);
+      return;
+    }
+    fetchSlots(acres);
+  }, [machine, formData.date, formData.fieldLocation.fieldArea]);
+
+  // Re-price as the form changes; waits for typing to settle before asking the server
+  useEffect(() => {
+    const acres = Number(formData.fieldLocation.fieldArea);
+    if (!machine || !(acres > 0)) {
+      setQuote(null);
+      setQuoteError('');
+      return;
+    }
+    const timer = setTimeout(() => fetchQuote(acres), 300);
+    return () => clearTimeout(timer);
+  }, [machine, formData.date, formData.fieldLocation.fieldArea, formData.priority]);
+
+  const fetchQuote = async (acres) => {
+    try {
+      setLoadingQuote(true);
+      const response = await machineAPI.getQuote(machineId, {
+        acres,
+        date: formData.date,
+        priority: priorityLevels[formData.priority],
+        fieldLocation: { coordinates: user?.location?.coordinates }
+      });
+      setQuote(response.data.data);
+      setQuoteError('');
+    } catch (error) {
+      setQuote(null);
+      setQuoteError(error.response?.data?.message || 'Failed to price this job');
+    } finally {
+      setLoadingQuote(false);
+    }
+  };
+
+  const fetchSlots = async (acres) => {
+    try {
+      setLoadingSlots(true);
+      const response = await machineAPI.getSlots(machineId, {
+        date: formData.date,
+        acres,
+        latitude: user?.location?.coordinates?.latitude,
+        longitude: user?.location?.coordinates?.longitude,
+        days: 3
+      });
+      const info = response.data.data;
+      setSlotInfo(info);
+
+      // Keep the chosen start only if it is still free
+      const options = getStartOptions(info.slots);
+      setFormData(prev => ({
+        ...prev,
+        startTime: options.includes(prev.startTime) ? prev.startTime : (options[0] || '')
+      }));
+    } catch (error) {
+      setSlotInfo(null);
+      toast.error(error.response?.data?.message || 'Failed to load free slots');
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
   const fetchMachine = async () => {
     try {
       setLoading(true);
-      const response = await machineAPI.getOne(machineId);
+      const response = await machineAPI.getById(machineId);
       setMachine(response.data.data);
       
       // Set minimum booking duration from machine settings
@@ -87,27 +185,6 @@ const CreateBooking = () => {
     }
   };
 
-  const calculateCost = () => {
-    if (!machine) return { base: 0, service: 0, total: 0 };
-    
-    const hourlyRate = machine.pricePerHour;
-    const hours = formData.duration;
-    let baseCost = hourlyRate * hours;
-    
-    // Apply day rate discount if booking 8+ hours
-    if (hours >= 8 && machine.pricePerDay && machine.pricePerDay < baseCost) {
-      baseCost = machine.pricePerDay;
-    }
-    
-    const serviceFee = Math.round(baseCost * 0.05); // 5% service fee
-    
-    return {
-      base: baseCost,
-      service: serviceFee,
-      total: baseCost + serviceFee
-    };
-  };
-
   const validateForm = () => {
     const selectedDate = new Date(formData.date);
     const today = startOfDay(new Date());
@@ -122,6 +199,26 @@ const CreateBooking = () => {
       return false;
     }
 
+    if (!(Number(formData.fieldLocation.fieldArea) > 0)) {
+      toast.error('Please enter the field area in acres');
+      return false;
+    }
+
+    if (!slotInfo || !getStartOptions(slotInfo.slots).includes(formData.startTime)) {
+      toast.error('Please pick one of the free start times');
+      return false;
+    }
+
+    if (formData.latestFinish && formData.latestFinish <= formData.startTime) {
+      toast.error('Latest finish time must be after the start time');
+      return false;
+    }
+
+    if (formData.mustFinishBy && formData.mustFinishBy < formData.date) {
+      toast.error('Must-finish-by date cannot be before the booking date');
+      return false;
+    }
+
     if (formData.duration < (machine?.availability?.minimumBookingHours || 2)) {
       toast.error(`Minimum booking is ${machine?.availability?.minimumBookingHours || 2} hours`);
       return false;
@@ -137,22 +234,18 @@ const CreateBooking = () => {
 
     setSubmitting(true);
     try {
-      const [hours, minutes] = formData.startTime.split(':');
-      const startDateTime = new Date(formData.date);
-      startDateTime.setHours(parseInt(hours), parseInt(minutes), 0);
-
-      const endDateTime = new Date(startDateTime);
-      endDateTime.setHours(endDateTime.getHours() + formData.duration);
-
-      const cost = calculateCost();
-
       const bookingData = {
         machine: machineId,
-        timeSlot: {
-          date: formData.date,
-          startTime: startDateTime.toISOString(),
-          endTime: endDateTime.toISOString()
+        date: formData.date,
+        acres: Number(formData.fieldLocation.fieldArea),
+        // Reserves the chosen free slot
+        startTime: formData.startTime,
+        // The scheduler keeps the job inside this window
+        timeWindow: {
+          earliestStart: formData.startTime,
+          latestFinish: formData.latestFinish || undefined
         },
+        mustFinishBy: formData.mustFinishBy || undefined,
         fieldLocation: {
           ...formData.fieldLocation,
           coordinates: {
@@ -160,13 +253,12 @@ const CreateBooking = () => {
             longitude: user?.location?.coordinates?.longitude || 0
           }
         },
-        priority: formData.priority,
+        priority: priorityLevels[formData.priority],
         notes: formData.notes,
-        cost: {
-          baseCost: cost.base,
-          serviceFee: cost.service,
-          totalCost: cost.total
-        }
+        fleetRequest: formData.fleetRequest.enabled ? {
+          enabled: true,
+          maxDistanceKm: Number(formData.fleetRequest.maxDistanceKm) || undefined
+        } : undefined
       };
 
       await bookingAPI.create(bookingData);
@@ -174,6 +266,10 @@ const CreateBooking = () => {
       navigate('/bookings');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to create booking');
+      // Slot was taken meanwhile: reload the free slots so the farmer can pick another
+      if (error.response?.status === 409) {
+        fetchSlots(Number(formData.fieldLocation.fieldArea));
+      }
     } finally {
       setSubmitting(false);
     }
@@ -187,7 +283,6 @@ const CreateBooking = () => {
     return null;
   }
 
-  const cost = calculateCost();
   const minDate = format(addDays(new Date(), 1), 'yyyy-MM-dd');
   const maxDate = format(addDays(new Date(), 30), 'yyyy-MM-dd');
 
@@ -238,19 +333,76 @@ const CreateBooking = () => {
                         className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                       />
                     </div>
+                    <div className="sm:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Earliest Start *</label>
+                      {!slotInfo ? (
+                        <p className="text-sm text-gray-500">
+                          {loadingSlots ? 'Checking free slots...' : 'Enter your field area below to see free start times.'}
+                        </p>
+                      ) : getStartOptions(slotInfo.slots).length > 0 ? (
+                        <div className="grid grid-cols-4 sm:grid-cols-6 gap-2">
+                          {getStartOptions(slotInfo.slots).map(time => (
+                            <button
+                              key={time}
+                              type="button"
+                              onClick={() => setFormData(prev => ({ ...prev, startTime: time }))}
+                              className={`px-2 py-2 border-2 rounded-lg text-sm transition-all ${
+                                formData.startTime === time
+                                  ? 'border-primary-500 bg-primary-50 text-primary-700'
+                                  : 'border-gray-200 hover:border-gray-300'
+                              }`}
+                            >
+                              {time}
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-red-600">{slotInfo.reason || 'No free slots on this day'}</p>
+                      )}
+                      {slotInfo && (
+                        <p className="mt-2 text-xs text-gray-500">
+                          Work takes about {Math.round(slotInfo.requiredDuration / 6) / 10} hours; start times leave room to travel between jobs
+                        </p>
+                      )}
+                      {slotInfo?.nextAvailable?.length > 0 && (
+                        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                          <span className="text-gray-500">Other days with free slots:</span>
+                          {slotInfo.nextAvailable.map(day => (
+                            <button
+                              key={day.date}
+                              type="button"
+                              onClick={() => setFormData(prev => ({ ...prev, date: day.date }))}
+                              className="px-3 py-1 bg-primary-50 text-primary-700 rounded-full hover:bg-primary-100"
+                            >
+                              {format(new Date(`${day.date}T00:00:00`), 'EEE, MMM dd')}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
                     <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">Start Time *</label>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Latest Finish</label>
                       <input
                         type="time"
-                        name="startTime"
-                        value={formData.startTime}
+                        name="latestFinish"
+                        value={formData.latestFinish}
                         onChange={handleChange}
-                        min={machine.availability?.workingHoursStart || '06:00'}
-                        max={machine.availability?.workingHoursEnd || '18:00'}
-                        required
+                        min={formData.startTime}
                         className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                       />
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Must Finish By</label>
+                      <input
+                        type="date"
+                        name="mustFinishBy"
+                        value={formData.mustFinishBy}
+                        onChange={handleChange}
+                        min={formData.date}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">For harvest-critical work that cannot slip</p>
+                    </div>
                   </div>
                 </div>
 
@@ -271,7 +423,6 @@ const CreateBooking = () => {
                         } ${d.value < (machine.availability?.minimumBookingHours || 2) ? 'opacity-50 cursor-not-allowed' : ''}`}
                       >
                         <div className="font-semibold">{d.value}h</div>
-                        <div className="text-xs text-gray-500">₹{machine.pricePerHour * d.value}</div>
                       </button>
                     ))}
                   </div>
@@ -312,7 +463,7 @@ const CreateBooking = () => {
                         />
                       </div>
                       <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Field Area (acres)</label>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Field Area (acres) *</label>
                         <input
                           type="number"
                           name="fieldLocation.fieldArea"
@@ -351,6 +502,40 @@ const CreateBooking = () => {
                   </div>
                 </div>
 
+                {/* Fleet Option */}
+                <div className="p-4 border border-gray-200 rounded-xl">
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.fleetRequest.enabled}
+                      onChange={(e) => setFormData(prev => ({
+                        ...prev,
+                        fleetRequest: { ...prev.fleetRequest, enabled: e.target.checked }
+                      }))}
+                      className="h-4 w-4 text-primary-600 rounded"
+                    />
+                    <span className="text-sm font-medium text-gray-700 capitalize">
+                      Accept any {machine?.type?.replace('_', ' ') || 'machine'} from this owner
+                    </span>
+                  </label>
+                  {formData.fleetRequest.enabled && (
+                    <div className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                      <span>Within</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.fleetRequest.maxDistanceKm}
+                        onChange={(e) => setFormData(prev => ({
+                          ...prev,
+                          fleetRequest: { ...prev.fleetRequest, maxDistanceKm: e.target.value }
+                        }))}
+                        className="w-20 px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                      <span>km of my field</span>
+                    </div>
+                  )}
+                </div>
+
                 {/* Notes */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">Additional Notes</label>
@@ -384,7 +569,7 @@ const CreateBooking = () => {
                   ) : (
                     <>
                       <CheckCircle className="h-5 w-5 mr-2" />
-                      Confirm Booking - ₹{cost.total}
+                      Confirm Booking{quote ? ` - ₹${quote.totalCost}` : ''}
                     </>
                   )}
                 </button>
@@ -405,7 +590,7 @@ const CreateBooking = () => {
                 <div>
                   <h4 className="font-medium text-gray-900">{machine.name}</h4>
                   <p className="text-sm text-gray-500 capitalize">{machine.type?.replace('_', ' ')}</p>
-                  <p className="text-sm text-primary-600 font-medium">₹{machine.pricePerHour}/hour</p>
+                  <p className="text-sm text-primary-600 font-medium">₹{machine.pricing?.ratePerAcre}/acre</p>
                 </div>
               </div>
 
@@ -423,25 +608,50 @@ const CreateBooking = () => {
                   <span className="text-gray-500">Duration</span>
                   <span className="font-medium">{formData.duration} hours</span>
                 </div>
+                {quote && (
+                  <>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-500">Estimated work</span>
+                      <span className="font-medium">
+                        {Math.floor(quote.estimatedDuration / 60)}h {quote.estimatedDuration % 60}m
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-500">Earliest free slot</span>
+                      <span className="font-medium">
+                        {quote.earliestSlot
+                          ? `${format(new Date(quote.earliestSlot.date), 'MMM dd')}, ${quote.earliestSlot.startTime}`
+                          : 'None in the next 2 weeks'}
+                      </span>
+                    </div>
+                  </>
+                )}
               </div>
 
               {/* Cost Breakdown */}
               <div className="py-4 space-y-3 border-b">
-                <div className="flex justify-between text-sm">
-                  <span className="text-gray-500">Rental Cost</span>
-                  <span>₹{cost.base}</span>
-                </div>
-                <div className="flex justify-between text-sm">
-                  <span className="text-gray-500">Service Fee (5%)</span>
-                  <span>₹{cost.service}</span>
-                </div>
+                {!quote && (
+                  <p className="text-sm text-gray-500">
+                    {loadingQuote ? 'Pricing your job...' : quoteError || 'Enter the field area to see the price'}
+                  </p>
+                )}
+                {quote?.items.map(item => (
+                  <div key={item.code} className="flex justify-between text-sm">
+                    <span className="text-gray-500">{item.label}</span>
+                    <span className={item.amount < 0 ? 'text-green-600' : ''}>
+                      {item.amount < 0 ? `−₹${-item.amount}` : `₹${item.amount}`}
+                    </span>
+                  </div>
+                ))}
               </div>
 
               {/* Total */}
               <div className="pt-4">
                 <div className="flex justify-between items-center">
                   <span className="font-semibold text-gray-900">Total</span>
-                  <span className="text-2xl font-bold text-primary-600">₹{cost.total}</span>
+                  <span className={`text-2xl font-bold text-primary-600 ${loadingQuote ? 'opacity-50' : ''}`}>
+                    ₹{quote?.totalCost ?? 0}
+                  </span>
                 </div>
                 <p className="text-xs text-gray-500 mt-1">Payment after work completion</p>
               </div>
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { machineAPI, bookingAPI } from '../services/api';
+import { machineAPI, bookingAPI, paymentAPI } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import MachineCard from '../components/MachineCard';
 import { 
@@ -48,9 +48,10 @@ const Dashboard = () => {
       // Calculate stats
       const pending = bookings.filter(b => b.status === 'pending').length;
       const completed = bookings.filter(b => b.status === 'completed').length;
-      const earnings = bookings
-        .filter(b => b.status === 'completed')
-        .reduce((sum, b) => sum + (b.cost?.totalCost || 0), 0);
+      
+      // Earnings (owners) or spend (farmers) is the money actually moved, net of refunds
+      const paymentsRes = await paymentAPI.getSummary();
+      const earnings = paymentsRes.data.data?.net || 0;
       
       setStats(prev => ({
         ...prev,
@@ -82,7 +83,8 @@ const Dashboard = () => {
       confirmed: { icon: CheckCircle, color: 'bg-blue-100 text-blue-700', label: 'Confirmed' },
       in_progress: { icon: TrendingUp, color: 'bg-purple-100 text-purple-700', label: 'In Progress' },
       completed: { icon: CheckCircle, color: 'bg-green-100 text-green-700', label: 'Completed' },
-      cancelled: { icon: XCircle, color: 'bg-red-100 text-red-700', label: 'Cancelled' }
+      cancelled: { icon: XCircle, color: 'bg-red-100 text-red-700', label: 'Cancelled' },
+      expired: { icon: Clock, color: 'bg-gray-100 text-gray-600', label: 'Expired' }
     };
     return badges[status] || badges.pending;
   };
@@ -345,7 +347,7 @@ const Dashboard = () => {
                       </div>
                       <div className="flex-1 min-w-0">
                         <p className="font-medium text-gray-900 truncate">{machine.name}</p>
-                        <p className="text-sm text-primary-600">₹{machine.pricePerHour}/hr</p>
+                        <p className="text-sm text-primary-600">₹{machine.pricing?.ratePerAcre}/acre</p>
                       </div>
                       <div className={`w-2 h-2 rounded-full ${
                         machine.availability?.isAvailable ? 'bg-green-500' : 'bg-gray-300'
@@ -2,7 +2,14 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { machineAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { describePricingRules, describeCancellationPolicy } from '../utils/pricing';
+import { describeBlackout, upcomingBlackouts } from '../utils/blackouts';
+import { WEEK_DAYS, getWeeklyHours, formatIntervals } from '../utils/workingHours';
 import LoadingSpinner from '../components/LoadingSpinner';
+import TimeCalibrationPanel from '../components/TimeCalibrationPanel';
+import JobSheetPanel from '../components/JobSheetPanel';
+import BlackoutPanel from '../components/BlackoutPanel';
+import MaintenancePanel from '../components/MaintenancePanel';
 import { 
   MapPin, 
   Star, 
@@ -22,6 +29,13 @@ import {
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// e.g. 45 min, 3 h, 2 days
+const formatResponseTime = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h`;
+  return `${Math.round(minutes / (24 * 60))} days`;
+};
+
 const MachineDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -29,6 +43,7 @@ const MachineDetails = () => {
   const [machine, setMachine] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeImage, setActiveImage] = useState(0);
+  const [responseStats, setResponseStats] = useState(null);
 
   const machineEmojis = {
     tractor: '🚜',
@@ -49,8 +64,12 @@ const MachineDetails = () => {
   const fetchMachine = async () => {
     try {
       setLoading(true);
-      const response = await machineAPI.getOne(id);
+      const response = await machineAPI.getById(id);
       setMachine(response.data.data);
+      // The owner's response record is extra; the page works without it
+      machineAPI.getResponseStats(id)
+        .then(res => setResponseStats(res.data.data))
+        .catch(() => setResponseStats(null));
     } catch (error) {
       toast.error('Failed to load machine details');
       navigate('/machines');
@@ -79,6 +98,8 @@ const MachineDetails = () => {
   const images = machine.images?.length > 0 
     ? machine.images 
     : [`https://via.placeholder.com/800x600/16a34a/ffffff?text=${machine.type}`];
+  const pricingRules = describePricingRules(machine.pricing);
+  const weeklyHours = getWeeklyHours(machine.availability);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -182,14 +203,24 @@ const MachineDetails = () => {
             {/* Price */}
             <div className="bg-primary-50 rounded-2xl p-6">
               <div className="flex items-baseline gap-2">
-                <span className="text-4xl font-bold text-primary-600">₹{machine.pricePerHour}</span>
-                <span className="text-gray-600">/hour</span>
+                <span className="text-4xl font-bold text-primary-600">₹{machine.pricing?.ratePerAcre}</span>
+                <span className="text-gray-600">/acre</span>
               </div>
-              {machine.pricePerDay && (
+              {machine.pricing?.travelChargePerKm > 0 && (
                 <p className="text-sm text-gray-600 mt-1">
-                  or ₹{machine.pricePerDay}/day (save {Math.round((1 - machine.pricePerDay / (machine.pricePerHour * 8)) * 100)}%)
+                  + ₹{machine.pricing.travelChargePerKm}/km travel from the machine's base
                 </p>
               )}
+              {pricingRules.length > 0 && (
+                <ul className="mt-3 pt-3 border-t border-primary-100 space-y-1 text-sm text-gray-700">
+                  {pricingRules.map(rule => (
+                    <li key={rule}>{rule}</li>
+                  ))}
+                </ul>
+              )}
+              <p className="mt-3 pt-3 border-t border-primary-100 text-sm text-gray-600">
+                {describeCancellationPolicy(machine.cancellationPolicy)}
+              </p>
             </div>
 
             {/* Quick Specs */}
@@ -236,22 +267,42 @@ const MachineDetails = () => {
                 <Clock className="h-5 w-5 text-primary-600" />
                 Working Hours
               </h3>
-              <div className="flex flex-wrap gap-2">
-                {machine.availability?.workingDays?.map(day => (
-                  <span key={day} className="px-3 py-1 bg-green-50 text-green-700 rounded-full text-sm capitalize">
-                    {day}
-                  </span>
-                )) || ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => (
-                  <span key={day} className="px-3 py-1 bg-green-50 text-green-700 rounded-full text-sm capitalize">
-                    {day}
-                  </span>
+              <div className="space-y-1">
+                {WEEK_DAYS.map(day => (
+                  <div key={day.value} className="flex justify-between text-sm">
+                    <span className="text-gray-500">{day.label}</span>
+                    <span className={weeklyHours[day.value].length ? 'text-gray-700' : 'text-gray-400'}>
+                      {weeklyHours[day.value].length ? formatIntervals(weeklyHours[day.value]) : 'Closed'}
+                    </span>
+                  </div>
                 ))}
               </div>
-              <p className="text-sm text-gray-600 mt-2">
-                {machine.availability?.workingHoursStart || '06:00'} - {machine.availability?.workingHoursEnd || '18:00'}
-              </p>
+              {upcomingBlackouts(machine.blackouts).length > 0 && (
+                <div className="mt-3 pt-3 border-t">
+                  <p className="text-xs font-medium text-gray-500 mb-1">Not available</p>
+                  {upcomingBlackouts(machine.blackouts).map(blackout => (
+                    <p key={blackout._id} className="text-sm text-red-600">{describeBlackout(blackout)}</p>
+                  ))}
+                </div>
+              )}
             </div>
 
+            {/* Time per Acre, operator job sheet, blackouts and maintenance (owner only) */}
+            {(user?.role === 'admin' || (machine.owner?._id || machine.owner) === user?._id) && (
+              <>
+                <TimeCalibrationPanel machineId={machine._id} />
+                <JobSheetPanel machine={machine} />
+                <BlackoutPanel
+                  machine={machine}
+                  onChange={(blackouts) => setMachine({ ...machine, blackouts })}
+                />
+                <MaintenancePanel
+                  machineId={machine._id}
+                  onBlackoutAdded={(blackout) => setMachine({ ...machine, blackouts: [...(machine.blackouts || []), blackout] })}
+                />
+              </>
+            )}
+
             {/* Owner Info */}
             {machine.owner && (
               <div className="bg-white rounded-xl border p-4">
@@ -279,6 +330,29 @@ const MachineDetails = () => {
                     </a>
                   )}
                 </div>
+                {responseStats && (
+                  <div className="mt-4 pt-4 border-t">
+                    <div className="grid grid-cols-2 gap-4 text-sm">
+                      <div>
+                        <div className="text-gray-500">Response rate</div>
+                        <div className="font-semibold text-gray-900">
+                          {responseStats.responseRate !== null ? `${responseStats.responseRate}%` : 'No requests yet'}
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Usually responds</div>
+                        <div className="font-semibold text-gray-900">
+                          {responseStats.medianResponseMinutes !== null
+                            ? `within ${formatResponseTime(responseStats.medianResponseMinutes)}`
+                            : '—'}
+                        </div>
+                      </div>
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">
+                      Requests not answered within {responseStats.deadlineHours} hours expire. Based on the last {responseStats.periodDays} days.
+                    </p>
+                  </div>
+                )}
               </div>
             )}
 
@@ -36,8 +36,8 @@ const Machines = () => {
   const sortOptions = [
     { value: 'createdAt-desc', label: 'Newest First' },
     { value: 'createdAt-asc', label: 'Oldest First' },
-    { value: 'pricePerHour-asc', label: 'Price: Low to High' },
-    { value: 'pricePerHour-desc', label: 'Price: High to Low' },
+    { value: 'pricing.ratePerAcre-asc', label: 'Price: Low to High' },
+    { value: 'pricing.ratePerAcre-desc', label: 'Price: High to Low' },
     { value: 'rating-desc', label: 'Highest Rated' }
   ];
 
@@ -59,10 +59,10 @@ const Machines = () => {
 
       // Client-side price filtering
       if (filters.minPrice) {
-        filteredMachines = filteredMachines.filter(m => m.pricePerHour >= Number(filters.minPrice));
+        filteredMachines = filteredMachines.filter(m => m.pricing?.ratePerAcre >= Number(filters.minPrice));
       }
       if (filters.maxPrice) {
-        filteredMachines = filteredMachines.filter(m => m.pricePerHour <= Number(filters.maxPrice));
+        filteredMachines = filteredMachines.filter(m => m.pricing?.ratePerAcre <= Number(filters.maxPrice));
       }
 
       setMachines(filteredMachines);
@@ -270,7 +270,7 @@ const Machines = () => {
 
               {/* Price Range */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Price Range (₹/hour)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Price Range (₹/acre)</label>
                 <div className="flex gap-4">
                   <input
                     type="number"
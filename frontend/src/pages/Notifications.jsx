@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { Bell, CheckCheck } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 20;
+
+const Notifications = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    fetchNotifications(1);
+  }, [unreadOnly]);
+
+  const fetchNotifications = async (pageToLoad) => {
+    try {
+      setLoading(pageToLoad === 1);
+      const response = await notificationAPI.getAll({
+        page: pageToLoad,
+        limit: PAGE_SIZE,
+        ...(unreadOnly && { unread: true })
+      });
+      const items = response.data.data || [];
+      setNotifications((current) => (pageToLoad === 1 ? items : [...current, ...items]));
+      setUnreadCount(response.data.unreadCount || 0);
+      setPage(pageToLoad);
+      setTotalPages(response.data.totalPages || 1);
+    } catch (error) {
+      toast.error('Failed to load notifications');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const response = await notificationAPI.markRead(notification._id);
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      toast.success('All notifications marked as read');
+      fetchNotifications(1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Notifications</h1>
+            <p className="text-gray-600">
+              {unreadCount > 0 ? `${unreadCount} unread` : 'You are all caught up'}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {[{ value: false, label: 'All' }, { value: true, label: 'Unread' }].map(({ value, label }) => (
+                <button
+                  key={label}
+                  onClick={() => setUnreadOnly(value)}
+                  className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                    unreadOnly === value ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center space-x-1 px-4 py-2 text-sm font-medium text-primary-700 bg-primary-50 rounded-lg hover:bg-primary-100"
+              >
+                <CheckCheck className="h-4 w-4" />
+                <span>Mark all read</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        {notifications.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm p-12 text-center">
+            <Bell className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">
+              {unreadOnly ? 'No unread notifications' : 'No notifications yet'}
+            </p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-sm divide-y divide-gray-100">
+            {notifications.map((notification) => (
+              <button
+                key={notification._id}
+                onClick={() => handleOpen(notification)}
+                className={`w-full text-left px-6 py-4 hover:bg-gray-50 transition-colors first:rounded-t-xl last:rounded-b-xl ${
+                  notification.readAt ? '' : 'bg-primary-50/50'
+                }`}
+              >
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex items-start gap-3">
+                    <span className={`mt-1.5 h-2 w-2 rounded-full flex-shrink-0 ${notification.readAt ? 'bg-transparent' : 'bg-primary-500'}`} />
+                    <div>
+                      <p className={notification.readAt ? 'text-gray-700' : 'font-semibold text-gray-900'}>
+                        {notification.title}
+                      </p>
+                      <p className="text-sm text-gray-500 mt-1">{notification.message}</p>
+                    </div>
+                  </div>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">
+                    {format(new Date(notification.createdAt), 'dd MMM, h:mm a')}
+                  </span>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {page < totalPages && (
+          <div className="text-center mt-6">
+            <button
+              onClick={() => fetchNotifications(page + 1)}
+              className="px-6 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
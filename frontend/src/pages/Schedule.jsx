@@ -55,13 +55,21 @@ const Schedule = () => {
     }
   };
 
+  // Each status change has its own endpoint
+  const statusActions = {
+    confirmed: bookingAPI.confirm,
+    in_progress: bookingAPI.start,
+    completed: bookingAPI.complete,
+    cancelled: bookingAPI.cancel
+  };
+
   const handleStatusUpdate = async (bookingId, status) => {
     try {
-      await bookingAPI.updateStatus(bookingId, status);
-      toast.success(`Booking ${status}`);
+      await statusActions[status](bookingId);
+      toast.success(`Booking ${status.replace('_', ' ')}`);
       fetchBookings();
     } catch (error) {
-      toast.error('Failed to update booking');
+      toast.error(error.response?.data?.message || 'Failed to update booking');
     }
   };
 
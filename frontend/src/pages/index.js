@@ -5,6 +5,8 @@ export { default as Machines } from './Machines';
 export { default as MachineDetails } from './MachineDetails';
 export { default as AddMachine } from './AddMachine';
 export { default as Bookings } from './Bookings';
+export { default as BookingDetails } from './BookingDetails';
 export { default as CreateBooking } from './CreateBooking';
 export { default as Dashboard } from './Dashboard';
 export { default as Schedule } from './Schedule';
+export { default as Notifications } from './Notifications';
@@ -9,10 +9,39 @@ const api = axios.create({
   },
 });
 
+const TOKEN_STORAGE_KEY = 'agroshare_tokens';
+
+// Token helpers (shared with AuthContext)
+export const getStoredTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const setStoredTokens = (tokens) => {
+  if (tokens) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+const clearSession = () => {
+  setStoredTokens(null);
+  localStorage.removeItem('agroshare_user');
+  window.location.href = '/login';
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // You can add auth token here later
+    // Attach the access token to every request
+    const tokens = getStoredTokens();
+    if (tokens?.accessToken) {
+      config.headers.Authorization = `Bearer ${tokens.accessToken}`;
+    }
     return config;
   },
   (error) => {
@@ -20,14 +49,43 @@ api.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by all requests that fail with 401
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const tokens = getStoredTokens();
+  if (!tokens?.refreshToken) {
+    throw new Error('No refresh token');
+  }
+  // Plain axios so this call skips the interceptors above
+  const response = await axios.post(`${API_BASE_URL}/users/refresh-token`, {
+    refreshToken: tokens.refreshToken,
+  });
+  setStoredTokens(response.data.tokens);
+  return response.data.tokens;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized
-      localStorage.removeItem('agroshare_user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRoute = originalRequest?.url?.startsWith('/users/login') ||
+      originalRequest?.url?.startsWith('/users/register');
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRoute) {
+      originalRequest._retry = true;
+      try {
+        refreshPromise = refreshPromise || refreshTokens();
+        const tokens = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${tokens.accessToken}`;
+        return api(originalRequest);
+      } catch {
+        // Refresh failed - session is over
+        clearSession();
+      } finally {
+        refreshPromise = null;
+      }
     }
     return Promise.reject(error);
   }
@@ -39,6 +97,7 @@ export default api;
 export const userAPI = {
   register: (data) => api.post('/users/register', data),
   login: (data) => api.post('/users/login', data),
+  refreshToken: (refreshToken) => api.post('/users/refresh-token', { refreshToken }),
   getProfile: (id) => api.get(`/users/${id}`),
   updateProfile: (id, data) => api.put(`/users/${id}`, data),
   getAllUsers: (params) => api.get('/users', { params }),
@@ -54,6 +113,18 @@ export const machineAPI = {
   getByOwner: (ownerId) => api.get(`/machines/owner/${ownerId}`),
   updateAvailability: (id, data) => api.patch(`/machines/${id}/availability`, data),
   searchNearby: (params) => api.get('/machines/search/nearby', { params }),
+  getSlots: (id, params) => api.get(`/machines/${id}/slots`, { params }),
+  getQuote: (id, data) => api.post(`/machines/${id}/quote`, data),
+  getResponseStats: (id) => api.get(`/machines/${id}/response-stats`),
+  addBlackout: (id, data) => api.post(`/machines/${id}/blackouts`, data),
+  removeBlackout: (id, blackoutId) => api.delete(`/machines/${id}/blackouts/${blackoutId}`),
+  getTimeCalibration: (id) => api.get(`/machines/${id}/time-calibration`),
+  calibrateTime: (id, apply = false) => api.post(`/machines/${id}/time-calibration`, { apply }),
+  applyTimeCalibration: (id, workTypes) => api.post(`/machines/${id}/time-calibration/apply`, { workTypes }),
+  getMaintenance: (id) => api.get(`/machines/${id}/maintenance`),
+  updateMaintenance: (id, data) => api.put(`/machines/${id}/maintenance`, data),
+  logService: (id, data) => api.post(`/machines/${id}/maintenance/services`, data),
+  completeService: (id, serviceId, data) => api.patch(`/machines/${id}/maintenance/services/${serviceId}/complete`, data),
 };
 
 // Booking API
@@ -63,10 +134,38 @@ export const bookingAPI = {
   create: (data) => api.post('/bookings', data),
   update: (id, data) => api.put(`/bookings/${id}`, data),
   cancel: (id, reason) => api.patch(`/bookings/${id}/cancel`, { reason }),
+  getCancellation: (id) => api.get(`/bookings/${id}/cancellation`),
   confirm: (id) => api.patch(`/bookings/${id}/confirm`),
+  reject: (id, reason) => api.patch(`/bookings/${id}/reject`, { reason }),
+  counterOffer: (id, data) => api.patch(`/bookings/${id}/counter-offer`, data),
+  acceptCounterOffer: (id) => api.patch(`/bookings/${id}/counter-offer/accept`),
+  declineCounterOffer: (id, reason) => api.patch(`/bookings/${id}/counter-offer/decline`, { reason }),
+  start: (id, data) => api.patch(`/bookings/${id}/start`, data),
   complete: (id, data) => api.patch(`/bookings/${id}/complete`, data),
   getByFarmer: (farmerId, params) => api.get(`/bookings/farmer/${farmerId}`, { params }),
   getByOwner: (ownerId, params) => api.get(`/bookings/owner/${ownerId}`, { params }),
   getMachineSchedule: (machineId, date) => api.get(`/bookings/schedule/${machineId}`, { params: { date } }),
+  getJobSheet: (machineId, date) => api.get(`/bookings/job-sheet/${machineId}`, { params: { date } }),
+  sendJobSheet: (machineId, date) => api.post(`/bookings/job-sheet/${machineId}`, { date }),
   autoSchedule: (data) => api.post('/bookings/schedule', data),
+  getPayments: (id) => api.get(`/bookings/${id}/payments`),
+  getHistory: (id) => api.get(`/bookings/${id}/history`),
+  getInvoice: (id, format = 'pdf') => api.get(`/bookings/${id}/invoice`, { params: { format }, responseType: 'blob' }),
+};
+
+// Notification API
+export const notificationAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.patch(`/notifications/${id}/read`),
+  markAllRead: () => api.patch('/notifications/read-all'),
+  // EventSource cannot send headers, so the stream takes a one-minute ticket in
+  // the query; fetching it through api refreshes an expired access token first
+  getStreamTicket: () => api.post('/notifications/stream-ticket'),
+  getStreamUrl: (ticket) => `${API_BASE_URL}/notifications/stream?ticket=${encodeURIComponent(ticket)}`,
+};
+
+// Payment API
+export const paymentAPI = {
+  getSummary: (params) => api.get('/payments/summary', { params }),
 };
@@ -0,0 +1,24 @@
+// Labels for why a machine is blacked out (see backend utils/blackouts.js)
+export const BLACKOUT_REASONS = {
+  service: 'Service',
+  repair: 'Repairs',
+  owner_use: "Owner's own use",
+  holiday: 'Festival holiday'
+};
+
+// e.g. "Service: 20 Oct – 22 Oct"
+export const describeBlackout = (blackout) => {
+  const from = new Date(blackout.startDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+  const to = new Date(blackout.endDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+  const label = BLACKOUT_REASONS[blackout.reason] || 'Unavailable';
+  return from === to ? `${label}: ${from}` : `${label}: ${from} – ${to}`;
+};
+
+// Blackouts that have not ended yet, soonest first
+export const upcomingBlackouts = (blackouts = []) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return blackouts
+    .filter(b => new Date(b.endDate) >= today)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+};
@@ -0,0 +1,26 @@
+// Short descriptions of a machine's active pricing rules, for listings
+export const describePricingRules = (pricing = {}) => {
+  const rules = pricing.rules || {};
+  const lines = [];
+
+  (rules.peakSeasons || []).forEach(s => {
+    const from = new Date(s.startDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    const to = new Date(s.endDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    lines.push(`${s.name || 'Peak season'} (${from} – ${to}): +${s.surchargePercent}%`);
+  });
+  if (rules.weekendSurchargePercent > 0) lines.push(`Weekends: +${rules.weekendSurchargePercent}%`);
+  if (rules.urgentSurchargePercent > 0) lines.push(`Urgent bookings: +${rules.urgentSurchargePercent}%`);
+  (rules.volumeDiscounts || []).forEach(t => {
+    lines.push(`${t.minAcres}+ acres: −${t.discountPercent}%`);
+  });
+
+  return lines;
+};
+
+// One-line summary of a machine's cancellation terms
+export const describeCancellationPolicy = (policy = {}) => {
+  const hours = policy.freeUntilHours ?? 24;
+  const fee = Number(policy.lateFeePercent) || 0;
+  if (fee === 0) return 'Free cancellation until work starts';
+  return `Free cancellation until ${hours} hours before the job, then ${fee}% of the booking total`;
+};
@@ -0,0 +1,79 @@
+// Weekly working hours (see backend utils/workingHours.js). The API stores a
+// flat list of { day, start, end } intervals; forms work with one list per day.
+
+// Monday first, with Date#getDay() numbers
+export const WEEK_DAYS = [
+  { value: 'monday', label: 'Mon', index: 1 },
+  { value: 'tuesday', label: 'Tue', index: 2 },
+  { value: 'wednesday', label: 'Wed', index: 3 },
+  { value: 'thursday', label: 'Thu', index: 4 },
+  { value: 'friday', label: 'Fri', index: 5 },
+  { value: 'saturday', label: 'Sat', index: 6 },
+  { value: 'sunday', label: 'Sun', index: 0 }
+];
+
+const dayValue = (day) => (typeof day === 'number'
+  ? WEEK_DAYS.find(d => d.index === day)?.value
+  : String(day).toLowerCase());
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const hourToTime = (hour) => `${String(Math.floor(hour)).padStart(2, '0')}:${String(Math.round((hour % 1) * 60)).padStart(2, '0')}`;
+
+// { monday: [{ start, end }], ... } from a machine's availability, falling back
+// to the older single block of hours on every working day
+export const getWeeklyHours = (availability = {}) => {
+  const byDay = Object.fromEntries(WEEK_DAYS.map(d => [d.value, []]));
+
+  if (availability.weeklyHours?.length) {
+    availability.weeklyHours.forEach(({ day, start, end }) => {
+      byDay[dayValue(day)]?.push({ start, end });
+    });
+  } else {
+    const days = availability.availableDays || availability.workingDays || [1, 2, 3, 4, 5, 6];
+    const start = availability.workingHours?.start || hourToTime(availability.workingHoursStart || 8);
+    const end = availability.workingHours?.end || hourToTime(availability.workingHoursEnd || 18);
+    days.forEach(day => byDay[dayValue(day)]?.push({ start, end }));
+  }
+
+  Object.values(byDay).forEach(intervals => intervals.sort((a, b) => toMinutes(a.start) - toMinutes(b.start)));
+  return byDay;
+};
+
+// Flat list for the API, e.g. [{ day: 1, start: '06:30', end: '12:00' }]
+export const toWeeklyHoursList = (byDay) => WEEK_DAYS.flatMap(({ value, index }) =>
+  (byDay[value] || []).map(({ start, end }) => ({ day: index, start, end }))
+);
+
+// First problem with a day-by-day template, or null
+export const findWeeklyHoursError = (byDay) => {
+  if (!WEEK_DAYS.some(d => byDay[d.value]?.length)) {
+    return 'Please add working hours for at least one day';
+  }
+  for (const { value, label } of WEEK_DAYS) {
+    const intervals = [...(byDay[value] || [])].sort((a, b) => (a.start || '').localeCompare(b.start || ''));
+    for (let i = 0; i < intervals.length; i++) {
+      const { start, end } = intervals[i];
+      if (!start || !end) return `${label}: please fill every start and end time`;
+      if (toMinutes(end) <= toMinutes(start)) return `${label}: ${start}–${end} must end after it starts`;
+      if (i > 0 && toMinutes(start) < toMinutes(intervals[i - 1].end)) {
+        return `${label}: ${intervals[i - 1].start}–${intervals[i - 1].end} overlaps ${start}–${end}`;
+      }
+    }
+  }
+  return null;
+};
+
+// e.g. "06:30–12:00, 13:00–18:00"
+export const formatIntervals = (intervals = []) => intervals.map(i => `${i.start}–${i.end}`).join(', ');
+
+// One line for cards: the first working day's hours, noting when other days differ
+export const summarizeWeeklyHours = (availability) => {
+  const byDay = getWeeklyHours(availability);
+  const working = WEEK_DAYS.map(d => formatIntervals(byDay[d.value])).filter(Boolean);
+  if (!working.length) return 'No working hours set';
+  return working.every(hours => hours === working[0]) ? working[0] : `${working[0]} (varies by day)`;
+};